@@ -0,0 +1,522 @@
+/**
+ * Compliance Rules Configuration
+ * Accessibility standards a trail can be checked against, as pluggable rule
+ * sets. features/complianceReport.js gathers what is known about a trail and
+ * runs every rule of a set over it.
+ *
+ * Each rule gets the same facts:
+ *   {
+ *     survey,         // canonical survey (see surveySchema.js) or null
+ *     totalLength,    // meters along the recorded track
+ *     gradeAnalysis,  // measured slopes (gradeAnalysis.js) or null without elevations
+ *     stretches,      // [{ from, to, length, attributes }] (see stretchAttributes.js)
+ *     waypoints       // [{ waypointType, attributes, distance }] - distance in meters along the track
+ *   }
+ * and returns { status, finding, evidence }:
+ * - status: a COMPLIANCE_STATUSES key
+ * - finding: one sentence explaining the status
+ * - evidence: [{ text, source, from, to }] - source is 'measured', 'stretch',
+ *   'waypoint' or 'survey'; from / to in meters along the track when the
+ *   evidence has a place on it
+ *
+ * A rule only passes on positive evidence; missing data is 'unknown', never 'pass'.
+ *
+ * Access Nature - Enhanced Accessibility Survey System
+ * Created: December 2025
+ */
+
+import { getSurveyOption, getSurveyValues } from './surveySchema.js';
+import { getStretchSurface, getObstacleLabels } from './stretchAttributes.js';
+import { getWaypointType } from './waypointTypes.js';
+
+export const COMPLIANCE_STATUSES = {
+  pass: { id: 'pass', label: 'Meets', icon: '✅', color: '#1b5e20', bgColor: '#e8f5e9' },
+  fail: { id: 'fail', label: 'Does not meet', icon: '❌', color: '#b71c1c', bgColor: '#ffebee' },
+  unknown: { id: 'unknown', label: 'Not enough data', icon: '❔', color: '#8d6e00', bgColor: '#fff8e1' }
+};
+
+// Share of the trail that must be described before a stretch-based rule can pass
+const FULL_COVERAGE = 0.9;
+
+// Passing spaces and resting intervals this close to a place count for it (meters)
+const NEARBY = 15;
+
+function result(status, finding, evidence = []) {
+  return { status, finding, evidence };
+}
+
+/**
+ * Share of the trail covered by stretches matching a predicate
+ * @param {Array} stretches
+ * @param {Function} predicate - (attributes) => boolean
+ * @param {number} totalLength - Meters
+ * @returns {number} 0 - 1
+ */
+function coverage(stretches, predicate, totalLength) {
+  if (!totalLength) return 0;
+
+  const ranges = stretches
+    .filter(stretch => predicate(stretch.attributes))
+    .map(stretch => [stretch.from, stretch.to])
+    .sort((a, b) => a[0] - b[0]);
+
+  let covered = 0;
+  let reached = 0;
+  ranges.forEach(([from, to]) => {
+    const start = Math.max(from, reached);
+    if (to > start) covered += to - start;
+    reached = Math.max(reached, to);
+  });
+
+  return Math.min(covered / totalLength, 1);
+}
+
+function stretchEvidence(stretch, text) {
+  return { text, source: 'stretch', from: stretch.from, to: stretch.to };
+}
+
+function waypointEvidence(waypoint, text) {
+  const name = getWaypointType(waypoint.waypointType)?.name || waypoint.waypointType;
+  return { text: text ? `${name}: ${text}` : name, source: 'waypoint', from: waypoint.distance, to: waypoint.distance };
+}
+
+function sectionEvidence(section) {
+  return {
+    text: `${section.maxGrade}% ${section.direction} over ${Math.round(section.length)} m`,
+    source: 'measured',
+    from: section.startDistance,
+    to: section.endDistance
+  };
+}
+
+function surveyEvidence(survey, key) {
+  const values = getSurveyValues(survey, key);
+  return values.length > 0 ? [{ text: `Survey: ${values.join(', ')}`, source: 'survey' }] : [];
+}
+
+function ofType(waypoints, ...typeIds) {
+  return waypoints.filter(waypoint => typeIds.includes(waypoint.waypointType));
+}
+
+function hasNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value);
+}
+
+// ==================== ABA §1017 TRAILS ====================
+
+/**
+ * Technical limits of ABA §1017 (Outdoor Developed Areas - Trails), in the
+ * units the app records: cm for widths and heights, meters for lengths
+ */
+export const ABA_LIMITS = {
+  clearWidth: 91.4,           // 36 in
+  reducedWidth: 81.3,         // 32 in, allowed for up to 24 in of length
+  reducedWidthLength: 0.61,   // 24 in (m)
+  passingWidth: 152.4,        // Passing spaces where the trail is narrower than 60 in
+  passingInterval: 304.8,     // 1000 ft between passing spaces (m)
+  obstacleHeight: 5.1,        // 2 in
+  crossSlope: 5,              // % (1:20)
+  restingLength: 152.4,       // 60 in
+  restingSlope: 5,            // % in any direction
+  steepShare: 30              // % of the trail that may exceed 8.33%
+};
+
+/**
+ * Table 1017.7.1 - longest run between resting intervals for each running slope
+ * (max: percent; length: meters)
+ */
+export const ABA_RUNNING_SLOPES = [
+  { max: 5, length: Infinity },
+  { max: 8.33, length: 61 },    // 200 ft
+  { max: 10, length: 9.14 },    // 30 ft
+  { max: 12.5, length: 3.05 }   // 10 ft
+];
+
+// Longest run allowed at a grade; 0 over 12.5%
+function getRunLimit(grade) {
+  return ABA_RUNNING_SLOPES.find(entry => grade <= entry.max)?.length ?? 0;
+}
+
+const FIRM_SURFACES = ['paved', 'boardwalk', 'packed_gravel'];
+const LOOSE_SURFACES = ['gravel', 'sand', 'rocks'];
+
+// Slopes typed by the surveyor: stretch "steepest slope" and ramp waypoints
+function getTypedSlopes({ stretches, waypoints }) {
+  return [
+    ...stretches
+      .filter(stretch => hasNumber(stretch.attributes.slope))
+      .map(stretch => ({ slope: stretch.attributes.slope, evidence: stretchEvidence(stretch, `Stretch up to ${stretch.attributes.slope}%`) })),
+    ...ofType(waypoints, 'ramp')
+      .filter(ramp => hasNumber(ramp.attributes.slope))
+      .map(ramp => ({ slope: ramp.attributes.slope, evidence: waypointEvidence(ramp, `${ramp.attributes.slope}%`) }))
+  ];
+}
+
+function isSurveyedMild(survey) {
+  return getSurveyOption('trailSlopes', survey?.trailSlopes)?.slope === 'mild';
+}
+
+const ABA_1017_RULES = [
+  {
+    id: 'aba-1017.3',
+    section: '1017.3',
+    title: 'Firm and stable surface',
+    requirement: 'The tread surface is firm and stable throughout.',
+    evaluate({ survey, stretches, totalLength }) {
+      const marked = stretches.filter(stretch => getStretchSurface(stretch.attributes.surface));
+      const toEvidence = stretch => stretchEvidence(stretch, getStretchSurface(stretch.attributes.surface).label);
+
+      const loose = marked.filter(stretch => LOOSE_SURFACES.includes(stretch.attributes.surface));
+      if (loose.length > 0) {
+        const labels = [...new Set(loose.map(stretch => getStretchSurface(stretch.attributes.surface).label.toLowerCase()))];
+        return result('fail', `Stretches of ${labels.join(', ')} are not firm and stable.`, loose.map(toEvidence));
+      }
+
+      const surveyed = getSurveyValues(survey, 'trailSurface').map(value => getSurveyOption('trailSurface', value)).filter(Boolean);
+      const evidence = [...surveyEvidence(survey, 'trailSurface'), ...marked.map(toEvidence)];
+      const markedFirm = marked.every(stretch => FIRM_SURFACES.includes(stretch.attributes.surface));
+
+      if (markedFirm && coverage(marked, () => true, totalLength) >= FULL_COVERAGE) {
+        return result('pass', 'Every marked stretch has a paved, boardwalk or packed gravel surface.', evidence);
+      }
+      if (markedFirm && surveyed.length > 0 && surveyed.every(option => FIRM_SURFACES.includes(option.surfaceId))) {
+        return result('pass', 'All surveyed surfaces are firm (paved, boardwalk or compacted).', evidence);
+      }
+      if (evidence.length === 0) {
+        return result('unknown', 'No surface recorded - answer the survey or mark stretches with their surface.');
+      }
+      return result('unknown', 'Dirt, grass and mixed surfaces are only firm and stable when compacted - test them on site.', evidence);
+    }
+  },
+
+  {
+    id: 'aba-1017.4',
+    section: '1017.4',
+    title: 'Clear tread width',
+    requirement: 'At least 36 in (915 mm) wide; 32 in (815 mm) allowed for no more than 24 in (610 mm) of length.',
+    evaluate({ survey, stretches, waypoints, totalLength }) {
+      const widths = [
+        ...stretches
+          .filter(stretch => hasNumber(stretch.attributes.width))
+          .map(stretch => ({
+            width: stretch.attributes.width,
+            // A stretch is always longer than the 24 in exception
+            short: false,
+            evidence: stretchEvidence(stretch, `${stretch.attributes.width} cm wide`)
+          })),
+        ...ofType(waypoints, 'gate', 'narrow_passage')
+          .filter(waypoint => hasNumber(waypoint.attributes.width))
+          .map(waypoint => ({
+            width: waypoint.attributes.width,
+            // Gates are a door's depth; passages only when their length was recorded
+            short: waypoint.waypointType === 'gate' ? true
+              : hasNumber(waypoint.attributes.length) ? waypoint.attributes.length <= ABA_LIMITS.reducedWidthLength
+              : null,
+            evidence: waypointEvidence(waypoint, `${waypoint.attributes.width} cm wide`)
+          }))
+      ];
+
+      const blocked = getSurveyOption('surfaceQuality', survey?.surfaceQuality)?.short === 'Overgrown';
+      const tooNarrow = widths.filter(w => w.width < ABA_LIMITS.reducedWidth ||
+        (w.width < ABA_LIMITS.clearWidth && w.short === false));
+
+      if (tooNarrow.length > 0 || blocked) {
+        return result('fail',
+          blocked && tooNarrow.length === 0
+            ? 'Vegetation blocks the tread.'
+            : `Narrowest point ${Math.min(...tooNarrow.map(w => w.width))} cm.`,
+          [...tooNarrow.map(w => w.evidence), ...(blocked ? surveyEvidence(survey, 'surfaceQuality') : [])]);
+      }
+
+      const evidence = widths.map(w => w.evidence);
+      const undecided = widths.filter(w => w.width < ABA_LIMITS.clearWidth && w.short === null);
+      if (undecided.length > 0) {
+        return result('unknown', 'A narrow passage is under 36 in wide - record its length to check the 24 in exception.', evidence);
+      }
+
+      const measured = coverage(stretches, attributes => hasNumber(attributes.width), totalLength);
+      if (measured >= FULL_COVERAGE) {
+        return result('pass', `At least ${Math.min(...widths.map(w => w.width))} cm wide wherever measured.`, evidence);
+      }
+      if (widths.length === 0) {
+        return result('unknown', 'No widths recorded - mark stretches with their narrowest width.');
+      }
+      return result('unknown', `Width recorded along ${Math.round(measured * 100)}% of the trail only.`, evidence);
+    }
+  },
+
+  {
+    id: 'aba-1017.4.1',
+    section: '1017.4.1',
+    title: 'Passing spaces',
+    requirement: 'Where the clear width is under 60 in (1525 mm), passing spaces at least 60 in by 60 in every 1000 ft (305 m).',
+    evaluate({ stretches, waypoints, totalLength }) {
+      const measured = stretches.filter(stretch => hasNumber(stretch.attributes.width));
+      if (measured.length === 0) {
+        return result('unknown', 'No widths recorded - mark stretches with their narrowest width.');
+      }
+
+      const spaces = ofType(waypoints, 'passing_space').filter(space => hasNumber(space.distance));
+      const fullSize = spaces.filter(space =>
+        (space.attributes.width ?? ABA_LIMITS.passingWidth) >= ABA_LIMITS.passingWidth &&
+        (space.attributes.length ?? ABA_LIMITS.passingWidth) >= ABA_LIMITS.passingWidth);
+      const undersized = spaces.filter(space => !fullSize.includes(space));
+
+      // Narrow stretches in a row, joined across short undescribed gaps
+      const runs = [];
+      measured
+        .filter(stretch => stretch.attributes.width < ABA_LIMITS.passingWidth)
+        .forEach(stretch => {
+          const last = runs[runs.length - 1];
+          if (last && stretch.from - last.to <= NEARBY) last.to = Math.max(last.to, stretch.to);
+          else runs.push({ from: stretch.from, to: stretch.to });
+        });
+
+      const tooLong = runs.filter(run => {
+        const stops = [run.from, ...fullSize.map(space => space.distance).filter(d => d > run.from && d < run.to), run.to];
+        return stops.some((stop, i) => i > 0 && stop - stops[i - 1] > ABA_LIMITS.passingInterval);
+      });
+
+      const evidence = [
+        ...fullSize.map(space => waypointEvidence(space)),
+        ...undersized.map(space => waypointEvidence(space, 'smaller than 60 × 60 in'))
+      ];
+
+      if (tooLong.length > 0) {
+        return result('fail', 'The trail stays under 60 in wide for more than 1000 ft without a passing space.', [
+          ...tooLong.map(run => ({ text: `${Math.round(run.to - run.from)} m under 152 cm wide`, source: 'stretch', from: run.from, to: run.to })),
+          ...evidence
+        ]);
+      }
+
+      if (coverage(measured, () => true, totalLength) >= FULL_COVERAGE) {
+        return runs.length === 0
+          ? result('pass', 'At least 60 in wide throughout - no passing spaces needed.', measured.map(stretch => stretchEvidence(stretch, `${stretch.attributes.width} cm wide`)))
+          : result('pass', 'No narrow run is longer than 1000 ft between passing spaces.', [
+            ...runs.map(run => ({ text: `${Math.round(run.to - run.from)} m under 152 cm wide`, source: 'stretch', from: run.from, to: run.to })),
+            ...evidence
+          ]);
+      }
+      return result('unknown', 'Width is not recorded along the whole trail.', evidence);
+    }
+  },
+
+  {
+    id: 'aba-1017.5',
+    section: '1017.5',
+    title: 'Tread obstacles',
+    requirement: 'Tread obstacles no higher than 2 in (51 mm).',
+    evaluate({ survey, stretches, waypoints }) {
+      const steps = ofType(waypoints, 'steps');
+      const blocking = steps.filter(step => !step.attributes.bypass);
+      const kerbs = stretches.filter(stretch => (stretch.attributes.obstacles || []).includes('kerb'));
+      const surveyedSteps = getSurveyOption('steps', survey?.steps);
+
+      const failing = [
+        ...blocking.map(step => waypointEvidence(step, `${step.attributes.count || 1} without a bypass`)),
+        ...kerbs.map(stretch => stretchEvidence(stretch, 'Kerb or single step')),
+        ...(surveyedSteps?.barrier ? surveyEvidence(survey, 'steps') : [])
+      ];
+      if (failing.length > 0) {
+        return result('fail', 'Steps or kerbs higher than 2 in are on the trail.', failing);
+      }
+
+      const uneven = stretches.filter(stretch =>
+        (stretch.attributes.obstacles || []).some(obstacle => ['roots', 'loose_rocks'].includes(obstacle)));
+      const quality = getSurveyOption('surfaceQuality', survey?.surfaceQuality);
+      const evidence = [
+        ...steps.map(step => waypointEvidence(step, 'step-free bypass')),
+        ...uneven.map(stretch => stretchEvidence(stretch, getObstacleLabels(stretch.attributes).join(', '))),
+        ...surveyEvidence(survey, 'steps'),
+        ...surveyEvidence(survey, 'surfaceQuality')
+      ];
+
+      if (uneven.length > 0) {
+        return result('unknown', 'Roots or loose rocks were marked - check they are no higher than 2 in.', evidence);
+      }
+      if (surveyedSteps && quality?.short === 'Excellent') {
+        return result('pass', 'Step-free, with a smooth, well maintained surface.', evidence);
+      }
+      if (quality && quality.short !== 'Excellent') {
+        return result('unknown', `Surface surveyed as ${quality.short.toLowerCase()} - check bumps and stones are no higher than 2 in.`, evidence);
+      }
+      return result('unknown', 'Steps and surface quality not surveyed.', evidence);
+    }
+  },
+
+  {
+    id: 'aba-1017.7.1',
+    section: '1017.7.1',
+    title: 'Running slope',
+    requirement: 'No steeper than 1:8 (12.5%), with no more than 30% of the trail steeper than 1:12 (8.33%).',
+    evaluate(facts) {
+      const { survey, gradeAnalysis } = facts;
+      const typed = getTypedSlopes(facts);
+      const typedTooSteep = typed.filter(entry => entry.slope > 12.5);
+
+      if (gradeAnalysis) {
+        const tooSteep = gradeAnalysis.steepSections.filter(section => section.maxGrade > 12.5);
+        const steepShare = (gradeAnalysis.histogram || [])
+          .filter(bucket => bucket.id === 'steep' || bucket.id === 'very_steep')
+          .reduce((sum, bucket) => sum + bucket.percent, 0);
+        const overShare = steepShare > ABA_LIMITS.steepShare;
+
+        if (tooSteep.length > 0 || typedTooSteep.length > 0 || overShare) {
+          return result('fail',
+            overShare && tooSteep.length === 0 && typedTooSteep.length === 0
+              ? `${Math.round(steepShare)}% of the trail is steeper than 8.33%.`
+              : `Steeper than 12.5% in places (up to ${Math.max(gradeAnalysis.maxGrade, ...typedTooSteep.map(entry => entry.slope))}%).`,
+            [...tooSteep.map(sectionEvidence), ...typedTooSteep.map(entry => entry.evidence)]);
+        }
+
+        return result('pass',
+          `Steepest ${gradeAnalysis.maxGrade}% (measured over at least 30 m), ${Math.round(steepShare)}% of the trail steeper than 8.33%.`,
+          [...gradeAnalysis.steepSections.map(sectionEvidence), ...typed.map(entry => entry.evidence)]);
+      }
+
+      if (typedTooSteep.length > 0) {
+        return result('fail', 'Slopes steeper than 12.5% were recorded.', typedTooSteep.map(entry => entry.evidence));
+      }
+
+      const evidence = [...surveyEvidence(survey, 'trailSlopes'), ...typed.map(entry => entry.evidence)];
+      if (isSurveyedMild(survey) && typed.every(entry => entry.slope <= 5)) {
+        return result('pass', 'Surveyed as no steeper than 5% (not measured).', evidence);
+      }
+      return result('unknown', 'Slopes were not measured - record the route with elevation data.', evidence);
+    }
+  },
+
+  {
+    id: 'aba-1017.7.2',
+    section: '1017.7.2',
+    title: 'Cross slope',
+    requirement: `No steeper than 1:20 (${ABA_LIMITS.crossSlope}%).`,
+    evaluate({ stretches }) {
+      const tilted = stretches.filter(stretch => (stretch.attributes.obstacles || []).includes('cross_slope'));
+      if (tilted.length > 0) {
+        return result('fail', 'Stretches with a steep cross slope were marked.', tilted.map(stretch => stretchEvidence(stretch, 'Steep cross-slope')));
+      }
+      // GPS and elevation data only describe the slope along the track
+      return result('unknown', 'Cross slope cannot be measured from the recording - check it with a level on site.');
+    }
+  },
+
+  {
+    id: 'aba-1017.8',
+    section: '1017.8',
+    title: 'Resting intervals',
+    requirement: 'Level resting intervals (at least 60 in long, no steeper than 5%) at the run lengths of Table 1017.7.1 wherever the running slope exceeds 5%.',
+    evaluate(facts) {
+      const { survey, gradeAnalysis, waypoints } = facts;
+      const rests = ofType(waypoints, 'resting_interval').filter(rest => hasNumber(rest.distance));
+
+      const unsuitable = rests.filter(rest =>
+        (hasNumber(rest.attributes.length) && rest.attributes.length < ABA_LIMITS.restingLength) ||
+        (hasNumber(rest.attributes.slope) && rest.attributes.slope > ABA_LIMITS.restingSlope));
+      if (unsuitable.length > 0) {
+        return result('fail', 'Resting intervals are shorter than 60 in or steeper than 5%.',
+          unsuitable.map(rest => waypointEvidence(rest, [
+            hasNumber(rest.attributes.length) && `${rest.attributes.length} cm long`,
+            hasNumber(rest.attributes.slope) && `${rest.attributes.slope}%`
+          ].filter(Boolean).join(', '))));
+      }
+
+      const restEvidence = rests.map(rest => waypointEvidence(rest));
+
+      if (!gradeAnalysis) {
+        if (isSurveyedMild(survey) && getTypedSlopes(facts).every(entry => entry.slope <= 5)) {
+          return result('pass', 'Not needed - surveyed as no steeper than 5% (not measured).', surveyEvidence(survey, 'trailSlopes'));
+        }
+        return result('unknown', 'Slopes were not measured - record the route with elevation data.', restEvidence);
+      }
+
+      const long = gradeAnalysis.steepSections.filter(section => section.length > getRunLimit(section.maxGrade));
+      if (long.length === 0) {
+        return result('pass',
+          gradeAnalysis.steepSections.length === 0
+            ? 'Not needed - no running slope over 5%.'
+            : 'Every slope over 5% is short enough to need no resting interval.',
+          gradeAnalysis.steepSections.map(sectionEvidence));
+      }
+
+      // A run needs a resting interval at least every table length, plus one at each end
+      const uncovered = long.filter(section => {
+        const limit = getRunLimit(section.maxGrade);
+        if (limit === 0) return true;
+
+        const stops = rests
+          .map(rest => rest.distance)
+          .filter(distance => distance >= section.startDistance - NEARBY && distance <= section.endDistance + NEARBY)
+          .sort((a, b) => a - b);
+        const points = [section.startDistance, ...stops, section.endDistance];
+        return stops.length === 0 || points.some((point, i) => i > 0 && point - points[i - 1] > limit + NEARBY);
+      });
+
+      if (uncovered.length === 0) {
+        return result('pass', 'Resting intervals are recorded along every long slope.', [...long.map(sectionEvidence), ...restEvidence]);
+      }
+      return result('unknown',
+        `${uncovered.length} slope${uncovered.length === 1 ? '' : 's'} over 5% ${uncovered.length === 1 ? 'is' : 'are'} longer than a run may be - mark the resting intervals along ${uncovered.length === 1 ? 'it' : 'them'} or confirm there are none.`,
+        [...uncovered.map(sectionEvidence), ...restEvidence]);
+    }
+  }
+];
+
+// ==================== RULE SETS ====================
+
+const RULE_SETS = {};
+
+/**
+ * Add a rule set (e.g. a national standard). Rule sets registered later with
+ * the same id replace the earlier one.
+ * @param {Object} ruleSet - { id, name, jurisdiction, reference, rules: [{ id, section, title, requirement, evaluate }] }
+ * @returns {Object} The rule set
+ */
+export function registerRuleSet(ruleSet) {
+  if (!ruleSet?.id || !Array.isArray(ruleSet.rules)) {
+    throw new Error('A rule set needs an id and rules');
+  }
+  const invalid = ruleSet.rules.find(rule => !rule.id || !rule.title || typeof rule.evaluate !== 'function');
+  if (invalid) {
+    throw new Error(`Rule ${invalid.id || '(no id)'} in ${ruleSet.id} needs an id, title and evaluate()`);
+  }
+
+  RULE_SETS[ruleSet.id] = ruleSet;
+  return ruleSet;
+}
+
+/**
+ * @param {string} ruleSetId
+ * @returns {Object|null}
+ */
+export function getRuleSet(ruleSetId) {
+  return RULE_SETS[ruleSetId] || null;
+}
+
+/**
+ * @returns {Array} Registered rule sets
+ */
+export function getAllRuleSets() {
+  return Object.values(RULE_SETS);
+}
+
+export const DEFAULT_RULE_SET = 'aba_1017';
+
+registerRuleSet({
+  id: DEFAULT_RULE_SET,
+  name: 'ABA Outdoor Developed Areas - Trails (§1017)',
+  jurisdiction: 'United States',
+  reference: 'https://www.access-board.gov/aba/',
+  rules: ABA_1017_RULES
+});
+
+// Export for ES6 module use
+export default {
+  COMPLIANCE_STATUSES,
+  ABA_LIMITS,
+  ABA_RUNNING_SLOPES,
+  DEFAULT_RULE_SET,
+  registerRuleSet,
+  getRuleSet,
+  getAllRuleSets
+};
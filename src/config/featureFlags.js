@@ -26,6 +26,7 @@ export const FEATURE_FLAGS = {
     // Exports
     exportFormats: ['json'],
     pdfExports: false,
+    maxExportsPerMonth: 10,
     
     // Premium Features
     offlineMaps: false,
@@ -56,6 +57,7 @@ export const FEATURE_FLAGS = {
     // Exports
     exportFormats: ['json', 'gpx', 'pdf', 'html'],
     pdfExports: true,
+    maxExportsPerMonth: 100,
     
     // Premium Features
     offlineMaps: true,
@@ -84,8 +86,9 @@ export const FEATURE_FLAGS = {
     basicSearch: true,
     
     // Exports
-    exportFormats: ['json', 'gpx', 'pdf', 'html', 'csv', 'kml'],
+    exportFormats: ['json', 'gpx', 'pdf', 'html', 'csv', 'kml', 'kmz', 'geojson'],
     pdfExports: true,
+    maxExportsPerMonth: -1,
     
     // Premium Features
     offlineMaps: true,
@@ -114,8 +117,9 @@ export const FEATURE_FLAGS = {
     basicSearch: true,
     
     // Exports
-    exportFormats: ['json', 'gpx', 'pdf', 'html', 'csv', 'kml'],
+    exportFormats: ['json', 'gpx', 'pdf', 'html', 'csv', 'kml', 'kmz', 'geojson'],
     pdfExports: true,
+    maxExportsPerMonth: -1,
     
     // Premium Features
     offlineMaps: true,
@@ -473,8 +477,14 @@ export function getUpgradeBenefits(currentTier, targetTier) {
   const benefits = [];
   
   // Compare features
-  if (!current.pdfExports && target.pdfExports) {
-    benefits.push('Export to PDF, GPX, and HTML formats');
+  const newFormats = target.exportFormats.filter(format => !current.exportFormats.includes(format));
+  if (newFormats.length > 0) {
+    benefits.push(`Export to ${newFormats.map(format => format.toUpperCase()).join(', ')}`);
+  }
+  if (current.maxExportsPerMonth !== -1 && target.maxExportsPerMonth === -1) {
+    benefits.push('Unlimited exports');
+  } else if (target.maxExportsPerMonth > current.maxExportsPerMonth) {
+    benefits.push(`Up to ${target.maxExportsPerMonth} exports a month`);
   }
   if (!current.offlineMaps && target.offlineMaps) {
     benefits.push('Download maps for offline use');
@@ -487,6 +497,16 @@ export function getUpgradeBenefits(currentTier, targetTier) {
   } else if (target.maxSavedRoutes > current.maxSavedRoutes) {
     benefits.push(`Save up to ${target.maxSavedRoutes} routes`);
   }
+  if (current.maxCloudGuides !== -1 && target.maxCloudGuides === -1) {
+    benefits.push('Unlimited trail guides');
+  } else if (target.maxCloudGuides > current.maxCloudGuides) {
+    benefits.push(`Publish up to ${target.maxCloudGuides} trail guides`);
+  }
+  if (current.maxPhotosPerRoute !== -1 && target.maxPhotosPerRoute === -1) {
+    benefits.push('Unlimited photos per route');
+  } else if (target.maxPhotosPerRoute > current.maxPhotosPerRoute) {
+    benefits.push(`Up to ${target.maxPhotosPerRoute} photos per route`);
+  }
   if (current.showAds && !target.showAds) {
     benefits.push('Ad-free experience');
   }
@@ -17,6 +17,8 @@
  * - formPrefills: suggested pre-fill values for accessibility form
  * - relevantCategories: which form categories are most relevant
  * - timeMultiplier: factor to adjust estimated trail time (1.0 = baseline)
+ * - maxSlopePercent / preferredSlopePercent: steepest grade that works / is comfortable
+ * - steps: 'barrier' (steps make the trail unusable), 'caution' or 'ok'
  */
 export const MOBILITY_PROFILES = {
   manual_wheelchair: {
@@ -43,7 +45,8 @@ export const MOBILITY_PROFILES = {
     relevantCategories: ['parking', 'surface', 'restrooms', 'amenities', 'environment'],
     timeMultiplier: 1.3, // 30% more time needed
     maxSlopePercent: 8, // ADA max is 8.33%
-    preferredSlopePercent: 5
+    preferredSlopePercent: 5,
+    steps: 'barrier'
   },
 
   power_wheelchair: {
@@ -68,7 +71,8 @@ export const MOBILITY_PROFILES = {
     relevantCategories: ['parking', 'surface', 'restrooms', 'environment'],
     timeMultiplier: 1.1,
     maxSlopePercent: 10,
-    preferredSlopePercent: 8
+    preferredSlopePercent: 8,
+    steps: 'barrier'
   },
 
   walker_cane: {
@@ -93,7 +97,8 @@ export const MOBILITY_PROFILES = {
     relevantCategories: ['surface', 'amenities', 'environment', 'parking'],
     timeMultiplier: 1.5,
     maxSlopePercent: 10,
-    preferredSlopePercent: 6
+    preferredSlopePercent: 6,
+    steps: 'caution'
   },
 
   vision_impaired: {
@@ -118,7 +123,8 @@ export const MOBILITY_PROFILES = {
     relevantCategories: ['visual', 'surface', 'environment', 'amenities'],
     timeMultiplier: 1.4,
     maxSlopePercent: 15,
-    preferredSlopePercent: 10
+    preferredSlopePercent: 10,
+    steps: 'caution'
   },
 
   stroller: {
@@ -143,7 +149,8 @@ export const MOBILITY_PROFILES = {
     relevantCategories: ['surface', 'amenities', 'environment', 'restrooms', 'parking'],
     timeMultiplier: 1.2,
     maxSlopePercent: 10,
-    preferredSlopePercent: 5
+    preferredSlopePercent: 5,
+    steps: 'barrier'
   },
 
   limited_stamina: {
@@ -168,7 +175,8 @@ export const MOBILITY_PROFILES = {
     relevantCategories: ['amenities', 'environment', 'surface', 'parking'],
     timeMultiplier: 1.6,
     maxSlopePercent: 8,
-    preferredSlopePercent: 4
+    preferredSlopePercent: 4,
+    steps: 'caution'
   },
 
   hearing_impaired: {
@@ -193,7 +201,8 @@ export const MOBILITY_PROFILES = {
     relevantCategories: ['visual', 'environment'],
     timeMultiplier: 1.0,
     maxSlopePercent: 20,
-    preferredSlopePercent: 15
+    preferredSlopePercent: 15,
+    steps: 'ok'
   },
 
   no_mobility_aids: {
@@ -215,10 +224,19 @@ export const MOBILITY_PROFILES = {
     relevantCategories: ['parking', 'restrooms', 'surface', 'amenities', 'visual', 'environment'],
     timeMultiplier: 1.0,
     maxSlopePercent: 30,
-    preferredSlopePercent: 20
+    preferredSlopePercent: 20,
+    steps: 'ok'
   }
 };
 
+/**
+ * Minimum path width (inches) behind formPrefills.minWidth
+ */
+export const PROFILE_MIN_WIDTHS = {
+  standard: 36,
+  wide: 48
+};
+
 /**
  * Get all profiles as an array for UI rendering
  */
@@ -361,6 +379,7 @@ export function checkTrailSuitability(trail, profileId) {
 // Export for ES6 module use
 export default {
   MOBILITY_PROFILES,
+  PROFILE_MIN_WIDTHS,
   getAllProfiles,
   getProfile,
   getRecommendedTrails,
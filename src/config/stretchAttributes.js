@@ -0,0 +1,142 @@
+/**
+ * Stretch Attributes Configuration
+ * A stretch is a range of the recorded route with its own surface, width,
+ * slope and obstacles ("first 800 m paved, then 1.2 km loose gravel"), where
+ * the survey can only describe the whole trail with single values.
+ *
+ * Stretches are marked while tracking or afterwards in the route editor, and
+ * stored as route entries:
+ *   { type: 'stretch', timestamp, endTimestamp, coords, attributes }
+ * `timestamp` / `endTimestamp` pick the track points the stretch starts and
+ * ends at; an `endTimestamp` of null runs to the end of the route.
+ *
+ * Access Nature - Enhanced Accessibility Survey System
+ * Created: December 2025
+ */
+
+/**
+ * Surfaces a stretch can have. Ids match SURFACE_TYPES in accessibilityRating.js,
+ * so the rating engine scores them the same way as the survey's surface answer.
+ * - label: display name, also used mid-sentence (lowercased)
+ * - color: map overlay
+ */
+export const STRETCH_SURFACES = [
+  { value: 'paved', label: 'Paved', color: '#2563eb' },
+  { value: 'boardwalk', label: 'Boardwalk', color: '#0891b2' },
+  { value: 'packed_gravel', label: 'Packed gravel', color: '#16a34a' },
+  { value: 'gravel', label: 'Loose gravel', color: '#ca8a04' },
+  { value: 'dirt', label: 'Dirt', color: '#92400e' },
+  { value: 'grass', label: 'Grass', color: '#65a30d' },
+  { value: 'sand', label: 'Sand', color: '#f97316' },
+  { value: 'rocks', label: 'Rocky', color: '#dc2626' },
+  { value: 'mixed', label: 'Mixed surfaces', color: '#7c3aed' }
+];
+
+// Overlay color for stretches without a surface
+export const UNDESCRIBED_STRETCH_COLOR = '#6b7280';
+
+/**
+ * Obstacles along a stretch
+ */
+export const STRETCH_OBSTACLES = [
+  { value: 'roots', label: 'Roots' },
+  { value: 'loose_rocks', label: 'Loose rocks' },
+  { value: 'mud', label: 'Mud or puddles' },
+  { value: 'overgrowth', label: 'Overgrowth' },
+  { value: 'kerb', label: 'Kerb or single step' },
+  { value: 'cross_slope', label: 'Steep cross-slope' },
+  { value: 'barrier', label: 'Narrow gate or barrier' }
+];
+
+/**
+ * Details asked for each stretch (same shape as waypoint attributes, plus
+ * 'multi' for several options)
+ *     key, label, type ('number' | 'select' | 'multi'), unit, options, min, max
+ */
+export const STRETCH_ATTRIBUTES = [
+  { key: 'surface', label: 'Surface', type: 'select', options: STRETCH_SURFACES },
+  { key: 'width', label: 'Narrowest width', type: 'number', unit: 'cm', min: 0 },
+  { key: 'slope', label: 'Steepest slope', type: 'number', unit: '%', min: 0, max: 100 },
+  { key: 'obstacles', label: 'Obstacles', type: 'multi', options: STRETCH_OBSTACLES }
+];
+
+/**
+ * @param {string} value - STRETCH_SURFACES value
+ * @returns {Object|null}
+ */
+export function getStretchSurface(value) {
+  return STRETCH_SURFACES.find(surface => surface.value === value) || null;
+}
+
+/**
+ * Labels of a stretch's obstacles
+ * @param {Object} attributes - Stretch attributes
+ * @returns {Array<string>}
+ */
+export function getObstacleLabels(attributes) {
+  return (attributes?.obstacles || [])
+    .map(value => STRETCH_OBSTACLES.find(obstacle => obstacle.value === value)?.label)
+    .filter(Boolean);
+}
+
+/**
+ * Attributes for a new stretch. A stretch marked right after another one on
+ * the same trail usually shares its width.
+ * @param {Object} previous - Attributes of the stretch before, if any
+ * @returns {Object}
+ */
+export function getDefaultStretchAttributes(previous = null) {
+  return {
+    surface: null,
+    width: previous?.width ?? null,
+    slope: null,
+    obstacles: []
+  };
+}
+
+/**
+ * Whether a stretch has any details yet
+ * @param {Object} attributes
+ * @returns {boolean}
+ */
+export function isStretchDescribed(attributes) {
+  return !!attributes && (
+    !!attributes.surface ||
+    typeof attributes.width === 'number' ||
+    typeof attributes.slope === 'number' ||
+    (attributes.obstacles || []).length > 0
+  );
+}
+
+/**
+ * Human-readable details, e.g. "Loose gravel · 90 cm wide · up to 6% · Roots, Mud or puddles"
+ * @param {Object} attributes - Stretch attributes
+ * @returns {string}
+ */
+export function describeStretch(attributes) {
+  if (!attributes) return '';
+
+  const parts = [];
+  const surface = getStretchSurface(attributes.surface);
+  if (surface) parts.push(surface.label);
+  if (typeof attributes.width === 'number') parts.push(`${attributes.width} cm wide`);
+  if (typeof attributes.slope === 'number') parts.push(`up to ${attributes.slope}%`);
+
+  const obstacles = getObstacleLabels(attributes);
+  if (obstacles.length > 0) parts.push(obstacles.join(', '));
+
+  return parts.join(' · ');
+}
+
+// Export for ES6 module use
+export default {
+  STRETCH_SURFACES,
+  UNDESCRIBED_STRETCH_COLOR,
+  STRETCH_OBSTACLES,
+  STRETCH_ATTRIBUTES,
+  getStretchSurface,
+  getObstacleLabels,
+  getDefaultStretchAttributes,
+  isStretchDescribed,
+  describeStretch
+};
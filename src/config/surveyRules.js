@@ -0,0 +1,244 @@
+/**
+ * Survey Rules
+ * Conditional logic and validation for the accessibility survey (see surveySchema.js):
+ * - Visibility: follow-up questions that only apply after a given answer
+ * - Consistency: answers that contradict each other or the recorded route
+ * - Ranges: number answers outside the field's min / max
+ *
+ * Rules read canonical surveys (normalizeSurvey), so the forms, imports and
+ * stored surveys are all checked the same way.
+ *
+ * Access Nature - Enhanced Accessibility Survey System
+ * Created: December 2025
+ */
+
+import { SURVEY_FIELDS, getSurveyOption, getSurveyValues } from './surveySchema.js';
+
+/**
+ * Follow-up questions, by field key. The field applies when its controlling field:
+ * - is: has one of these answers
+ * - not: is answered, with none of these answers
+ * - answered: has any answer
+ * Answers to fields that don't apply are not stored.
+ */
+export const VISIBILITY_RULES = {
+  parkingSpaces: { field: 'disabledParking', is: ['Available'] },
+  benchFeatures: { field: 'seating', not: ['No accessible benches'] },
+  restroomFeatures: { field: 'restrooms', not: ['None'] },
+  picnicShade: { field: 'picnicAreas', answered: true },
+  picnicSun: { field: 'picnicAreas', answered: true },
+  picnicCount: { field: 'picnicAreas', answered: true }
+};
+
+// Upper bound of each slope answer, in percent
+const SLOPE_LIMITS = { mild: 5, moderate: 10 };
+
+// Today as YYYY-MM-DD in local time, the way <input type="date"> holds it
+function localToday() {
+  const now = new Date();
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`;
+}
+
+/**
+ * Cross-field checks. Each rule includes:
+ * - id
+ * - field: where the problem is explained (the answer to revisit)
+ * - severity: 'error' (blocks saving) or 'warning' (shown, saving allowed)
+ * - when: { fieldKey: [answers] } - every listed field has one of its answers
+ *   or test(survey) for anything else
+ * - message: text, or message(survey)
+ */
+export const CONSISTENCY_RULES = [
+  {
+    id: 'fully-accessible-steps',
+    field: 'wheelchairAccess',
+    severity: 'error',
+    when: { wheelchairAccess: ['Fully accessible'], steps: ['Steps with no alternative'] },
+    message: 'A trail with steps and no step-free alternative can\'t be fully accessible'
+  },
+  {
+    id: 'fully-accessible-steep',
+    field: 'wheelchairAccess',
+    severity: 'error',
+    when: { wheelchairAccess: ['Fully accessible'], trailSlopes: ['Steep slopes - not accessible (over 10%)'] },
+    message: 'Slopes over 10% aren\'t fully accessible - choose partial, with assistance or not accessible'
+  },
+  {
+    id: 'fully-accessible-blocked',
+    field: 'wheelchairAccess',
+    severity: 'error',
+    when: { wheelchairAccess: ['Fully accessible'], surfaceQuality: ['Vegetation blocks passage'] },
+    message: 'A trail blocked by vegetation can\'t be fully accessible'
+  },
+  {
+    id: 'summary-contradicts-access',
+    field: 'accessibilitySummary',
+    severity: 'error',
+    test: (survey) => {
+      const access = getSurveyOption('wheelchairAccess', survey.wheelchairAccess)?.rating;
+      const summary = survey.accessibilitySummary;
+      return (access === 'fully' && summary === 'Not accessible') ||
+        (access === 'not' && summary === 'Accessible');
+    },
+    message: (survey) => `The overall summary contradicts the wheelchair answer (${survey.wheelchairAccess})`
+  },
+  {
+    id: 'survey-date-future',
+    field: 'surveyDate',
+    severity: 'error',
+    test: (survey) => !!survey.surveyDate && survey.surveyDate > localToday(),
+    message: 'The survey date is in the future'
+  },
+  {
+    id: 'slope-below-measured',
+    field: 'trailSlopes',
+    severity: 'warning',
+    test: (survey) => {
+      const limit = SLOPE_LIMITS[getSurveyOption('trailSlopes', survey.trailSlopes)?.slope];
+      return limit !== undefined && typeof survey.maxGrade === 'number' && survey.maxGrade > limit;
+    },
+    message: (survey) => `Your recorded route measures up to ${survey.maxGrade}% - steeper than this answer`
+  },
+  {
+    id: 'easy-but-steep',
+    field: 'difficulty',
+    severity: 'warning',
+    when: { difficulty: ['Easy'], trailSlopes: ['Steep slopes - not accessible (over 10%)'] },
+    message: 'Easy difficulty with steep slopes - is that right?'
+  }
+];
+
+// ==================== VISIBILITY ====================
+
+/**
+ * Whether a question applies, given the answers so far
+ * @param {string} key - Field key
+ * @param {object} survey - Canonical survey
+ * @returns {boolean}
+ */
+export function isFieldApplicable(key, survey) {
+  const rule = VISIBILITY_RULES[key];
+  if (!rule) return true;
+
+  // A follow-up to a question that doesn't apply doesn't either
+  if (!isFieldApplicable(rule.field, survey)) return false;
+
+  const values = getSurveyValues(survey, rule.field).map(String);
+  if (rule.is) return values.some(value => rule.is.includes(value));
+  if (rule.not) return values.length > 0 && !values.some(value => rule.not.includes(value));
+  return values.length > 0;
+}
+
+/**
+ * Survey without answers to questions that don't apply
+ * @param {object} survey - Canonical survey
+ * @returns {object}
+ */
+export function pruneInapplicable(survey) {
+  if (!survey) return survey;
+
+  const pruned = { ...survey };
+  Object.keys(VISIBILITY_RULES).forEach(key => {
+    if (key in pruned && !isFieldApplicable(key, survey)) delete pruned[key];
+  });
+  return pruned;
+}
+
+/**
+ * Whether a question has an answer (counts of 0 are the form default, so not answers)
+ * @param {object} survey - Canonical survey
+ * @param {string} key - Field key
+ * @returns {boolean}
+ */
+export function isAnswered(survey, key) {
+  const value = survey?.[key];
+  if (typeof value === 'number') return value > 0;
+  return getSurveyValues(survey, key).length > 0;
+}
+
+/**
+ * Progress over the questions that apply
+ * @param {object} survey - Canonical survey
+ * @param {Array} fields - SURVEY_FIELDS entries to count (default: all)
+ * @returns {object} { answered, applicable }
+ */
+export function getSurveyProgress(survey, fields = SURVEY_FIELDS) {
+  const applicable = fields.filter(field => isFieldApplicable(field.key, survey));
+  return {
+    answered: applicable.filter(field => isAnswered(survey, field.key)).length,
+    applicable: applicable.length
+  };
+}
+
+// ==================== VALIDATION ====================
+
+function matchesWhen(survey, when) {
+  return Object.entries(when).every(([key, answers]) =>
+    getSurveyValues(survey, key).some(value => answers.includes(String(value)))
+  );
+}
+
+function checkRange(field, value) {
+  if (typeof value !== 'number') return null;
+  const below = field.min !== undefined && value < field.min;
+  const above = field.max !== undefined && value > field.max;
+  if (!below && !above) return null;
+
+  const unit = field.unit ? ` ${field.unit}` : '';
+  return field.max !== undefined
+    ? `${field.label} must be between ${field.min ?? 0} and ${field.max}${unit}`
+    : `${field.label} can't be less than ${field.min}${unit}`;
+}
+
+/**
+ * Problems with a survey's answers
+ * @param {object} survey - Canonical survey
+ * @returns {Array} [{ id, field, severity, message }] - errors first
+ */
+export function validateSurvey(survey) {
+  if (!survey) return [];
+  const problems = [];
+
+  SURVEY_FIELDS.forEach(field => {
+    if (!isFieldApplicable(field.key, survey)) return;
+    const message = checkRange(field, survey[field.key]);
+    if (message) problems.push({ id: `range-${field.key}`, field: field.key, severity: 'error', message });
+  });
+
+  CONSISTENCY_RULES.forEach(rule => {
+    if (!isFieldApplicable(rule.field, survey)) return;
+    const applies = rule.test ? rule.test(survey) : matchesWhen(survey, rule.when);
+    if (!applies) return;
+
+    problems.push({
+      id: rule.id,
+      field: rule.field,
+      severity: rule.severity,
+      message: typeof rule.message === 'function' ? rule.message(survey) : rule.message
+    });
+  });
+
+  return problems.sort((a, b) => (a.severity === 'error' ? 0 : 1) - (b.severity === 'error' ? 0 : 1));
+}
+
+/**
+ * Problems that block saving
+ * @param {object} survey - Canonical survey
+ * @returns {Array}
+ */
+export function getSurveyErrors(survey) {
+  return validateSurvey(survey).filter(problem => problem.severity === 'error');
+}
+
+// Export for ES6 module use
+export default {
+  VISIBILITY_RULES,
+  CONSISTENCY_RULES,
+  isFieldApplicable,
+  pruneInapplicable,
+  isAnswered,
+  getSurveyProgress,
+  validateSurvey,
+  getSurveyErrors
+};
@@ -0,0 +1,480 @@
+/**
+ * Accessibility Survey Schema
+ * One declarative definition of the survey shared by the v1, V2 Quick and
+ * V2 Full forms, the stored survey shape and its migration
+ *
+ * Access Nature - Enhanced Accessibility Survey System
+ * Created: December 2025
+ */
+
+/**
+ * Version written to `schemaVersion` on canonical surveys.
+ * Version 1 is everything stored before the schema (each form's own shape).
+ */
+export const SURVEY_SCHEMA_VERSION = 2;
+
+/**
+ * Sections of the comprehensive forms (v1 and V2 Full), in display order
+ */
+export const SURVEY_SECTIONS = [
+  { id: 'basic', icon: '🗺️', title: 'Basic Trail Information', required: true },
+  { id: 'mobility', icon: '♿', title: 'Mobility Accessibility', required: false },
+  { id: 'surface', icon: '🛤️', title: 'Trail Surface & Quality', required: false },
+  { id: 'visual', icon: '👁️', title: 'Visual & Environmental', required: false },
+  { id: 'facilities', icon: '🚰', title: 'Facilities & Amenities', required: false },
+  { id: 'signage', icon: '🪧', title: 'Signage & Navigation', required: false },
+  { id: 'additional', icon: '📝', title: 'Additional Information', required: false }
+];
+
+/**
+ * Phase-2 category cards of the Quick form. Ids are the ones mobility profiles
+ * list in formPrefills.priorityCategories.
+ */
+export const QUICK_CATEGORIES = [
+  { id: 'parking', icon: '🅿️', title: 'Parking', desc: 'Accessible spaces' },
+  { id: 'restrooms', icon: '🚻', title: 'Restrooms', desc: 'Accessible facilities' },
+  { id: 'amenities', icon: '🚰', title: 'Water & Seating', desc: 'Fountains, benches' },
+  { id: 'surface', icon: '🛤️', title: 'Surface Quality', desc: 'Condition, slopes, steps' },
+  { id: 'visual', icon: '👁️', title: 'Visual Access', desc: 'Tactile, contrast' },
+  { id: 'environment', icon: '⛱️', title: 'Environment', desc: 'Shade, lighting' },
+  { id: 'signage', icon: '🪧', title: 'Signage', desc: 'Maps, directions' },
+  { id: 'picnic', icon: '🧺', title: 'Picnic & Views', desc: 'Tables, viewpoints' }
+];
+
+/**
+ * Survey Fields, in display order
+ * Each field includes:
+ * - key: stored field name
+ * - type: 'text' | 'textarea' | 'date' | 'number' | 'select' | 'single' | 'multi' | 'flag' | 'scale'
+ *     stored as a string, except number (number), multi (array of option values)
+ *     and flag (its `value` when ticked, absent otherwise)
+ * - label, placeholder, unit, min, max, step, required
+ * - section: SURVEY_SECTIONS id
+ * - quick: where the Quick form asks it - 'essential' (phase 1), a QUICK_CATEGORIES id,
+ *     'extra' (after the categories) or false (not asked)
+ * - display: 'cards' | 'chips' for choice fields; columns: card grid columns
+ * - half: shares a row with the next half-width field
+ * - total: number fields that this read-only (Quick) total adds up
+ * - options: { value, label, short, icon, desc, aliases } - `value` is what's stored,
+ *     `aliases` are older stored values and labels that mean the same answer
+ */
+export const SURVEY_FIELDS = [
+  // Basic Trail Information
+  { key: 'trailName', type: 'text', label: 'Trail Name', placeholder: 'e.g., Riverside Nature Path', required: true, section: 'basic', quick: 'essential' },
+  { key: 'location', type: 'text', label: 'Location/Address', placeholder: 'e.g., Central Park, NYC', required: true, section: 'basic', quick: 'essential' },
+  { key: 'trailLength', type: 'number', label: 'Trail Length', unit: 'km', min: 0, max: 500, step: 0.1, placeholder: 'e.g., 2.5', half: true, section: 'basic', quick: 'extra' },
+  {
+    key: 'estimatedTime', type: 'select', label: 'Estimated Duration', half: true, section: 'basic', quick: 'extra',
+    options: [
+      { value: 'Under 30 minutes', short: 'Under 30 min' },
+      { value: '30-60 minutes', short: '30-60 min' },
+      { value: '1-2 hours' },
+      { value: '2-4 hours' },
+      { value: 'Half day' },
+      { value: 'Full day' }
+    ]
+  },
+  {
+    key: 'tripType', type: 'single', label: 'Trip Type', display: 'chips', section: 'basic', quick: 'extra',
+    options: [
+      { value: 'Beach Promenade', short: 'Beach', icon: '🏖️' },
+      { value: 'Stream Path', short: 'Stream', icon: '🌊' },
+      { value: 'Park Route', short: 'Park', icon: '🌳' },
+      { value: 'Forest Trail', short: 'Forest', icon: '🌲' },
+      { value: 'Urban Route', short: 'Urban', icon: '🏙️' },
+      { value: 'Scenic Drive', short: 'Scenic', icon: '🚗' }
+    ]
+  },
+  {
+    key: 'routeType', type: 'single', label: 'Route Type', display: 'cards', section: 'basic', quick: 'essential',
+    options: [
+      { value: 'Circular', short: 'Loop', icon: '🔄', desc: 'Returns to start', aliases: ['Loop', 'Circular Loop'] },
+      { value: 'Round Trip', short: 'Out & Back', icon: '↔️', desc: 'Same path both ways', aliases: ['Out & Back', 'Out and back'] }
+    ]
+  },
+  {
+    key: 'difficulty', type: 'scale', label: 'Overall Difficulty', section: 'basic', quick: 'essential',
+    options: [
+      { value: 'Easy', icon: '😊', aliases: ['1'] },
+      { value: 'Moderate', icon: '😐', aliases: ['2'] },
+      { value: 'Challenging', icon: '😰', aliases: ['3', 'Difficult', 'Hard'] }
+    ]
+  },
+
+  // Mobility Accessibility
+  {
+    key: 'wheelchairAccess', type: 'single', label: 'Wheelchair Accessibility Level', display: 'cards', columns: 4, section: 'mobility', quick: 'essential',
+    options: [
+      { value: 'Fully accessible', short: 'Fully Accessible', icon: '♿', rating: 'fully', aliases: ['fully', 'Accessible', 'Yes'] },
+      { value: 'Partially accessible', short: 'Partial', icon: '⚠️', rating: 'partial', aliases: ['partial', 'Partially'] },
+      { value: 'Accessible with assistance', short: 'With Help', icon: '🤝', rating: 'partial', aliases: ['assistance', 'With Assistance', 'With Help'] },
+      { value: 'Not accessible', short: 'Not Accessible', icon: '🚫', rating: 'not', aliases: ['not', 'No'] }
+    ]
+  },
+  {
+    key: 'disabledParking', type: 'single', label: 'Disabled Parking', display: 'chips', section: 'mobility', quick: 'parking',
+    options: [
+      { value: 'Available', short: 'Accessible parking available', icon: '✓', aliases: ['true', 'yes'] },
+      { value: 'Not available', short: 'No accessible parking', icon: '✗', aliases: ['false', 'no', 'None'] }
+    ]
+  },
+  { key: 'parkingSpaces', type: 'number', label: 'Number of accessible parking spaces', min: 0, max: 200, section: 'mobility', quick: 'parking' },
+  {
+    key: 'steps', type: 'single', label: 'Steps or Stairs', display: 'cards', columns: 3, section: 'mobility', quick: 'surface',
+    options: [
+      { value: 'No steps', icon: '✅', desc: 'Step-free throughout', aliases: ['no', 'false'] },
+      { value: 'Steps with a step-free alternative', short: 'With bypass', icon: '↪️', desc: 'Ramp or detour' },
+      { value: 'Steps with no alternative', short: 'No bypass', icon: '🪜', desc: 'Steps block the way', barrier: true, aliases: ['yes', 'true'] }
+    ]
+  },
+
+  // Trail Surface & Quality
+  {
+    key: 'trailSurface', type: 'multi', label: 'Trail Surface Types (select all that apply)', display: 'chips', section: 'surface', quick: 'essential',
+    options: [
+      { value: 'Asphalt', short: 'Paved', icon: '🛣️', surfaceId: 'paved', aliases: ['paved'] },
+      { value: 'Concrete', icon: '⬜', surfaceId: 'paved' },
+      { value: 'Stone', icon: '🪨', surfaceId: 'packed_gravel', aliases: ['rocks'] },
+      { value: 'Wood/Plastic Deck', short: 'Boardwalk', icon: '🪵', surfaceId: 'boardwalk', aliases: ['boardwalk', 'Wood/Deck'] },
+      { value: 'Compacted Gravel', short: 'Gravel', icon: '⚪', surfaceId: 'packed_gravel', aliases: ['packed_gravel', 'gravel'] },
+      { value: 'Grass', icon: '🌿', surfaceId: 'grass', aliases: ['grass'] },
+      { value: 'Mixed Surfaces', short: 'Mixed', icon: '🔀', surfaceId: 'mixed', aliases: ['mixed'] }
+    ]
+  },
+  {
+    key: 'surfaceQuality', type: 'single', label: 'Surface Quality', display: 'cards', section: 'surface', quick: 'surface',
+    options: [
+      { value: 'Excellent - smooth and well maintained', short: 'Excellent', icon: '✨', desc: 'Smooth, maintained' },
+      { value: 'Fair - minor disruptions, rough patches, bumps, cracks', short: 'Fair', icon: '👍', desc: 'Minor bumps' },
+      { value: 'Poor - serious disruptions, protruding stones, large grooves', short: 'Poor', icon: '⚠️', desc: 'Rough terrain' },
+      { value: 'Vegetation blocks passage', short: 'Overgrown', icon: '🌿', desc: 'Blocked' }
+    ]
+  },
+  {
+    key: 'trailSlopes', type: 'single', label: 'Trail Slopes', display: 'cards', columns: 3, section: 'surface', quick: 'surface',
+    options: [
+      { value: 'No slopes to mild slopes (up to 5%)', short: 'Flat/Mild', icon: '➡️', desc: '< 5%', slope: 'mild' },
+      { value: 'Moderate slopes - assistance recommended (5%-10%)', short: 'Moderate', icon: '📐', desc: '5-10%', slope: 'moderate' },
+      { value: 'Steep slopes - not accessible (over 10%)', short: 'Steep', icon: '⛰️', desc: '> 10%', slope: 'steep' }
+    ]
+  },
+
+  // Visual & Environmental
+  {
+    key: 'visualAdaptations', type: 'multi', label: 'Visual Impairment Adaptations (select all that apply)', display: 'chips', section: 'visual', quick: 'visual',
+    options: [
+      { value: 'Raised/protruding borders', short: 'Raised borders' },
+      { value: 'Texture/tactile differences', short: 'Tactile surfaces' },
+      { value: 'Color contrast differences', short: 'Color contrast' }
+    ]
+  },
+  {
+    key: 'shadeCoverage', type: 'single', label: 'Shade Coverage on Trail', display: 'cards', columns: 3, section: 'visual', quick: 'environment',
+    options: [
+      { value: 'Plenty of shade', short: 'Plenty', icon: '🌳' },
+      { value: 'Intermittent shade', short: 'Some', icon: '⛅' },
+      { value: 'No shade', short: 'None', icon: '☀️' }
+    ]
+  },
+  { key: 'lighting', type: 'flag', label: 'Trail is lit in darkness', icon: '💡', value: 'Trail is lit in darkness', section: 'visual', quick: 'environment' },
+
+  // Facilities & Amenities
+  {
+    key: 'waterFountains', type: 'single', label: 'Accessible Water Fountains', display: 'cards', columns: 3, section: 'facilities', quick: 'amenities',
+    options: [
+      { value: 'None', icon: '🚫' },
+      { value: 'One accessible fountain', short: 'One', icon: '🚰' },
+      { value: 'Multiple fountains along route', short: 'Multiple', icon: '🚰🚰' }
+    ]
+  },
+  {
+    key: 'seating', type: 'single', label: 'Accessible Seating', display: 'chips', section: 'facilities', quick: 'amenities',
+    options: [
+      { value: 'No accessible benches', short: 'No benches' },
+      { value: 'One accessible bench', short: 'One bench' },
+      { value: 'Multiple benches along route', short: 'Multiple benches' }
+    ]
+  },
+  {
+    key: 'benchFeatures', type: 'multi', label: 'Bench Features', display: 'chips', section: 'facilities', quick: 'amenities',
+    options: [
+      { value: 'With handrails' },
+      { value: 'Without handrails', short: 'No handrails', aliases: ['Benches without handrails'] },
+      { value: 'With backrests' }
+    ]
+  },
+  { key: 'picnicAreas', type: 'flag', label: 'Accessible picnic areas available', icon: '🧺', value: 'Available', section: 'facilities', quick: 'picnic' },
+  { key: 'picnicShade', type: 'number', label: 'Areas in shade', min: 0, max: 100, section: 'facilities', quick: 'picnic' },
+  { key: 'picnicSun', type: 'number', label: 'Areas in sun', min: 0, max: 100, section: 'facilities', quick: 'picnic' },
+  { key: 'picnicCount', type: 'number', label: 'Total picnic areas', min: 0, max: 200, total: ['picnicShade', 'picnicSun'], section: 'facilities', quick: 'picnic' },
+  { key: 'accessibleViewpoint', type: 'flag', label: 'Accessible viewpoint available', icon: '🏔️', value: 'Available', section: 'facilities', quick: 'picnic' },
+  {
+    key: 'restrooms', type: 'single', label: 'Accessible Restrooms', display: 'cards', columns: 3, section: 'facilities', quick: 'restrooms',
+    options: [
+      { value: 'None', icon: '🚫' },
+      { value: 'One unisex accessible restroom', short: 'Unisex', icon: '🚻' },
+      { value: 'Separate accessible restrooms for men and women', short: 'Separate M/F', icon: '🚹🚺' }
+    ]
+  },
+  {
+    key: 'restroomFeatures', type: 'multi', label: 'Restroom Features', display: 'chips', section: 'facilities', quick: 'restrooms',
+    options: [
+      { value: 'Step-free entrance' },
+      { value: 'Grab bars' },
+      { value: 'Wheelchair turning space', short: 'Turning space' },
+      { value: 'Baby changing table', short: 'Changing table' }
+    ]
+  },
+
+  // Signage & Navigation
+  {
+    key: 'signage', type: 'multi', label: 'Available Signage (select all that apply)', display: 'chips', section: 'signage', quick: 'signage',
+    options: [
+      { value: 'Route map available', short: 'Route map', icon: '🗺️' },
+      { value: 'Clear directional signage', short: 'Directions', icon: '➡️' },
+      { value: 'Simple language signage', short: 'Simple text', icon: '📖' },
+      { value: 'Large, high-contrast accessible signage', short: 'High contrast', icon: '🔤' },
+      { value: 'Audio explanation compatible with T-mode hearing devices', short: 'Audio/T-mode', icon: '🔊' },
+      { value: 'QR code with site information available', short: 'QR codes', icon: '📱' }
+    ]
+  },
+
+  // Additional Information
+  { key: 'additionalNotes', type: 'textarea', label: 'Additional accessibility notes', placeholder: 'Please provide additional details about accessibility features, challenges, or recommendations...', section: 'additional', quick: 'extra' },
+  { key: 'surveyorName', type: 'text', label: 'Surveyor Name (Optional)', placeholder: 'Your name', half: true, section: 'additional', quick: false },
+  { key: 'surveyDate', type: 'date', label: 'Survey Date', half: true, section: 'additional', quick: false },
+  {
+    key: 'accessibilitySummary', type: 'single', label: 'Overall Accessibility Summary', display: 'cards', columns: 4, section: 'additional', quick: false,
+    options: [
+      { value: 'Accessible', icon: '✅' },
+      { value: 'Partially accessible', short: 'Partial', icon: '⚠️' },
+      { value: 'Accessible with assistance', short: 'With Help', icon: '🤝' },
+      { value: 'Not accessible', short: 'Not Accessible', icon: '❌' }
+    ]
+  }
+];
+
+/**
+ * Stored by the forms from the recorded route's grade analysis, never asked
+ */
+export const MEASURED_FIELDS = [
+  { key: 'maxGrade', type: 'number', label: 'Max grade', unit: '%' },
+  { key: 'averageGrade', type: 'number', label: 'Average grade', unit: '%' },
+  { key: 'steepSectionCount', type: 'number', label: 'Steep sections' },
+  { key: 'gradeSource', type: 'text', label: 'Grade source' }
+];
+
+// Field names used before the schema, and the field they became
+const LEGACY_KEYS = {
+  surface: 'trailSurface',
+  surface_type: 'trailSurface',
+  wheelchair_access: 'wheelchairAccess',
+  notes: 'additionalNotes'
+};
+
+// Placeholder written for unanswered fields in trail guide summaries
+const UNKNOWN = 'Unknown';
+
+const FIELDS_BY_KEY = Object.fromEntries([...SURVEY_FIELDS, ...MEASURED_FIELDS].map(field => [field.key, field]));
+
+/**
+ * @param {string} key
+ * @returns {object|null} Field definition
+ */
+export function getSurveyField(key) {
+  return FIELDS_BY_KEY[key] || null;
+}
+
+/**
+ * Label for summaries and change lists, without form hints
+ * @param {string} key
+ * @returns {string}
+ */
+export function getFieldLabel(key) {
+  return (getSurveyField(key)?.label || key).replace(/\s*\(select all that apply\)$/i, '');
+}
+
+/**
+ * @param {string} sectionId - SURVEY_SECTIONS id
+ * @returns {Array} Fields in display order
+ */
+export function getSectionFields(sectionId) {
+  return SURVEY_FIELDS.filter(field => field.section === sectionId);
+}
+
+/**
+ * @param {string} placement - 'essential', 'extra' or a QUICK_CATEGORIES id
+ * @returns {Array} Fields the Quick form asks there
+ */
+export function getQuickFields(placement) {
+  return SURVEY_FIELDS.filter(field => field.quick === placement);
+}
+
+/**
+ * Option of a choice field matching a stored value, label or alias
+ * @param {string} key - Field key
+ * @param {*} value
+ * @returns {object|null}
+ */
+export function getSurveyOption(key, value) {
+  const options = getSurveyField(key)?.options;
+  if (!options || value === null || value === undefined) return null;
+
+  const text = String(value).trim();
+  const exact = options.find(option => option.value === text);
+  if (exact) return exact;
+
+  const lower = text.toLowerCase();
+  return options.find(option =>
+    [option.value, option.label, option.short, ...(option.aliases || [])]
+      .some(candidate => candidate && candidate.toLowerCase() === lower)
+  ) || null;
+}
+
+/**
+ * Stored values of a field as an array (handy for multi fields on unmigrated data)
+ * @param {object} survey
+ * @param {string} key
+ * @returns {Array}
+ */
+export function getSurveyValues(survey, key) {
+  const value = survey?.[key];
+  if (value === undefined || value === null || value === '') return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+// Empty, or the placeholder guides store for unanswered fields
+function isBlank(value) {
+  if (value === undefined || value === null) return true;
+  if (Array.isArray(value)) return value.length === 0;
+  const text = String(value).trim();
+  return text === '' || text === UNKNOWN;
+}
+
+// Option value for a stored answer; answers outside the options are kept as typed
+function toOptionValue(key, value) {
+  return getSurveyOption(key, value)?.value ?? String(value).trim();
+}
+
+function normalizeValue(field, value) {
+  const values = (Array.isArray(value) ? value : [value]).filter(v => !isBlank(v));
+
+  switch (field.type) {
+    case 'number': {
+      const number = parseFloat(values[0]);
+      return Number.isFinite(number) ? number : undefined;
+    }
+    case 'multi': {
+      const unique = [...new Set(values.map(v => toOptionValue(field.key, v)))];
+      return unique.length > 0 ? unique : undefined;
+    }
+    case 'flag': {
+      const ticked = values.some(v => v !== false && !/^(false|no|none|not available)$/i.test(String(v).trim()));
+      return ticked ? field.value : undefined;
+    }
+    case 'select':
+    case 'single':
+    case 'scale':
+      return values.length > 0 ? toOptionValue(field.key, values[0]) : undefined;
+    default:
+      return values.length > 0 ? String(values[0]).trim() : undefined;
+  }
+}
+
+/**
+ * Canonical survey from any stored or submitted survey (v1, V2 Quick, V2 Full,
+ * imported files, older cloud documents). Fields outside the schema are kept
+ * as they are; unanswered fields are left out.
+ * @param {object} data - Survey answers
+ * @returns {object|null} Survey with `schemaVersion`
+ */
+export function normalizeSurvey(data) {
+  if (!data || typeof data !== 'object') return null;
+
+  const source = { ...data };
+
+  // Renamed fields - the schema name wins when both are present
+  Object.entries(LEGACY_KEYS).forEach(([legacyKey, key]) => {
+    if (legacyKey in source) {
+      if (isBlank(source[key])) source[key] = source[legacyKey];
+      delete source[legacyKey];
+    }
+  });
+
+  // Answers that moved to another question
+  const seating = getSurveyValues(source, 'seating');
+  if (seating.some(v => getSurveyOption('benchFeatures', v))) {
+    source.benchFeatures = [...getSurveyValues(source, 'benchFeatures'), ...seating.filter(v => getSurveyOption('benchFeatures', v))];
+    source.seating = seating.filter(v => !getSurveyOption('benchFeatures', v));
+  }
+  if ('qrCode' in source) {
+    if (normalizeValue({ type: 'flag', value: true }, source.qrCode)) {
+      source.signage = [...getSurveyValues(source, 'signage'), 'QR code with site information available'];
+    }
+    delete source.qrCode;
+  }
+
+  const survey = {};
+  Object.entries(source).forEach(([key, value]) => {
+    const field = getSurveyField(key);
+    const normalized = field ? normalizeValue(field, value) : value;
+    if (normalized !== undefined) survey[key] = normalized;
+  });
+
+  // A total that was never entered follows its parts
+  SURVEY_FIELDS.filter(field => field.total).forEach(field => {
+    const sum = field.total.reduce((total, key) => total + (survey[key] || 0), 0);
+    if (sum > (survey[field.key] || 0)) survey[field.key] = sum;
+  });
+
+  survey.schemaVersion = SURVEY_SCHEMA_VERSION;
+  return survey;
+}
+
+/**
+ * Labels of required fields the survey leaves empty
+ * @param {object} survey - Canonical survey
+ * @returns {string[]}
+ */
+export function getMissingRequired(survey) {
+  return SURVEY_FIELDS
+    .filter(field => field.required && isBlank(survey?.[field.key]))
+    .map(field => field.label);
+}
+
+/**
+ * Searchable summary stored on trail guide documents
+ * @param {object} data - Survey answers (any version)
+ * @returns {object|null}
+ */
+export function getGuideSummary(data) {
+  const survey = normalizeSurvey(data);
+  if (!survey) return null;
+
+  return {
+    wheelchairAccess: survey.wheelchairAccess || UNKNOWN,
+    trailSurface: survey.trailSurface || UNKNOWN,
+    trailSlopes: survey.trailSlopes || UNKNOWN,
+    difficulty: survey.difficulty || UNKNOWN,
+    facilities: data.facilities || [],
+    location: survey.location || UNKNOWN
+  };
+}
+
+// Export for ES6 module use
+export default {
+  SURVEY_SCHEMA_VERSION,
+  SURVEY_SECTIONS,
+  QUICK_CATEGORIES,
+  SURVEY_FIELDS,
+  MEASURED_FIELDS,
+  getSurveyField,
+  getFieldLabel,
+  getSectionFields,
+  getQuickFields,
+  getSurveyOption,
+  getSurveyValues,
+  normalizeSurvey,
+  getMissingRequired,
+  getGuideSummary
+};
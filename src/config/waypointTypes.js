@@ -0,0 +1,346 @@
+/**
+ * Waypoint Types Configuration
+ * Typed accessibility waypoints that can be dropped with one tap while tracking
+ *
+ * Access Nature - Enhanced Accessibility Survey System
+ * Created: December 2025
+ */
+
+/**
+ * Waypoint Type Definitions
+ * Each type includes:
+ * - id: stored as `waypointType` on the route entry ({ type: 'waypoint', waypointType, attributes, coords, timestamp })
+ * - name: display name
+ * - icon: emoji representation (map marker, timeline, picker)
+ * - color: marker background
+ * - gpxSymbol: <sym> written to GPX waypoints
+ * - keywords: words that identify this type in waypoints from other apps
+ * - attributes: structured details asked after the tap
+ *     key, label, type ('number' | 'select' | 'boolean' | 'text'), unit, options, default
+ */
+export const WAYPOINT_TYPES = {
+  bench: {
+    id: 'bench',
+    name: 'Bench',
+    icon: '🪑',
+    color: '#8b5cf6',
+    gpxSymbol: 'Picnic Area',
+    keywords: ['bench', 'seat', 'seating'],
+    attributes: [
+      { key: 'count', label: 'Number of benches', type: 'number', default: 1, min: 1 },
+      { key: 'backrest', label: 'Has backrest', type: 'boolean', default: false },
+      { key: 'armrests', label: 'Has armrests/handrails', type: 'boolean', default: false },
+      { key: 'wheelchairSpace', label: 'Wheelchair space alongside', type: 'boolean', default: false }
+    ]
+  },
+
+  accessible_restroom: {
+    id: 'accessible_restroom',
+    name: 'Accessible Restroom',
+    icon: '🚻',
+    color: '#0ea5e9',
+    gpxSymbol: 'Restroom',
+    keywords: ['restroom', 'toilet', 'wc', 'lavatory'],
+    attributes: [
+      {
+        key: 'layout',
+        label: 'Layout',
+        type: 'select',
+        options: [
+          { value: 'unisex', label: 'Unisex accessible' },
+          { value: 'separate', label: 'Separate men/women' }
+        ],
+        default: 'unisex'
+      },
+      { key: 'grabBars', label: 'Grab bars', type: 'boolean', default: true },
+      { key: 'doorWidth', label: 'Door width', type: 'number', unit: 'cm', min: 0 }
+    ]
+  },
+
+  ramp: {
+    id: 'ramp',
+    name: 'Ramp',
+    icon: '♿',
+    color: '#22c55e',
+    gpxSymbol: 'Crossing',
+    keywords: ['ramp'],
+    attributes: [
+      { key: 'length', label: 'Length', type: 'number', unit: 'm', min: 0 },
+      { key: 'slope', label: 'Slope', type: 'number', unit: '%', min: 0 },
+      { key: 'handrails', label: 'Handrails', type: 'boolean', default: false }
+    ]
+  },
+
+  steps: {
+    id: 'steps',
+    name: 'Steps',
+    icon: '🪜',
+    color: '#ef4444',
+    gpxSymbol: 'Danger Area',
+    keywords: ['step', 'stair', 'staircase'],
+    attributes: [
+      { key: 'count', label: 'Number of steps', type: 'number', default: 1, min: 1 },
+      { key: 'stepHeight', label: 'Step height', type: 'number', unit: 'cm', min: 0 },
+      { key: 'handrail', label: 'Handrail', type: 'boolean', default: false },
+      { key: 'bypass', label: 'Step-free bypass nearby', type: 'boolean', default: false }
+    ]
+  },
+
+  gate: {
+    id: 'gate',
+    name: 'Gate',
+    icon: '🚧',
+    color: '#f59e0b',
+    gpxSymbol: 'Gate',
+    keywords: ['gate', 'stile', 'barrier'],
+    attributes: [
+      { key: 'width', label: 'Clear width', type: 'number', unit: 'cm', min: 0 },
+      {
+        key: 'opening',
+        label: 'Opening',
+        type: 'select',
+        options: [
+          { value: 'open', label: 'Always open' },
+          { value: 'push', label: 'Push/pull' },
+          { value: 'latch', label: 'Latch' },
+          { value: 'kissing', label: 'Kissing gate' },
+          { value: 'stile', label: 'Stile' }
+        ],
+        default: 'push'
+      }
+    ]
+  },
+
+  narrow_passage: {
+    id: 'narrow_passage',
+    name: 'Narrow Passage',
+    icon: '↔️',
+    color: '#f97316',
+    gpxSymbol: 'Danger Area',
+    keywords: ['narrow', 'squeeze'],
+    attributes: [
+      { key: 'width', label: 'Narrowest width', type: 'number', unit: 'cm', min: 0 },
+      { key: 'length', label: 'Length', type: 'number', unit: 'm', min: 0 }
+    ]
+  },
+
+  passing_space: {
+    id: 'passing_space',
+    name: 'Passing Space',
+    icon: '🔀',
+    color: '#0d9488',
+    gpxSymbol: 'Flag, Green',
+    keywords: ['passing', 'pullout', 'turnout'],
+    attributes: [
+      { key: 'width', label: 'Width', type: 'number', unit: 'cm', min: 0 },
+      { key: 'length', label: 'Length', type: 'number', unit: 'cm', min: 0 }
+    ]
+  },
+
+  resting_interval: {
+    id: 'resting_interval',
+    name: 'Level Rest Area',
+    icon: '⏸️',
+    color: '#6366f1',
+    gpxSymbol: 'Flag, Blue',
+    keywords: ['rest', 'landing'],
+    attributes: [
+      { key: 'length', label: 'Length', type: 'number', unit: 'cm', min: 0 },
+      { key: 'slope', label: 'Steepest slope', type: 'number', unit: '%', min: 0, max: 100 }
+    ]
+  },
+
+  water: {
+    id: 'water',
+    name: 'Water',
+    icon: '🚰',
+    color: '#3b82f6',
+    gpxSymbol: 'Drinking Water',
+    keywords: ['water', 'fountain', 'drinking', 'tap'],
+    attributes: [
+      { key: 'accessible', label: 'Reachable from a wheelchair', type: 'boolean', default: true },
+      { key: 'working', label: 'Working', type: 'boolean', default: true }
+    ]
+  },
+
+  shade: {
+    id: 'shade',
+    name: 'Shade',
+    icon: '🌳',
+    color: '#15803d',
+    gpxSymbol: 'Park',
+    keywords: ['shade', 'shelter', 'pergola'],
+    attributes: [
+      {
+        key: 'source',
+        label: 'Shade from',
+        type: 'select',
+        options: [
+          { value: 'trees', label: 'Trees' },
+          { value: 'structure', label: 'Shelter/pergola' },
+          { value: 'terrain', label: 'Rocks/terrain' }
+        ],
+        default: 'trees'
+      },
+      { key: 'seating', label: 'Seating in the shade', type: 'boolean', default: false }
+    ]
+  }
+};
+
+/**
+ * Get all waypoint types as array
+ * @returns {Array} Array of waypoint type objects
+ */
+export function getAllWaypointTypes() {
+  return Object.values(WAYPOINT_TYPES);
+}
+
+/**
+ * Get waypoint type by ID
+ * @param {string} typeId - Waypoint type ID
+ * @returns {Object|null} Waypoint type or null if not found
+ */
+export function getWaypointType(typeId) {
+  return WAYPOINT_TYPES[typeId] || null;
+}
+
+/**
+ * Waypoint type for a waypoint from another app, matched on its name, symbol or type text
+ * @param {...string} texts - e.g. GPX <type>, <sym> and <name>
+ * @returns {Object|null} Waypoint type or null if nothing matches
+ */
+export function matchWaypointType(...texts) {
+  const words = texts
+    .filter(Boolean)
+    .join(' ')
+    .toLowerCase()
+    .split(/[^a-z]+/);
+
+  const exact = texts.map(t => getWaypointType(t)).find(Boolean);
+  if (exact) return exact;
+
+  // Plain plurals count too (benches, toilets)
+  const matches = keyword => words.some(word => word === keyword || word === `${keyword}s` || word === `${keyword}es`);
+  return getAllWaypointTypes().find(type => type.keywords.some(matches)) || null;
+}
+
+/**
+ * Default attribute values for a waypoint type
+ * @param {string} typeId - Waypoint type ID
+ * @returns {Object} { key: value } for attributes that have a default
+ */
+export function getDefaultAttributes(typeId) {
+  const type = getWaypointType(typeId);
+  if (!type) return {};
+
+  return type.attributes.reduce((defaults, attribute) => {
+    if (attribute.default !== undefined) defaults[attribute.key] = attribute.default;
+    return defaults;
+  }, {});
+}
+
+/**
+ * Human-readable attribute summary, e.g. "12 steps · Handrail"
+ * @param {Object} waypoint - Route entry of type 'waypoint'
+ * @returns {string}
+ */
+export function describeWaypoint(waypoint) {
+  const type = getWaypointType(waypoint?.waypointType);
+  if (!type) return '';
+
+  const attributes = waypoint.attributes || {};
+  const parts = [];
+
+  type.attributes.forEach(attribute => {
+    const value = attributes[attribute.key];
+    if (value === undefined || value === null || value === '') return;
+
+    if (attribute.type === 'boolean') {
+      if (value) parts.push(attribute.label);
+    } else if (attribute.type === 'select') {
+      const option = attribute.options.find(o => o.value === value);
+      parts.push(option ? option.label : value);
+    } else {
+      parts.push(`${attribute.label}: ${value}${attribute.unit ? ` ${attribute.unit}` : ''}`);
+    }
+  });
+
+  if (waypoint.content) parts.push(waypoint.content);
+
+  return parts.join(' · ');
+}
+
+/**
+ * Survey answers suggested by the waypoints recorded on a route.
+ * Keys are survey field names (shared by the v1 and V2 forms); values are
+ * option values, or arrays for multi-select fields.
+ * @param {Array} routeData - Route data entries
+ * @returns {Object} { fieldName: { value, reason } }
+ */
+export function getSurveyPrefills(routeData) {
+  const waypoints = (routeData || []).filter(p => p.type === 'waypoint');
+  const ofType = (typeId) => waypoints.filter(w => w.waypointType === typeId);
+  const prefills = {};
+
+  const benches = ofType('bench');
+  if (benches.length > 0) {
+    const total = benches.reduce((sum, b) => sum + (Number(b.attributes?.count) || 1), 0);
+    prefills.seating = {
+      value: total > 1 ? 'Multiple benches along route' : 'One accessible bench',
+      reason: `${total} bench${total === 1 ? '' : 'es'} marked`
+    };
+
+    const features = [];
+    if (benches.some(b => b.attributes?.armrests)) features.push('With handrails');
+    if (benches.some(b => !b.attributes?.armrests)) features.push('Without handrails');
+    if (benches.some(b => b.attributes?.backrest)) features.push('With backrests');
+    prefills.benchFeatures = { value: features, reason: `${benches.length} bench waypoint(s)` };
+  }
+
+  const restrooms = ofType('accessible_restroom');
+  if (restrooms.length > 0) {
+    const separate = restrooms.some(r => r.attributes?.layout === 'separate');
+    prefills.restrooms = {
+      value: separate ? 'Separate accessible restrooms for men and women' : 'One unisex accessible restroom',
+      reason: `${restrooms.length} accessible restroom${restrooms.length === 1 ? '' : 's'} marked`
+    };
+  }
+
+  const fountains = ofType('water').filter(w => w.attributes?.accessible !== false && w.attributes?.working !== false);
+  if (fountains.length > 0) {
+    prefills.waterFountains = {
+      value: fountains.length > 1 ? 'Multiple fountains along route' : 'One accessible fountain',
+      reason: `${fountains.length} accessible water point${fountains.length === 1 ? '' : 's'} marked`
+    };
+  }
+
+  const shade = ofType('shade');
+  if (shade.length > 0) {
+    prefills.shadeCoverage = {
+      value: 'Intermittent shade',
+      reason: `${shade.length} shaded spot${shade.length === 1 ? '' : 's'} marked`
+    };
+  }
+
+  const steps = ofType('steps');
+  if (steps.length > 0) {
+    const bypassed = steps.every(w => w.attributes?.bypass);
+    prefills.steps = {
+      value: bypassed ? 'Steps with a step-free alternative' : 'Steps with no alternative',
+      reason: `${steps.length} set${steps.length === 1 ? '' : 's'} of steps marked${bypassed ? ', all with a bypass' : ''}`
+    };
+  }
+
+  return prefills;
+}
+
+// Export for ES6 module use
+export default {
+  WAYPOINT_TYPES,
+  getAllWaypointTypes,
+  getWaypointType,
+  matchWaypointType,
+  getDefaultAttributes,
+  describeWaypoint,
+  getSurveyPrefills
+};
@@ -2,7 +2,7 @@
 export class RouteDB {
   constructor() {
     this.dbName = 'AccessNatureDB';
-    this.version = 1;
+    this.version = 2;
     this.db = null;
   }
 
@@ -55,6 +55,13 @@ export class RouteDB {
           console.log('🌐 Trail guides store created');
         }
         
+        // Survey drafts store - answers in progress, one per route or trail
+        if (!db.objectStoreNames.contains('survey_drafts')) {
+          const draftsStore = db.createObjectStore('survey_drafts', { keyPath: 'key' });
+          draftsStore.createIndex('updatedAt', 'updatedAt');
+          console.log('📝 Survey drafts store created');
+        }
+        
         console.log('✅ IndexedDB schema creation complete');
       };
     });
@@ -215,6 +222,68 @@ export class RouteDB {
     });
   }
 
+  // Save survey draft (replaces the draft with the same key)
+  async saveSurveyDraft(draft) {
+    if (!this.db) throw new Error('Database not initialized');
+    
+    const transaction = this.db.transaction(['survey_drafts'], 'readwrite');
+    const store = transaction.objectStore('survey_drafts');
+    
+    return new Promise((resolve, reject) => {
+      const request = store.put(draft);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        console.error('❌ Failed to save survey draft:', request.error);
+        reject(request.error);
+      };
+    });
+  }
+
+  // Get survey draft by key
+  async getSurveyDraft(key) {
+    if (!this.db) throw new Error('Database not initialized');
+    
+    const transaction = this.db.transaction(['survey_drafts'], 'readonly');
+    const store = transaction.objectStore('survey_drafts');
+    
+    return new Promise((resolve, reject) => {
+      const request = store.get(key);
+      request.onsuccess = () => resolve(request.result || null);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  // Get all survey drafts
+  async getAllSurveyDrafts() {
+    if (!this.db) throw new Error('Database not initialized');
+    
+    const transaction = this.db.transaction(['survey_drafts'], 'readonly');
+    const store = transaction.objectStore('survey_drafts');
+    
+    return new Promise((resolve, reject) => {
+      const request = store.getAll();
+      request.onsuccess = () => resolve(request.result || []);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  // Delete survey draft
+  async deleteSurveyDraft(key) {
+    if (!this.db) throw new Error('Database not initialized');
+    
+    const transaction = this.db.transaction(['survey_drafts'], 'readwrite');
+    const store = transaction.objectStore('survey_drafts');
+    
+    return new Promise((resolve, reject) => {
+      const request = store.delete(key);
+      request.onsuccess = () => {
+        console.log(`🗑️ Survey draft deleted: ${key}`);
+        resolve();
+      };
+      request.onerror = () => reject(request.error);
+    });
+  }
+
   // Save settings
   async saveSetting(key, value) {
     if (!this.db) throw new Error('Database not initialized');
@@ -268,7 +337,7 @@ export class RouteDB {
   async clearAllData() {
     if (!this.db) throw new Error('Database not initialized');
     
-    const stores = ['routes', 'backups', 'settings', 'trail_guides'];
+    const stores = ['routes', 'backups', 'settings', 'trail_guides', 'survey_drafts'];
     const transaction = this.db.transaction(stores, 'readwrite');
     
     const promises = stores.map(storeName => {
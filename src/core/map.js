@@ -1,5 +1,10 @@
 // FIXED: Map controller with proper route restoration and visualization
 import { toast } from '../utils/toast.js';
+import { gradeAnalyzer, GRADE_THRESHOLDS } from '../features/gradeAnalysis.js';
+import { getTrackSegments, getSegmentGaps } from './trackSegments.js';
+import { getWaypointType, describeWaypoint } from '../config/waypointTypes.js';
+import { getStretches, formatLength } from './trailStretches.js';
+import { getStretchSurface, describeStretch, UNDESCRIBED_STRETCH_COLOR } from '../config/stretchAttributes.js';
 
 export class MapController {
   constructor() {
@@ -7,6 +12,8 @@ export class MapController {
     this.marker = null;
     this.routePolylines = [];
     this.routeMarkers = []; // Add this to track all route markers
+    this.gradeOverlays = [];
+    this.stretchOverlays = [];
   }
 
   async initialize() {
@@ -74,6 +81,60 @@ export class MapController {
     return polyline;
   }
 
+  // Dashed connector across a pause or GPS gap - not part of the walked track
+  addGapSegment(startCoords, endCoords) {
+    if (!startCoords || !endCoords) return;
+
+    const polyline = L.polyline([
+      [startCoords.lat, startCoords.lng],
+      [endCoords.lat, endCoords.lng]
+    ], {
+      color: '#9E9E9E',
+      weight: 3,
+      opacity: 0.8,
+      dashArray: '6, 8'
+    }).addTo(this.map);
+
+    this.routePolylines.push(polyline);
+    return polyline;
+  }
+
+  // Typed accessibility waypoint (bench, ramp, steps...) - replaces an earlier marker for the same waypoint
+  addWaypointMarker(entry) {
+    const type = getWaypointType(entry?.waypointType);
+    if (!this.map || !type || !entry.coords) return null;
+
+    this.routeMarkers = this.routeMarkers.filter(marker => {
+      if (marker.options.waypointTimestamp !== entry.timestamp) return true;
+      marker.remove();
+      return false;
+    });
+
+    const icon = L.divIcon({
+      html: `<span style="background:${type.color}">${type.icon}</span>`,
+      iconSize: [30, 30],
+      className: `custom-div-icon waypoint-marker waypoint-${type.id}`
+    });
+
+    const details = describeWaypoint(entry).replace(/&/g, '&amp;').replace(/</g, '&lt;');
+    const waypointMarker = L.marker([entry.coords.lat, entry.coords.lng], {
+      icon,
+      title: type.name,
+      waypointTimestamp: entry.timestamp
+    })
+      .addTo(this.map)
+      .bindPopup(`
+        <div style="max-width: 220px;">
+          <strong>${type.icon} ${type.name}</strong><br>
+          ${details ? `${details}<br>` : ''}
+          <small>${new Date(entry.timestamp).toLocaleString()}</small>
+        </div>
+      `);
+
+    this.routeMarkers.push(waypointMarker);
+    return waypointMarker;
+  }
+
   // FIXED: Enhanced route data visualization with proper data handling
   showRouteData(routeData) {
     if (!routeData || routeData.length === 0) {
@@ -101,25 +162,33 @@ export class MapController {
       return;
     }
 
-    // Draw route line
-    if (locationPoints.length > 1) {
-  const routeLine = locationPoints.map(point => [point.coords.lat, point.coords.lng]);
-  
-  const polyline = L.polyline(routeLine, {
-    color: '#4CAF50',
-    weight: 4,
-    opacity: 0.8
-  }).addTo(this.map);
-  
-  // CRITICAL: Add this line to track the polyline
-  this.routePolylines.push(polyline);
-  
-  bounds.extend(polyline.getBounds());
-}
+    // Draw route line - one polyline per segment, dashed connectors across the gaps
+    const segments = getTrackSegments(locationPoints);
+    segments.forEach(segment => {
+      if (segment.length < 2) return;
+
+      const polyline = L.polyline(segment.map(point => [point.coords.lat, point.coords.lng]), {
+        color: '#4CAF50',
+        weight: 4,
+        opacity: 0.8
+      }).addTo(this.map);
+
+      // CRITICAL: Add this line to track the polyline
+      this.routePolylines.push(polyline);
+
+      bounds.extend(polyline.getBounds());
+    });
+
+    getSegmentGaps(segments).forEach(gap => {
+      this.addGapSegment(gap.from, gap.to);
+    });
 
     // Add markers for all data points
     routeData.forEach((entry, index) => {
       if (!entry.coords || !entry.coords.lat || !entry.coords.lng) return;
+
+      // Rejected raw fixes are kept for re-smoothing only - never drawn
+      if (entry.type === 'raw_location') return;
       
       bounds.extend([entry.coords.lat, entry.coords.lng]);
 
@@ -160,6 +229,9 @@ export class MapController {
         
         this.routeMarkers.push(noteMarker);
         
+      } else if (entry.type === 'waypoint') {
+        this.addWaypointMarker(entry);
+
       } else if (entry.type === 'location' && (index === 0 || index === locationPoints.length - 1)) {
         // Add start/end markers
         const isStart = index === 0;
@@ -182,6 +254,15 @@ export class MapController {
       }
     });
 
+    // Marked stretches under the steep sections, colored by surface
+    this.showStretches(routeData);
+
+    // Highlight sections steeper than the ADA thresholds (needs elevation data)
+    const gradeAnalysis = gradeAnalyzer.analyze(routeData);
+    if (gradeAnalysis) {
+      this.highlightSteepSections(gradeAnalysis.steepSections);
+    }
+
     // Fit map to show all route data
     if (bounds.isValid()) {
       this.map.fitBounds(bounds, { padding: [20, 20] });
@@ -193,8 +274,81 @@ export class MapController {
     // Show summary info
     const photos = routeData.filter(p => p.type === 'photo').length;
     const notes = routeData.filter(p => p.type === 'text').length;
+    const waypoints = routeData.filter(p => p.type === 'waypoint').length;
     
-    console.log(`✅ Route displayed: ${locationPoints.length} GPS points, ${photos} photos, ${notes} notes`);
+    console.log(`✅ Route displayed: ${locationPoints.length} GPS points, ${photos} photos, ${notes} notes, ${waypoints} waypoints, ${this.stretchOverlays.length} stretches`);
+  }
+
+  // Wide band under the route line for each marked stretch, colored by its surface
+  showStretches(routeData) {
+    this.clearStretchOverlays();
+    if (!this.map) return;
+
+    getStretches(routeData).forEach(stretch => {
+      const surface = getStretchSurface(stretch.attributes.surface);
+      const details = describeStretch(stretch.attributes).replace(/&/g, '&amp;').replace(/</g, '&lt;');
+      const overlay = L.polyline(stretch.paths.map(path => path.map(p => [p.lat, p.lng])), {
+        color: surface ? surface.color : UNDESCRIBED_STRETCH_COLOR,
+        weight: 10,
+        opacity: 0.45,
+        className: 'stretch-overlay'
+      }).addTo(this.map);
+
+      overlay.bindPopup(`
+        <div style="max-width: 220px;">
+          <strong>🛤️ ${details || 'Stretch without details'}</strong><br>
+          <small>${formatLength(stretch.length)}, from ${(stretch.from / 1000).toFixed(2)} km</small>
+        </div>
+      `);
+      overlay.bringToBack();
+
+      this.stretchOverlays.push(overlay);
+    });
+  }
+
+  clearStretchOverlays() {
+    this.stretchOverlays.forEach(overlay => {
+      this.map.removeLayer(overlay);
+    });
+    this.stretchOverlays = [];
+  }
+
+  // Draw steep sections over the route line: orange over 5%, red over 8.33%
+  highlightSteepSections(steepSections) {
+    this.clearGradeOverlays();
+    if (!this.map || !steepSections || steepSections.length === 0) return;
+
+    steepSections.forEach(section => {
+      if (!section.path || section.path.length < 2) return;
+
+      const isSteep = section.level === 'steep';
+      const overlay = L.polyline(section.path.map(p => [p.lat, p.lng]), {
+        color: isSteep ? '#ef4444' : '#f59e0b',
+        weight: 7,
+        opacity: 0.9,
+        className: `grade-overlay grade-${section.level}`
+      }).addTo(this.map);
+
+      const threshold = isSteep ? GRADE_THRESHOLDS.rampMax : GRADE_THRESHOLDS.accessible;
+      overlay.bindPopup(`
+        <div>
+          <strong>${isSteep ? '⛰️ Steep section' : '📐 Moderate slope'}</strong><br>
+          Max ${section.maxGrade}% ${section.direction} (over ${threshold}%)<br>
+          <small>${Math.round(section.length)} m, from ${(section.startDistance / 1000).toFixed(2)} km</small>
+        </div>
+      `);
+
+      this.gradeOverlays.push(overlay);
+    });
+
+    console.log(`📐 Highlighted ${this.gradeOverlays.length} steep sections`);
+  }
+
+  clearGradeOverlays() {
+    this.gradeOverlays.forEach(overlay => {
+      this.map.removeLayer(overlay);
+    });
+    this.gradeOverlays = [];
   }
 
   // FIXED: Complete route clearing including all markers
@@ -211,6 +365,9 @@ export class MapController {
     });
     this.routeMarkers = [];
 
+    this.clearGradeOverlays();
+    this.clearStretchOverlays();
+
     console.log('🧹 Route display cleared');
   }
 
@@ -0,0 +1,147 @@
+/**
+ * Motion Detector
+ * Detects when the user has stopped (resting, at a viewpoint) and when
+ * they start moving again, so tracking can auto-pause and auto-resume.
+ *
+ * Works on raw GPS fixes. A stop is declared when, over a sliding window,
+ * the average speed is low AND the fixes stay clustered (position spread
+ * within what the reported accuracy explains). Movement resumes once the
+ * user is clearly outside that cluster.
+ *
+ * Access Nature - Tracking
+ * Created: December 2025
+ */
+
+import { haversineDistance } from '../utils/calculations.js';
+
+/**
+ * Detection thresholds
+ */
+export const MOTION_CONFIG = {
+  // How much history to look at when deciding we've stopped (ms)
+  windowMs: 45000,
+
+  // Need at least this many fixes in the window before deciding
+  minFixes: 5,
+
+  // Average speed below this counts as stopped (m/s) - slow wheelchair pace is ~0.6
+  stationarySpeed: 0.25,
+
+  // Position spread allowed while stopped, on top of the fix accuracy (m)
+  stationarySpread: 6,
+
+  // Distance from the stop point that counts as moving again (m)
+  resumeDistance: 12,
+
+  // Speed that counts as moving again (m/s)
+  resumeSpeed: 0.6,
+
+  // Fixes in a row that must look like movement before resuming
+  resumeConfirmations: 2
+};
+
+function distanceMeters(a, b) {
+  return haversineDistance(a, b) * 1000;
+}
+
+export class MotionDetector {
+  constructor(options = {}) {
+    this.config = { ...MOTION_CONFIG, ...options };
+    this.reset();
+  }
+
+  /**
+   * Feed a raw fix
+   * @param {object} fix - { lat, lng, accuracy, timestamp, speed? }
+   * @returns {string|null} 'stopped', 'moving', or null when nothing changed
+   */
+  update(fix) {
+    this.window.push(fix);
+    const cutoff = fix.timestamp - this.config.windowMs;
+    while (this.window.length > 0 && this.window[0].timestamp < cutoff) {
+      this.window.shift();
+    }
+
+    if (this.isStationary) {
+      return this.checkForMovement(fix);
+    }
+
+    return this.checkForStop(fix);
+  }
+
+  checkForStop(fix) {
+    const { windowMs, minFixes, stationarySpeed, stationarySpread } = this.config;
+    if (this.window.length < minFixes) return null;
+
+    const first = this.window[0];
+    const spanMs = fix.timestamp - first.timestamp;
+    // Wait until the window actually covers most of the configured time
+    if (spanMs < windowMs * 0.8) return null;
+
+    const centroid = this.getCentroid(this.window);
+    const avgAccuracy = this.window.reduce((sum, f) => sum + (f.accuracy || 0), 0) / this.window.length;
+    const spread = Math.sqrt(
+      this.window.reduce((sum, f) => sum + distanceMeters(centroid, f) ** 2, 0) / this.window.length
+    );
+
+    // Net speed over the window: drift inside the accuracy radius doesn't count
+    const netMove = Math.max(distanceMeters(first, fix) - avgAccuracy, 0);
+    const avgSpeed = netMove / (spanMs / 1000);
+
+    if (avgSpeed < stationarySpeed && spread < avgAccuracy + stationarySpread) {
+      this.isStationary = true;
+      this.stopCenter = centroid;
+      this.stopStartedAt = first.timestamp;
+      this.movingCount = 0;
+      return 'stopped';
+    }
+
+    return null;
+  }
+
+  checkForMovement(fix) {
+    const { resumeDistance, resumeSpeed, resumeConfirmations } = this.config;
+
+    const away = distanceMeters(this.stopCenter, fix) - (fix.accuracy || 0) * 0.5;
+    const reportedSpeed = typeof fix.speed === 'number' ? fix.speed : 0;
+
+    if (away > resumeDistance || reportedSpeed > resumeSpeed) {
+      this.movingCount++;
+    } else {
+      this.movingCount = 0;
+    }
+
+    if (this.movingCount >= resumeConfirmations) {
+      this.isStationary = false;
+      this.stopCenter = null;
+      this.movingCount = 0;
+      // Start the next stop window fresh from here
+      this.window = [fix];
+      return 'moving';
+    }
+
+    return null;
+  }
+
+  getCentroid(fixes) {
+    const lat = fixes.reduce((sum, f) => sum + f.lat, 0) / fixes.length;
+    const lng = fixes.reduce((sum, f) => sum + f.lng, 0) / fixes.length;
+    return { lat, lng };
+  }
+
+  /**
+   * When the current stop began (first fix of the stationary window)
+   * @returns {number|null}
+   */
+  getStopStartTime() {
+    return this.isStationary ? this.stopStartedAt : null;
+  }
+
+  reset() {
+    this.window = [];
+    this.isStationary = false;
+    this.stopCenter = null;
+    this.stopStartedAt = null;
+    this.movingCount = 0;
+  }
+}
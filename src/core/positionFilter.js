@@ -0,0 +1,392 @@
+/**
+ * Position Filter Pipeline
+ * Cleans raw GPS fixes before they become route points
+ *
+ * Each fix runs through a configurable chain of stages. A stage either passes
+ * the fix on (possibly adjusted) or rejects it with a reason. The default chain:
+ *   1. Accuracy gate  - drops only hopeless fixes (very large error radius)
+ *   2. Speed check    - drops jumps that imply an implausible travel speed
+ *   3. Kalman smoother - accuracy-weighted smoothing of lat/lng
+ *   4. Movement gate  - holds back jitter while the user is standing still
+ *
+ * Access Nature - GPS Quality
+ * Created: December 2025
+ */
+
+import { haversineDistance } from '../utils/calculations.js';
+import { getSegmentIndex, SEGMENT_BREAK_REASONS } from './trackSegments.js';
+
+/**
+ * Default filter configuration
+ */
+export const POSITION_FILTER_CONFIG = {
+  // Fixes worse than this are never usable (meters)
+  maxAccuracy: 250,
+
+  // Fastest plausible speed for our users - covers handbikes and e-wheelchairs (m/s)
+  maxSpeed: 12,
+
+  // After this many speed rejections in a row, accept the next fix and re-anchor
+  maxConsecutiveRejects: 5,
+
+  // Kalman process noise - how fast we expect the true position to drift (m/s)
+  processNoise: 3,
+
+  // Minimum movement before a new point is recorded (meters)
+  minMovement: 3,
+
+  // Movement must also exceed this fraction of the current accuracy
+  movementAccuracyFactor: 0.5,
+
+  // Default stage order
+  stages: ['accuracy', 'speed', 'kalman', 'movement']
+};
+
+/**
+ * Rejection reasons reported by the stages
+ */
+export const REJECT_REASONS = {
+  accuracy: 'accuracy',
+  speed: 'speed',
+  stationary: 'stationary'
+};
+
+/**
+ * Distance between two fixes in meters
+ */
+function distanceMeters(a, b) {
+  return haversineDistance(a, b) * 1000;
+}
+
+/**
+ * Drops fixes whose error radius is too large to be of any use
+ */
+export class AccuracyGateFilter {
+  constructor(options = {}) {
+    this.maxAccuracy = options.maxAccuracy ?? POSITION_FILTER_CONFIG.maxAccuracy;
+  }
+
+  process(fix) {
+    if (typeof fix.accuracy === 'number' && fix.accuracy > this.maxAccuracy) {
+      return { rejected: REJECT_REASONS.accuracy };
+    }
+    return { fix };
+  }
+
+  reset() {}
+}
+
+/**
+ * Rejects fixes that would require an implausible speed to reach.
+ * The accuracy of both fixes is subtracted from the jump so that
+ * noisy-but-honest fixes are not punished.
+ */
+export class SpeedOutlierFilter {
+  constructor(options = {}) {
+    this.maxSpeed = options.maxSpeed ?? POSITION_FILTER_CONFIG.maxSpeed;
+    this.maxConsecutiveRejects = options.maxConsecutiveRejects ?? POSITION_FILTER_CONFIG.maxConsecutiveRejects;
+    this.reset();
+  }
+
+  process(fix) {
+    if (!this.lastFix) {
+      this.lastFix = fix;
+      return { fix };
+    }
+
+    const seconds = Math.max((fix.timestamp - this.lastFix.timestamp) / 1000, 1);
+    const jump = distanceMeters(this.lastFix, fix) - (fix.accuracy || 0) - (this.lastFix.accuracy || 0);
+    const impliedSpeed = Math.max(jump, 0) / seconds;
+
+    if (impliedSpeed > this.maxSpeed && this.rejectCount < this.maxConsecutiveRejects) {
+      this.rejectCount++;
+      return { rejected: REJECT_REASONS.speed, impliedSpeed };
+    }
+
+    // Either plausible, or we've rejected so many in a row that the anchor is the outlier
+    this.rejectCount = 0;
+    this.lastFix = fix;
+    return { fix };
+  }
+
+  reset() {
+    this.lastFix = null;
+    this.rejectCount = 0;
+  }
+}
+
+/**
+ * Accuracy-weighted Kalman smoother.
+ * Treats lat/lng as independent with a shared variance in m², which is
+ * the usual simplification for pedestrian-scale tracks.
+ */
+export class KalmanFilter {
+  constructor(options = {}) {
+    this.processNoise = options.processNoise ?? POSITION_FILTER_CONFIG.processNoise;
+    this.reset();
+  }
+
+  process(fix) {
+    const accuracy = Math.max(fix.accuracy || 1, 1);
+
+    if (this.variance < 0) {
+      // First fix seeds the state
+      this.lat = fix.lat;
+      this.lng = fix.lng;
+      this.variance = accuracy * accuracy;
+      this.timestamp = fix.timestamp;
+    } else {
+      const seconds = Math.max((fix.timestamp - this.timestamp) / 1000, 0);
+      if (seconds > 0) {
+        // Uncertainty grows the longer we go without a fix
+        this.variance += seconds * this.processNoise * this.processNoise;
+        this.timestamp = fix.timestamp;
+      }
+
+      const gain = this.variance / (this.variance + accuracy * accuracy);
+      this.lat += gain * (fix.lat - this.lat);
+      this.lng += gain * (fix.lng - this.lng);
+      this.variance = (1 - gain) * this.variance;
+    }
+
+    return {
+      fix: {
+        ...fix,
+        lat: this.lat,
+        lng: this.lng,
+        accuracy: Math.sqrt(this.variance)
+      }
+    };
+  }
+
+  reset() {
+    this.lat = 0;
+    this.lng = 0;
+    this.variance = -1;
+    this.timestamp = 0;
+  }
+}
+
+/**
+ * Holds back fixes that haven't moved far enough from the last recorded
+ * point - the main source of distance drift while standing at a viewpoint.
+ */
+export class MovementFilter {
+  constructor(options = {}) {
+    this.minMovement = options.minMovement ?? POSITION_FILTER_CONFIG.minMovement;
+    this.accuracyFactor = options.movementAccuracyFactor ?? POSITION_FILTER_CONFIG.movementAccuracyFactor;
+    this.reset();
+  }
+
+  process(fix) {
+    if (this.lastFix) {
+      const threshold = Math.max(this.minMovement, (fix.accuracy || 0) * this.accuracyFactor);
+      if (distanceMeters(this.lastFix, fix) < threshold) {
+        return { rejected: REJECT_REASONS.stationary };
+      }
+    }
+
+    this.lastFix = fix;
+    return { fix };
+  }
+
+  reset() {
+    this.lastFix = null;
+  }
+}
+
+/**
+ * Stage factories by name, so chains can be described in config
+ */
+const STAGE_FACTORIES = {
+  accuracy: (options) => new AccuracyGateFilter(options),
+  speed: (options) => new SpeedOutlierFilter(options),
+  kalman: (options) => new KalmanFilter(options),
+  movement: (options) => new MovementFilter(options)
+};
+
+/**
+ * Runs fixes through an ordered chain of filter stages
+ */
+export class PositionFilterPipeline {
+  /**
+   * @param {Array} stages - Stage instances, each with process(fix) and reset()
+   */
+  constructor(stages = []) {
+    this.stages = stages;
+  }
+
+  /**
+   * Process a single raw fix
+   * @param {object} fix - { lat, lng, accuracy, timestamp }
+   * @returns {object} { accepted, fix, reason }
+   */
+  process(fix) {
+    let current = fix;
+
+    for (const stage of this.stages) {
+      const result = stage.process(current);
+      if (result.rejected) {
+        return { accepted: false, fix: current, reason: result.rejected };
+      }
+      current = result.fix;
+    }
+
+    return { accepted: true, fix: current, reason: null };
+  }
+
+  /**
+   * Clear all stage state (new recording, or after a long pause)
+   */
+  reset() {
+    this.stages.forEach(stage => stage.reset());
+  }
+
+  /**
+   * Run a whole list of raw fixes through a fresh pass of the chain
+   * @param {Array} rawFixes - Fixes in time order
+   * @returns {Array} Per-fix results, same order as input
+   */
+  reprocess(rawFixes) {
+    this.reset();
+    const results = rawFixes.map(fix => this.process(fix));
+    this.reset();
+    return results;
+  }
+}
+
+/**
+ * Build a pipeline from config
+ * @param {object} options - Overrides for POSITION_FILTER_CONFIG, including `stages`
+ * @returns {PositionFilterPipeline}
+ */
+export function createPositionFilter(options = {}) {
+  const config = { ...POSITION_FILTER_CONFIG, ...options };
+
+  const stages = config.stages.map(name => {
+    const factory = STAGE_FACTORIES[name];
+    if (!factory) {
+      throw new Error(`Unknown position filter stage: ${name}`);
+    }
+    return factory(config);
+  });
+
+  return new PositionFilterPipeline(stages);
+}
+
+/**
+ * Rebuild a route's location points from its stored raw fixes.
+ * Non-location entries (photos, notes, ...) are kept in place by timestamp.
+ * @param {Array} routeData - Route data with raw fixes recorded
+ * @param {PositionFilterPipeline} pipeline - Filter to apply
+ * @returns {object} { routeData, totalDistance } - distance in km
+ */
+export function resmoothRoute(routeData, pipeline = createPositionFilter()) {
+  const rawFixes = extractRawFixes(routeData);
+
+  // Each track segment is filtered on its own, like a fresh start after a pause
+  pipeline.reset();
+  const results = rawFixes.map((fix, index) => {
+    if (index > 0 && getSegmentIndex(fix) !== getSegmentIndex(rawFixes[index - 1])) {
+      pipeline.reset();
+    }
+    return pipeline.process(fix);
+  });
+  pipeline.reset();
+
+  const rebuilt = routeData.filter(entry => entry.type !== 'location' && entry.type !== 'raw_location');
+  let totalDistance = 0;
+  let lastCoords = null;
+  let lastSegment = null;
+  let pendingBreak = null;
+
+  results.forEach((result, index) => {
+    const raw = rawFixes[index];
+    const entry = buildFixEntry(raw, result);
+    rebuilt.push(entry);
+    delete entry.segmentStart;
+
+    // A break recorded on a fix that is now rejected moves to the next accepted one
+    if (raw.segmentStart) pendingBreak = raw.segmentStart;
+
+    if (result.accepted) {
+      const coords = entry.coords;
+      const segment = getSegmentIndex(raw);
+
+      if (lastCoords && segment === lastSegment) {
+        totalDistance += haversineDistance(lastCoords, coords);
+      } else if (lastCoords) {
+        // Distance isn't counted across the jump between segments
+        entry.segmentStart = pendingBreak || SEGMENT_BREAK_REASONS.gap;
+      }
+
+      lastCoords = coords;
+      lastSegment = segment;
+      pendingBreak = null;
+    }
+  });
+
+  rebuilt.sort((a, b) => (a.timestamp || 0) - (b.timestamp || 0));
+  return { routeData: rebuilt, totalDistance };
+}
+
+/**
+ * Pull the raw fix stream out of route data, in time order.
+ * Older routes without raw data fall back to their stored coords.
+ * @param {Array} routeData
+ * @returns {Array} [{ lat, lng, accuracy, timestamp, segment?, segmentStart? }]
+ */
+export function extractRawFixes(routeData) {
+  const fixes = [];
+
+  routeData.forEach(entry => {
+    if (entry.type === 'location' && entry.coords) {
+      const raw = entry.raw || { ...entry.coords, accuracy: entry.accuracy };
+      fixes.push({ lat: raw.lat, lng: raw.lng, accuracy: raw.accuracy, timestamp: entry.timestamp, ...segmentFields(entry) });
+    } else if (entry.type === 'raw_location' && entry.coords) {
+      fixes.push({ lat: entry.coords.lat, lng: entry.coords.lng, accuracy: entry.accuracy, timestamp: entry.timestamp, ...segmentFields(entry) });
+    }
+  });
+
+  return fixes.sort((a, b) => a.timestamp - b.timestamp);
+}
+
+/**
+ * Segment fields of an entry or fix, only those that are set
+ */
+function segmentFields(source) {
+  const fields = {};
+  if (typeof source.segment === 'number') fields.segment = source.segment;
+  if (source.segmentStart) fields.segmentStart = source.segmentStart;
+  return fields;
+}
+
+/**
+ * Route data entry for a processed fix: accepted fixes become location
+ * points carrying their raw reading, rejected ones are kept as raw_location
+ * @param {object} raw - Original fix
+ * @param {object} result - Pipeline result
+ * @returns {object} Route data entry
+ */
+export function buildFixEntry(raw, result) {
+  if (result.accepted) {
+    return {
+      type: 'location',
+      coords: { lat: result.fix.lat, lng: result.fix.lng },
+      timestamp: raw.timestamp,
+      accuracy: raw.accuracy,
+      smoothedAccuracy: result.fix.accuracy,
+      raw: { lat: raw.lat, lng: raw.lng, accuracy: raw.accuracy },
+      ...segmentFields(raw)
+    };
+  }
+
+  return {
+    type: 'raw_location',
+    coords: { lat: raw.lat, lng: raw.lng },
+    timestamp: raw.timestamp,
+    accuracy: raw.accuracy,
+    rejectedReason: result.reason,
+    ...segmentFields(raw)
+  };
+}
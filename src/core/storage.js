@@ -1,6 +1,7 @@
 // FIXED: Storage controller with proper backup/restore data structures
 // Enhanced storage with IndexedDB migration - CORRECTED VERSION
 import { RouteDB } from './indexeddb.js';
+import { applySimplifySettings, loadSimplifySettings } from './trackSimplifier.js';
 
 export class AppState {
   constructor() {
@@ -8,10 +9,13 @@ export class AppState {
     this.pathPoints = [];
     this.totalDistance = 0;
     this.elapsedTime = 0;
+    this.movingTime = 0;
+    this.gradeAnalysis = null;
     this.isTracking = false;
     this.isPaused = false;
     this.startTime = null;
     this.lastCoords = null;
+    this.cloudRouteId = null; // Cloud route this one was loaded from - re-surveys update it
     this.lastBackupTime = 0;
     this.backupInterval = null;
     
@@ -155,6 +159,16 @@ export class AppState {
     }
   }
 
+  // Update a recorded point in place (e.g. waypoint details filled in after the tap)
+  updateRoutePoint(timestamp, changes) {
+    const entry = this.routeData.find(e => e.timestamp === timestamp && e.type !== 'location');
+    if (!entry) return false;
+
+    Object.assign(entry, changes);
+    if (this.isTracking) this.autoSave();
+    return true;
+  }
+
   getRouteData() {
     return [...this.routeData];
   }
@@ -165,7 +179,10 @@ export class AppState {
     this.pathPoints = [];
     this.totalDistance = 0;
     this.elapsedTime = 0;
+    this.movingTime = 0;
+    this.gradeAnalysis = null;
     this.lastCoords = null;
+    this.cloudRouteId = null;
     this.isTracking = false;
     this.isPaused = false;
     this.stopAutoBackup();
@@ -207,6 +224,15 @@ export class AppState {
     return this.elapsedTime;
   }
 
+  // Moving time = elapsed time minus auto-detected rests
+  setMovingTime(time) {
+    this.movingTime = time;
+  }
+
+  getMovingTime() {
+    return this.movingTime;
+  }
+
   setStartTime(time) {
     this.startTime = time;
   }
@@ -225,23 +251,63 @@ export class AppState {
     return this.lastCoords;
   }
 
+  setCloudRouteId(routeId) {
+    this.cloudRouteId = routeId || null;
+  }
+
+  getCloudRouteId() {
+    return this.cloudRouteId;
+  }
+
+  // Attach looked-up elevations to location points, matched by timestamp
+  // (points recorded while the lookup was running are left untouched)
+  applyElevations(elevations) {
+    const byTimestamp = new Map(elevations.map(e => [e.timestamp, e.elevation]));
+
+    this.routeData.forEach(point => {
+      if (point.type === 'location' && byTimestamp.has(point.timestamp)) {
+        point.elevation = byTimestamp.get(point.timestamp);
+      }
+    });
+  }
+
+  setGradeAnalysis(analysis) {
+    this.gradeAnalysis = analysis;
+  }
+
+  getGradeAnalysis() {
+    return this.gradeAnalysis;
+  }
+
   // Smart save session (IndexedDB first, localStorage fallback)
   async saveSession(name) {
     if (!name || this.routeData.length === 0) {
       throw new Error('Invalid session data');
     }
 
+    // Distance and grades were measured on the full track; only the stored geometry is thinned
+    const { routeData: data, stats: simplification } = applySimplifySettings(this.routeData);
+    const keepRaw = simplification && loadSimplifySettings().keepRaw;
+
     const session = {
       id: Date.now(),
       name,
       date: new Date().toISOString(),
       totalDistance: this.totalDistance,
       elapsedTime: this.elapsedTime,
-      data: [...this.routeData],
-      dataSize: JSON.stringify(this.routeData).length,
+      movingTime: this.movingTime,
+      gradeAnalysis: this.gradeAnalysis,
+      data: [...data],
+      dataSize: JSON.stringify(data).length,
+      simplification,
+      ...(keepRaw ? { rawData: [...this.routeData] } : {}),
       version: '2.0' // Mark as new version
     };
 
+    if (simplification) {
+      console.log(`🪶 Track simplified: ${simplification.originalPoints} → ${simplification.keptPoints} points`);
+    }
+
     try {
       if (this.dbReady) {
         // Use IndexedDB for better storage
@@ -301,9 +367,91 @@ export class AppState {
     }
   }
 
+  // Insert or replace a saved session (used by the route editor)
+  async putSession(session) {
+    session.dataSize = JSON.stringify(session.data || []).length;
+
+    if (this.dbReady) {
+      await this.routeDB.updateRoute(session);
+    } else {
+      const sessions = JSON.parse(localStorage.getItem('sessions') || '[]');
+      const index = sessions.findIndex(s => s.id === session.id);
+      if (index >= 0) {
+        sessions[index] = session;
+      } else {
+        sessions.push(session);
+      }
+      localStorage.setItem('sessions', JSON.stringify(sessions));
+    }
+    return session;
+  }
+
+  // Delete a single saved session
+  async deleteSession(id) {
+    if (this.dbReady) {
+      await this.routeDB.deleteRoute(id);
+    } else {
+      const sessions = JSON.parse(localStorage.getItem('sessions') || '[]');
+      localStorage.setItem('sessions', JSON.stringify(sessions.filter(s => s.id !== id)));
+    }
+  }
+
+  // Survey drafts (see features/surveyDrafts.js) - localStorage when IndexedDB is unavailable
+  readLocalSurveyDrafts() {
+    try {
+      return JSON.parse(localStorage.getItem('survey_drafts') || '{}');
+    } catch (error) {
+      console.warn('⚠️ Survey drafts unreadable, starting over:', error);
+      return {};
+    }
+  }
+
+  async putSurveyDraft(draft) {
+    if (this.dbReady) {
+      await this.routeDB.saveSurveyDraft(draft);
+    } else {
+      const drafts = this.readLocalSurveyDrafts();
+      drafts[draft.key] = draft;
+      localStorage.setItem('survey_drafts', JSON.stringify(drafts));
+    }
+    return draft;
+  }
+
+  async getSurveyDraft(key) {
+    if (this.dbReady) return this.routeDB.getSurveyDraft(key);
+    return this.readLocalSurveyDrafts()[key] || null;
+  }
+
+  async getSurveyDrafts() {
+    if (this.dbReady) return this.routeDB.getAllSurveyDrafts();
+    return Object.values(this.readLocalSurveyDrafts());
+  }
+
+  async deleteSurveyDraft(key) {
+    if (this.dbReady) {
+      await this.routeDB.deleteSurveyDraft(key);
+    } else {
+      const drafts = this.readLocalSurveyDrafts();
+      delete drafts[key];
+      localStorage.setItem('survey_drafts', JSON.stringify(drafts));
+    }
+  }
+
+  // Unsaved route backup as stored - unlike checkForUnsavedRoute, never validates or clears it
+  async peekRouteBackup() {
+    try {
+      const backup = this.dbReady ? await this.routeDB.getBackup() : null;
+      return backup || JSON.parse(localStorage.getItem('route_backup') || 'null');
+    } catch (error) {
+      console.warn('⚠️ Could not read route backup:', error);
+      return null;
+    }
+  }
+
   async autoSave() {
   // Get current elapsed time from timer if running
   let currentElapsed = this.elapsedTime;
+  let currentMoving = this.movingTime;
   
   // If tracking is active, get live elapsed time from timer
   if (this.isTracking) {
@@ -311,6 +459,7 @@ export class AppState {
     const timer = app?.getController('timer');
     if (timer && timer.isTimerRunning()) {
       currentElapsed = timer.getCurrentElapsed();
+      currentMoving = timer.getMovingTime();
     }
   }
 
@@ -319,6 +468,7 @@ export class AppState {
     pathPoints: this.pathPoints,
     totalDistance: this.totalDistance,
     elapsedTime: currentElapsed,  // Fixed: Use live elapsed time
+    movingTime: currentMoving,
     startTime: this.startTime,
     isTracking: this.isTracking,
     isPaused: this.isPaused,
@@ -443,6 +593,8 @@ export class AppState {
       this.pathPoints = Array.isArray(backupData.pathPoints) ? backupData.pathPoints : [];
       this.totalDistance = typeof backupData.totalDistance === 'number' ? backupData.totalDistance : 0;
       this.elapsedTime = typeof backupData.elapsedTime === 'number' ? backupData.elapsedTime : 0;
+      // Older backups have no moving time - treat the whole elapsed time as moving
+      this.movingTime = typeof backupData.movingTime === 'number' ? backupData.movingTime : this.elapsedTime;
       this.startTime = backupData.startTime || null;
       
       // FIXED: Rebuild pathPoints from routeData if missing
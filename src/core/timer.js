@@ -6,6 +6,10 @@ export class TimerController {
     this.isRunning = false;
     this.intervalId = null;
     this.pausedTime = 0;
+
+    // Auto-pause (resting) bookkeeping - the clock keeps running, moving time doesn't
+    this.autoPausedTotal = 0;
+    this.autoPauseStart = null;
   }
 
   initialize() {
@@ -15,13 +19,16 @@ export class TimerController {
   }
 
   // FIXED: Start with optional elapsed time for restoration
-  start(resumeFromElapsed = 0) {
+  // Moving time defaults to the elapsed time (no rests recorded yet)
+  start(resumeFromElapsed = 0, resumeFromMoving = resumeFromElapsed) {
   if (this.isRunning) return;
 
   console.log(`⏱️ Timer starting${resumeFromElapsed > 0 ? ` (resuming from ${this.formatTime(resumeFromElapsed)})` : ''}`);
   
   // Set the elapsed time first
   this.elapsedTime = resumeFromElapsed;
+  this.autoPausedTotal = Math.max(resumeFromElapsed - resumeFromMoving, 0);
+  this.autoPauseStart = null;
   
   // Set start time accounting for already elapsed time
   this.startTime = Date.now() - resumeFromElapsed;
@@ -39,6 +46,8 @@ export class TimerController {
   stop() {
   if (!this.isRunning) return this.elapsedTime;
 
+  this.autoResume();
+
   this.isRunning = false;
   if (this.timerInterval) {  // Changed from intervalId to timerInterval
     clearInterval(this.timerInterval);
@@ -56,6 +65,8 @@ export class TimerController {
   pause() {
   if (!this.isRunning) return;
 
+  this.autoResume();
+
   this.isRunning = false;
   if (this.timerInterval) {  // Changed from intervalId to timerInterval
     clearInterval(this.timerInterval);
@@ -74,7 +85,40 @@ export class TimerController {
     console.log(`▶️ Timer resuming from: ${this.formatTime(this.elapsedTime)}`);
     
     // Restart timer from current elapsed time
-    this.start(this.elapsedTime);
+    this.start(this.elapsedTime, this.getMovingTime());
+  }
+
+  // NEW: Auto-pause - stop counting moving time, keep the clock running
+  // `since` lets the detector backdate the rest to when the user actually stopped
+  autoPause(since = Date.now()) {
+    if (!this.isRunning || this.autoPauseStart !== null) return;
+
+    this.autoPauseStart = Math.min(since, Date.now());
+    this.updateDisplay();
+    console.log(`💤 Timer auto-paused (moving time: ${this.formatTime(this.getMovingTime())})`);
+  }
+
+  // NEW: End an auto-pause, returns how long the rest lasted (ms)
+  autoResume() {
+    if (this.autoPauseStart === null) return 0;
+
+    const restDuration = Math.max(Date.now() - this.autoPauseStart, 0);
+    this.autoPausedTotal += restDuration;
+    this.autoPauseStart = null;
+    this.updateDisplay();
+    console.log(`🚶 Timer auto-resumed after ${this.formatTime(restDuration)} rest`);
+
+    return restDuration;
+  }
+
+  isAutoPaused() {
+    return this.autoPauseStart !== null;
+  }
+
+  // NEW: Elapsed time minus auto-paused rests
+  getMovingTime() {
+    const openRest = this.autoPauseStart !== null ? Math.max(Date.now() - this.autoPauseStart, 0) : 0;
+    return Math.max(this.getCurrentElapsed() - this.autoPausedTotal - openRest, 0);
   }
 
   // NEW: Get current elapsed time
@@ -103,6 +147,8 @@ export class TimerController {
     if (!this.element) return;
 
     this.element.textContent = this.formatTime(this.elapsedTime);
+    this.element.classList.toggle('auto-paused', this.isAutoPaused());
+    this.element.title = `Moving time: ${this.formatTime(this.getMovingTime())}`;
   }
 
   formatTime(milliseconds) {
@@ -119,6 +165,8 @@ export class TimerController {
     this.stop();
     this.elapsedTime = 0;
     this.startTime = null;
+    this.autoPausedTotal = 0;
+    this.autoPauseStart = null;
     this.updateDisplay();
     console.log('🔄 Timer reset');
   }
@@ -0,0 +1,145 @@
+/**
+ * Track Segments
+ * A recorded route is a list of segments - continuous stretches of GPS track.
+ * A new segment starts after a manual pause, a signal loss, or a jump between
+ * fixes that we clearly didn't observe (a GPS gap).
+ *
+ * Location entries carry `segment` (0-based index). The first point of every
+ * segment after the first also carries `segmentStart` with the break reason.
+ * Routes recorded before segments existed have no `segment` and read as one
+ * single segment.
+ *
+ * Access Nature - Route Geometry
+ * Created: December 2025
+ */
+
+import { haversineDistance } from '../utils/calculations.js';
+
+/**
+ * Gap detection thresholds
+ */
+export const SEGMENT_CONFIG = {
+  // Time between accepted fixes that may hide a gap (ms)
+  maxGapTime: 60000,
+
+  // Distance jump that, after maxGapTime without fixes, counts as a gap (meters)
+  maxGapDistance: 50
+};
+
+/**
+ * Why a segment started
+ */
+export const SEGMENT_BREAK_REASONS = {
+  pause: 'pause',
+  gap: 'gap',
+  signalLoss: 'signal_loss',
+  resume: 'resume',         // Recording continued after the app was closed
+  edit: 'edit'              // Points removed or routes joined in the route editor
+};
+
+/**
+ * Segment index of a route entry (older routes have none)
+ * @param {object} entry
+ * @returns {number}
+ */
+export function getSegmentIndex(entry) {
+  return typeof entry?.segment === 'number' ? entry.segment : 0;
+}
+
+/**
+ * Whether moving from one accepted fix to the next looks like a GPS gap
+ * @param {object} last - { coords, timestamp } of the previous point
+ * @param {object} next - { coords, timestamp } of the new point
+ * @param {object} config - Overrides for SEGMENT_CONFIG
+ * @returns {boolean}
+ */
+export function isGap(last, next, config = {}) {
+  const { maxGapTime, maxGapDistance } = { ...SEGMENT_CONFIG, ...config };
+  if (!last || !next) return false;
+
+  const elapsed = (next.timestamp || 0) - (last.timestamp || 0);
+  const meters = haversineDistance(last.coords, next.coords) * 1000;
+  return elapsed > maxGapTime && meters > maxGapDistance;
+}
+
+/**
+ * Group location points into segments
+ * @param {Array} routeData - Route data entries
+ * @returns {Array<Array>} Location entries per segment, in route order
+ */
+export function getTrackSegments(routeData) {
+  const segments = [];
+  let current = null;
+  let currentIndex = null;
+
+  (routeData || []).forEach(entry => {
+    if (entry.type !== 'location' || !entry.coords) return;
+
+    const index = getSegmentIndex(entry);
+    if (current === null || index !== currentIndex) {
+      current = [];
+      currentIndex = index;
+      segments.push(current);
+    }
+    current.push(entry);
+  });
+
+  return segments;
+}
+
+/**
+ * Straight connectors between consecutive segments, for drawing gaps
+ * @param {Array<Array>} segments - From getTrackSegments
+ * @returns {Array} [{ from, to, reason }]
+ */
+export function getSegmentGaps(segments) {
+  const gaps = [];
+
+  for (let i = 1; i < segments.length; i++) {
+    const previous = segments[i - 1];
+    const next = segments[i];
+    if (previous.length === 0 || next.length === 0) continue;
+
+    gaps.push({
+      from: previous[previous.length - 1].coords,
+      to: next[0].coords,
+      reason: next[0].segmentStart || SEGMENT_BREAK_REASONS.gap
+    });
+  }
+
+  return gaps;
+}
+
+/**
+ * Track length without the jumps between segments
+ * @param {Array} routeData - Route data entries
+ * @returns {number} Kilometers
+ */
+export function getSegmentedDistance(routeData) {
+  return getTrackSegments(routeData).reduce((total, segment) => {
+    for (let i = 1; i < segment.length; i++) {
+      total += haversineDistance(segment[i - 1].coords, segment[i].coords);
+    }
+    return total;
+  }, 0);
+}
+
+/**
+ * Distance along the track at each location point, not counting the jumps
+ * between segments
+ * @param {Array} locations - Location entries in route order
+ * @returns {Array<number>} Meters, one per location
+ */
+export function getDistanceAlong(locations) {
+  const along = [];
+  (locations || []).forEach((point, i) => {
+    if (i === 0) {
+      along.push(0);
+      return;
+    }
+    const previous = locations[i - 1];
+    const sameSegment = getSegmentIndex(point) === getSegmentIndex(previous);
+    along.push(along[i - 1] + (sameSegment ? haversineDistance(previous.coords, point.coords) * 1000 : 0));
+  });
+  return along;
+}
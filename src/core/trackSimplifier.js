@@ -0,0 +1,346 @@
+/**
+ * Track Simplifier
+ * Thins out recorded tracks before they are stored or exported.
+ *
+ * Two algorithms, both driven by a tolerance in meters:
+ *   - Douglas-Peucker: drops points that sit within `tolerance` of the line
+ *     between their neighbours (keeps the shape's extremes)
+ *   - Visvalingam-Whyatt: repeatedly drops the point whose triangle with its
+ *     neighbours has the smallest area, until every area exceeds tolerance²
+ *     (smoother result, better for display)
+ *
+ * Photos, notes and rest stops stay anchored: the track point recorded closest
+ * in time to each of them is never removed, so they keep sitting on the line.
+ * Segment ends are never removed either, so gaps stay where they were.
+ *
+ * Access Nature - Route Geometry
+ * Created: December 2025
+ */
+
+import { getSegmentIndex } from './trackSegments.js';
+
+/**
+ * Default simplification settings
+ */
+export const SIMPLIFY_CONFIG = {
+  // Simplify routes on save and export
+  enabled: true,
+
+  // 'douglas-peucker' or 'visvalingam'
+  algorithm: 'douglas-peucker',
+
+  // Allowed deviation from the recorded track (meters) - one of SIMPLIFY_PRESETS
+  tolerance: 2,
+
+  // Also store the full unsimplified track, raw GPS fixes included, with the local
+  // copy of the route - the route editor re-smooths from it
+  keepRaw: true
+};
+
+/**
+ * Tolerance presets offered in the settings dialog
+ */
+export const SIMPLIFY_PRESETS = [
+  { id: 'full', label: '🎯 Full detail (no simplification)', enabled: false, tolerance: 0 },
+  { id: 'fine', label: '🪶 Fine (2 m)', enabled: true, tolerance: 2 },
+  { id: 'balanced', label: '⚖️ Balanced (5 m)', enabled: true, tolerance: 5 },
+  { id: 'compact', label: '📦 Compact (10 m)', enabled: true, tolerance: 10 }
+];
+
+const SETTINGS_KEY = 'trackSimplification';
+
+/**
+ * Current settings (localStorage, merged over defaults)
+ * @returns {object}
+ */
+export function loadSimplifySettings() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(SETTINGS_KEY) || 'null');
+    return { ...SIMPLIFY_CONFIG, ...(saved || {}) };
+  } catch (error) {
+    console.warn('Failed to load simplification settings:', error);
+    return { ...SIMPLIFY_CONFIG };
+  }
+}
+
+/**
+ * Persist settings
+ * @param {object} settings - Partial settings, merged over the current ones
+ * @returns {object} The saved settings
+ */
+export function saveSimplifySettings(settings) {
+  const merged = { ...loadSimplifySettings(), ...settings };
+  localStorage.setItem(SETTINGS_KEY, JSON.stringify(merged));
+  return merged;
+}
+
+// ==================== GEOMETRY ====================
+
+/**
+ * Project lat/lng to local meters (equirectangular - fine at route scale)
+ */
+function projectPoints(coordsList) {
+  const refLat = coordsList.reduce((sum, c) => sum + c.lat, 0) / coordsList.length;
+  const mPerLng = 111320 * Math.cos(refLat * Math.PI / 180);
+  const mPerLat = 110540;
+  return coordsList.map(c => ({ x: c.lng * mPerLng, y: c.lat * mPerLat }));
+}
+
+function segmentDistance(p, a, b) {
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  const lengthSq = dx * dx + dy * dy;
+  if (lengthSq === 0) return Math.hypot(p.x - a.x, p.y - a.y);
+
+  const t = Math.max(0, Math.min(1, ((p.x - a.x) * dx + (p.y - a.y) * dy) / lengthSq));
+  return Math.hypot(p.x - (a.x + t * dx), p.y - (a.y + t * dy));
+}
+
+function triangleArea(a, b, c) {
+  return Math.abs((a.x * (b.y - c.y) + b.x * (c.y - a.y) + c.x * (a.y - b.y)) / 2);
+}
+
+/**
+ * Split [0, n-1] at the pinned indexes so each piece is simplified on its own
+ */
+function pinnedRanges(length, pinned) {
+  const stops = [...new Set([0, length - 1, ...pinned])]
+    .filter(i => i >= 0 && i < length)
+    .sort((a, b) => a - b);
+
+  const ranges = [];
+  for (let i = 1; i < stops.length; i++) {
+    ranges.push([stops[i - 1], stops[i]]);
+  }
+  return { stops, ranges };
+}
+
+/**
+ * Douglas-Peucker simplification
+ * @param {Array} coordsList - [{ lat, lng }]
+ * @param {number} tolerance - Meters
+ * @param {Iterable<number>} pinned - Indexes that must be kept
+ * @returns {Array<number>} Kept indexes, ascending
+ */
+export function douglasPeucker(coordsList, tolerance, pinned = []) {
+  if (coordsList.length <= 2) return coordsList.map((_, i) => i);
+
+  const points = projectPoints(coordsList);
+  const { stops, ranges } = pinnedRanges(points.length, pinned);
+  const keep = new Set(stops);
+
+  ranges.forEach(([first, last]) => {
+    const stack = [[first, last]];
+
+    while (stack.length > 0) {
+      const [start, end] = stack.pop();
+      let maxDistance = 0;
+      let index = -1;
+
+      for (let i = start + 1; i < end; i++) {
+        const distance = segmentDistance(points[i], points[start], points[end]);
+        if (distance > maxDistance) {
+          maxDistance = distance;
+          index = i;
+        }
+      }
+
+      if (index !== -1 && maxDistance > tolerance) {
+        keep.add(index);
+        stack.push([start, index], [index, end]);
+      }
+    }
+  });
+
+  return [...keep].sort((a, b) => a - b);
+}
+
+/**
+ * Visvalingam-Whyatt simplification
+ * @param {Array} coordsList - [{ lat, lng }]
+ * @param {number} tolerance - Meters; points whose effective area is below tolerance² are dropped
+ * @param {Iterable<number>} pinned - Indexes that must be kept
+ * @returns {Array<number>} Kept indexes, ascending
+ */
+export function visvalingam(coordsList, tolerance, pinned = []) {
+  if (coordsList.length <= 2) return coordsList.map((_, i) => i);
+
+  const points = projectPoints(coordsList);
+  const { stops } = pinnedRanges(points.length, pinned);
+  const locked = new Set(stops);
+  const minArea = tolerance * tolerance;
+
+  const prev = points.map((_, i) => i - 1);
+  const next = points.map((_, i) => i + 1);
+  const area = points.map(() => Infinity);
+  const removed = new Set();
+  const heap = new MinHeap();
+
+  const updateArea = (i) => {
+    if (locked.has(i) || prev[i] < 0 || next[i] >= points.length) return;
+    area[i] = triangleArea(points[prev[i]], points[i], points[next[i]]);
+    heap.push(area[i], i);
+  };
+
+  for (let i = 1; i < points.length - 1; i++) updateArea(i);
+
+  while (heap.size() > 0) {
+    const { key, value: i } = heap.pop();
+    // Skip stale heap entries
+    if (removed.has(i) || key !== area[i]) continue;
+    if (key >= minArea) break;
+
+    removed.add(i);
+    next[prev[i]] = next[i];
+    prev[next[i]] = prev[i];
+    updateArea(prev[i]);
+    updateArea(next[i]);
+  }
+
+  return points.map((_, i) => i).filter(i => !removed.has(i));
+}
+
+/**
+ * Minimal binary heap keyed by number
+ */
+class MinHeap {
+  constructor() {
+    this.items = [];
+  }
+
+  size() {
+    return this.items.length;
+  }
+
+  push(key, value) {
+    const items = this.items;
+    items.push({ key, value });
+    let i = items.length - 1;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (items[parent].key <= items[i].key) break;
+      [items[parent], items[i]] = [items[i], items[parent]];
+      i = parent;
+    }
+  }
+
+  pop() {
+    const items = this.items;
+    const top = items[0];
+    const last = items.pop();
+    if (items.length > 0) {
+      items[0] = last;
+      let i = 0;
+      while (true) {
+        const left = i * 2 + 1;
+        const right = left + 1;
+        let smallest = i;
+        if (left < items.length && items[left].key < items[smallest].key) smallest = left;
+        if (right < items.length && items[right].key < items[smallest].key) smallest = right;
+        if (smallest === i) break;
+        [items[smallest], items[i]] = [items[i], items[smallest]];
+        i = smallest;
+      }
+    }
+    return top;
+  }
+}
+
+const ALGORITHMS = {
+  'douglas-peucker': douglasPeucker,
+  'visvalingam': visvalingam
+};
+
+// ==================== ROUTE DATA ====================
+
+/**
+ * Index of the location point recorded closest in time to a timestamp
+ * @param {Array} locations - Location entries in time order
+ * @param {number} timestamp
+ * @returns {number}
+ */
+export function nearestByTime(locations, timestamp) {
+  let low = 0;
+  let high = locations.length - 1;
+
+  while (low < high) {
+    const mid = (low + high) >> 1;
+    if (locations[mid].timestamp < timestamp) low = mid + 1;
+    else high = mid;
+  }
+
+  if (low > 0 && Math.abs(locations[low - 1].timestamp - timestamp) <= Math.abs(locations[low].timestamp - timestamp)) {
+    return low - 1;
+  }
+  return low;
+}
+
+/**
+ * Simplify a route's location points, keeping everything else.
+ * Rejected raw fixes (raw_location) are dropped - they only matter for
+ * re-smoothing, which needs the unsimplified track anyway.
+ * @param {Array} routeData - Route data entries, time ordered
+ * @param {object} options - Overrides for the saved settings
+ * @returns {object} { routeData, stats: { algorithm, tolerance, originalPoints, keptPoints } }
+ */
+export function simplifyRouteData(routeData, options = {}) {
+  const settings = { ...loadSimplifySettings(), ...options };
+  const simplify = ALGORITHMS[settings.algorithm];
+  if (!simplify) {
+    throw new Error(`Unknown simplification algorithm: ${settings.algorithm}`);
+  }
+
+  const locations = routeData.filter(entry => entry.type === 'location' && entry.coords);
+
+  // Pin both ends of every segment
+  const pinned = new Set();
+  for (let i = 1; i < locations.length; i++) {
+    if (getSegmentIndex(locations[i]) !== getSegmentIndex(locations[i - 1])) {
+      pinned.add(i - 1);
+      pinned.add(i);
+    }
+  }
+
+  // Pin the track point under every photo, note and rest stop, and both ends of marked stretches
+  if (locations.length > 0) {
+    routeData.forEach(entry => {
+      if (entry.type === 'location' || entry.type === 'raw_location') return;
+      if (typeof entry.timestamp !== 'number') return;
+      pinned.add(nearestByTime(locations, entry.timestamp));
+      if (typeof entry.endTimestamp === 'number') pinned.add(nearestByTime(locations, entry.endTimestamp));
+    });
+  }
+
+  const kept = new Set(
+    simplify(locations.map(l => l.coords), settings.tolerance, pinned).map(i => locations[i])
+  );
+
+  const simplified = routeData.filter(entry => {
+    if (entry.type === 'raw_location') return false;
+    if (entry.type === 'location' && entry.coords) return kept.has(entry);
+    return true;
+  });
+
+  return {
+    routeData: simplified,
+    stats: {
+      algorithm: settings.algorithm,
+      tolerance: settings.tolerance,
+      originalPoints: locations.length,
+      keptPoints: kept.size
+    }
+  };
+}
+
+/**
+ * Apply the saved settings: simplified data when enabled, untouched otherwise
+ * @param {Array} routeData
+ * @returns {object} { routeData, stats } - stats is null when nothing was done
+ */
+export function applySimplifySettings(routeData) {
+  const settings = loadSimplifySettings();
+  if (!settings.enabled || !settings.tolerance) {
+    return { routeData, stats: null };
+  }
+  return simplifyRouteData(routeData, settings);
+}
@@ -1,9 +1,18 @@
 // GPS tracking with proper save prompt
 import { haversineDistance } from '../utils/calculations.js';
+import { createPositionFilter, buildFixEntry, REJECT_REASONS } from './positionFilter.js';
+import { MotionDetector } from './motionDetector.js';
+import { isGap, getSegmentIndex, SEGMENT_BREAK_REASONS } from './trackSegments.js';
 import { toast } from '../utils/toast.js';
 import { modal } from '../utils/modal.js';
 import { userService } from '../services/userService.js';
+import { entitlements } from '../services/entitlements.js';
 import { trailGuideGeneratorV2 } from '../features/trailGuideGeneratorV2.js';
+import { gradeAnalyzer } from '../features/gradeAnalysis.js';
+import { normalizeSurvey, getGuideSummary } from '../config/surveySchema.js';
+import { getTrailCell } from '../features/surveyConsensus.js';
+import { getStretches, toStorableStretches } from './trailStretches.js';
+import { surveyHistory } from '../services/surveyHistory.js';
 
 export class TrackingController {
   constructor(appState) {
@@ -12,6 +21,18 @@ export class TrackingController {
     this.isTracking = false;
     this.isPaused = false;
     this.dependencies = {};
+    this.positionFilter = createPositionFilter();
+
+    // Auto-pause while resting
+    this.motionDetector = new MotionDetector();
+    this.autoPauseEnabled = localStorage.getItem('autoPauseEnabled') !== 'false';
+    this.isAutoPaused = false;
+    this.pauseStart = null;
+
+    // Track segments - a new one starts after a pause, GPS gap or signal loss
+    this.segmentIndex = 0;
+    this.segmentBreak = null;      // Reason the next accepted fix starts a new segment
+    this.lastAcceptedPoint = null; // { coords, timestamp } for gap detection
   }
 
   setDependencies(deps) {
@@ -51,6 +72,20 @@ async start() {
   this.isTracking = true;
   this.isPaused = false;
   this.appState.setTrackingState(true);
+
+  // Fresh filter state - the first fix re-seeds the smoother
+  this.positionFilter.reset();
+  this.motionDetector.reset();
+  this.isAutoPaused = false;
+  this.pauseStart = null;
+
+  // Continue the restored route in a new segment - we don't know where the user went meanwhile
+  const lastPoint = isResuming
+    ? [...this.appState.getRouteData()].reverse().find(p => p.type === 'location')
+    : null;
+  this.segmentIndex = lastPoint ? getSegmentIndex(lastPoint) : 0;
+  this.segmentBreak = lastPoint ? SEGMENT_BREAK_REASONS.resume : null;
+  this.lastAcceptedPoint = null;
   
   // Add body class to disable pull-to-refresh
   document.body.classList.add('tracking-active');
@@ -71,8 +106,9 @@ async start() {
   if (isResuming) {
     // FIXED: Get the actual elapsed time from app state
     const restoredElapsed = this.appState.getElapsedTime();
-    console.log(`⏱️ Starting timer with restored elapsed: ${restoredElapsed}ms`);
-    this.dependencies.timer.start(restoredElapsed);
+    const restoredMoving = this.appState.getMovingTime();
+    console.log(`⏱️ Starting timer with restored elapsed: ${restoredElapsed}ms (moving: ${restoredMoving}ms)`);
+    this.dependencies.timer.start(restoredElapsed, restoredMoving);
   } else {
     this.dependencies.timer.start();
   }
@@ -125,11 +161,15 @@ async stop() {
     this.watchId = null;
   }
 
-  // Stop timer and get final elapsed time
+  // Close any rest that was in progress so it's recorded on the route
+  this.endAutoPause(false);
+
+  // Stop timer and get final elapsed and moving time
   let finalElapsed = 0;
   if (this.dependencies.timer) {
     finalElapsed = this.dependencies.timer.stop();
     this.appState.setElapsedTime(finalElapsed);
+    this.appState.setMovingTime(this.dependencies.timer.getMovingTime());
   }
 
   this.isTracking = false;
@@ -152,6 +192,9 @@ async stop() {
     }
   }
 
+  // Measure slopes from the recorded geometry before saving
+  await this.runGradeAnalysis();
+
   // Prompt for save (await to ensure proper sequencing)
   await this.promptForSave();
 
@@ -177,6 +220,13 @@ async stop() {
         this.dependencies.timer.resume();
       }
 
+      this.recordPause(false);
+      this.motionDetector.reset();
+
+      // The track picks up in a new segment; don't smooth towards where we paused
+      this.segmentBreak = SEGMENT_BREAK_REASONS.pause;
+      this.positionFilter.reset();
+
       // Restart GPS watch
       this.watchId = navigator.geolocation.watchPosition(
         (position) => this.handlePositionUpdate(position),
@@ -191,7 +241,12 @@ async stop() {
     } else {
       // Pause
       console.log('⏸️ Pausing tracking...');
+      this.endAutoPause(false);
       this.isPaused = true;
+      this.pauseStart = {
+        timestamp: Date.now(),
+        coords: this.appState.getLastCoords()
+      };
       
       if (this.dependencies.timer) {
         this.dependencies.timer.pause();
@@ -213,22 +268,58 @@ async stop() {
     if (!this.isTracking || this.isPaused) return;
 
     const { latitude, longitude, accuracy } = position.coords;
-    
-    // Filter out inaccurate readings
-    if (accuracy > 100) {
-      console.warn(`GPS accuracy too low: ${accuracy}m`);
+    const rawFix = {
+      lat: latitude,
+      lng: longitude,
+      accuracy,
+      timestamp: position.timestamp || Date.now()
+    };
+
+    // Rest detection works on the raw readings, before any smoothing
+    if (this.autoPauseEnabled) {
+      const motion = this.motionDetector.update({ ...rawFix, speed: position.coords.speed });
+      if (motion === 'stopped') {
+        this.startAutoPause();
+      } else if (motion === 'moving') {
+        this.endAutoPause();
+      }
+    }
+
+    // Run the fix through the filter chain (accuracy, speed, smoothing, jitter)
+    const result = this.positionFilter.process(rawFix);
+    const entry = buildFixEntry(rawFix, result);
+
+    if (!result.accepted) {
+      // Standing still sends a fix every second - they add nothing to the track
+      if (result.reason === REJECT_REASONS.stationary) return;
+
+      // Keep the raw reading so the route can be re-smoothed later
+      entry.segment = this.segmentIndex;
+      this.appState.addRoutePoint(entry);
+      console.warn(`GPS fix rejected (${result.reason}): ±${accuracy.toFixed(1)}m`);
       return;
     }
 
-    const currentCoords = { lat: latitude, lng: longitude };
+    const currentCoords = entry.coords;
     const lastCoords = this.appState.getLastCoords();
 
-    // Calculate distance if we have a previous point
-    if (lastCoords) {
+    let breakReason = this.segmentBreak;
+    if (!breakReason && isGap(this.lastAcceptedPoint, entry)) {
+      breakReason = SEGMENT_BREAK_REASONS.gap;
+    }
+
+    if (lastCoords && breakReason) {
+      // New segment: the jump from the last point isn't walked distance
+      this.segmentIndex++;
+      entry.segmentStart = breakReason;
+      console.log(`✂️ New track segment (${breakReason})`);
+
+      if (this.dependencies.map) {
+        this.dependencies.map.addGapSegment(lastCoords, currentCoords);
+      }
+    } else if (lastCoords) {
+      // Calculate distance from the previous point
       const distance = haversineDistance(lastCoords, currentCoords);
-      
-      // Ignore micro-movements (less than 3 meters)
-      if (distance < 0.003) return;
 
       // Update total distance
       const newTotal = this.appState.getTotalDistance() + distance;
@@ -241,13 +332,12 @@ async stop() {
       }
     }
 
-    // Add GPS point to route data
-    this.appState.addRoutePoint({
-      type: 'location',
-      coords: currentCoords,
-      timestamp: Date.now(),
-      accuracy: accuracy
-    });
+    entry.segment = this.segmentIndex;
+    this.segmentBreak = null;
+    this.lastAcceptedPoint = { coords: currentCoords, timestamp: entry.timestamp };
+
+    // Add smoothed GPS point (with its raw reading) to route data
+    this.appState.addRoutePoint(entry);
 
     this.appState.addPathPoint(currentCoords);
 
@@ -258,10 +348,102 @@ async stop() {
 
     // Dispatch position update event for trail alerts and other modules
     window.dispatchEvent(new CustomEvent('positionUpdate', {
-      detail: { lat: latitude, lng: longitude, accuracy }
+      detail: { lat: currentCoords.lat, lng: currentCoords.lng, accuracy, raw: entry.raw }
     }));
 
-    console.log(`📍 GPS: ${latitude.toFixed(6)}, ${longitude.toFixed(6)} (±${accuracy.toFixed(1)}m)`);
+    console.log(`📍 GPS: ${currentCoords.lat.toFixed(6)}, ${currentCoords.lng.toFixed(6)} (±${accuracy.toFixed(1)}m)`);
+  }
+
+  // Attach elevations and compute grade statistics for the current route
+  async runGradeAnalysis() {
+    try {
+      const analysis = await gradeAnalyzer.analyzeRoute(this.appState);
+      if (analysis) {
+        console.log(`📐 Grade analysis: ${gradeAnalyzer.describe(analysis)}`);
+        if (this.dependencies.map) {
+          this.dependencies.map.highlightSteepSections(analysis.steepSections);
+        }
+      }
+      return analysis;
+    } catch (error) {
+      console.warn('⚠️ Grade analysis failed:', error);
+      return null;
+    }
+  }
+
+  // Auto-pause: user has stopped moving. GPS keeps running so we notice when they set off again.
+  startAutoPause() {
+    if (this.isAutoPaused || this.isPaused) return;
+
+    const since = this.motionDetector.getStopStartTime() || Date.now();
+    this.isAutoPaused = true;
+    this.pauseStart = {
+      timestamp: since,
+      coords: this.appState.getLastCoords()
+    };
+
+    if (this.dependencies.timer) {
+      this.dependencies.timer.autoPause(since);
+    }
+
+    this.updateTrackingButtons();
+    toast.info('Looks like you\'re resting - moving time is paused and will resume when you move on.', { title: 'Auto-paused' });
+
+    window.dispatchEvent(new CustomEvent('trackingAutoPaused', { detail: { since } }));
+    console.log('💤 Auto-paused - user is stationary');
+  }
+
+  // End an auto-pause (user moved on, paused manually, or stopped tracking)
+  endAutoPause(announce = true) {
+    if (!this.isAutoPaused) return;
+
+    this.isAutoPaused = false;
+    if (this.dependencies.timer) {
+      this.dependencies.timer.autoResume();
+    }
+
+    this.recordPause(true);
+    this.updateTrackingButtons();
+
+    if (announce) {
+      toast.info('Welcome back - moving time resumed.', { title: 'Auto-resumed' });
+    }
+
+    window.dispatchEvent(new CustomEvent('trackingAutoResumed'));
+    console.log('🚶 Auto-resumed - user is moving again');
+  }
+
+  // Store a finished pause/rest on the route so saves, exports and the guide can show it
+  recordPause(auto) {
+    if (!this.pauseStart) return;
+
+    const endTimestamp = Date.now();
+    this.appState.addRoutePoint({
+      type: 'pause',
+      coords: this.pauseStart.coords || this.appState.getLastCoords(),
+      timestamp: this.pauseStart.timestamp,
+      endTimestamp,
+      duration: Math.max(endTimestamp - this.pauseStart.timestamp, 0),
+      auto
+    });
+
+    this.pauseStart = null;
+  }
+
+  // Turn automatic rest detection on or off (persisted)
+  setAutoPauseEnabled(enabled) {
+    this.autoPauseEnabled = enabled;
+    localStorage.setItem('autoPauseEnabled', enabled ? 'true' : 'false');
+
+    if (!enabled) {
+      this.endAutoPause(false);
+      this.motionDetector.reset();
+    }
+  }
+
+  // Swap in a different filter chain (e.g. from settings or for testing)
+  setPositionFilter(pipeline) {
+    this.positionFilter = pipeline;
   }
 
   handlePositionError(error) {
@@ -285,6 +467,11 @@ async stop() {
 
     toast.error(errorMessage, { title: 'GPS Error', duration: 6000 });
 
+    // Signal lost - whatever comes next starts a new segment
+    if (this.isTracking && !this.isPaused && error.code !== error.PERMISSION_DENIED) {
+      this.segmentBreak = this.segmentBreak || SEGMENT_BREAK_REASONS.signalLoss;
+    }
+
     if (error.code === error.PERMISSION_DENIED) {
       this.stop(); // Stop tracking if permission denied
     }
@@ -308,6 +495,9 @@ async stop() {
       if (this.isPaused) {
         pauseBtn.innerHTML = '▶'; // Resume icon
         pauseBtn.title = 'Resume Tracking';
+      } else if (this.isAutoPaused) {
+        pauseBtn.innerHTML = '💤'; // Auto-paused, still listening for movement
+        pauseBtn.title = 'Auto-paused (resting) - tap to pause manually';
       } else {
         pauseBtn.innerHTML = '⏸'; // Pause icon
         pauseBtn.title = 'Pause Tracking';
@@ -336,6 +526,7 @@ async stop() {
     const routeData = this.appState.getRouteData();
     const totalDistance = this.appState.getTotalDistance();
     const elapsedTime = this.appState.getElapsedTime();
+    const movingTime = this.appState.getMovingTime();
     
     // Only prompt if we actually have route data
     if (!routeData || routeData.length === 0) {
@@ -351,6 +542,7 @@ async stop() {
     const routeStats = `📍 GPS Points: ${locationPoints}
 📏 Distance: ${totalDistance.toFixed(2)} km
 ⏱️ Duration: ${this.formatTime(elapsedTime)}
+🚶 Moving: ${this.formatTime(movingTime)}
 📷 Photos: ${photos}
 📝 Notes: ${notes}`;
 
@@ -404,18 +596,23 @@ async saveRoute() {
     const app = window.AccessNatureApp;
     const authController = app?.getController('auth');
     
-    if (authController?.isAuthenticated()) {
+    if (authController?.isAuthenticated() && !(await entitlements.ensureLimit('maxSavedRoutes'))) {
+      // Over the plan's cloud route limit - the local save stands
+      console.log('Cloud save skipped: saved route limit reached');
+    } else if (authController?.isAuthenticated()) {
       // Ask about cloud save with public/private option
       const cloudChoice = await this.askCloudSaveOptions(routeName);
       
       if (cloudChoice && cloudChoice !== 'skip') {
         try {
-          // Get the current route data before clearing it
-          const routeData = this.appState.getRouteData();
+          // Upload what was stored locally (simplified per the track detail setting)
+          const routeData = savedSession.data;
           const routeInfo = {
             name: routeName,
             totalDistance: this.appState.getTotalDistance(),
             elapsedTime: this.appState.getElapsedTime(),
+            movingTime: this.appState.getMovingTime(),
+            gradeAnalysis: this.appState.getGradeAnalysis(),
             date: new Date().toISOString(),
             makePublic: cloudChoice === 'public' // Add this flag
           };
@@ -424,7 +621,7 @@ async saveRoute() {
           let accessibilityData = null;
           try {
             const storedAccessibilityData = localStorage.getItem('accessibilityData');
-            accessibilityData = storedAccessibilityData ? JSON.parse(storedAccessibilityData) : null;
+            accessibilityData = storedAccessibilityData ? normalizeSurvey(JSON.parse(storedAccessibilityData)) : null;
           } catch (error) {
             console.warn('Could not load accessibility data:', error);
           }
@@ -477,11 +674,19 @@ async askCloudSaveOptions(routeName) {
 // UPDATED: Generate trail guide with public/private setting
 async generateTrailGuide(routeId, routeData, routeInfo, accessibilityData, authController) {
   try {
+    if (!(await entitlements.ensureLimit('maxCloudGuides'))) {
+      console.log('Trail guide skipped: guide limit reached');
+      return;
+    }
+
     console.log('🌐 Generating trail guide HTML...');
     
     // Use the new trail guide generator V2
     const htmlContent = trailGuideGeneratorV2.generateHTML(routeData, routeInfo, accessibilityData);
     const user = authController.getCurrentUser();
+    const locations = routeData.filter(p => p.type === 'location' && p.coords);
+    const startPoint = locations.length > 0 ? { lat: locations[0].coords.lat, lng: locations[0].coords.lng } : null;
+    const endPoint = locations.length > 0 ? { lat: locations[locations.length - 1].coords.lat, lng: locations[locations.length - 1].coords.lng } : null;
     
     console.log('🔍 Saving trail guide for userId:', user?.uid);
     
@@ -504,20 +709,29 @@ async generateTrailGuide(routeId, routeData, routeInfo, accessibilityData, authC
       metadata: {
         totalDistance: routeInfo.totalDistance || 0,
         elapsedTime: routeInfo.elapsedTime || 0,
+        movingTime: routeInfo.movingTime ?? routeInfo.elapsedTime ?? 0,
         originalDate: routeInfo.date,
+        maxGrade: routeInfo.gradeAnalysis?.maxGrade ?? null,
+        averageGrade: routeInfo.gradeAnalysis?.averageGrade ?? null,
+        maxGradeAt: routeInfo.gradeAnalysis?.maxGradeAt ?? null,
+        steepSections: (routeInfo.gradeAnalysis?.steepSections || [])
+          .map(s => ({ maxGrade: s.maxGrade, startDistance: s.startDistance })),
         locationCount: routeData.filter(p => p.type === 'location').length,
         photoCount: routeData.filter(p => p.type === 'photo').length,
         noteCount: routeData.filter(p => p.type === 'text').length
       },
       
       // Accessibility features for search
-      accessibility: accessibilityData ? {
-        wheelchairAccess: accessibilityData.wheelchairAccess || 'Unknown',
-        trailSurface: accessibilityData.trailSurface || 'Unknown',
-        difficulty: accessibilityData.difficulty || 'Unknown',
-        facilities: accessibilityData.facilities || [],
-        location: accessibilityData.location || 'Unknown'
-      } : null,
+      accessibility: getGuideSummary(accessibilityData),
+      
+      // Full survey and trail ends - links surveys of the same trail (surveyConsensus)
+      survey: normalizeSurvey(accessibilityData),
+      startPoint,
+      endPoint,
+      trailCell: getTrailCell(startPoint),
+      
+      // Marked stretches, for rating without the route (see trailStretches)
+      stretches: toStorableStretches(getStretches(routeData)),
       
       // Technical info
       stats: {
@@ -544,6 +758,8 @@ async generateTrailGuide(routeId, routeData, routeInfo, accessibilityData, authC
     
     const visibilityText = routeInfo.makePublic ? 'public' : 'private';
     console.log(`✅ ${visibilityText} trail guide generated with ID:`, guideRef.id);
+    surveyHistory.recordCreated('trail_guides', guideRef.id, accessibilityData, user);
+    userService.trackGuideCreated(!!routeInfo.makePublic);
     
   } catch (error) {
     console.error('❌ Failed to generate trail guide:', error);
@@ -575,6 +791,7 @@ async saveRouteToCloud(routeData, routeInfo, accessibilityData, authController)
       // Route statistics
       totalDistance: routeInfo.totalDistance || 0,
       elapsedTime: routeInfo.elapsedTime || 0,
+      movingTime: routeInfo.movingTime ?? routeInfo.elapsedTime ?? 0,
       originalDate: routeInfo.date,
       
       // Route data
@@ -590,6 +807,9 @@ async saveRouteToCloud(routeData, routeInfo, accessibilityData, authController)
       
       // Accessibility information
       accessibilityData: accessibilityData,
+
+      // Measured slopes (profile omitted - it's recomputable from routeData elevations)
+      gradeAnalysis: routeInfo.gradeAnalysis ? gradeAnalyzer.toStorable(routeInfo.gradeAnalysis) : null,
       
       // Technical info
       deviceInfo: {
@@ -602,6 +822,8 @@ async saveRouteToCloud(routeData, routeInfo, accessibilityData, authController)
     // Save route to cloud
     const docRef = await addDoc(collection(db, 'routes'), routeDoc);
     console.log('✅ Route saved to cloud with ID:', docRef.id);
+    surveyHistory.recordCreated('routes', docRef.id, accessibilityData, user);
+    userService.trackRouteSaved();
     
     // Generate trail guide HTML
     await this.generateTrailGuide(docRef.id, routeData, routeInfo, accessibilityData, authController);
@@ -696,8 +918,10 @@ async saveRouteToCloud(routeData, routeInfo, accessibilityData, authController)
     return {
       isTracking: this.isTracking,
       isPaused: this.isPaused,
+      isAutoPaused: this.isAutoPaused,
       totalDistance: this.appState.getTotalDistance(),
       elapsedTime: this.appState.getElapsedTime(),
+      movingTime: this.dependencies.timer ? this.dependencies.timer.getMovingTime() : this.appState.getMovingTime(),
       pointCount: this.appState.getRouteData().length
     };
   }
@@ -714,5 +938,6 @@ async saveRouteToCloud(routeData, routeInfo, accessibilityData, authController)
     
     this.isTracking = false;
     this.isPaused = false;
+    this.isAutoPaused = false;
   }
 }
\ No newline at end of file
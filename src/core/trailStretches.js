@@ -0,0 +1,125 @@
+/**
+ * Trail Stretches
+ * Places the stretches marked on a route (see config/stretchAttributes.js) on
+ * its track: where each one starts and ends along the route, and the track it
+ * covers. Stretches are anchored by time, so they stay on the right part of
+ * the track after simplification and route edits.
+ *
+ * Access Nature - Route Geometry
+ * Created: December 2025
+ */
+
+import { getTrackSegments, getDistanceAlong } from './trackSegments.js';
+import { nearestByTime } from './trackSimplifier.js';
+import { getStretchSurface, getObstacleLabels, isStretchDescribed } from '../config/stretchAttributes.js';
+
+// Stretches closer than this read as one after the other ("then ...") (meters)
+const CONTINUOUS_GAP = 50;
+
+/**
+ * Stretch entries of a route, in the order they were marked
+ * @param {Array} routeData - Route data entries
+ * @returns {Array}
+ */
+export function getStretchEntries(routeData) {
+  return (routeData || []).filter(entry => entry.type === 'stretch' && typeof entry.timestamp === 'number');
+}
+
+/**
+ * Stretches placed on the track, in route order
+ * @param {Array} routeData - Route data entries
+ * @returns {Array} [{ entry, from, to, length, paths, attributes }]
+ *   from / to / length in meters along the route; paths: [[{ lat, lng }]], one per track segment
+ */
+export function getStretches(routeData) {
+  const entries = getStretchEntries(routeData);
+  const locations = (routeData || []).filter(p => p.type === 'location' && p.coords);
+  if (entries.length === 0 || locations.length < 2) return [];
+
+  const along = getDistanceAlong(locations);
+
+  return entries
+    .map(entry => {
+      const start = nearestByTime(locations, entry.timestamp);
+      const end = typeof entry.endTimestamp === 'number'
+        ? nearestByTime(locations, entry.endTimestamp)
+        : locations.length - 1;
+      const first = Math.min(start, end);
+      const last = Math.max(start, end);
+      const from = Math.round(along[first]);
+      const to = Math.round(along[last]);
+
+      return {
+        entry,
+        from,
+        to,
+        length: to - from,
+        paths: getTrackSegments(locations.slice(first, last + 1))
+          .map(segment => segment.map(p => ({ lat: p.coords.lat, lng: p.coords.lng }))),
+        attributes: entry.attributes || {}
+      };
+    })
+    .filter(stretch => stretch.length > 0)
+    .sort((a, b) => a.from - b.from);
+}
+
+/**
+ * Compact stretches for trail guide documents (no track)
+ * @param {Array} stretches - From getStretches
+ * @returns {Array} [{ from, to, attributes }]
+ */
+export function toStorableStretches(stretches) {
+  return (stretches || []).map(({ from, to, attributes }) => ({ from, to, attributes }));
+}
+
+/**
+ * Length for reading, e.g. "800 m" or "1.2 km"
+ * @param {number} meters
+ * @returns {string}
+ */
+export function formatLength(meters) {
+  return meters < 1000 ? `${Math.round(meters)} m` : `${(meters / 1000).toFixed(1)} km`;
+}
+
+// What a stretch is like, mid-sentence: "loose gravel with roots", "90 cm wide"
+function describeBriefly(attributes) {
+  const surface = getStretchSurface(attributes.surface);
+  const obstacles = getObstacleLabels(attributes).map(label => label.toLowerCase());
+
+  if (surface) {
+    return surface.label.toLowerCase() + (obstacles.length > 0 ? ` with ${obstacles.join(', ')}` : '');
+  }
+  if (obstacles.length > 0) return `with ${obstacles.join(', ')}`;
+
+  const parts = [];
+  if (typeof attributes.width === 'number') parts.push(`${attributes.width} cm wide`);
+  if (typeof attributes.slope === 'number') parts.push(`up to ${attributes.slope}%`);
+  return parts.join(', ');
+}
+
+/**
+ * The route's stretches as one sentence, e.g.
+ * "First 800 m paved, then 1.2 km loose gravel, from km 3.4, 300 m grass"
+ * @param {Array} stretches - From getStretches (or stored { from, to, attributes })
+ * @returns {string} Empty without described stretches
+ */
+export function describeStretches(stretches) {
+  let reached = 0;
+
+  const parts = (stretches || [])
+    .filter(stretch => isStretchDescribed(stretch.attributes))
+    .map((stretch, i) => {
+      const what = `${formatLength(stretch.to - stretch.from)} ${describeBriefly(stretch.attributes)}`;
+      const continues = stretch.from - reached <= CONTINUOUS_GAP;
+      reached = Math.max(reached, stretch.to);
+
+      if (!continues) {
+        const position = stretch.from < 1000 ? `${Math.round(stretch.from)} m` : `km ${(stretch.from / 1000).toFixed(1)}`;
+        return `from ${position}, ${what}`;
+      }
+      return `${i === 0 ? 'first' : 'then'} ${what}`;
+    });
+
+  const sentence = parts.join(', ');
+  return sentence.charAt(0).toUpperCase() + sentence.slice(1);
+}
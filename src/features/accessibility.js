@@ -1,5 +1,8 @@
 import { toast } from '../utils/toast.js';
 import { userService } from '../services/userService.js';
+import { SURVEY_SECTIONS, getSectionFields, getMissingRequired } from '../config/surveySchema.js';
+import { getSurveyErrors } from '../config/surveyRules.js';
+import { renderSurveyFields, collectSurvey, applySurveyRules, fillSurvey } from './surveyRenderer.js';
 // Enhanced accessibility form functionality with comprehensive survey
 export class AccessibilityForm {
   constructor() {
@@ -60,455 +63,17 @@ export class AccessibilityForm {
         <form class="form-container accessibility-form" id="accessibilityForm">
           <button type="button" class="btn-secondary" onclick="closeAccessibilityForm()">✖ Close</button>
           
-          <!-- Basic Trail Information -->
+          ${SURVEY_SECTIONS.map((section, index) => `
           <div class="section">
             <div class="section-header" onclick="toggleSection(this)">
-              <h2>🗺️ Basic Trail Information</h2>
+              <h2>${section.icon} ${section.title}</h2>
               <span class="toggle-icon">▼</span>
             </div>
-            <div class="section-content active">
-              <div class="form-row">
-                <div class="form-group">
-                  <label for="trailName">Trail Name (Required) <span class="required">*</span></label>
-                  <input type="text" id="trailName" name="trailName" required>
-                </div>
-                <div class="form-group">
-                  <label for="location">Location/Address (Required) <span class="required">*</span></label>
-                  <input type="text" id="location" name="location" required>
-                </div>
-              </div>
-
-              <div class="form-row">
-                <div class="form-group">
-                  <label for="trailLength">Trail Length (km)</label>
-                  <input type="number" id="trailLength" name="trailLength" step="0.1" min="0">
-                </div>
-                <div class="form-group">
-                  <label for="estimatedTime">Estimated Duration</label>
-                  <select id="estimatedTime" name="estimatedTime">
-                    <option value="">Select duration</option>
-                    <option value="Under 30 minutes">Under 30 minutes</option>
-                    <option value="30-60 minutes">30-60 minutes</option>
-                    <option value="1-2 hours">1-2 hours</option>
-                    <option value="2-4 hours">2-4 hours</option>
-                    <option value="Half day">Half day</option>
-                    <option value="Full day">Full day</option>
-                  </select>
-                </div>
-              </div>
-
-              <div class="form-row">
-                <div class="form-group">
-                  <label>Trip Type</label>
-                  <div class="radio-group">
-                    <div class="radio-item">
-                      <input type="radio" id="tripBeach" name="tripType" value="Beach Promenade">
-                      <label for="tripBeach">Beach Promenade</label>
-                    </div>
-                    <div class="radio-item">
-                      <input type="radio" id="tripStream" name="tripType" value="Stream Path">
-                      <label for="tripStream">Stream Path</label>
-                    </div>
-                    <div class="radio-item">
-                      <input type="radio" id="tripPark" name="tripType" value="Park Route">
-                      <label for="tripPark">Park Route</label>
-                    </div>
-                    <div class="radio-item">
-                      <input type="radio" id="tripForest" name="tripType" value="Forest Trail">
-                      <label for="tripForest">Forest Trail</label>
-                    </div>
-                    <div class="radio-item">
-                      <input type="radio" id="tripUrban" name="tripType" value="Urban Route">
-                      <label for="tripUrban">Urban Route</label>
-                    </div>
-                    <div class="radio-item">
-                      <input type="radio" id="tripScenic" name="tripType" value="Scenic Drive">
-                      <label for="tripScenic">Scenic Drive</label>
-                    </div>
-                  </div>
-                </div>
-                <div class="form-group">
-                  <label>Route Type</label>
-                  <div class="radio-group">
-                    <div class="radio-item">
-                      <input type="radio" id="routeCircular" name="routeType" value="Circular">
-                      <label for="routeCircular">Circular</label>
-                    </div>
-                    <div class="radio-item">
-                      <input type="radio" id="routeRoundTrip" name="routeType" value="Round Trip">
-                      <label for="routeRoundTrip">Round Trip</label>
-                    </div>
-                  </div>
-                </div>
-              </div>
-            </div>
-          </div>
-
-          <!-- Mobility Accessibility -->
-          <div class="section">
-            <div class="section-header" onclick="toggleSection(this)">
-              <h2>♿ Mobility Accessibility</h2>
-              <span class="toggle-icon">▼</span>
-            </div>
-            <div class="section-content">
-              <div class="form-group">
-                <label>Wheelchair Accessibility Level</label>
-                <div class="radio-group">
-                  <div class="radio-item">
-                    <input type="radio" id="wheelchairFull" name="wheelchairAccess" value="Fully accessible">
-                    <label for="wheelchairFull">Fully accessible</label>
-                  </div>
-                  <div class="radio-item">
-                    <input type="radio" id="wheelchairPartial" name="wheelchairAccess" value="Partially accessible">
-                    <label for="wheelchairPartial">Partially accessible</label>
-                  </div>
-                  <div class="radio-item">
-                    <input type="radio" id="wheelchairAssist" name="wheelchairAccess" value="Accessible with assistance">
-                    <label for="wheelchairAssist">Accessible with assistance</label>
-                  </div>
-                  <div class="radio-item">
-                    <input type="radio" id="wheelchairNot" name="wheelchairAccess" value="Not accessible">
-                    <label for="wheelchairNot">Not accessible</label>
-                  </div>
-                </div>
-              </div>
-
-              <div class="form-group">
-                <label>Disabled Parking</label>
-                <div class="form-row">
-                  <div class="form-group">
-                    <label>
-                      <input type="checkbox" name="disabledParking" value="Available"> Disabled parking available
-                    </label>
-                  </div>
-                  <div class="form-group">
-                    <label for="parkingSpaces">Number of spaces</label>
-                    <input type="number" id="parkingSpaces" name="parkingSpaces" min="0">
-                  </div>
-                </div>
-              </div>
-            </div>
-          </div>
-
-          <!-- Trail Surface & Quality -->
-          <div class="section">
-            <div class="section-header" onclick="toggleSection(this)">
-              <h2>🛤️ Trail Surface & Quality</h2>
-              <span class="toggle-icon">▼</span>
-            </div>
-            <div class="section-content">
-              <div class="form-group">
-                <label>Trail Surface Types (select all that apply)</label>
-                <div class="checkbox-group">
-                  <div class="checkbox-item">
-                    <input type="checkbox" id="surfaceAsphalt" name="trailSurface" value="Asphalt">
-                    <label for="surfaceAsphalt">Asphalt</label>
-                  </div>
-                  <div class="checkbox-item">
-                    <input type="checkbox" id="surfaceConcrete" name="trailSurface" value="Concrete">
-                    <label for="surfaceConcrete">Concrete</label>
-                  </div>
-                  <div class="checkbox-item">
-                    <input type="checkbox" id="surfaceStone" name="trailSurface" value="Stone">
-                    <label for="surfaceStone">Stone</label>
-                  </div>
-                  <div class="checkbox-item">
-                    <input type="checkbox" id="surfaceWood" name="trailSurface" value="Wood/Plastic Deck">
-                    <label for="surfaceWood">Wood/Plastic Deck</label>
-                  </div>
-                  <div class="checkbox-item">
-                    <input type="checkbox" id="surfaceGravel" name="trailSurface" value="Compacted Gravel">
-                    <label for="surfaceGravel">Compacted Gravel</label>
-                  </div>
-                  <div class="checkbox-item">
-                    <input type="checkbox" id="surfaceMixed" name="trailSurface" value="Mixed Surfaces">
-                    <label for="surfaceMixed">Mixed Surfaces</label>
-                  </div>
-                  <div class="checkbox-item">
-                    <input type="checkbox" id="surfaceGrass" name="trailSurface" value="Grass">
-                    <label for="surfaceGrass">Grass</label>
-                  </div>
-                </div>
-              </div>
-
-              <div class="form-group">
-                <label>Surface Quality</label>
-                <div class="radio-group">
-                  <div class="radio-item">
-                    <input type="radio" id="qualityExcellent" name="surfaceQuality" value="Excellent - smooth and well maintained">
-                    <label for="qualityExcellent">Excellent - smooth and well maintained</label>
-                  </div>
-                  <div class="radio-item">
-                    <input type="radio" id="qualityFair" name="surfaceQuality" value="Fair - minor disruptions, rough patches, bumps, cracks">
-                    <label for="qualityFair">Fair - minor disruptions, rough patches, bumps, cracks</label>
-                  </div>
-                  <div class="radio-item">
-                    <input type="radio" id="qualityPoor" name="surfaceQuality" value="Poor - serious disruptions, protruding stones, large grooves">
-                    <label for="qualityPoor">Poor - serious disruptions, protruding stones, large grooves</label>
-                  </div>
-                  <div class="radio-item">
-                    <input type="radio" id="qualityBlocked" name="surfaceQuality" value="Vegetation blocks passage">
-                    <label for="qualityBlocked">Vegetation blocks passage</label>
-                  </div>
-                </div>
-              </div>
-
-              <div class="form-group">
-                <label>Trail Slopes</label>
-                <div class="radio-group">
-                  <div class="radio-item">
-                    <input type="radio" id="slopeNone" name="trailSlopes" value="No slopes to mild slopes (up to 5%)">
-                    <label for="slopeNone">No slopes to mild slopes (up to 5%)</label>
-                  </div>
-                  <div class="radio-item">
-                    <input type="radio" id="slopeModerate" name="trailSlopes" value="Moderate slopes - assistance recommended (5%-10%)">
-                    <label for="slopeModerate">Moderate slopes - assistance recommended (5%-10%)</label>
-                  </div>
-                  <div class="radio-item">
-                    <input type="radio" id="slopeSteep" name="trailSlopes" value="Steep slopes - not accessible (over 10%)">
-                    <label for="slopeSteep">Steep slopes - not accessible (over 10%)</label>
-                  </div>
-                </div>
-              </div>
-            </div>
-          </div>
-
-          <!-- Visual & Environmental Features -->
-          <div class="section">
-            <div class="section-header" onclick="toggleSection(this)">
-              <h2>👁️ Visual & Environmental Features</h2>
-              <span class="toggle-icon">▼</span>
-            </div>
-            <div class="section-content">
-              <div class="form-group">
-                <label>Visual Impairment Adaptations (select all that apply)</label>
-                <div class="checkbox-group">
-                  <div class="checkbox-item">
-                    <input type="checkbox" id="visualRaised" name="visualAdaptations" value="Raised/protruding borders">
-                    <label for="visualRaised">Raised/protruding borders</label>
-                  </div>
-                  <div class="checkbox-item">
-                    <input type="checkbox" id="visualTexture" name="visualAdaptations" value="Texture/tactile differences">
-                    <label for="visualTexture">Texture/tactile differences</label>
-                  </div>
-                  <div class="checkbox-item">
-                    <input type="checkbox" id="visualColor" name="visualAdaptations" value="Color contrast differences">
-                    <label for="visualColor">Color contrast differences</label>
-                  </div>
-                </div>
-              </div>
-
-              <div class="form-group">
-                <label>Shade Coverage on Trail</label>
-                <div class="radio-group">
-                  <div class="radio-item">
-                    <input type="radio" id="shadePlenty" name="shadeCoverage" value="Plenty of shade">
-                    <label for="shadePlenty">Plenty of shade</label>
-                  </div>
-                  <div class="radio-item">
-                    <input type="radio" id="shadeIntermittent" name="shadeCoverage" value="Intermittent shade">
-                    <label for="shadeIntermittent">Intermittent shade</label>
-                  </div>
-                  <div class="radio-item">
-                    <input type="radio" id="shadeNone" name="shadeCoverage" value="No shade">
-                    <label for="shadeNone">No shade</label>
-                  </div>
-                </div>
-              </div>
-
-              <div class="form-group">
-                <label>
-                  <input type="checkbox" name="lighting" value="Trail is lit in darkness"> Trail is lit in darkness
-                </label>
-              </div>
-            </div>
-          </div>
-
-          <!-- Facilities & Amenities -->
-          <div class="section">
-            <div class="section-header" onclick="toggleSection(this)">
-              <h2>🚰 Facilities & Amenities</h2>
-              <span class="toggle-icon">▼</span>
-            </div>
-            <div class="section-content">
-              <div class="form-group">
-                <label>Accessible Water Fountains</label>
-                <div class="radio-group">
-                  <div class="radio-item">
-                    <input type="radio" id="fountainNone" name="waterFountains" value="None">
-                    <label for="fountainNone">None</label>
-                  </div>
-                  <div class="radio-item">
-                    <input type="radio" id="fountainOne" name="waterFountains" value="One accessible fountain">
-                    <label for="fountainOne">One accessible fountain</label>
-                  </div>
-                  <div class="radio-item">
-                    <input type="radio" id="fountainMultiple" name="waterFountains" value="Multiple fountains along route">
-                    <label for="fountainMultiple">Multiple fountains along route</label>
-                  </div>
-                </div>
-              </div>
-
-              <div class="form-group">
-                <label>Accessible Seating</label>
-                <div class="checkbox-group">
-                  <div class="checkbox-item">
-                    <input type="checkbox" id="benchNone" name="seating" value="No accessible benches">
-                    <label for="benchNone">No accessible benches</label>
-                  </div>
-                  <div class="checkbox-item">
-                    <input type="checkbox" id="benchOne" name="seating" value="One accessible bench">
-                    <label for="benchOne">One accessible bench</label>
-                  </div>
-                  <div class="checkbox-item">
-                    <input type="checkbox" id="benchMultiple" name="seating" value="Multiple benches along route">
-                    <label for="benchMultiple">Multiple benches along route</label>
-                  </div>
-                  <div class="checkbox-item">
-                    <input type="checkbox" id="benchNoRails" name="seating" value="Benches without handrails">
-                    <label for="benchNoRails">Benches without handrails</label>
-                  </div>
-                </div>
-              </div>
-
-              <div class="form-group">
-                <label>Accessible Picnic Areas</label>
-                <div class="form-row">
-                  <div class="form-group">
-                    <label>
-                      <input type="checkbox" name="picnicAreas" value="Available"> Accessible picnic areas available
-                    </label>
-                  </div>
-                  <div class="form-group">
-                    <label for="picnicCount">Number of areas</label>
-                    <input type="number" id="picnicCount" name="picnicCount" min="0">
-                  </div>
-                </div>
-                <div class="form-row">
-                  <div class="form-group">
-                    <label for="picnicShade">Areas in shade</label>
-                    <input type="number" id="picnicShade" name="picnicShade" min="0">
-                  </div>
-                  <div class="form-group">
-                    <label for="picnicSun">Areas in sun</label>
-                    <input type="number" id="picnicSun" name="picnicSun" min="0">
-                  </div>
-                </div>
-              </div>
-
-              <div class="form-group">
-                <label>
-                  <input type="checkbox" name="accessibleViewpoint" value="Available"> Accessible viewpoint available
-                </label>
-              </div>
-
-              <div class="form-group">
-                <label>Accessible Restrooms</label>
-                <div class="radio-group">
-                  <div class="radio-item">
-                    <input type="radio" id="restroomNone" name="restrooms" value="None">
-                    <label for="restroomNone">None</label>
-                  </div>
-                  <div class="radio-item">
-                    <input type="radio" id="restroomUnisex" name="restrooms" value="One unisex accessible restroom">
-                    <label for="restroomUnisex">One unisex accessible restroom</label>
-                  </div>
-                  <div class="radio-item">
-                    <input type="radio" id="restroomSeparate" name="restrooms" value="Separate accessible restrooms for men and women">
-                    <label for="restroomSeparate">Separate accessible restrooms for men and women</label>
-                  </div>
-                </div>
-              </div>
-            </div>
-          </div>
-
-          <!-- Signage & Navigation -->
-          <div class="section">
-            <div class="section-header" onclick="toggleSection(this)">
-              <h2>🗺️ Signage & Navigation</h2>
-              <span class="toggle-icon">▼</span>
-            </div>
-            <div class="section-content">
-              <div class="form-group">
-                <label>Available Signage (select all that apply)</label>
-                <div class="checkbox-group">
-                  <div class="checkbox-item">
-                    <input type="checkbox" id="signageMap" name="signage" value="Route map available">
-                    <label for="signageMap">Route map available</label>
-                  </div>
-                  <div class="checkbox-item">
-                    <input type="checkbox" id="signageDirectional" name="signage" value="Clear directional signage">
-                    <label for="signageDirectional">Clear directional signage</label>
-                  </div>
-                  <div class="checkbox-item">
-                    <input type="checkbox" id="signageSimple" name="signage" value="Simple language signage">
-                    <label for="signageSimple">Simple language signage</label>
-                  </div>
-                  <div class="checkbox-item">
-                    <input type="checkbox" id="signageAccessible" name="signage" value="Large, high-contrast accessible signage">
-                    <label for="signageAccessible">Large, high-contrast accessible signage</label>
-                  </div>
-                  <div class="checkbox-item">
-                    <input type="checkbox" id="signageAudio" name="signage" value="Audio explanation compatible with T-mode hearing devices">
-                    <label for="signageAudio">Audio explanation compatible with T-mode hearing devices</label>
-                  </div>
-                </div>
-              </div>
-
-              <div class="form-group">
-                <label>
-                  <input type="checkbox" name="qrCode" value="Available"> QR code with site information available
-                </label>
-              </div>
-            </div>
-          </div>
-
-          <!-- Additional Information -->
-          <div class="section">
-            <div class="section-header" onclick="toggleSection(this)">
-              <h2>📝 Additional Information</h2>
-              <span class="toggle-icon">▼</span>
-            </div>
-            <div class="section-content">
-              <div class="form-group">
-                <label for="additionalNotes">Additional accessibility notes</label>
-                <textarea id="additionalNotes" name="additionalNotes" placeholder="Please provide additional details about accessibility features, challenges, or recommendations..."></textarea>
-              </div>
-
-              <div class="form-row">
-                <div class="form-group">
-                  <label for="surveyorName">Surveyor Name (Optional)</label>
-                  <input type="text" id="surveyorName" name="surveyorName">
-                </div>
-                <div class="form-group">
-                  <label for="surveyDate">Survey Date</label>
-                  <input type="date" id="surveyDate" name="surveyDate">
-                </div>
-              </div>
-
-              <div class="form-group">
-                <label>Overall Accessibility Summary</label>
-                <div class="radio-group">
-                  <div class="radio-item">
-                    <input type="radio" id="summaryAccessible" name="accessibilitySummary" value="Accessible">
-                    <label for="summaryAccessible">Accessible</label>
-                  </div>
-                  <div class="radio-item">
-                    <input type="radio" id="summaryPartial" name="accessibilitySummary" value="Partially accessible">
-                    <label for="summaryPartial">Partially accessible</label>
-                  </div>
-                  <div class="radio-item">
-                    <input type="radio" id="summaryAssistance" name="accessibilitySummary" value="Accessible with assistance">
-                    <label for="summaryAssistance">Accessible with assistance</label>
-                  </div>
-                  <div class="radio-item">
-                    <input type="radio" id="summaryNotAccessible" name="accessibilitySummary" value="Not accessible">
-                    <label for="summaryNotAccessible">Not accessible</label>
-                  </div>
-                </div>
-              </div>
+            <div class="section-content${index === 0 ? ' active' : ''}">
+              ${renderSurveyFields(getSectionFields(section.id), { style: 'classic' })}
             </div>
           </div>
+          `).join('')}
 
           <div class="submit-section">
             <button type="submit" class="submit-btn">✅ Save Comprehensive Survey</button>
@@ -531,6 +96,9 @@ export class AccessibilityForm {
         this.handleFormSubmit(e);
       });
 
+      // Follow-up questions and answer checks
+      form.addEventListener('change', () => this.applyRules());
+
       // Auto-fill survey date
       const surveyDateField = form.querySelector('#surveyDate');
       if (surveyDateField && !surveyDateField.value) {
@@ -545,35 +113,24 @@ export class AccessibilityForm {
   async handleFormSubmit(event) {
     event.preventDefault();
     
-    const formData = new FormData(event.target);
-    const data = {};
-
-    // Handle checkboxes specially
-    const checkboxes = event.target.querySelectorAll('input[type="checkbox"]');
-    checkboxes.forEach(checkbox => {
-      const name = checkbox.name;
-      if (checkbox.checked) {
-        if (!data[name]) data[name] = [];
-        data[name].push(checkbox.value);
-      }
-    });
-
-    // Handle other inputs
-    for (const [key, value] of formData.entries()) {
-      if (!data[key]) {
-        data[key] = value;
-      }
-    }
+    const data = collectSurvey(event.target);
 
     // Validate required fields
-    const requiredFields = ['trailName', 'location'];
-    const missingFields = requiredFields.filter(field => !data[field]);
+    const missingFields = getMissingRequired(data);
     
     if (missingFields.length > 0) {
       toast.warning('Please fill in required fields: ' + missingFields.join(', '));
       return;
     }
 
+    // Contradictions and out-of-range answers are explained next to their field
+    const errors = getSurveyErrors(data);
+    if (errors.length > 0) {
+      this.applyRules();
+      toast.warning(errors[0].message);
+      return;
+    }
+
     // Store form data
     this.formData = data;
     localStorage.setItem("accessibilityData", JSON.stringify(data));
@@ -600,6 +157,11 @@ export class AccessibilityForm {
     this.close();
   }
 
+  applyRules() {
+    const form = document.getElementById('accessibilityForm');
+    if (form) applySurveyRules(form, collectSurvey(form), { style: 'classic' });
+  }
+
   toggleSection(header) {
     const content = header.nextElementSibling;
     const icon = header.querySelector('.toggle-icon');
@@ -627,6 +189,7 @@ export class AccessibilityForm {
     }
 
     this.prefillForm();
+    this.applyRules();
     setTimeout(() => this.finalMobileFix(), 100);
   }
 
@@ -647,31 +210,10 @@ export class AccessibilityForm {
       const savedData = localStorage.getItem('accessibilityData');
       if (!savedData) return;
 
-      const data = JSON.parse(savedData);
       const form = document.getElementById('accessibilityForm');
       if (!form) return;
 
-      Object.entries(data).forEach(([key, value]) => {
-        if (Array.isArray(value)) {
-          // Handle checkbox arrays
-          value.forEach(val => {
-            const checkbox = form.querySelector(`input[name="${key}"][value="${val}"]`);
-            if (checkbox) checkbox.checked = true;
-          });
-        } else {
-          const field = form.elements[key];
-          if (field) {
-            if (field.type === 'radio') {
-              const radio = form.querySelector(`input[name="${key}"][value="${value}"]`);
-              if (radio) radio.checked = true;
-            } else if (field.type === 'checkbox') {
-              field.checked = true;
-            } else {
-              field.value = value;
-            }
-          }
-        }
-      });
+      fillSurvey(form, JSON.parse(savedData));
     } catch (error) {
       console.error('Failed to prefill form:', error);
     }
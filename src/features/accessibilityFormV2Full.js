@@ -7,7 +7,9 @@
  * - Visual card selections instead of radio buttons
  * - Collapsible sections with completion indicators
  * - Better mobile layout
- * - Same data structure as original
+ * - Fields rendered from the shared survey schema (config/surveySchema.js)
+ * - Follow-up questions and answer checks from the survey rules (config/surveyRules.js)
+ * - Unsaved answers kept as a draft of the route or trail (surveyDrafts.js)
  * 
  * Access Nature - Phase 2 Redesign
  * Created: December 2025
@@ -15,22 +17,21 @@
 
 import { toast } from '../utils/toast.js';
 import { userService } from '../services/userService.js';
+import { gradeAnalyzer } from './gradeAnalysis.js';
+import { SURVEY_SECTIONS, getSurveyField, getSectionFields, getMissingRequired } from '../config/surveySchema.js';
+import { getSurveyProgress, getSurveyErrors } from '../config/surveyRules.js';
+import { renderSurveyFields, collectSurvey, applySurveyRules, fillSurvey, prefillSlope, prefillFacilities } from './surveyRenderer.js';
+import { surveyDrafts } from './surveyDrafts.js';
 
 export class AccessibilityFormV2Full {
   constructor() {
     this.isOpen = false;
     this.currentCallback = null;
     this.formData = {};
-    this.sections = [
-      { id: 'basic', icon: '🗺️', title: 'Basic Trail Information', required: true },
-      { id: 'mobility', icon: '♿', title: 'Mobility Accessibility', required: false },
-      { id: 'surface', icon: '🛤️', title: 'Trail Surface & Quality', required: false },
-      { id: 'visual', icon: '👁️', title: 'Visual & Environmental', required: false },
-      { id: 'facilities', icon: '🚰', title: 'Facilities & Amenities', required: false },
-      { id: 'signage', icon: '🪧', title: 'Signage & Navigation', required: false },
-      { id: 'additional', icon: '📝', title: 'Additional Information', required: false }
-    ];
+    this.measuredGrade = null; // Grade analysis of the recorded route, if any
+    this.sections = SURVEY_SECTIONS;
     this.expandedSection = 'basic';
+    this.draftReady = false; // Changes are kept as a draft once the resume prompt is answered
   }
 
   initialize() {
@@ -239,6 +240,11 @@ export class AccessibilityFormV2Full {
         color: #666;
       }
       
+      .af2f-section-badge.error {
+        background: #f8d7da;
+        color: #721c24;
+      }
+      
       .af2f-section-arrow {
         font-size: 1.2rem;
         color: #999;
@@ -556,6 +562,36 @@ export class AccessibilityFormV2Full {
           flex-direction: column;
         }
       }
+      
+      .af2f-measured-hint,
+      .af2f-waypoint-hint {
+        margin-top: 8px;
+        padding: 8px 10px;
+        background: #f0fdf4;
+        border: 1px solid #bbf7d0;
+        border-radius: 8px;
+        font-size: 0.8rem;
+        color: #166534;
+      }
+      
+      .af2f-rule-message {
+        margin-top: 8px;
+        padding: 8px 10px;
+        border-radius: 8px;
+        font-size: 0.8rem;
+      }
+      
+      .af2f-rule-message.error {
+        background: #fef2f2;
+        border: 1px solid #fecaca;
+        color: #991b1b;
+      }
+      
+      .af2f-rule-message.warning {
+        background: #fffbeb;
+        border: 1px solid #fde68a;
+        color: #92400e;
+      }
     `;
     
     document.head.appendChild(styles);
@@ -582,7 +618,7 @@ export class AccessibilityFormV2Full {
           <div class="af2f-progress-bar">
             <div class="af2f-progress-fill" id="af2f-progress"></div>
           </div>
-          <div class="af2f-progress-text" id="af2f-progress-text">0 of 7 sections complete</div>
+          <div class="af2f-progress-text" id="af2f-progress-text">0 questions answered</div>
         </div>
         
         <!-- Form Body -->
@@ -625,339 +661,7 @@ export class AccessibilityFormV2Full {
   }
 
   getSectionContent(sectionId) {
-    switch (sectionId) {
-      case 'basic':
-        return `
-          <div class="af2f-row">
-            <div class="af2f-field">
-              <label class="af2f-label">Trail Name <span class="required">*</span></label>
-              <input type="text" class="af2f-input" name="trailName" placeholder="e.g., Riverside Nature Path" required>
-            </div>
-            <div class="af2f-field">
-              <label class="af2f-label">Location/Address <span class="required">*</span></label>
-              <input type="text" class="af2f-input" name="location" placeholder="e.g., Central Park, NYC" required>
-            </div>
-          </div>
-          
-          <div class="af2f-row">
-            <div class="af2f-field">
-              <label class="af2f-label">Trail Length (km)</label>
-              <input type="number" class="af2f-input" name="trailLength" step="0.1" min="0" placeholder="e.g., 2.5">
-            </div>
-            <div class="af2f-field">
-              <label class="af2f-label">Estimated Duration</label>
-              <select class="af2f-select" name="estimatedTime">
-                <option value="">Select duration</option>
-                <option value="Under 30 minutes">Under 30 minutes</option>
-                <option value="30-60 minutes">30-60 minutes</option>
-                <option value="1-2 hours">1-2 hours</option>
-                <option value="2-4 hours">2-4 hours</option>
-                <option value="Half day">Half day</option>
-                <option value="Full day">Full day</option>
-              </select>
-            </div>
-          </div>
-          
-          <div class="af2f-field">
-            <label class="af2f-label">Trip Type</label>
-            <div class="af2f-chip-grid" data-field="tripType" data-type="single">
-              <div class="af2f-chip" data-value="Beach Promenade">🏖️ Beach</div>
-              <div class="af2f-chip" data-value="Stream Path">🌊 Stream</div>
-              <div class="af2f-chip" data-value="Park Route">🌳 Park</div>
-              <div class="af2f-chip" data-value="Forest Trail">🌲 Forest</div>
-              <div class="af2f-chip" data-value="Urban Route">🏙️ Urban</div>
-              <div class="af2f-chip" data-value="Scenic Drive">🚗 Scenic</div>
-            </div>
-          </div>
-          
-          <div class="af2f-field">
-            <label class="af2f-label">Route Type</label>
-            <div class="af2f-card-grid" data-field="routeType" data-type="single">
-              <div class="af2f-select-card" data-value="Circular">
-                <span class="card-icon">🔄</span>
-                <span class="card-label">Circular Loop</span>
-              </div>
-              <div class="af2f-select-card" data-value="Round Trip">
-                <span class="card-icon">↔️</span>
-                <span class="card-label">Round Trip</span>
-              </div>
-            </div>
-          </div>
-        `;
-        
-      case 'mobility':
-        return `
-          <div class="af2f-field">
-            <label class="af2f-label">Wheelchair Accessibility Level</label>
-            <div class="af2f-card-grid cols-4" data-field="wheelchairAccess" data-type="single">
-              <div class="af2f-select-card" data-value="Fully accessible">
-                <span class="card-icon">♿</span>
-                <span class="card-label">Fully Accessible</span>
-              </div>
-              <div class="af2f-select-card" data-value="Partially accessible">
-                <span class="card-icon">⚠️</span>
-                <span class="card-label">Partially</span>
-              </div>
-              <div class="af2f-select-card" data-value="Accessible with assistance">
-                <span class="card-icon">🤝</span>
-                <span class="card-label">With Assistance</span>
-              </div>
-              <div class="af2f-select-card" data-value="Not accessible">
-                <span class="card-icon">🚫</span>
-                <span class="card-label">Not Accessible</span>
-              </div>
-            </div>
-          </div>
-          
-          <div class="af2f-field">
-            <label class="af2f-label">Disabled Parking</label>
-            <div class="af2f-checkbox" data-field="disabledParking" data-value="Available">
-              <span class="check-box">✓</span>
-              <span class="check-label">Accessible parking available</span>
-            </div>
-          </div>
-          
-          <div class="af2f-field">
-            <div class="af2f-number-row">
-              <label class="af2f-label" style="margin-bottom:0">Number of accessible parking spaces:</label>
-              <input type="number" class="af2f-number-input" name="parkingSpaces" min="0" value="0">
-            </div>
-          </div>
-        `;
-        
-      case 'surface':
-        return `
-          <div class="af2f-field">
-            <label class="af2f-label">Trail Surface Types (select all that apply)</label>
-            <div class="af2f-chip-grid" data-field="trailSurface" data-type="multi">
-              <div class="af2f-chip" data-value="Asphalt">🛣️ Asphalt</div>
-              <div class="af2f-chip" data-value="Concrete">⬜ Concrete</div>
-              <div class="af2f-chip" data-value="Stone">🪨 Stone</div>
-              <div class="af2f-chip" data-value="Wood/Plastic Deck">🪵 Wood/Deck</div>
-              <div class="af2f-chip" data-value="Compacted Gravel">⚪ Compacted Gravel</div>
-              <div class="af2f-chip" data-value="Mixed Surfaces">🔀 Mixed</div>
-              <div class="af2f-chip" data-value="Grass">🌿 Grass</div>
-            </div>
-          </div>
-          
-          <div class="af2f-field">
-            <label class="af2f-label">Surface Quality</label>
-            <div class="af2f-card-grid" data-field="surfaceQuality" data-type="single">
-              <div class="af2f-select-card" data-value="Excellent - smooth and well maintained">
-                <span class="card-icon">✨</span>
-                <span class="card-label">Excellent</span>
-              </div>
-              <div class="af2f-select-card" data-value="Fair - minor disruptions, rough patches, bumps, cracks">
-                <span class="card-icon">👍</span>
-                <span class="card-label">Fair</span>
-              </div>
-              <div class="af2f-select-card" data-value="Poor - serious disruptions, protruding stones, large grooves">
-                <span class="card-icon">⚠️</span>
-                <span class="card-label">Poor</span>
-              </div>
-              <div class="af2f-select-card" data-value="Vegetation blocks passage">
-                <span class="card-icon">🌿</span>
-                <span class="card-label">Overgrown</span>
-              </div>
-            </div>
-          </div>
-          
-          <div class="af2f-field">
-            <label class="af2f-label">Trail Slopes</label>
-            <div class="af2f-card-grid cols-3" data-field="trailSlopes" data-type="single">
-              <div class="af2f-select-card" data-value="No slopes to mild slopes (up to 5%)">
-                <span class="card-icon">➡️</span>
-                <span class="card-label">Flat/Mild (&lt;5%)</span>
-              </div>
-              <div class="af2f-select-card" data-value="Moderate slopes - assistance recommended (5%-10%)">
-                <span class="card-icon">📐</span>
-                <span class="card-label">Moderate (5-10%)</span>
-              </div>
-              <div class="af2f-select-card" data-value="Steep slopes - not accessible (over 10%)">
-                <span class="card-icon">⛰️</span>
-                <span class="card-label">Steep (&gt;10%)</span>
-              </div>
-            </div>
-          </div>
-        `;
-        
-      case 'visual':
-        return `
-          <div class="af2f-field">
-            <label class="af2f-label">Visual Impairment Adaptations (select all that apply)</label>
-            <div class="af2f-chip-grid" data-field="visualAdaptations" data-type="multi">
-              <div class="af2f-chip" data-value="Raised/protruding borders">Raised borders</div>
-              <div class="af2f-chip" data-value="Texture/tactile differences">Tactile surfaces</div>
-              <div class="af2f-chip" data-value="Color contrast differences">Color contrast</div>
-            </div>
-          </div>
-          
-          <div class="af2f-field">
-            <label class="af2f-label">Shade Coverage on Trail</label>
-            <div class="af2f-card-grid cols-3" data-field="shadeCoverage" data-type="single">
-              <div class="af2f-select-card" data-value="Plenty of shade">
-                <span class="card-icon">🌳</span>
-                <span class="card-label">Plenty of shade</span>
-              </div>
-              <div class="af2f-select-card" data-value="Intermittent shade">
-                <span class="card-icon">⛅</span>
-                <span class="card-label">Intermittent</span>
-              </div>
-              <div class="af2f-select-card" data-value="No shade">
-                <span class="card-icon">☀️</span>
-                <span class="card-label">No shade</span>
-              </div>
-            </div>
-          </div>
-          
-          <div class="af2f-field">
-            <div class="af2f-checkbox" data-field="lighting" data-value="Trail is lit in darkness">
-              <span class="check-box">✓</span>
-              <span class="check-label">💡 Trail is lit in darkness</span>
-            </div>
-          </div>
-        `;
-        
-      case 'facilities':
-        return `
-          <div class="af2f-field">
-            <label class="af2f-label">Accessible Water Fountains</label>
-            <div class="af2f-card-grid cols-3" data-field="waterFountains" data-type="single">
-              <div class="af2f-select-card" data-value="None">
-                <span class="card-icon">🚫</span>
-                <span class="card-label">None</span>
-              </div>
-              <div class="af2f-select-card" data-value="One accessible fountain">
-                <span class="card-icon">🚰</span>
-                <span class="card-label">One</span>
-              </div>
-              <div class="af2f-select-card" data-value="Multiple fountains along route">
-                <span class="card-icon">🚰🚰</span>
-                <span class="card-label">Multiple</span>
-              </div>
-            </div>
-          </div>
-          
-          <div class="af2f-field">
-            <label class="af2f-label">Accessible Seating (select all that apply)</label>
-            <div class="af2f-chip-grid" data-field="seating" data-type="multi">
-              <div class="af2f-chip" data-value="No accessible benches">No benches</div>
-              <div class="af2f-chip" data-value="One accessible bench">One bench</div>
-              <div class="af2f-chip" data-value="Multiple benches along route">Multiple benches</div>
-              <div class="af2f-chip" data-value="Benches without handrails">Without handrails</div>
-            </div>
-          </div>
-          
-          <div class="af2f-field">
-            <label class="af2f-label">Accessible Picnic Areas</label>
-            <div class="af2f-checkbox" data-field="picnicAreas" data-value="Available">
-              <span class="check-box">✓</span>
-              <span class="check-label">🧺 Accessible picnic areas available</span>
-            </div>
-          </div>
-          
-          <div class="af2f-row af2f-row-3">
-            <div class="af2f-field">
-              <label class="af2f-label">Number of areas</label>
-              <input type="number" class="af2f-input" name="picnicCount" min="0" value="0">
-            </div>
-            <div class="af2f-field">
-              <label class="af2f-label">In shade</label>
-              <input type="number" class="af2f-input" name="picnicShade" min="0" value="0">
-            </div>
-            <div class="af2f-field">
-              <label class="af2f-label">In sun</label>
-              <input type="number" class="af2f-input" name="picnicSun" min="0" value="0">
-            </div>
-          </div>
-          
-          <div class="af2f-field">
-            <div class="af2f-checkbox" data-field="accessibleViewpoint" data-value="Available">
-              <span class="check-box">✓</span>
-              <span class="check-label">🏔️ Accessible viewpoint available</span>
-            </div>
-          </div>
-          
-          <div class="af2f-field">
-            <label class="af2f-label">Accessible Restrooms</label>
-            <div class="af2f-card-grid cols-3" data-field="restrooms" data-type="single">
-              <div class="af2f-select-card" data-value="None">
-                <span class="card-icon">🚫</span>
-                <span class="card-label">None</span>
-              </div>
-              <div class="af2f-select-card" data-value="One unisex accessible restroom">
-                <span class="card-icon">🚻</span>
-                <span class="card-label">Unisex</span>
-              </div>
-              <div class="af2f-select-card" data-value="Separate accessible restrooms for men and women">
-                <span class="card-icon">🚹🚺</span>
-                <span class="card-label">Separate M/F</span>
-              </div>
-            </div>
-          </div>
-        `;
-        
-      case 'signage':
-        return `
-          <div class="af2f-field">
-            <label class="af2f-label">Available Signage (select all that apply)</label>
-            <div class="af2f-chip-grid" data-field="signage" data-type="multi">
-              <div class="af2f-chip" data-value="Route map available">🗺️ Route map</div>
-              <div class="af2f-chip" data-value="Clear directional signage">➡️ Directional signs</div>
-              <div class="af2f-chip" data-value="Simple language signage">📖 Simple language</div>
-              <div class="af2f-chip" data-value="Large, high-contrast accessible signage">🔤 High contrast</div>
-              <div class="af2f-chip" data-value="Audio explanation compatible with T-mode hearing devices">🔊 Audio/T-mode</div>
-            </div>
-          </div>
-          
-          <div class="af2f-field">
-            <div class="af2f-checkbox" data-field="qrCode" data-value="Available">
-              <span class="check-box">✓</span>
-              <span class="check-label">📱 QR code with site information available</span>
-            </div>
-          </div>
-        `;
-        
-      case 'additional':
-        return `
-          <div class="af2f-field">
-            <label class="af2f-label">Additional accessibility notes</label>
-            <textarea class="af2f-textarea" name="additionalNotes" placeholder="Please provide additional details about accessibility features, challenges, or recommendations..."></textarea>
-          </div>
-          
-          <div class="af2f-row">
-            <div class="af2f-field">
-              <label class="af2f-label">Surveyor Name (Optional)</label>
-              <input type="text" class="af2f-input" name="surveyorName" placeholder="Your name">
-            </div>
-            <div class="af2f-field">
-              <label class="af2f-label">Survey Date</label>
-              <input type="date" class="af2f-input" name="surveyDate">
-            </div>
-          </div>
-          
-          <div class="af2f-field">
-            <label class="af2f-label">Overall Accessibility Summary</label>
-            <div class="af2f-card-grid cols-3" data-field="accessibilitySummary" data-type="single">
-              <div class="af2f-select-card" data-value="Accessible">
-                <span class="card-icon">✅</span>
-                <span class="card-label">Accessible</span>
-              </div>
-              <div class="af2f-select-card" data-value="Partially accessible">
-                <span class="card-icon">⚠️</span>
-                <span class="card-label">Partial</span>
-              </div>
-              <div class="af2f-select-card" data-value="Not accessible">
-                <span class="card-icon">❌</span>
-                <span class="card-label">Not Accessible</span>
-              </div>
-            </div>
-          </div>
-        `;
-        
-      default:
-        return '';
-    }
+    return renderSurveyFields(getSectionFields(sectionId), { style: 'af2f' });
   }
 
   setupEventListeners() {
@@ -1014,6 +718,12 @@ export class AccessibilityFormV2Full {
     overlay.addEventListener('input', () => {
       this.updateProgress();
     });
+
+    // Keep a draft of every answer
+    overlay.addEventListener('click', (e) => {
+      if (e.target.closest('[data-survey-field]')) this.saveDraft();
+    });
+    overlay.addEventListener('input', () => this.saveDraft());
   }
 
   toggleSection(sectionId) {
@@ -1030,96 +740,49 @@ export class AccessibilityFormV2Full {
     }
   }
 
+  /**
+   * Apply the survey rules and count progress over the questions that apply
+   */
   updateProgress() {
     const overlay = document.getElementById('af2f-overlay');
-    let completedSections = 0;
+    const survey = this.collectFormData();
+    const problems = applySurveyRules(overlay, survey, { style: 'af2f' });
+    const total = getSurveyProgress(survey);
     
     this.sections.forEach(section => {
-      const sectionEl = overlay.querySelector(`[data-section="${section.id}"]`);
-      const content = sectionEl.querySelector('.af2f-section-content');
-      
-      // Count filled fields
-      let filledCount = 0;
-      let totalFields = 0;
-      
-      // Text inputs
-      content.querySelectorAll('input[type="text"], input[type="date"], textarea, select').forEach(input => {
-        totalFields++;
-        if (input.value && input.value.trim()) filledCount++;
-      });
-      
-      // Number inputs (count if > 0)
-      content.querySelectorAll('input[type="number"]').forEach(input => {
-        totalFields++;
-        if (parseInt(input.value) > 0) filledCount++;
-      });
-      
-      // Selections
-      content.querySelectorAll('[data-field]').forEach(grid => {
-        totalFields++;
-        if (grid.querySelector('.selected')) filledCount++;
-      });
-      
-      // Checkboxes
-      content.querySelectorAll('.af2f-checkbox').forEach(cb => {
-        totalFields++;
-        if (cb.classList.contains('checked')) filledCount++;
-      });
+      const fields = getSectionFields(section.id);
+      const { answered, applicable } = getSurveyProgress(survey, fields);
+      const hasError = problems.some(p => p.severity === 'error' && fields.some(f => f.key === p.field));
       
       // Update badge
       const badge = document.getElementById(`af2f-badge-${section.id}`);
       if (badge) {
-        if (filledCount > 0) {
-          badge.textContent = `${filledCount} filled`;
-          badge.className = 'af2f-section-badge complete';
-          completedSections++;
-        } else {
-          badge.textContent = '0 filled';
-          badge.className = 'af2f-section-badge incomplete';
-        }
+        badge.textContent = hasError ? 'Check answers' : `${answered} of ${applicable}`;
+        badge.className = `af2f-section-badge ${hasError ? 'error' : answered > 0 ? 'complete' : 'incomplete'}`;
       }
     });
     
     // Update progress bar
-    const progress = (completedSections / this.sections.length) * 100;
+    const progress = total.applicable > 0 ? (total.answered / total.applicable) * 100 : 0;
     const progressBar = document.getElementById('af2f-progress');
     const progressText = document.getElementById('af2f-progress-text');
     
     if (progressBar) progressBar.style.width = `${progress}%`;
-    if (progressText) progressText.textContent = `${completedSections} of ${this.sections.length} sections complete`;
+    if (progressText) progressText.textContent = `${total.answered} of ${total.applicable} questions answered`;
+  }
+
+  expandSection(sectionId) {
+    if (this.expandedSection !== sectionId) this.toggleSection(sectionId);
   }
 
   collectFormData() {
-    const data = {};
-    const overlay = document.getElementById('af2f-overlay');
-    
-    // Text inputs
-    overlay.querySelectorAll('input[type="text"], input[type="number"], input[type="date"], select, textarea').forEach(input => {
-      if (input.name && input.value) {
-        data[input.name] = input.value;
-      }
-    });
-    
-    // Single selections
-    overlay.querySelectorAll('[data-field][data-type="single"]').forEach(grid => {
-      const selected = grid.querySelector('.selected');
-      if (selected) {
-        data[grid.dataset.field] = selected.dataset.value;
-      }
-    });
-    
-    // Multi selections
-    overlay.querySelectorAll('[data-field][data-type="multi"]').forEach(grid => {
-      const selected = grid.querySelectorAll('.selected');
-      if (selected.length > 0) {
-        data[grid.dataset.field] = Array.from(selected).map(s => s.dataset.value);
-      }
-    });
-    
-    // Checkboxes
-    overlay.querySelectorAll('.af2f-checkbox.checked').forEach(cb => {
-      data[cb.dataset.field] = cb.dataset.value;
-    });
+    const data = collectSurvey(document.getElementById('af2f-overlay'));
+
+    // Measured grades from the recorded route (the surveyor's slope answer still wins)
+    if (this.measuredGrade) {
+      const { trailSlopes, ...measured } = gradeAnalyzer.toSurveyFields(this.measuredGrade);
+      Object.assign(data, measured);
+    }
     
     return data;
   }
@@ -1128,9 +791,19 @@ export class AccessibilityFormV2Full {
     const data = this.collectFormData();
     
     // Validate required
-    if (!data.trailName || !data.location) {
-      toast.error('Please fill in Trail Name and Location');
-      this.toggleSection('basic');
+    const missing = getMissingRequired(data);
+    if (missing.length > 0) {
+      toast.error(`Please fill in ${missing.join(' and ')}`);
+      this.expandSection('basic');
+      return;
+    }
+    
+    // Contradictions and out-of-range answers are explained next to their field
+    const errors = getSurveyErrors(data);
+    if (errors.length > 0) {
+      this.updateProgress();
+      toast.error(errors[0].message);
+      this.expandSection(getSurveyField(errors[0].field)?.section || 'basic');
       return;
     }
     
@@ -1141,6 +814,7 @@ export class AccessibilityFormV2Full {
     }
     
     toast.success('✅ Accessibility survey saved!');
+    surveyDrafts.discard();
     
     if (this.currentCallback) {
       this.currentCallback(data);
@@ -1161,22 +835,83 @@ export class AccessibilityFormV2Full {
       // Prevent pull-to-refresh while form is open
       document.body.classList.add('modal-open');
       
-      // Reset form
-      overlay.querySelectorAll('input, select, textarea').forEach(i => {
-        if (i.type === 'number') {
-          i.value = 0;
-        } else {
-          i.value = '';
-        }
-      });
-      overlay.querySelectorAll('.selected').forEach(s => s.classList.remove('selected'));
-      overlay.querySelectorAll('.checked').forEach(c => c.classList.remove('checked'));
+      this.resetForm();
       
       // Expand first section
       overlay.querySelectorAll('.af2f-section').forEach(s => s.classList.remove('expanded'));
       overlay.querySelector('[data-section="basic"]')?.classList.add('expanded');
+      this.expandedSection = 'basic';
       
       this.updateProgress();
+
+      // Slope from the recorded geometry (async - fills in when elevations arrive)
+      this.prefillMeasuredGrade();
+
+      // Facilities from the typed waypoints marked while tracking
+      this.prefillWaypointFacilities();
+
+      // Answers left unsaved on this route or trail
+      this.resumeDraft();
+    }
+  }
+
+  resetForm() {
+    const overlay = document.getElementById('af2f-overlay');
+    overlay.querySelectorAll('input, select, textarea').forEach(i => {
+      if (i.type === 'number') {
+        i.value = 0;
+      } else {
+        i.value = '';
+      }
+    });
+    overlay.querySelectorAll('.selected').forEach(s => s.classList.remove('selected'));
+    overlay.querySelectorAll('.checked').forEach(c => c.classList.remove('checked'));
+  }
+
+  /**
+   * Offer the unsaved draft of this route or trail, then start keeping one
+   */
+  async resumeDraft() {
+    this.draftReady = false;
+
+    const survey = await surveyDrafts.begin();
+    if (!this.isOpen) return;
+
+    if (survey) {
+      this.resetForm();
+      fillSurvey(document.getElementById('af2f-overlay'), survey);
+      this.updateProgress();
+      toast.info('📝 Draft restored');
+    }
+    this.draftReady = true;
+  }
+
+  saveDraft() {
+    if (this.draftReady) surveyDrafts.schedule('full', () => this.collectFormData());
+  }
+
+  /**
+   * Prefill slope answers from the recorded route's measured grades
+   */
+  async prefillMeasuredGrade() {
+    this.measuredGrade = null;
+
+    const analysis = await gradeAnalyzer.analyzeCurrentRoute();
+    if (!analysis || !this.isOpen) return;
+    this.measuredGrade = analysis;
+
+    if (prefillSlope(document.getElementById('af2f-overlay'), analysis, { style: 'af2f' })) {
+      this.updateProgress();
+    }
+  }
+
+  /**
+   * Prefill facility answers from the typed waypoints marked on the route
+   */
+  prefillWaypointFacilities() {
+    const appState = window.AccessNatureApp?.getController('state');
+    if (prefillFacilities(document.getElementById('af2f-overlay'), appState?.getRouteData(), { style: 'af2f' })) {
+      this.updateProgress();
     }
   }
 
@@ -1185,6 +920,8 @@ export class AccessibilityFormV2Full {
     if (overlay) {
       overlay.classList.remove('open');
       this.isOpen = false;
+      this.draftReady = false;
+      surveyDrafts.end();
       
       // Re-enable pull-to-refresh
       document.body.classList.remove('modal-open');
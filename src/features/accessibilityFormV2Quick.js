@@ -2,6 +2,8 @@
  * Accessibility Survey Form V2 - Quick + Deep Approach
  * Option A: Visual-first design with essential questions upfront
  * and optional detailed categories that expand
+ * Follow-up questions and answer checks come from the survey rules (config/surveyRules.js)
+ * Unsaved answers are kept as a draft of the route or trail (surveyDrafts.js)
  * 
  * Access Nature - Phase 2 Redesign
  * Created: December 2025
@@ -9,16 +11,24 @@
 
 import { toast } from '../utils/toast.js';
 import { userService } from '../services/userService.js';
+import { gradeAnalyzer } from './gradeAnalysis.js';
 import { getProfile } from '../config/mobilityProfiles.js';
+import { QUICK_CATEGORIES, getQuickFields, getMissingRequired } from '../config/surveySchema.js';
+import { getSurveyProgress, getSurveyErrors } from '../config/surveyRules.js';
+import { renderSurveyFields, collectSurvey, applySurveyRules, fillSurvey, prefillSlope, prefillFacilities } from './surveyRenderer.js';
+import { surveyDrafts } from './surveyDrafts.js';
 
 export class AccessibilityFormV2Quick {
   constructor() {
     this.isOpen = false;
     this.currentCallback = null;
     this.formData = {};
+    this.measuredGrade = null; // Grade analysis of the recorded route, if any
     this.currentPhase = 1; // 1 = Quick, 2 = Detailed
     this.expandedCategories = new Set();
     this.userMobilityProfile = null; // Cache user's mobility profile
+    this.problems = []; // Survey rule problems from the last applyRules()
+    this.draftReady = false; // Changes are kept as a draft once the resume prompt is answered
   }
 
   initialize() {
@@ -388,6 +398,10 @@ export class AccessibilityFormV2Quick {
         border-color: #28a745;
       }
       
+      .af2-category-card.has-error {
+        border-color: #dc3545;
+      }
+      
       .af2-category-card .cat-header {
         display: flex;
         align-items: center;
@@ -413,6 +427,15 @@ export class AccessibilityFormV2Quick {
         color: #666;
       }
       
+      .af2-category-card .cat-progress {
+        font-size: 0.75rem;
+        color: #28a745;
+      }
+      
+      .af2-category-card.has-error .cat-progress {
+        color: #dc3545;
+      }
+      
       .af2-category-card .cat-status {
         width: 20px;
         height: 20px;
@@ -592,6 +615,12 @@ export class AccessibilityFormV2Quick {
         max-width: 100%;
       }
       
+      .af2-grid-2col {
+        display: grid;
+        grid-template-columns: 1fr 1fr;
+        gap: 12px;
+      }
+      
       /* ========== Mobile Responsive ========== */
       @media (max-width: 600px) {
         .af2-overlay {
@@ -765,6 +794,36 @@ export class AccessibilityFormV2Quick {
           padding: 6px;
         }
       }
+      
+      .af2-measured-hint,
+      .af2-waypoint-hint {
+        margin-top: 8px;
+        padding: 8px 10px;
+        background: #f0fdf4;
+        border: 1px solid #bbf7d0;
+        border-radius: 8px;
+        font-size: 0.8rem;
+        color: #166534;
+      }
+      
+      .af2-rule-message {
+        margin-top: 8px;
+        padding: 8px 10px;
+        border-radius: 8px;
+        font-size: 0.8rem;
+      }
+      
+      .af2-rule-message.error {
+        background: #fef2f2;
+        border: 1px solid #fecaca;
+        color: #991b1b;
+      }
+      
+      .af2-rule-message.warning {
+        background: #fffbeb;
+        border: 1px solid #fde68a;
+        color: #92400e;
+      }
     `;
     
     document.head.appendChild(styles);
@@ -819,474 +878,52 @@ export class AccessibilityFormV2Quick {
   }
 
   renderPhase1() {
+    const essentials = getQuickFields('essential');
+    const details = essentials.filter(f => f.type === 'text');
+    // Accessibility questions first, then the trail basics
+    const choices = essentials
+      .filter(f => f.type !== 'text')
+      .sort((a, b) => (a.section === 'basic') - (b.section === 'basic'));
+
     return `
-      <!-- Trail Name -->
-      <div class="af2-field">
-        <label class="af2-label">Trail Name <span class="required">*</span></label>
-        <input type="text" class="af2-input" id="af2-trailName" name="trailName" placeholder="e.g., Riverside Nature Path" required>
-      </div>
-      
-      <!-- Location -->
-      <div class="af2-field">
-        <label class="af2-label">Location <span class="required">*</span></label>
-        <input type="text" class="af2-input" id="af2-location" name="location" placeholder="e.g., Central Park, NYC" required>
-      </div>
+      ${renderSurveyFields(details, { style: 'af2' })}
       
       <div class="af2-divider"></div>
       
-      <!-- Wheelchair Accessibility -->
-      <div class="af2-field">
-        <label class="af2-label">Wheelchair Accessibility</label>
-        <div class="af2-card-grid cols-4" data-field="wheelchairAccess" data-type="single">
-          <div class="af2-select-card" data-value="Fully accessible">
-            <span class="card-icon">♿</span>
-            <span class="card-label">Fully Accessible</span>
-          </div>
-          <div class="af2-select-card" data-value="Partially accessible">
-            <span class="card-icon">⚠️</span>
-            <span class="card-label">Partial</span>
-          </div>
-          <div class="af2-select-card" data-value="Accessible with assistance">
-            <span class="card-icon">🤝</span>
-            <span class="card-label">With Help</span>
-          </div>
-          <div class="af2-select-card" data-value="Not accessible">
-            <span class="card-icon">🚫</span>
-            <span class="card-label">Not Accessible</span>
-          </div>
-        </div>
-      </div>
-      
-      <!-- Surface Type -->
-      <div class="af2-field">
-        <label class="af2-label">Trail Surface (select all that apply)</label>
-        <div class="af2-chip-grid" data-field="trailSurface" data-type="multi">
-          <div class="af2-chip" data-value="Asphalt">🛣️ Paved</div>
-          <div class="af2-chip" data-value="Concrete">⬜ Concrete</div>
-          <div class="af2-chip" data-value="Compacted Gravel">⚪ Gravel</div>
-          <div class="af2-chip" data-value="Stone">🪨 Stone</div>
-          <div class="af2-chip" data-value="Wood/Plastic Deck">🪵 Boardwalk</div>
-          <div class="af2-chip" data-value="Grass">🌿 Grass</div>
-          <div class="af2-chip" data-value="Mixed Surfaces">🔀 Mixed</div>
-        </div>
-      </div>
-      
-      <!-- Difficulty Slider -->
-      <div class="af2-field">
-        <label class="af2-label">Overall Difficulty</label>
-        <div class="af2-slider-container">
-          <div class="af2-slider-labels">
-            <span class="af2-slider-label active" data-level="1">😊 Easy</span>
-            <span class="af2-slider-label" data-level="2">😐 Moderate</span>
-            <span class="af2-slider-label" data-level="3">😰 Challenging</span>
-          </div>
-          <input type="range" class="af2-slider" id="af2-difficulty" name="difficulty" min="1" max="3" value="1">
-        </div>
-      </div>
-      
-      <!-- Route Type Quick -->
-      <div class="af2-field">
-        <label class="af2-label">Route Type</label>
-        <div class="af2-card-grid" data-field="routeType" data-type="single">
-          <div class="af2-select-card" data-value="Circular">
-            <span class="card-icon">🔄</span>
-            <span class="card-label">Loop</span>
-            <span class="card-desc">Returns to start</span>
-          </div>
-          <div class="af2-select-card" data-value="Round Trip">
-            <span class="card-icon">↔️</span>
-            <span class="card-label">Out & Back</span>
-            <span class="card-desc">Same path both ways</span>
-          </div>
-        </div>
-      </div>
+      ${renderSurveyFields(choices, { style: 'af2' })}
     `;
   }
 
   renderPhase2() {
-    return `
-      <p style="color: #666; margin-bottom: 20px; text-align: center;">
-        Tap a category to add more details. All fields are optional.
-      </p>
-      
-      <div class="af2-category-grid">
-        <!-- Parking -->
-        <div class="af2-category-card" data-category="parking">
-          <div class="cat-header">
-            <span class="cat-icon">🅿️</span>
-            <div class="cat-info">
-              <div class="cat-title">Parking</div>
-              <div class="cat-desc">Accessible spaces</div>
-            </div>
-            <div class="cat-status">✓</div>
-          </div>
-          <div class="af2-category-content">
-            ${this.renderParkingFields()}
-          </div>
-        </div>
-        
-        <!-- Restrooms -->
-        <div class="af2-category-card" data-category="restrooms">
-          <div class="cat-header">
-            <span class="cat-icon">🚻</span>
-            <div class="cat-info">
-              <div class="cat-title">Restrooms</div>
-              <div class="cat-desc">Accessible facilities</div>
-            </div>
-            <div class="cat-status">✓</div>
-          </div>
-          <div class="af2-category-content">
-            ${this.renderRestroomFields()}
-          </div>
-        </div>
-        
-        <!-- Water & Seating -->
-        <div class="af2-category-card" data-category="amenities">
-          <div class="cat-header">
-            <span class="cat-icon">🚰</span>
-            <div class="cat-info">
-              <div class="cat-title">Water & Seating</div>
-              <div class="cat-desc">Fountains, benches</div>
-            </div>
-            <div class="cat-status">✓</div>
-          </div>
-          <div class="af2-category-content">
-            ${this.renderAmenitiesFields()}
-          </div>
-        </div>
-        
-        <!-- Surface Details -->
-        <div class="af2-category-card" data-category="surface">
+    const categories = QUICK_CATEGORIES.map(category => `
+        <div class="af2-category-card" data-category="${category.id}">
           <div class="cat-header">
-            <span class="cat-icon">🛤️</span>
+            <span class="cat-icon">${category.icon}</span>
             <div class="cat-info">
-              <div class="cat-title">Surface Quality</div>
-              <div class="cat-desc">Condition, slopes</div>
+              <div class="cat-title">${category.title}</div>
+              <div class="cat-desc">${category.desc}</div>
+              <div class="cat-progress"></div>
             </div>
             <div class="cat-status">✓</div>
           </div>
           <div class="af2-category-content">
-            ${this.renderSurfaceFields()}
+            ${renderSurveyFields(getQuickFields(category.id), { style: 'af2', wrapper: 'subsection' })}
           </div>
         </div>
-        
-        <!-- Visual Accessibility -->
-        <div class="af2-category-card" data-category="visual">
-          <div class="cat-header">
-            <span class="cat-icon">👁️</span>
-            <div class="cat-info">
-              <div class="cat-title">Visual Access</div>
-              <div class="cat-desc">Tactile, contrast</div>
-            </div>
-            <div class="cat-status">✓</div>
-          </div>
-          <div class="af2-category-content">
-            ${this.renderVisualFields()}
-          </div>
-        </div>
-        
-        <!-- Environment -->
-        <div class="af2-category-card" data-category="environment">
-          <div class="cat-header">
-            <span class="cat-icon">⛱️</span>
-            <div class="cat-info">
-              <div class="cat-title">Environment</div>
-              <div class="cat-desc">Shade, lighting</div>
-            </div>
-            <div class="cat-status">✓</div>
-          </div>
-          <div class="af2-category-content">
-            ${this.renderEnvironmentFields()}
-          </div>
-        </div>
-        
-        <!-- Signage -->
-        <div class="af2-category-card" data-category="signage">
-          <div class="cat-header">
-            <span class="cat-icon">🪧</span>
-            <div class="cat-info">
-              <div class="cat-title">Signage</div>
-              <div class="cat-desc">Maps, directions</div>
-            </div>
-            <div class="cat-status">✓</div>
-          </div>
-          <div class="af2-category-content">
-            ${this.renderSignageFields()}
-          </div>
-        </div>
-        
-        <!-- Picnic & Views -->
-        <div class="af2-category-card" data-category="picnic">
-          <div class="cat-header">
-            <span class="cat-icon">🧺</span>
-            <div class="cat-info">
-              <div class="cat-title">Picnic & Views</div>
-              <div class="cat-desc">Tables, viewpoints</div>
-            </div>
-            <div class="cat-status">✓</div>
-          </div>
-          <div class="af2-category-content">
-            ${this.renderPicnicFields()}
-          </div>
-        </div>
-      </div>
+    `).join('');
+
+    return `
+      <p style="color: #666; margin-bottom: 20px; text-align: center;">
+        Tap a category to add more details. All fields are optional.
+      </p>
       
-      <!-- Additional Notes -->
-      <div class="af2-field">
-        <label class="af2-label">📝 Additional Notes</label>
-        <textarea class="af2-textarea" id="af2-additionalNotes" name="additionalNotes" 
-          placeholder="Any other accessibility information, tips, or warnings..."></textarea>
+      <div class="af2-category-grid">
+        ${categories}
       </div>
       
-      <!-- Trail Info -->
       <div class="af2-divider"></div>
       
-      <div class="af2-field" style="display: grid; grid-template-columns: 1fr 1fr; gap: 12px;">
-        <div>
-          <label class="af2-label">Trail Length (km)</label>
-          <input type="number" class="af2-input" id="af2-trailLength" name="trailLength" step="0.1" min="0" placeholder="e.g., 2.5">
-        </div>
-        <div>
-          <label class="af2-label">Estimated Duration</label>
-          <select class="af2-input" id="af2-estimatedTime" name="estimatedTime">
-            <option value="">Select...</option>
-            <option value="Under 30 minutes">Under 30 min</option>
-            <option value="30-60 minutes">30-60 min</option>
-            <option value="1-2 hours">1-2 hours</option>
-            <option value="2-4 hours">2-4 hours</option>
-            <option value="Half day">Half day</option>
-            <option value="Full day">Full day</option>
-          </select>
-        </div>
-      </div>
-      
-      <!-- Trip Type -->
-      <div class="af2-field">
-        <label class="af2-label">Trip Type</label>
-        <div class="af2-chip-grid" data-field="tripType" data-type="single">
-          <div class="af2-chip" data-value="Beach Promenade">🏖️ Beach</div>
-          <div class="af2-chip" data-value="Stream Path">🌊 Stream</div>
-          <div class="af2-chip" data-value="Park Route">🌳 Park</div>
-          <div class="af2-chip" data-value="Forest Trail">🌲 Forest</div>
-          <div class="af2-chip" data-value="Urban Route">🏙️ Urban</div>
-          <div class="af2-chip" data-value="Scenic Drive">🚗 Scenic</div>
-        </div>
-      </div>
-    `;
-  }
-
-  renderParkingFields() {
-    return `
-      <div class="af2-subsection">
-        <div class="af2-chip-grid" data-field="disabledParking" data-type="single">
-          <div class="af2-chip" data-value="Available">✓ Accessible parking available</div>
-          <div class="af2-chip" data-value="Not available">✗ No accessible parking</div>
-        </div>
-      </div>
-      <div class="af2-subsection">
-        <div class="af2-subsection-title">Number of accessible spaces</div>
-        <div class="af2-number-input">
-          <button type="button" onclick="window.af2NumberStep('parkingSpaces', -1)">−</button>
-          <input type="number" id="af2-parkingSpaces" name="parkingSpaces" value="0" min="0">
-          <button type="button" onclick="window.af2NumberStep('parkingSpaces', 1)">+</button>
-        </div>
-      </div>
-    `;
-  }
-
-  renderRestroomFields() {
-    return `
-      <div class="af2-card-grid" data-field="restrooms" data-type="single">
-        <div class="af2-select-card" data-value="None">
-          <span class="card-icon">🚫</span>
-          <span class="card-label">None</span>
-        </div>
-        <div class="af2-select-card" data-value="One unisex accessible restroom">
-          <span class="card-icon">🚻</span>
-          <span class="card-label">Unisex</span>
-        </div>
-        <div class="af2-select-card" data-value="Separate accessible restrooms for men and women">
-          <span class="card-icon">🚹🚺</span>
-          <span class="card-label">Separate</span>
-        </div>
-      </div>
-    `;
-  }
-
-  renderAmenitiesFields() {
-    return `
-      <div class="af2-subsection">
-        <div class="af2-subsection-title">Water Fountains</div>
-        <div class="af2-card-grid cols-3" data-field="waterFountains" data-type="single">
-          <div class="af2-select-card" data-value="None">
-            <span class="card-label">None</span>
-          </div>
-          <div class="af2-select-card" data-value="One accessible fountain">
-            <span class="card-label">One</span>
-          </div>
-          <div class="af2-select-card" data-value="Multiple fountains along route">
-            <span class="card-label">Multiple</span>
-          </div>
-        </div>
-      </div>
-      <div class="af2-subsection">
-        <div class="af2-subsection-title">Seating Options</div>
-        <div class="af2-chip-grid" data-field="seating" data-type="single">
-          <div class="af2-chip" data-value="No accessible benches">No benches</div>
-          <div class="af2-chip" data-value="One accessible bench">One bench</div>
-          <div class="af2-chip" data-value="Multiple benches along route">Multiple</div>
-        </div>
-      </div>
-      <div class="af2-subsection">
-        <div class="af2-subsection-title">Bench Features</div>
-        <div class="af2-chip-grid" data-field="benchFeatures" data-type="multi">
-          <div class="af2-chip" data-value="With handrails">With handrails</div>
-          <div class="af2-chip" data-value="Without handrails">No handrails</div>
-          <div class="af2-chip" data-value="With backrests">With backrests</div>
-        </div>
-      </div>
-    `;
-  }
-
-  renderSurfaceFields() {
-    return `
-      <div class="af2-subsection">
-        <div class="af2-subsection-title">Surface Quality</div>
-        <div class="af2-card-grid" data-field="surfaceQuality" data-type="single">
-          <div class="af2-select-card" data-value="Excellent - smooth and well maintained">
-            <span class="card-icon">✨</span>
-            <span class="card-label">Excellent</span>
-            <span class="card-desc">Smooth, maintained</span>
-          </div>
-          <div class="af2-select-card" data-value="Fair - minor disruptions, rough patches, bumps, cracks">
-            <span class="card-icon">👍</span>
-            <span class="card-label">Fair</span>
-            <span class="card-desc">Minor bumps</span>
-          </div>
-          <div class="af2-select-card" data-value="Poor - serious disruptions, protruding stones, large grooves">
-            <span class="card-icon">⚠️</span>
-            <span class="card-label">Poor</span>
-            <span class="card-desc">Rough terrain</span>
-          </div>
-          <div class="af2-select-card" data-value="Vegetation blocks passage">
-            <span class="card-icon">🌿</span>
-            <span class="card-label">Overgrown</span>
-            <span class="card-desc">Blocked</span>
-          </div>
-        </div>
-      </div>
-      <div class="af2-subsection">
-        <div class="af2-subsection-title">Trail Slopes</div>
-        <div class="af2-card-grid cols-3" data-field="trailSlopes" data-type="single">
-          <div class="af2-select-card" data-value="No slopes to mild slopes (up to 5%)">
-            <span class="card-icon">➡️</span>
-            <span class="card-label">Flat/Mild</span>
-            <span class="card-desc">&lt; 5%</span>
-          </div>
-          <div class="af2-select-card" data-value="Moderate slopes - assistance recommended (5%-10%)">
-            <span class="card-icon">📐</span>
-            <span class="card-label">Moderate</span>
-            <span class="card-desc">5-10%</span>
-          </div>
-          <div class="af2-select-card" data-value="Steep slopes - not accessible (over 10%)">
-            <span class="card-icon">⛰️</span>
-            <span class="card-label">Steep</span>
-            <span class="card-desc">&gt; 10%</span>
-          </div>
-        </div>
-      </div>
-    `;
-  }
-
-  renderVisualFields() {
-    return `
-      <div class="af2-subsection">
-        <div class="af2-subsection-title">Visual Impairment Adaptations</div>
-        <div class="af2-chip-grid" data-field="visualAdaptations" data-type="multi">
-          <div class="af2-chip" data-value="Raised/protruding borders">Raised borders</div>
-          <div class="af2-chip" data-value="Texture/tactile differences">Tactile surfaces</div>
-          <div class="af2-chip" data-value="Color contrast differences">Color contrast</div>
-        </div>
-      </div>
-    `;
-  }
-
-  renderEnvironmentFields() {
-    return `
-      <div class="af2-subsection">
-        <div class="af2-subsection-title">Shade Coverage</div>
-        <div class="af2-card-grid cols-3" data-field="shadeCoverage" data-type="single">
-          <div class="af2-select-card" data-value="Plenty of shade">
-            <span class="card-icon">🌳</span>
-            <span class="card-label">Plenty</span>
-          </div>
-          <div class="af2-select-card" data-value="Intermittent shade">
-            <span class="card-icon">⛅</span>
-            <span class="card-label">Some</span>
-          </div>
-          <div class="af2-select-card" data-value="No shade">
-            <span class="card-icon">☀️</span>
-            <span class="card-label">None</span>
-          </div>
-        </div>
-      </div>
-      <div class="af2-subsection">
-        <div class="af2-chip-grid" data-field="lighting" data-type="multi">
-          <div class="af2-chip" data-value="Trail is lit in darkness">💡 Trail is lit at night</div>
-        </div>
-      </div>
-    `;
-  }
-
-  renderSignageFields() {
-    return `
-      <div class="af2-chip-grid" data-field="signage" data-type="multi">
-        <div class="af2-chip" data-value="Route map available">🗺️ Route map</div>
-        <div class="af2-chip" data-value="Clear directional signage">➡️ Directions</div>
-        <div class="af2-chip" data-value="Simple language signage">📖 Simple text</div>
-        <div class="af2-chip" data-value="Large, high-contrast accessible signage">🔤 High contrast</div>
-        <div class="af2-chip" data-value="Audio explanation compatible with T-mode hearing devices">🔊 Audio</div>
-        <div class="af2-chip" data-value="QR code with site information available">📱 QR codes</div>
-      </div>
-    `;
-  }
-
-  renderPicnicFields() {
-    return `
-      <div class="af2-subsection">
-        <div class="af2-chip-grid" data-field="picnicAreas" data-type="multi">
-          <div class="af2-chip" data-value="Available">🧺 Accessible picnic areas</div>
-        </div>
-      </div>
-      <div class="af2-subsection">
-        <div class="af2-chip-grid" data-field="accessibleViewpoint" data-type="single">
-          <div class="af2-chip" data-value="Available">🏔️ Accessible viewpoint</div>
-        </div>
-      </div>
-      <div class="af2-subsection af2-grid-3col">
-        <div>
-          <div class="af2-subsection-title">In shade</div>
-          <div class="af2-number-input">
-            <button type="button" onclick="window.af2NumberStep('picnicShade', -1)">−</button>
-            <input type="number" id="af2-picnicShade" name="picnicShade" value="0" min="0">
-            <button type="button" onclick="window.af2NumberStep('picnicShade', 1)">+</button>
-          </div>
-        </div>
-        <div>
-          <div class="af2-subsection-title">In sun</div>
-          <div class="af2-number-input">
-            <button type="button" onclick="window.af2NumberStep('picnicSun', -1)">−</button>
-            <input type="number" id="af2-picnicSun" name="picnicSun" value="0" min="0">
-            <button type="button" onclick="window.af2NumberStep('picnicSun', 1)">+</button>
-          </div>
-        </div>
-        <div>
-          <div class="af2-subsection-title">Total areas</div>
-          <div class="af2-number-input af2-readonly">
-            <input type="number" id="af2-picnicCount" name="picnicCount" value="0" min="0" readonly>
-          </div>
-        </div>
-      </div>
+      ${renderSurveyFields(getQuickFields('extra'), { style: 'af2' })}
     `;
   }
 
@@ -1318,7 +955,7 @@ export class AccessibilityFormV2Quick {
           } else {
             card.classList.toggle('selected');
           }
-          this.updateCategoryStatus(card);
+          this.applyRules();
         }
       }
       
@@ -1334,7 +971,7 @@ export class AccessibilityFormV2Quick {
           } else {
             chip.classList.toggle('selected');
           }
-          this.updateCategoryStatus(chip);
+          this.applyRules();
         }
       }
       
@@ -1349,6 +986,15 @@ export class AccessibilityFormV2Quick {
       }
     });
     
+    // Typed answers
+    overlay.addEventListener('change', () => this.applyRules());
+
+    // Keep a draft of every answer
+    overlay.addEventListener('click', (e) => {
+      if (e.target.closest('[data-survey-field]')) this.saveDraft();
+    });
+    overlay.addEventListener('input', () => this.saveDraft());
+    
     // Difficulty slider
     const slider = overlay.querySelector('#af2-difficulty');
     if (slider) {
@@ -1366,7 +1012,6 @@ export class AccessibilityFormV2Quick {
     if (input) {
       const newVal = Math.max(0, parseInt(input.value || 0) + delta);
       input.value = newVal;
-      this.updateCategoryStatus(input);
       
       // Auto-calculate picnic total when shade or sun changes
       if (field === 'picnicShade' || field === 'picnicSun') {
@@ -1382,6 +1027,8 @@ export class AccessibilityFormV2Quick {
           input.value = total;
         }
       }
+      
+      this.applyRules();
     }
   }
   
@@ -1397,24 +1044,75 @@ export class AccessibilityFormV2Quick {
     }
   }
 
-  updateCategoryStatus(element) {
+  /**
+   * Apply the survey rules (follow-up questions, inline problems) and refresh every category's status
+   * @returns {Array} validateSurvey problems
+   */
+  applyRules() {
+    const overlay = document.getElementById('af2-overlay');
+    if (!overlay) return [];
+
+    const survey = this.collectFormData();
+    this.problems = applySurveyRules(overlay, survey, { style: 'af2' });
+    overlay.querySelectorAll('.af2-category-card').forEach(card => this.updateCategoryStatus(card, survey));
+    return this.problems;
+  }
+
+  /**
+   * Category progress, counting only the questions that apply
+   * @param {HTMLElement} element - Category card or an element inside it
+   * @param {object} survey - Current answers (collected when not given)
+   */
+  updateCategoryStatus(element, survey = this.collectFormData()) {
     const catCard = element.closest('.af2-category-card');
     if (catCard) {
-      // Check if any selections made in this category
-      const hasSelections = catCard.querySelector('.selected') || 
-                          Array.from(catCard.querySelectorAll('input[type="number"]')).some(i => parseInt(i.value) > 0);
-      catCard.classList.toggle('has-data', hasSelections);
+      const fields = getQuickFields(catCard.dataset.category);
+      const { answered, applicable } = getSurveyProgress(survey, fields);
+      const hasError = this.problems.some(p => p.severity === 'error' && fields.some(f => f.key === p.field));
+
+      catCard.classList.toggle('has-data', answered > 0);
+      catCard.classList.toggle('has-error', hasError);
+
+      const progress = catCard.querySelector('.cat-progress');
+      if (progress) {
+        progress.textContent = hasError ? 'Check answers' : answered > 0 ? `${answered} of ${applicable} answered` : '';
+      }
+    }
+  }
+
+  /**
+   * Explain the first blocking rule problem and bring its question into view
+   * @param {Array} errors - getSurveyErrors entries
+   */
+  showRuleErrors(errors) {
+    this.applyRules();
+    toast.error(errors[0].message);
+
+    const wrapper = document.querySelector(`#af2-overlay [data-survey-field="${errors[0].field}"]`);
+    const card = wrapper?.closest('.af2-category-card');
+    if (card) {
+      if (this.currentPhase !== 2) {
+        this.showSaveOptions();
+        window.af2GoToPhase2();
+      }
+      card.classList.add('expanded');
     }
+    wrapper?.scrollIntoView({ behavior: 'smooth', block: 'center' });
   }
 
   handleNext() {
     if (this.currentPhase === 1) {
       // Validate required fields
-      const trailName = document.getElementById('af2-trailName')?.value?.trim();
-      const location = document.getElementById('af2-location')?.value?.trim();
+      const data = this.collectFormData();
+      const missing = getMissingRequired(data);
+      if (missing.length > 0) {
+        toast.error(`Please fill in ${missing.join(' and ')}`);
+        return;
+      }
       
-      if (!trailName || !location) {
-        toast.error('Please fill in Trail Name and Location');
+      const errors = getSurveyErrors(data);
+      if (errors.length > 0) {
+        this.showRuleErrors(errors);
         return;
       }
       
@@ -1478,37 +1176,12 @@ export class AccessibilityFormV2Quick {
   }
 
   collectFormData() {
-    const data = {};
-    const overlay = document.getElementById('af2-overlay');
-    
-    // Text inputs
-    overlay.querySelectorAll('input[type="text"], input[type="number"], select, textarea').forEach(input => {
-      if (input.name && input.value) {
-        data[input.name] = input.value;
-      }
-    });
-    
-    // Single selections (cards and chips)
-    overlay.querySelectorAll('[data-field][data-type="single"]').forEach(grid => {
-      const selected = grid.querySelector('.selected');
-      if (selected) {
-        data[grid.dataset.field] = selected.dataset.value;
-      }
-    });
-    
-    // Multi selections
-    overlay.querySelectorAll('[data-field][data-type="multi"]').forEach(grid => {
-      const selected = grid.querySelectorAll('.selected');
-      if (selected.length > 0) {
-        data[grid.dataset.field] = Array.from(selected).map(s => s.dataset.value);
-      }
-    });
-    
-    // Difficulty slider
-    const slider = document.getElementById('af2-difficulty');
-    if (slider) {
-      const levels = ['Easy', 'Moderate', 'Challenging'];
-      data.difficulty = levels[parseInt(slider.value) - 1];
+    const data = collectSurvey(document.getElementById('af2-overlay'));
+
+    // Measured grades from the recorded route (the surveyor's slope answer still wins)
+    if (this.measuredGrade) {
+      const { trailSlopes, ...measured } = gradeAnalyzer.toSurveyFields(this.measuredGrade);
+      Object.assign(data, measured);
     }
     
     return data;
@@ -1516,6 +1189,13 @@ export class AccessibilityFormV2Quick {
 
   saveForm() {
     const data = this.collectFormData();
+    
+    const errors = getSurveyErrors(data);
+    if (errors.length > 0) {
+      this.showRuleErrors(errors);
+      return;
+    }
+    
     console.log('📋 Survey data collected:', data);
     
     // Save to localStorage for compatibility with existing system
@@ -1527,6 +1207,7 @@ export class AccessibilityFormV2Quick {
     }
     
     toast.success('✅ Accessibility survey saved!');
+    surveyDrafts.discard();
     
     if (this.currentCallback) {
       this.currentCallback(data);
@@ -1552,17 +1233,7 @@ export class AccessibilityFormV2Quick {
       
       // Reset form first
       this.goToPhase(1);
-      overlay.querySelectorAll('input, select, textarea').forEach(i => {
-        if (i.type === 'range') {
-          i.value = 1;
-        } else if (i.type === 'number') {
-          i.value = 0;
-        } else {
-          i.value = '';
-        }
-      });
-      overlay.querySelectorAll('.selected').forEach(s => s.classList.remove('selected'));
-      overlay.querySelectorAll('.has-data').forEach(c => c.classList.remove('has-data'));
+      this.resetForm();
       
       // Show mobility profile indicator if set
       this.showMobilityProfileIndicator();
@@ -1572,6 +1243,15 @@ export class AccessibilityFormV2Quick {
       
       // Then prefill from saved data
       this.prefillForm();
+
+      // Slope from the recorded geometry (async - fills in when elevations arrive)
+      this.prefillMeasuredGrade();
+
+      // Facilities from the typed waypoints marked while tracking
+      this.prefillWaypointFacilities();
+
+      // Answers left unsaved on this route or trail
+      this.resumeDraft();
       
       // Reset footer
       const footer = document.querySelector('.af2-footer');
@@ -1583,6 +1263,68 @@ export class AccessibilityFormV2Quick {
     }
   }
 
+  resetForm() {
+    const overlay = document.getElementById('af2-overlay');
+    overlay.querySelectorAll('input, select, textarea').forEach(i => {
+      if (i.type === 'range') {
+        i.value = 1;
+      } else if (i.type === 'number') {
+        i.value = 0;
+      } else {
+        i.value = '';
+      }
+    });
+    overlay.querySelectorAll('.selected').forEach(s => s.classList.remove('selected'));
+    overlay.querySelectorAll('.has-data').forEach(c => c.classList.remove('has-data'));
+  }
+
+  /**
+   * Offer the unsaved draft of this route or trail, then start keeping one
+   */
+  async resumeDraft() {
+    this.draftReady = false;
+
+    const survey = await surveyDrafts.begin();
+    if (!this.isOpen) return;
+
+    if (survey) {
+      this.resetForm();
+      fillSurvey(document.getElementById('af2-overlay'), survey);
+      this.applyRules();
+      toast.info('📝 Draft restored');
+    }
+    this.draftReady = true;
+  }
+
+  saveDraft() {
+    if (this.draftReady) surveyDrafts.schedule('quick', () => this.collectFormData());
+  }
+
+  /**
+   * Prefill slope answers from the recorded route's measured grades
+   */
+  async prefillMeasuredGrade() {
+    this.measuredGrade = null;
+
+    const analysis = await gradeAnalyzer.analyzeCurrentRoute();
+    if (!analysis || !this.isOpen) return;
+    this.measuredGrade = analysis;
+
+    if (prefillSlope(document.getElementById('af2-overlay'), analysis, { style: 'af2' })) {
+      this.applyRules();
+    }
+  }
+
+  /**
+   * Prefill facility answers from the typed waypoints marked on the route
+   */
+  prefillWaypointFacilities() {
+    const appState = window.AccessNatureApp?.getController('state');
+    if (prefillFacilities(document.getElementById('af2-overlay'), appState?.getRouteData(), { style: 'af2' })) {
+      this.applyRules();
+    }
+  }
+
   /**
    * Load user's mobility profile
    */
@@ -1705,6 +1447,8 @@ export class AccessibilityFormV2Quick {
     if (overlay) {
       overlay.classList.remove('open');
       this.isOpen = false;
+      this.draftReady = false;
+      surveyDrafts.end();
       
       // Re-enable pull-to-refresh
       document.body.classList.remove('modal-open');
@@ -1726,50 +1470,11 @@ export class AccessibilityFormV2Quick {
       const savedData = localStorage.getItem('accessibilityData');
       if (!savedData) return;
 
-      const data = JSON.parse(savedData);
       const overlay = document.getElementById('af2-overlay');
       if (!overlay) return;
 
-      // Prefill text inputs
-      Object.entries(data).forEach(([key, value]) => {
-        // Text/number inputs
-        const input = overlay.querySelector(`#af2-${key}, [name="${key}"]`);
-        if (input && (input.tagName === 'INPUT' || input.tagName === 'SELECT' || input.tagName === 'TEXTAREA')) {
-          input.value = value;
-        }
-
-        // Single select cards/chips
-        const singleGrid = overlay.querySelector(`[data-field="${key}"][data-type="single"]`);
-        if (singleGrid && !Array.isArray(value)) {
-          const item = singleGrid.querySelector(`[data-value="${value}"]`);
-          if (item) {
-            singleGrid.querySelectorAll('.af2-select-card, .af2-chip').forEach(i => i.classList.remove('selected'));
-            item.classList.add('selected');
-          }
-        }
-
-        // Multi select chips
-        const multiGrid = overlay.querySelector(`[data-field="${key}"][data-type="multi"]`);
-        if (multiGrid && Array.isArray(value)) {
-          value.forEach(val => {
-            const item = multiGrid.querySelector(`[data-value="${val}"]`);
-            if (item) item.classList.add('selected');
-          });
-        }
-      });
-
-      // Difficulty slider
-      if (data.difficulty) {
-        const slider = document.getElementById('af2-difficulty');
-        if (slider) {
-          const levels = { 'Easy': 1, 'Moderate': 2, 'Challenging': 3 };
-          slider.value = levels[data.difficulty] || 1;
-          // Update label
-          overlay.querySelectorAll('.af2-slider-label').forEach(l => l.classList.remove('active'));
-          const activeLabel = overlay.querySelector(`.af2-slider-label[data-level="${slider.value}"]`);
-          if (activeLabel) activeLabel.classList.add('active');
-        }
-      }
+      fillSurvey(overlay, JSON.parse(savedData));
+      this.applyRules();
 
       console.log('📋 Form prefilled from saved data');
     } catch (error) {
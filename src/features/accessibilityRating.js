@@ -6,6 +6,11 @@
  * Created: December 2025
  */
 
+import { getProfile, PROFILE_MIN_WIDTHS } from '../config/mobilityProfiles.js';
+import { getSurveyOption } from '../config/surveySchema.js';
+import { getObstacleLabels } from '../config/stretchAttributes.js';
+import { formatLength } from '../core/trailStretches.js';
+
 /**
  * Rating Definitions
  * 🟢 Fully Accessible - Paved/firm surface, <5% grade, no steps, accessible facilities
@@ -94,6 +99,39 @@ export const FACILITY_TYPES = {
   signage: { label: 'Trail Signage', icon: '🪧' }
 };
 
+/**
+ * Verdicts for one mobility profile ("OK for manual wheelchair")
+ */
+export const PROFILE_VERDICTS = {
+  suitable: { id: 'suitable', label: 'OK for', icon: '✅', color: '#15803d', bgColor: '#dcfce7' },
+  caution: { id: 'caution', label: 'Use caution for', icon: '⚠️', color: '#b45309', bgColor: '#fef3c7' },
+  unsuitable: { id: 'unsuitable', label: 'Not for', icon: '🚫', color: '#b91c1c', bgColor: '#fee2e2' },
+  unknown: { id: 'unknown', label: 'Not enough data for', icon: '❓', color: '#4b5563', bgColor: '#f3f4f6' }
+};
+
+// Surface ids behind the surfaces a profile prefers (formPrefills.idealSurface)
+const IDEAL_SURFACES = {
+  Paved: ['paved'],
+  Boardwalk: ['boardwalk'],
+  'Packed gravel': ['packed_gravel'],
+  Natural: ['dirt', 'grass']
+};
+
+// Survey trailSlopes answers, when no grade was measured
+const SLOPE_REPORTS = {
+  mild: { label: 'up to 5%', min: 0, max: 5 },
+  moderate: { label: 'of 5-10%', min: 5, max: 10 },
+  steep: { label: 'over 10%', min: 10, max: Infinity }
+};
+
+// Distance along the route, e.g. "450 m" or "km 1.2"
+function formatPosition(meters) {
+  return meters < 1000 ? `${Math.round(meters)} m` : `km ${(meters / 1000).toFixed(1)}`;
+}
+
+// Stretch widths are in cm, survey widths in inches
+const CM_PER_INCH = 2.54;
+
 /**
  * Accessibility Rating Calculator
  */
@@ -390,44 +428,62 @@ class AccessibilityRatingSystem {
   /**
    * Calculate accessibility rating from survey data
    * @param {object} surveyData - Survey responses
-   * @returns {object} Rating result
+   * @param {object} options
+   *   - gradeAnalysis: measured route geometry, preferred over typed grades
+   *   - stretches: marked stretches ([{ from, to, attributes }]), more specific than the whole-trail answers
+   *   - profile: mobility profile (or id) to add a personal verdict for
+   * @returns {object} Rating result; `personal` holds the rateForProfile() verdict when a profile was given
    */
-  calculateRating(surveyData) {
+  calculateRating(surveyData, options = {}) {
     let score = 100; // Start with perfect score
     const factors = [];
+    const gradeAnalysis = options.gradeAnalysis || null;
+    const marked = this.getStretchConditions(options.stretches);
     
-    // Surface type impact (major factor)
-    if (surveyData.surface) {
-      const surfaceType = SURFACE_TYPES[surveyData.surface];
+    // Surface type impact (major factor) - marked stretches replace the whole-trail answer
+    const surfaceId = marked.surface ? marked.surface.id : surveyData.surface;
+    if (surfaceId) {
+      const surfaceType = SURFACE_TYPES[surfaceId];
+      const where = marked.surface ? ` for ${formatLength(marked.surface.length)} from ${formatPosition(marked.surface.from)}` : '';
       if (surfaceType) {
         if (surfaceType.accessibilityScore === 0) {
           score -= 40;
-          factors.push({ factor: 'Surface', impact: 'negative', note: `${surfaceType.label} - difficult for mobility devices` });
+          factors.push({ factor: 'Surface', impact: 'negative', note: `${surfaceType.label}${where} - difficult for mobility devices` });
         } else if (surfaceType.accessibilityScore === 1) {
           score -= 25;
-          factors.push({ factor: 'Surface', impact: 'neutral', note: `${surfaceType.label} - may be challenging` });
+          factors.push({ factor: 'Surface', impact: 'neutral', note: `${surfaceType.label}${where} - may be challenging` });
         } else if (surfaceType.accessibilityScore === 2) {
           score -= 10;
-          factors.push({ factor: 'Surface', impact: 'neutral', note: `${surfaceType.label} - generally accessible` });
+          factors.push({ factor: 'Surface', impact: 'neutral', note: `${surfaceType.label}${where} - generally accessible` });
         } else {
           factors.push({ factor: 'Surface', impact: 'positive', note: `${surfaceType.label} - excellent for accessibility` });
         }
       }
     }
     
-    // Grade/slope impact
-    if (surveyData.maxGrade !== undefined) {
-      const grade = surveyData.maxGrade;
+    // Grade/slope impact - measured geometry wins over what was typed (for the trail or a stretch)
+    const markedSlope = !gradeAnalysis && marked.slope && !(surveyData.maxGrade >= marked.slope.value) ? marked.slope : null;
+    const maxGrade = gradeAnalysis ? gradeAnalysis.maxGrade : (markedSlope ? markedSlope.value : surveyData.maxGrade);
+    if (maxGrade !== undefined && maxGrade !== null) {
+      const grade = maxGrade;
+      const source = gradeAnalysis ? ' (measured)' : markedSlope ? ` at ${formatPosition(markedSlope.from)}` : '';
       if (grade > 8) {
         score -= 30;
-        factors.push({ factor: 'Grade', impact: 'negative', note: `${grade}% - steep, exceeds ADA guidelines` });
+        factors.push({ factor: 'Grade', impact: 'negative', note: `${grade}%${source} - steep, exceeds ADA guidelines` });
       } else if (grade > 5) {
         score -= 15;
-        factors.push({ factor: 'Grade', impact: 'neutral', note: `${grade}% - moderate slope` });
+        factors.push({ factor: 'Grade', impact: 'neutral', note: `${grade}%${source} - moderate slope` });
       } else {
-        factors.push({ factor: 'Grade', impact: 'positive', note: `${grade}% - ADA compliant` });
+        factors.push({ factor: 'Grade', impact: 'positive', note: `${grade}%${source} - ADA compliant` });
       }
     }
+
+    // Long stretches over the ramp maximum are worse than a single short pitch
+    const steepSections = gradeAnalysis?.steepSections?.filter(s => s.level === 'steep') || [];
+    if (steepSections.length > 1) {
+      score -= 10;
+      factors.push({ factor: 'Steep sections', impact: 'negative', note: `${steepSections.length} sections over 8.33%` });
+    }
     
     // Steps/stairs impact
     if (surveyData.hasSteps) {
@@ -437,24 +493,26 @@ class AccessibilityRatingSystem {
       factors.push({ factor: 'Steps', impact: 'positive', note: 'No steps or stairs' });
     }
     
-    // Width impact
-    if (surveyData.minWidth !== undefined) {
-      const width = surveyData.minWidth;
+    // Width impact - the narrowest point counts, wherever it was measured
+    const markedWidth = marked.width && !(surveyData.minWidth <= marked.width.inches) ? marked.width : null;
+    const width = markedWidth ? markedWidth.inches : surveyData.minWidth;
+    if (width !== undefined) {
+      const where = markedWidth ? ` at ${formatPosition(markedWidth.from)}` : '';
       if (width < 36) {
         score -= 25;
-        factors.push({ factor: 'Width', impact: 'negative', note: `${width}" - too narrow for wheelchairs` });
+        factors.push({ factor: 'Width', impact: 'negative', note: `${width}"${where} - too narrow for wheelchairs` });
       } else if (width < 48) {
         score -= 10;
-        factors.push({ factor: 'Width', impact: 'neutral', note: `${width}" - minimum accessible width` });
+        factors.push({ factor: 'Width', impact: 'neutral', note: `${width}"${where} - minimum accessible width` });
       } else {
         factors.push({ factor: 'Width', impact: 'positive', note: `${width}" - comfortable width` });
       }
     }
     
     // Obstacles impact
-    if (surveyData.hasObstacles) {
+    if (surveyData.hasObstacles || marked.obstacles.length > 0) {
       score -= 15;
-      factors.push({ factor: 'Obstacles', impact: 'negative', note: 'Obstacles present on trail' });
+      factors.push({ factor: 'Obstacles', impact: 'negative', note: this.describeObstacles(marked.obstacles) || 'Obstacles present on trail' });
     }
     
     // Determine rating based on score
@@ -472,13 +530,198 @@ class AccessibilityRatingSystem {
       ratingInfo: rating,
       score,
       factors,
-      surface: surveyData.surface,
-      maxGrade: surveyData.maxGrade,
+      surface: surfaceId,
+      maxGrade,
+      gradeSource: gradeAnalysis ? 'measured' : 'survey',
       hasSteps: surveyData.hasSteps,
-      facilities: surveyData.facilities || {}
+      facilities: surveyData.facilities || {},
+      personal: options.profile ? this.rateForProfile(surveyData, options.profile, { gradeAnalysis, stretches: options.stretches }) : null
     };
   }
 
+  /**
+   * What the marked stretches say, with where: the hardest surface (its total
+   * length and first stretch), the steepest slope, the narrowest width and
+   * every stretch with obstacles
+   * @param {Array} stretches - [{ from, to, attributes }]
+   * @returns {object} { surface: { id, from, length }, slope: { value, from }, width: { inches, from }, obstacles: [{ from, labels }] }
+   */
+  getStretchConditions(stretches) {
+    const conditions = { surface: null, slope: null, width: null, obstacles: [] };
+
+    (stretches || []).forEach(stretch => {
+      const attributes = stretch.attributes || {};
+      const length = stretch.to - stretch.from;
+
+      const surface = SURFACE_TYPES[attributes.surface];
+      if (surface) {
+        const hardest = conditions.surface && SURFACE_TYPES[conditions.surface.id];
+        if (!hardest || surface.accessibilityScore < hardest.accessibilityScore) {
+          conditions.surface = { id: attributes.surface, from: stretch.from, length };
+        } else if (conditions.surface.id === attributes.surface) {
+          conditions.surface.length += length;
+        }
+      }
+
+      if (typeof attributes.slope === 'number' && !(conditions.slope?.value >= attributes.slope)) {
+        conditions.slope = { value: attributes.slope, from: stretch.from };
+      }
+
+      if (typeof attributes.width === 'number') {
+        const inches = Math.round(attributes.width / CM_PER_INCH);
+        if (!(conditions.width?.inches <= inches)) conditions.width = { inches, from: stretch.from };
+      }
+
+      const labels = getObstacleLabels(attributes);
+      if (labels.length > 0) conditions.obstacles.push({ from: stretch.from, labels });
+    });
+
+    return conditions;
+  }
+
+  // "Roots, Mud or puddles at km 1.2; Overgrowth at 300 m"
+  describeObstacles(obstacles) {
+    return obstacles.map(obstacle => `${obstacle.labels.join(', ')} at ${formatPosition(obstacle.from)}`).join('; ');
+  }
+
+  // ==================== PERSONAL RATING ====================
+
+  /**
+   * Verdict for one mobility profile, judged against its own slope, width,
+   * surface and step tolerances. Only reported conditions count: anything the
+   * survey didn't record gives no reason either way.
+   * @param {object} surveyData - From normalizeSurveyData()
+   * @param {object|string} profileOrId - MOBILITY_PROFILES entry or id
+   * @param {object} options - { gradeAnalysis, stretches } (see calculateRating)
+   * @returns {object|null} { profileId, profileName, icon, verdict, verdictInfo, reasons: [{ factor, impact, note }], summary }
+   */
+  rateForProfile(surveyData, profileOrId, options = {}) {
+    const profile = typeof profileOrId === 'string' ? getProfile(profileOrId) : profileOrId;
+    if (!profile) return null;
+
+    const gradeAnalysis = options.gradeAnalysis || null;
+    const marked = this.getStretchConditions(options.stretches);
+    const reasons = [];
+
+    // Slope - measured, then typed (for the trail or a stretch), then the survey's slope answer
+    const markedSlope = !gradeAnalysis && marked.slope && !(surveyData.maxGrade >= marked.slope.value) ? marked.slope : null;
+    const grade = gradeAnalysis ? gradeAnalysis.maxGrade
+      : markedSlope ? markedSlope.value
+      : (surveyData.maxGrade > 0 ? surveyData.maxGrade : null);
+    if (typeof grade === 'number') {
+      const gradeAt = typeof gradeAnalysis?.maxGradeAt === 'number' ? gradeAnalysis.maxGradeAt : markedSlope?.from;
+      const where = typeof gradeAt === 'number' ? ` at ${formatPosition(gradeAt)}` : '';
+      if (grade > profile.maxSlopePercent) {
+        const over = (gradeAnalysis?.steepSections || []).filter(s => s.maxGrade > profile.maxSlopePercent).length;
+        reasons.push({
+          factor: 'Grade',
+          impact: 'negative',
+          note: `${grade}% grade${where} (limit ${profile.maxSlopePercent}%)${over > 1 ? `, ${over} sections over the limit` : ''}`
+        });
+      } else if (grade > profile.preferredSlopePercent) {
+        reasons.push({ factor: 'Grade', impact: 'neutral', note: `${grade}% grade${where}, steeper than the ${profile.preferredSlopePercent}% preferred` });
+      } else {
+        reasons.push({ factor: 'Grade', impact: 'positive', note: `Max ${grade}% grade, within the ${profile.preferredSlopePercent}% preferred` });
+      }
+    } else if (SLOPE_REPORTS[surveyData.slopeReport]) {
+      const report = SLOPE_REPORTS[surveyData.slopeReport];
+      if (report.min >= profile.maxSlopePercent) {
+        reasons.push({ factor: 'Grade', impact: 'negative', note: `Slopes ${report.label} reported (limit ${profile.maxSlopePercent}%)` });
+      } else if (report.max > profile.preferredSlopePercent) {
+        reasons.push({ factor: 'Grade', impact: 'neutral', note: `Slopes ${report.label} reported, steeper than the ${profile.preferredSlopePercent}% preferred` });
+      } else {
+        reasons.push({ factor: 'Grade', impact: 'positive', note: `Slopes ${report.label} reported` });
+      }
+    }
+
+    // Surface - marked stretches replace the whole-trail answer; the worst stretch for this profile counts
+    const idealSurfaces = profile.formPrefills?.idealSurface || ['any'];
+    const isIdeal = (surfaceId) => idealSurfaces.some(name => (IDEAL_SURFACES[name] || []).includes(surfaceId));
+    const surface = SURFACE_TYPES[surveyData.surface];
+    const markedSurfaces = (options.stretches || []).filter(stretch => SURFACE_TYPES[stretch.attributes?.surface]);
+    if (markedSurfaces.length > 0 && !idealSurfaces.includes('any')) {
+      const worst = markedSurfaces
+        .filter(stretch => !isIdeal(stretch.attributes.surface))
+        .sort((a, b) => SURFACE_TYPES[a.attributes.surface].accessibilityScore - SURFACE_TYPES[b.attributes.surface].accessibilityScore)[0];
+
+      if (!worst) {
+        const labels = [...new Set(markedSurfaces.map(stretch => SURFACE_TYPES[stretch.attributes.surface].label))];
+        reasons.push({ factor: 'Surface', impact: 'positive', note: `${labels.join(' and ')} surface` });
+      } else {
+        const worstSurface = SURFACE_TYPES[worst.attributes.surface];
+        const where = ` for ${formatLength(worst.to - worst.from)} from ${formatPosition(worst.from)}`;
+        reasons.push(worstSurface.accessibilityScore === 0
+          ? { factor: 'Surface', impact: 'negative', note: `${worstSurface.label} surface${where}` }
+          : { factor: 'Surface', impact: 'neutral', note: `${worstSurface.label} surface${where}, not the preferred kind` });
+      }
+    } else if (surface && surveyData.surfaceReported && !idealSurfaces.includes('any')) {
+      const ideal = isIdeal(surveyData.surface);
+      if (ideal) {
+        reasons.push({ factor: 'Surface', impact: 'positive', note: `${surface.label} surface` });
+      } else if (surface.accessibilityScore === 0) {
+        reasons.push({ factor: 'Surface', impact: 'negative', note: `${surface.label} surface` });
+      } else {
+        reasons.push({ factor: 'Surface', impact: 'neutral', note: `${surface.label} surface, not the preferred kind` });
+      }
+    }
+
+    // Steps
+    if (surveyData.hasSteps && profile.steps === 'barrier') {
+      reasons.push({ factor: 'Steps', impact: 'negative', note: 'Steps or stairs on the route' });
+    } else if (surveyData.hasSteps && profile.steps === 'caution') {
+      reasons.push({ factor: 'Steps', impact: 'neutral', note: 'Steps or stairs on the route - check for handrails' });
+    }
+
+    // Width - only a shortfall is news; surveys without a width default to a comfortable one
+    const neededWidth = PROFILE_MIN_WIDTHS[profile.formPrefills?.minWidth];
+    const markedWidth = marked.width && !(surveyData.minWidth <= marked.width.inches) ? marked.width : null;
+    const width = markedWidth ? markedWidth.inches : surveyData.minWidth;
+    if (neededWidth && Number.isFinite(width) && width < neededWidth) {
+      const where = markedWidth ? ` at ${formatPosition(markedWidth.from)}` : '';
+      reasons.push({ factor: 'Width', impact: 'negative', note: `${width}" path${where}, narrower than the ${neededWidth}" needed` });
+    }
+
+    if ((surveyData.hasObstacles || marked.obstacles.length > 0) && profile.steps !== 'ok') {
+      const note = marked.obstacles.length > 0 ? this.describeObstacles(marked.obstacles) : 'Obstacles reported on the trail';
+      reasons.push({ factor: 'Obstacles', impact: 'neutral', note });
+    }
+
+    let verdict = 'unknown';
+    if (reasons.some(r => r.impact === 'negative')) verdict = 'unsuitable';
+    else if (reasons.some(r => r.impact === 'neutral')) verdict = 'caution';
+    else if (reasons.length > 0) verdict = 'suitable';
+
+    const verdictInfo = PROFILE_VERDICTS[verdict];
+    const lead = reasons.find(r => r.impact === 'negative') || reasons.find(r => r.impact === 'neutral');
+
+    return {
+      profileId: profile.id,
+      profileName: profile.name,
+      icon: profile.icon,
+      verdict,
+      verdictInfo,
+      reasons,
+      summary: `${verdictInfo.label} ${profile.name.toLowerCase()}${lead ? `: ${lead.note}` : ''}`
+    };
+  }
+
+  /**
+   * One sentence across several profiles, e.g.
+   * "OK for power wheelchair; not for manual wheelchair: 9% grade at km 1.2 (limit 8%)"
+   * @param {Array} verdicts - rateForProfile() results
+   * @returns {string}
+   */
+  summarizeVerdicts(verdicts) {
+    const valid = (verdicts || []).filter(Boolean);
+    const suitable = valid.filter(v => v.verdict === 'suitable').map(v => v.profileName.toLowerCase());
+    const parts = suitable.length ? [`OK for ${suitable.join(' and ')}`] : [];
+
+    valid.filter(v => v.verdict !== 'suitable').forEach(v => parts.push(v.summary));
+
+    const text = parts.map((part, i) => (i === 0 ? part : part.charAt(0).toLowerCase() + part.slice(1))).join('; ');
+    return text.charAt(0).toUpperCase() + text.slice(1);
+  }
+
   /**
    * Get rating from pre-calculated rating ID
    * @param {string} ratingId - Rating ID (fully, partial, not)
@@ -681,10 +924,14 @@ class AccessibilityRatingSystem {
    * @returns {object} Normalized data for calculateRating()
    */
   normalizeSurveyData(surveyResponses) {
+    const surface = surveyResponses.surface_type || surveyResponses.surface || this.surfaceFromSurvey(surveyResponses.trailSurface);
+
     return {
-      surface: surveyResponses.surface_type || surveyResponses.surface || 'mixed',
-      maxGrade: parseInt(surveyResponses.max_grade || surveyResponses.grade || 0),
-      hasSteps: surveyResponses.steps === true || surveyResponses.steps === 'yes',
+      surface: surface || 'mixed',
+      surfaceReported: !!surface,
+      slopeReport: this.slopeFromSurvey(surveyResponses.trailSlopes),
+      maxGrade: parseFloat(surveyResponses.maxGrade || surveyResponses.max_grade || surveyResponses.grade || 0),
+      hasSteps: !!getSurveyOption('steps', surveyResponses.steps)?.barrier,
       minWidth: parseInt(surveyResponses.min_width || surveyResponses.width || 48),
       hasObstacles: surveyResponses.obstacles === true || surveyResponses.obstacles === 'yes',
       facilities: {
@@ -695,6 +942,60 @@ class AccessibilityRatingSystem {
       }
     };
   }
+
+  /**
+   * Surface id for the survey's trailSurface answer; with several surfaces the hardest one counts
+   * @param {string|Array} trailSurface - e.g. ['Asphalt', 'Compacted Gravel'] or "Asphalt, Grass"
+   * @returns {string|null} SURFACE_TYPES key
+   */
+  surfaceFromSurvey(trailSurface) {
+    if (!trailSurface) return null;
+
+    const answers = Array.isArray(trailSurface) ? trailSurface : String(trailSurface).split(',');
+    const ids = answers
+      .map(answer => getSurveyOption('trailSurface', answer.trim())?.surfaceId)
+      .filter(Boolean);
+
+    if (ids.length === 0) return null;
+    return ids.reduce((worst, id) => (
+      SURFACE_TYPES[id].accessibilityScore < SURFACE_TYPES[worst].accessibilityScore ? id : worst
+    ));
+  }
+
+  /**
+   * @param {string} trailSlopes - Survey slope answer (schema option, or free text from older surveys)
+   * @returns {string|null} SLOPE_REPORTS key
+   */
+  slopeFromSurvey(trailSlopes) {
+    const option = getSurveyOption('trailSlopes', trailSlopes);
+    if (option?.slope) return option.slope;
+
+    const text = String(trailSlopes || '').toLowerCase();
+    if (text.includes('steep')) return 'steep';
+    if (text.includes('moderate')) return 'moderate';
+    if (text.includes('mild') || text.includes('no slopes')) return 'mild';
+    return null;
+  }
+
+  /**
+   * Rating inputs from a trail guide document (its accessibility summary, measured slopes and marked stretches)
+   * @param {object} guide - trail_guides document
+   * @returns {object} { surveyData, gradeAnalysis, stretches }
+   */
+  normalizeTrailGuide(guide) {
+    const metadata = guide?.metadata || {};
+
+    return {
+      surveyData: this.normalizeSurveyData(guide?.accessibility || {}),
+      gradeAnalysis: typeof metadata.maxGrade === 'number' ? {
+        maxGrade: metadata.maxGrade,
+        averageGrade: metadata.averageGrade ?? null,
+        maxGradeAt: metadata.maxGradeAt ?? null,
+        steepSections: metadata.steepSections || []
+      } : null,
+      stretches: guide?.stretches || []
+    };
+  }
 }
 
 // Create singleton instance
@@ -3,6 +3,7 @@ import { auth, db } from '../../firebase-setup.js';
 import { toast } from '../utils/toast.js';
 import { modal } from '../utils/modal.js';
 import { userService } from '../services/userService.js';
+import { entitlements } from '../services/entitlements.js';
 import { trailGuideGeneratorV2 } from './trailGuideGeneratorV2.js';
 import {
   signInWithEmailAndPassword,
@@ -633,6 +634,10 @@ async saveCurrentRouteToCloud() {
     return;
   }
 
+  if (!(await entitlements.ensureLimit('maxSavedRoutes'))) {
+    return;
+  }
+
   this.isSavingToCloud = true;
 
   try {
@@ -645,7 +650,7 @@ async saveCurrentRouteToCloud() {
     
     if (!routeDataToSave || routeDataToSave.length === 0) {
       // No current route data, let user choose from saved routes
-      const savedSessions = state?.getSessions();
+      const savedSessions = await state?.getSessions();
       
       if (!savedSessions || savedSessions.length === 0) {
         toast.info('No route data available. Record a route first, then save to cloud.');
@@ -744,6 +749,7 @@ async saveCurrentRouteToCloud() {
     const docRef = await addDoc(collection(db, 'routes'), routeDoc);
     
     console.log('✅ Route saved to cloud successfully with ID:', docRef.id);
+    userService.trackRouteSaved();
     this.showSuccessMessage(`✅ "${routeInfo.name}" saved to cloud successfully! ☁️`);
     
     // Update user stats (optional)
@@ -959,6 +965,9 @@ async loadCloudRouteData(route) {
         localStorage.setItem('accessibilityData', JSON.stringify(route.accessibilityData));
       }
 
+      // Surveying it again updates this cloud route, keeping the old answers in its history
+      state.setCloudRouteId(route.id);
+
       // FIXED: Display route on map using the enhanced method
       if (mapController && typeof mapController.showRouteData === 'function') {
         console.log('🗺️ Displaying route on map...');
@@ -1732,6 +1741,7 @@ async manageGuide(guide) {
   
   const choice = await modal.choice(`Manage "${guide.routeName || 'Unnamed Guide'}":`, '🌐 Trail Guide', [
     { label: '👁️ View Trail Guide', value: 'view' },
+    { label: '🧭 Follow This Route', value: 'follow' },
     { label: toggleLabel, value: 'toggle' },
     { label: '🗑️ Delete Guide', value: 'delete' },
     { label: '❌ Cancel', value: 'cancel' }
@@ -1744,6 +1754,9 @@ async manageGuide(guide) {
       console.log('👁️ Opening trail guide:', guide.id);
       await this.viewTrailGuide(guide.id);
       break;
+    case 'follow':
+      await window.routeNavigation?.followGuide(guide.id);
+      break;
     case 'toggle':
       await this.toggleTrailGuideVisibility(guide.id, !guide.isPublic);
       break;
@@ -0,0 +1,605 @@
+/**
+ * Backup & Restore
+ * One file with everything this device holds, so clearing browser data or
+ * moving to a new phone doesn't lose anything:
+ * - Every RouteDB store (saved routes with their photos, backups, settings, trail guides)
+ * - OfflineSync pending routes, guides and queued email backups
+ * - localStorage: surveys, queued photos/surveys, safety contacts, preferences
+ *
+ * Restore validates the archive, shows what would change and then merges it
+ * into this device or replaces what's here.
+ *
+ * Offline map tiles and elevation tiles aren't included - they download again.
+ *
+ * Access Nature - Backup & Restore
+ * Created: December 2025
+ */
+
+import { toast } from '../utils/toast.js';
+import { modal } from '../utils/modal.js';
+import { crc32 } from '../utils/zip.js';
+
+export const BACKUP_FORMAT = 'accessnature-backup';
+
+// Bumped when the archive layout changes
+export const BACKUP_VERSION = 1;
+
+/**
+ * IndexedDB stores in the archive: database → store → { keyPath, autoIncrement, label }
+ */
+export const BACKUP_STORES = {
+  AccessNatureDB: {
+    routes: { keyPath: 'id', label: 'Saved routes' },
+    backups: { keyPath: 'type', label: 'Unsaved route backup' },
+    settings: { keyPath: 'key', label: 'App settings' },
+    trail_guides: { keyPath: 'id', label: 'Trail guides' },
+    survey_drafts: { keyPath: 'key', label: 'Survey drafts' }
+  },
+  AccessNaturePending: {
+    pending_routes: { keyPath: 'localId', autoIncrement: true, label: 'Routes waiting to upload' },
+    pending_guides: { keyPath: 'localId', autoIncrement: true, label: 'Guides waiting to upload' },
+    email_queue: { keyPath: 'id', autoIncrement: true, label: 'Queued email backups' }
+  }
+};
+
+/**
+ * localStorage keys that belong to this browser, not to the user's data
+ */
+const DEVICE_ONLY_KEYS = [
+  'accessNature_pushSubscription',
+  'accessNature_notifPromptDismissed',
+  'accessNature_pwa',
+  'pwa_remind_later',
+  'indexeddb_migration'
+];
+const DEVICE_ONLY_PREFIXES = ['firebase:'];
+
+const LOCAL_STORAGE_LABEL = 'Surveys, queues & preferences';
+
+const encoder = new TextEncoder();
+
+function isDeviceOnlyKey(key) {
+  return DEVICE_ONLY_KEYS.includes(key) || DEVICE_ONLY_PREFIXES.some(prefix => key.startsWith(prefix));
+}
+
+function checksum(data) {
+  return crc32(encoder.encode(JSON.stringify(data))).toString(16).padStart(8, '0');
+}
+
+function parseJSON(value) {
+  try {
+    return JSON.parse(value);
+  } catch {
+    return undefined;
+  }
+}
+
+// ==================== ARCHIVE ====================
+
+/**
+ * Wrap collected data in a versioned archive
+ * @param {object} data - { indexedDB: { db: { store: [records] } }, localStorage: { key: rawString } }
+ * @returns {object} Archive
+ */
+export function buildArchive(data) {
+  return {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    createdAt: new Date().toISOString(),
+    userAgent: typeof navigator !== 'undefined' ? navigator.userAgent : null,
+    summary: summarizeData(data),
+    checksum: checksum(data),
+    data
+  };
+}
+
+/**
+ * Counts shown before restoring (and stored in the archive for a quick look)
+ * @param {object} data - Archive data
+ * @returns {object} { routes, guides, pending, photos, surveys }
+ */
+export function summarizeData(data) {
+  const stores = data.indexedDB || {};
+  const routes = stores.AccessNatureDB?.routes || [];
+  const pending = stores.AccessNaturePending || {};
+  const storage = data.localStorage || {};
+
+  const pendingPhotos = parseJSON(storage.accessNature_pendingPhotos);
+  const pendingSurveys = parseJSON(storage.accessNature_pendingSurveys);
+  const routePhotos = routes.reduce((sum, route) => (
+    sum + (Array.isArray(route.data) ? route.data.filter(entry => entry.type === 'photo').length : 0)
+  ), 0);
+
+  return {
+    routes: routes.length,
+    guides: (stores.AccessNatureDB?.trail_guides || []).length,
+    pending: (pending.pending_routes || []).length + (pending.pending_guides || []).length,
+    photos: routePhotos + (Array.isArray(pendingPhotos) ? pendingPhotos.length : 0),
+    surveys: (storage.accessibilityData ? 1 : 0) + (Array.isArray(pendingSurveys) ? pendingSurveys.length : 0)
+  };
+}
+
+/**
+ * Check that an archive can be restored
+ * @param {object} archive - Parsed archive file
+ * @returns {object} The archive
+ * @throws {Error} Describing the first problem found
+ */
+export function validateArchive(archive) {
+  if (!archive || typeof archive !== 'object' || archive.format !== BACKUP_FORMAT) {
+    throw new Error('This is not an Access Nature backup file');
+  }
+  if (!Number.isInteger(archive.version) || archive.version < 1) {
+    throw new Error('Backup file has no valid version');
+  }
+  if (archive.version > BACKUP_VERSION) {
+    throw new Error('This backup was made by a newer version of Access Nature - update the app first');
+  }
+
+  const data = archive.data;
+  if (!data || typeof data !== 'object' || typeof data.indexedDB !== 'object' || typeof data.localStorage !== 'object') {
+    throw new Error('Backup file is incomplete - data section missing');
+  }
+  if (archive.checksum && archive.checksum !== checksum(data)) {
+    throw new Error('Backup file is damaged - checksum does not match');
+  }
+
+  Object.entries(data.indexedDB).forEach(([dbName, stores]) => {
+    const known = BACKUP_STORES[dbName];
+    if (!known) throw new Error(`Backup contains an unknown database: ${dbName}`);
+
+    Object.entries(stores || {}).forEach(([storeName, records]) => {
+      const store = known[storeName];
+      if (!store) throw new Error(`Backup contains an unknown store: ${dbName}/${storeName}`);
+      if (!Array.isArray(records)) throw new Error(`Backup store ${storeName} is not a list`);
+
+      records.forEach(record => {
+        if (!record || typeof record !== 'object' || (!store.autoIncrement && record[store.keyPath] === undefined)) {
+          throw new Error(`Backup store ${storeName} has a record without its ${store.keyPath}`);
+        }
+      });
+    });
+  });
+
+  Object.entries(data.localStorage).forEach(([key, value]) => {
+    if (typeof value !== 'string') throw new Error(`Backup setting ${key} is not text`);
+  });
+
+  return archive;
+}
+
+// ==================== DIFF & MERGE ====================
+
+/**
+ * Identity of a record across devices. Auto-increment keys restart at 1 on
+ * every device, so those records also need the same creation time to match.
+ */
+function recordIdentity(store, record) {
+  const key = record[store.keyPath];
+  return store.autoIncrement ? `${key}@${record.timestamp ?? ''}` : String(key);
+}
+
+function compareCollections(incoming, existing, identify, same) {
+  const current = new Map(existing.map(item => [identify(item), item]));
+  const result = { added: 0, changed: 0, same: 0, deviceOnly: 0 };
+
+  incoming.forEach(item => {
+    const match = current.get(identify(item));
+    if (match === undefined) {
+      result.added++;
+    } else {
+      result[same(item, match) ? 'same' : 'changed']++;
+      current.delete(identify(item));
+    }
+  });
+
+  result.deviceOnly = current.size;
+  return result;
+}
+
+/**
+ * Compare an archive with what this device holds
+ * @param {object} data - Archive data
+ * @param {object} current - Same shape, read from this device
+ * @returns {Array} One row per store: { id, label, added, changed, same, deviceOnly }
+ */
+export function diffArchive(data, current) {
+  const rows = [];
+  const sameJSON = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+  Object.entries(BACKUP_STORES).forEach(([dbName, stores]) => {
+    Object.entries(stores).forEach(([storeName, store]) => {
+      const incoming = data.indexedDB[dbName]?.[storeName] || [];
+      const existing = current.indexedDB[dbName]?.[storeName] || [];
+      rows.push({
+        id: `${dbName}/${storeName}`,
+        label: store.label,
+        ...compareCollections(incoming, existing, record => recordIdentity(store, record), sameJSON)
+      });
+    });
+  });
+
+  const toEntries = (storage) => Object.entries(storage || {}).filter(([key]) => !isDeviceOnlyKey(key));
+  rows.push({
+    id: 'localStorage',
+    label: LOCAL_STORAGE_LABEL,
+    ...compareCollections(toEntries(data.localStorage), toEntries(current.localStorage), ([key]) => key, (a, b) => a[1] === b[1])
+  });
+
+  return rows;
+}
+
+/**
+ * Merge two JSON-list values (queues, liked trails): the archive wins for the
+ * same id, items only on this device are kept
+ * @returns {string|null} Merged value, or null when they aren't both lists
+ */
+export function mergeListValues(incoming, existing) {
+  const incomingList = parseJSON(incoming);
+  const existingList = parseJSON(existing);
+  if (!Array.isArray(incomingList) || !Array.isArray(existingList)) return null;
+
+  const identify = (item) => (item && typeof item === 'object' && item.id !== undefined ? `id:${item.id}` : JSON.stringify(item));
+  const merged = new Map(existingList.map(item => [identify(item), item]));
+  incomingList.forEach(item => merged.set(identify(item), item));
+
+  return JSON.stringify([...merged.values()]);
+}
+
+// ==================== INDEXEDDB ACCESS ====================
+
+function readStore(db, storeName) {
+  return new Promise((resolve, reject) => {
+    const request = db.transaction([storeName], 'readonly').objectStore(storeName).getAll();
+    request.onsuccess = () => resolve(request.result || []);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Write records into a store in one transaction
+ * @param {IDBDatabase} db
+ * @param {string} storeName
+ * @param {object} store - BACKUP_STORES entry
+ * @param {Array} records - Records to write
+ * @param {object} options - { clear: empty the store first, existing: current records (merge only) }
+ */
+function writeStore(db, storeName, store, records, { clear = false, existing = [] } = {}) {
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([storeName], 'readwrite');
+    const objectStore = transaction.objectStore(storeName);
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+
+    if (clear) objectStore.clear();
+
+    const known = new Set(existing.map(record => recordIdentity(store, record)));
+    const usedKeys = new Set(existing.map(record => record[store.keyPath]));
+
+    records.forEach(record => {
+      // Same auto-increment key but a different item: add it under a new key
+      if (!clear && store.autoIncrement && !known.has(recordIdentity(store, record)) && usedKeys.has(record[store.keyPath])) {
+        const { [store.keyPath]: _key, ...rest } = record;
+        objectStore.add(rest);
+      } else {
+        objectStore.put(record);
+      }
+    });
+  });
+}
+
+// ==================== BACKUP ARCHIVE MANAGER ====================
+
+class BackupArchive {
+  constructor() {
+    this.busy = false;
+  }
+
+  initialize() {
+    this.injectStyles();
+    console.log('💾 Backup & restore initialized');
+  }
+
+  /**
+   * Open connections, by database name. Stores are read through the app's own
+   * connections so a missing database is never created here without its schema.
+   */
+  getConnections() {
+    const appState = window.AccessNatureApp?.getController('state');
+    return {
+      AccessNatureDB: appState?.dbReady ? appState.routeDB?.db || null : null,
+      AccessNaturePending: window.offlineSync?.db || null
+    };
+  }
+
+  /**
+   * Everything this device holds, in archive layout
+   * @returns {Promise<object>} { indexedDB, localStorage, unavailable: [dbName] }
+   */
+  async collectData() {
+    const connections = this.getConnections();
+    const indexedDB = {};
+    const unavailable = [];
+
+    for (const [dbName, stores] of Object.entries(BACKUP_STORES)) {
+      const db = connections[dbName];
+      if (!db) {
+        unavailable.push(dbName);
+        continue;
+      }
+
+      indexedDB[dbName] = {};
+      for (const storeName of Object.keys(stores)) {
+        indexedDB[dbName][storeName] = await readStore(db, storeName);
+      }
+    }
+
+    const storage = {};
+    for (let i = 0; i < localStorage.length; i++) {
+      const key = localStorage.key(i);
+      if (!isDeviceOnlyKey(key)) storage[key] = localStorage.getItem(key);
+    }
+
+    return { indexedDB, localStorage: storage, unavailable };
+  }
+
+  // ==================== BACKUP ====================
+
+  /**
+   * Download a backup of everything on this device
+   */
+  async downloadBackup() {
+    if (this.busy) return;
+    this.busy = true;
+
+    try {
+      const { unavailable, ...data } = await this.collectData();
+      const archive = buildArchive(data);
+      const blob = new Blob([JSON.stringify(archive)], { type: 'application/json' });
+      const filename = `accessnature-backup-${archive.createdAt.slice(0, 10)}.json`;
+
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = filename;
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+      setTimeout(() => URL.revokeObjectURL(url), 1000);
+
+      const { summary } = archive;
+      toast.success(`Backup saved: ${summary.routes} routes, ${summary.photos} photos, ${summary.surveys} surveys (${this.formatSize(blob.size)})`);
+      if (unavailable.length > 0) {
+        toast.warning('Some local storage could not be opened and is not in this backup');
+      }
+    } catch (error) {
+      console.error('❌ Backup failed:', error);
+      toast.error('Backup failed: ' + error.message);
+    } finally {
+      this.busy = false;
+    }
+  }
+
+  // ==================== RESTORE ====================
+
+  /**
+   * Pick a backup file and restore it
+   */
+  chooseRestoreFile() {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = '.json,application/json';
+    input.addEventListener('change', async () => {
+      const file = input.files?.[0];
+      if (!file) return;
+
+      try {
+        const archive = JSON.parse(await file.text());
+        await this.restore(archive);
+      } catch (error) {
+        console.error('❌ Restore failed:', error);
+        toast.error('Restore failed: ' + error.message);
+      }
+    });
+    input.click();
+  }
+
+  /**
+   * Validate an archive, show what would change and apply it
+   * @param {object} archive - Parsed backup file
+   * @returns {Promise<boolean>} True when data was restored
+   * @throws {Error} When the archive is invalid or writing fails
+   */
+  async restore(archive) {
+    if (this.busy) return false;
+    validateArchive(archive);
+
+    this.busy = true;
+    try {
+      const current = await this.collectData();
+      const missing = Object.keys(archive.data.indexedDB).filter(dbName => current.unavailable.includes(dbName));
+      if (missing.length > 0) {
+        throw new Error('Local storage is not ready yet - wait a moment and try again');
+      }
+
+      const rows = diffArchive(archive.data, current);
+      const mode = await this.showDiff(archive, rows);
+      if (mode !== 'merge' && mode !== 'replace') return false;
+
+      if (mode === 'replace') {
+        const removed = rows.reduce((sum, row) => sum + row.deviceOnly, 0);
+        if (removed > 0) {
+          const confirmed = await modal.confirm(
+            `${removed} item${removed === 1 ? '' : 's'} only on this device will be deleted. This cannot be undone.`,
+            '⚠️ Replace Everything?'
+          );
+          if (!confirmed) return false;
+        }
+      }
+
+      await this.applyArchive(archive.data, current, mode);
+    } finally {
+      this.busy = false;
+    }
+
+    const reload = await modal.confirm('Backup restored. Reload the app to see your data?', '✅ Restore Complete');
+    if (reload) location.reload();
+    return true;
+  }
+
+  /**
+   * @returns {Promise<string>} 'merge' | 'replace' | 'cancel'
+   */
+  showDiff(archive, rows) {
+    const safe = (text) => modal.escapeHtml(String(text));
+    const created = new Date(archive.createdAt);
+    const { summary = summarizeData(archive.data) } = archive;
+
+    const tableRows = rows
+      .filter(row => row.added + row.changed + row.same + row.deviceOnly > 0)
+      .map(row => `
+        <tr>
+          <th scope="row">${safe(row.label)}</th>
+          <td class="${row.added ? 'br-new' : ''}">${row.added}</td>
+          <td class="${row.changed ? 'br-changed' : ''}">${row.changed}</td>
+          <td>${row.same}</td>
+          <td class="${row.deviceOnly ? 'br-device' : ''}">${row.deviceOnly}</td>
+        </tr>`)
+      .join('');
+
+    const html = `
+      <div class="br-summary">
+        <div>📅 Made ${safe(Number.isNaN(created.getTime()) ? 'at an unknown time' : created.toLocaleString())}</div>
+        <div>🥾 ${summary.routes} routes · 📷 ${summary.photos} photos · 📋 ${summary.surveys} surveys · 📦 ${summary.pending} waiting to upload</div>
+      </div>
+      ${tableRows ? `
+        <table class="br-diff">
+          <thead>
+            <tr><th scope="col"></th><th scope="col">New</th><th scope="col">Changed</th><th scope="col">Same</th><th scope="col">Only here</th></tr>
+          </thead>
+          <tbody>${tableRows}</tbody>
+        </table>` : '<p>The backup is empty.</p>'}
+      <p class="br-note">
+        <strong>Merge</strong> adds the backup to this device; where both have the same item, the backup's copy is kept.
+        <strong>Replace</strong> makes this device match the backup exactly.
+        Offline maps are not part of backups.
+      </p>
+    `;
+
+    return modal.show({
+      type: 'confirm',
+      icon: '♻️',
+      title: 'Restore Backup',
+      html,
+      buttons: [
+        { label: 'Cancel', action: 'cancel', variant: 'secondary' },
+        { label: 'Replace', action: 'replace', variant: 'danger' },
+        { label: 'Merge', action: 'merge', variant: 'primary' }
+      ]
+    });
+  }
+
+  /**
+   * Write archive data to this device
+   * @param {object} data - Validated archive data
+   * @param {object} current - collectData() result
+   * @param {string} mode - 'merge' | 'replace'
+   */
+  async applyArchive(data, current, mode) {
+    const connections = this.getConnections();
+
+    for (const [dbName, stores] of Object.entries(BACKUP_STORES)) {
+      const incoming = data.indexedDB[dbName];
+      if (!incoming) continue;
+
+      for (const [storeName, store] of Object.entries(stores)) {
+        const records = incoming[storeName] || [];
+        if (mode === 'merge' && records.length === 0) continue;
+
+        await writeStore(connections[dbName], storeName, store, records, {
+          clear: mode === 'replace',
+          existing: current.indexedDB[dbName]?.[storeName] || []
+        });
+      }
+    }
+
+    if (mode === 'replace') {
+      Object.keys(current.localStorage)
+        .filter(key => !(key in data.localStorage))
+        .forEach(key => localStorage.removeItem(key));
+    }
+
+    Object.entries(data.localStorage).forEach(([key, value]) => {
+      if (isDeviceOnlyKey(key)) return;
+
+      const existing = current.localStorage[key];
+      const merged = mode === 'merge' && existing !== undefined ? mergeListValues(value, existing) : null;
+      try {
+        localStorage.setItem(key, merged ?? value);
+      } catch (error) {
+        console.warn(`Could not restore ${key}:`, error);
+      }
+    });
+
+    console.log(`♻️ Backup restored (${mode})`);
+  }
+
+  formatSize(bytes) {
+    if (bytes < 1024 * 1024) return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  }
+
+  // ==================== STYLES ====================
+
+  injectStyles() {
+    if (document.getElementById('backup-archive-styles')) return;
+
+    const styles = document.createElement('style');
+    styles.id = 'backup-archive-styles';
+    styles.textContent = `
+      .br-summary {
+        display: grid;
+        gap: 4px;
+        margin-bottom: 12px;
+        font-size: 14px;
+      }
+      .br-diff {
+        width: 100%;
+        border-collapse: collapse;
+        font-size: 13px;
+      }
+      .br-diff th,
+      .br-diff td {
+        padding: 6px 4px;
+        border-bottom: 1px solid #e5e7eb;
+        text-align: center;
+      }
+      .br-diff th[scope="row"] {
+        text-align: left;
+        font-weight: 500;
+      }
+      .br-diff .br-new { color: #15803d; font-weight: 600; }
+      .br-diff .br-changed { color: #b45309; font-weight: 600; }
+      .br-diff .br-device { color: #b91c1c; }
+      .br-note {
+        margin-top: 12px;
+        font-size: 12px;
+        color: #6b7280;
+        line-height: 1.5;
+      }
+    `;
+    document.head.appendChild(styles);
+  }
+}
+
+export const backupArchive = new BackupArchive();
+
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', () => backupArchive.initialize());
+} else {
+  backupArchive.initialize();
+}
+
+window.backupArchive = backupArchive;
+
+export default backupArchive;
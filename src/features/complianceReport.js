@@ -0,0 +1,418 @@
+/**
+ * Compliance Report
+ * Checks a recorded trail against an accessibility standard (see
+ * config/complianceRules.js) and lists every criterion as met, not met or
+ * not enough data, with the evidence behind it: measured slope sections,
+ * marked stretches, waypoints, survey answers and the photos taken there.
+ *
+ * The checklist is part of the trail guide and can be exported on its own
+ * as a printable report.
+ *
+ * Access Nature - Enhanced Accessibility Survey System
+ * Created: December 2025
+ */
+
+import { COMPLIANCE_STATUSES, DEFAULT_RULE_SET, getRuleSet } from '../config/complianceRules.js';
+import { normalizeSurvey } from '../config/surveySchema.js';
+import { getWaypointType } from '../config/waypointTypes.js';
+import { getDistanceAlong } from '../core/trackSegments.js';
+import { nearestByTime } from '../core/trackSimplifier.js';
+import { getStretches, formatLength } from '../core/trailStretches.js';
+import { gradeAnalyzer } from './gradeAnalysis.js';
+import { modal } from '../utils/modal.js';
+
+// Photos this close to a piece of evidence are shown with it (meters)
+const PHOTO_RADIUS = 25;
+
+// Most photos shown for one criterion
+const PHOTOS_PER_RESULT = 4;
+
+const EVIDENCE_SOURCES = {
+  measured: '📈 Measured',
+  stretch: '🛤️ Stretch',
+  waypoint: '📍 Waypoint',
+  survey: '📋 Survey'
+};
+
+function escapeHtml(text) {
+  return modal.escapeHtml(String(text ?? ''));
+}
+
+// "at 420 m", "1.2 km – 1.4 km"
+function formatPosition(evidence) {
+  if (typeof evidence.from !== 'number') return '';
+  if (typeof evidence.to !== 'number' || Math.round(evidence.to) === Math.round(evidence.from)) {
+    return `at ${formatLength(evidence.from)}`;
+  }
+  return `${formatLength(evidence.from)} – ${formatLength(evidence.to)}`;
+}
+
+class ComplianceReport {
+  /**
+   * What the rules are evaluated on (see config/complianceRules.js)
+   * @param {Array} routeData - Route data entries
+   * @param {Object} routeInfo - Route metadata; its gradeAnalysis is used when present
+   * @param {Object} survey - Survey (any version)
+   * @returns {Object} Facts, plus the route's photos with their distance
+   */
+  buildFacts(routeData, routeInfo = {}, survey = null) {
+    const entries = routeData || [];
+    const locations = entries.filter(p => p.type === 'location' && p.coords);
+    const along = getDistanceAlong(locations);
+    const distanceOf = (entry) => locations.length > 0 && typeof entry.timestamp === 'number'
+      ? Math.round(along[nearestByTime(locations, entry.timestamp)])
+      : null;
+
+    return {
+      survey: normalizeSurvey(survey),
+      totalLength: along.length > 0 ? along[along.length - 1] : 0,
+      gradeAnalysis: routeInfo?.gradeAnalysis || gradeAnalyzer.analyze(entries),
+      stretches: getStretches(entries).map(({ from, to, length, attributes }) => ({ from, to, length, attributes })),
+      waypoints: entries
+        .filter(p => p.type === 'waypoint' && getWaypointType(p.waypointType))
+        .map(waypoint => ({
+          waypointType: waypoint.waypointType,
+          attributes: waypoint.attributes || {},
+          distance: distanceOf(waypoint)
+        })),
+      photos: entries
+        .filter(p => p.type === 'photo' && p.content)
+        .map(photo => ({ content: photo.content, distance: distanceOf(photo) }))
+        .filter(photo => photo.distance !== null)
+    };
+  }
+
+  /**
+   * Check a trail against a rule set
+   * @param {Array} routeData - Route data entries
+   * @param {Object} routeInfo - Route metadata
+   * @param {Object} survey - Survey (any version)
+   * @param {string} ruleSetId - Registered rule set
+   * @returns {Object} { ruleSet, generatedAt, totalLength, status, counts, results }
+   *   results: [{ id, section, title, requirement, status, finding, evidence, photos }]
+   */
+  evaluate(routeData, routeInfo = {}, survey = null, ruleSetId = DEFAULT_RULE_SET) {
+    const ruleSet = getRuleSet(ruleSetId);
+    if (!ruleSet) throw new Error(`Unknown rule set: ${ruleSetId}`);
+
+    const { photos, ...facts } = this.buildFacts(routeData, routeInfo, survey);
+
+    const results = ruleSet.rules.map(rule => {
+      let outcome;
+      try {
+        outcome = rule.evaluate(facts);
+      } catch (error) {
+        console.warn(`⚠️ Compliance rule ${rule.id} failed:`, error);
+        outcome = { status: 'unknown', finding: 'This criterion could not be checked.', evidence: [] };
+      }
+
+      const evidence = outcome.evidence || [];
+      return {
+        id: rule.id,
+        section: rule.section || '',
+        title: rule.title,
+        requirement: rule.requirement || '',
+        status: COMPLIANCE_STATUSES[outcome.status] ? outcome.status : 'unknown',
+        finding: outcome.finding || '',
+        evidence,
+        photos: this.findPhotos(photos, evidence)
+      };
+    });
+
+    const counts = Object.keys(COMPLIANCE_STATUSES).reduce((all, status) => {
+      all[status] = results.filter(r => r.status === status).length;
+      return all;
+    }, {});
+
+    return {
+      ruleSet: {
+        id: ruleSet.id,
+        name: ruleSet.name,
+        jurisdiction: ruleSet.jurisdiction || '',
+        reference: ruleSet.reference || ''
+      },
+      generatedAt: new Date().toISOString(),
+      totalLength: facts.totalLength,
+      status: counts.fail > 0 ? 'fail' : counts.unknown > 0 ? 'unknown' : 'pass',
+      counts,
+      results
+    };
+  }
+
+  /**
+   * Photos taken where the evidence is, nearest first
+   * @param {Array} photos - From buildFacts
+   * @param {Array} evidence - Rule evidence
+   * @returns {Array} [{ content, distance }]
+   */
+  findPhotos(photos, evidence) {
+    const placed = evidence.filter(item => typeof item.from === 'number');
+    if (placed.length === 0) return [];
+
+    const gapTo = (photo) => Math.min(...placed.map(item => {
+      const to = typeof item.to === 'number' ? item.to : item.from;
+      if (photo.distance < item.from) return item.from - photo.distance;
+      if (photo.distance > to) return photo.distance - to;
+      return 0;
+    }));
+
+    return photos
+      .map(photo => ({ photo, gap: gapTo(photo) }))
+      .filter(({ gap }) => gap <= PHOTO_RADIUS)
+      .sort((a, b) => a.gap - b.gap)
+      .slice(0, PHOTOS_PER_RESULT)
+      .map(({ photo }) => photo)
+      .sort((a, b) => a.distance - b.distance);
+  }
+
+  // ==================== RENDERING ====================
+
+  /**
+   * One-line summary, e.g. "3 met · 1 not met · 3 not enough data"
+   * @param {Object} report - evaluate() result
+   * @returns {string}
+   */
+  describe(report) {
+    const { pass, fail, unknown } = report.counts;
+    return [
+      pass > 0 && `${pass} met`,
+      fail > 0 && `${fail} not met`,
+      unknown > 0 && `${unknown} not enough data`
+    ].filter(Boolean).join(' · ');
+  }
+
+  /**
+   * Checklist markup, styled by getStyles()
+   * @param {Object} report - evaluate() result
+   * @param {Object} options - { includePhotos: show photo thumbnails (default true) }
+   * @returns {string} HTML
+   */
+  renderChecklist(report, options = {}) {
+    const includePhotos = options.includePhotos !== false;
+    const overall = COMPLIANCE_STATUSES[report.status];
+
+    return `
+      <div class="cr-checklist">
+        <div class="cr-summary" style="background: ${overall.bgColor}; color: ${overall.color}">
+          <span class="cr-summary-icon">${overall.icon}</span>
+          <div>
+            <div class="cr-summary-title">${escapeHtml(report.ruleSet.name)}</div>
+            <div class="cr-summary-counts">${escapeHtml(this.describe(report))}</div>
+          </div>
+        </div>
+        <ol class="cr-results">
+          ${report.results.map(result => this.renderResult(result, includePhotos)).join('')}
+        </ol>
+        <p class="cr-disclaimer">
+          Generated from the survey and the recorded route on ${escapeHtml(new Date(report.generatedAt).toLocaleDateString())}.
+          This is a screening aid, not a certified inspection - confirm failed and unknown criteria on site.
+          ${report.ruleSet.reference ? `Standard: <a href="${escapeHtml(report.ruleSet.reference)}" target="_blank" rel="noopener">${escapeHtml(report.ruleSet.reference)}</a>` : ''}
+        </p>
+      </div>
+    `;
+  }
+
+  renderResult(result, includePhotos) {
+    const status = COMPLIANCE_STATUSES[result.status];
+
+    return `
+      <li class="cr-result cr-${result.status}">
+        <div class="cr-result-header">
+          <span class="cr-status" style="background: ${status.bgColor}; color: ${status.color}">${status.icon} ${status.label}</span>
+          <span class="cr-title">${result.section ? `<span class="cr-section">§${escapeHtml(result.section)}</span> ` : ''}${escapeHtml(result.title)}</span>
+        </div>
+        <p class="cr-requirement">${escapeHtml(result.requirement)}</p>
+        <p class="cr-finding">${escapeHtml(result.finding)}</p>
+        ${result.evidence.length > 0 ? `
+        <ul class="cr-evidence">
+          ${result.evidence.map(item => `
+            <li>
+              <span class="cr-source">${EVIDENCE_SOURCES[item.source] || ''}</span>
+              ${escapeHtml(item.text)}
+              ${formatPosition(item) ? `<span class="cr-position">${formatPosition(item)}</span>` : ''}
+            </li>
+          `).join('')}
+        </ul>
+        ` : ''}
+        ${includePhotos && result.photos.length > 0 ? `
+        <div class="cr-photos">
+          ${result.photos.map(photo => `
+            <figure>
+              <img src="${escapeHtml(photo.content)}" alt="Photo at ${formatLength(photo.distance)}" loading="lazy">
+              <figcaption>${formatLength(photo.distance)}</figcaption>
+            </figure>
+          `).join('')}
+        </div>
+        ` : ''}
+      </li>
+    `;
+  }
+
+  /**
+   * Checklist CSS (also included in the trail guide)
+   * @returns {string}
+   */
+  getStyles() {
+    return `
+        .cr-summary {
+            display: flex;
+            align-items: center;
+            gap: 12px;
+            padding: 14px 16px;
+            border-radius: 12px;
+            margin-bottom: 16px;
+        }
+        .cr-summary-icon { font-size: 28px; }
+        .cr-summary-title { font-weight: 700; }
+        .cr-summary-counts { font-size: 14px; }
+        .cr-results {
+            list-style: none;
+            margin: 0;
+            padding: 0;
+        }
+        .cr-result {
+            border: 1px solid #e0e0e0;
+            border-left-width: 5px;
+            border-radius: 10px;
+            padding: 12px 14px;
+            margin-bottom: 12px;
+            page-break-inside: avoid;
+        }
+        .cr-result.cr-pass { border-left-color: #2e7d32; }
+        .cr-result.cr-fail { border-left-color: #c62828; }
+        .cr-result.cr-unknown { border-left-color: #f9a825; }
+        .cr-result-header {
+            display: flex;
+            flex-wrap: wrap;
+            align-items: center;
+            gap: 8px;
+        }
+        .cr-status {
+            padding: 2px 10px;
+            border-radius: 12px;
+            font-size: 12px;
+            font-weight: 600;
+            white-space: nowrap;
+        }
+        .cr-title { font-weight: 600; }
+        .cr-section { color: #666; font-weight: 400; }
+        .cr-requirement {
+            margin: 6px 0 4px;
+            font-size: 13px;
+            color: #666;
+        }
+        .cr-finding { margin: 4px 0; }
+        .cr-evidence {
+            margin: 6px 0 0;
+            padding-left: 18px;
+            font-size: 13px;
+            color: #444;
+        }
+        .cr-evidence li { margin: 2px 0; }
+        .cr-source { color: #666; margin-right: 4px; }
+        .cr-position { color: #888; margin-left: 4px; }
+        .cr-photos {
+            display: flex;
+            flex-wrap: wrap;
+            gap: 8px;
+            margin-top: 10px;
+        }
+        .cr-photos figure { margin: 0; }
+        .cr-photos img {
+            width: 120px;
+            height: 90px;
+            object-fit: cover;
+            border-radius: 6px;
+        }
+        .cr-photos figcaption {
+            font-size: 11px;
+            color: #888;
+            text-align: center;
+        }
+        .cr-disclaimer {
+            font-size: 12px;
+            color: #777;
+            margin-top: 12px;
+        }
+    `;
+  }
+
+  /**
+   * Standalone, printable report
+   * @param {Array} routeData - Route data entries
+   * @param {Object} routeInfo - Route metadata (name, date, gradeAnalysis)
+   * @param {Object} survey - Survey (any version)
+   * @param {string} ruleSetId - Registered rule set
+   * @returns {string} Complete HTML document
+   */
+  generateHTML(routeData, routeInfo = {}, survey = null, ruleSetId = DEFAULT_RULE_SET) {
+    const report = this.evaluate(routeData, routeInfo, survey, ruleSetId);
+    const canonical = normalizeSurvey(survey);
+    const name = routeInfo.name || canonical?.trailName || 'Trail';
+    const recorded = routeInfo.date ? new Date(routeInfo.date).toLocaleDateString() : '';
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${escapeHtml(name)} - Accessibility Compliance Report</title>
+    <style>
+        body {
+            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+            color: #222;
+            max-width: 860px;
+            margin: 0 auto;
+            padding: 24px 16px;
+            line-height: 1.45;
+        }
+        .cr-header h1 {
+            margin: 0 0 4px;
+            color: #2c5530;
+        }
+        .cr-meta {
+            color: #666;
+            font-size: 14px;
+            margin: 0 0 20px;
+        }
+        .cr-print {
+            float: right;
+            padding: 8px 16px;
+            border: none;
+            border-radius: 8px;
+            background: #2c5530;
+            color: white;
+            cursor: pointer;
+        }
+        ${this.getStyles()}
+        @media print {
+            .cr-print { display: none; }
+        }
+    </style>
+</head>
+<body>
+    <header class="cr-header">
+        <button type="button" class="cr-print" onclick="window.print()">🖨️ Print</button>
+        <h1>📏 ${escapeHtml(name)}</h1>
+        <p class="cr-meta">
+            ${escapeHtml([
+              canonical?.location,
+              recorded && `Recorded ${recorded}`,
+              `${formatLength(report.totalLength)} checked`,
+              report.ruleSet.jurisdiction
+            ].filter(Boolean).join(' · '))}
+        </p>
+    </header>
+    ${this.renderChecklist(report)}
+</body>
+</html>`;
+  }
+}
+
+// Create and export singleton
+export const complianceReport = new ComplianceReport();
+
+// Make available globally
+window.complianceReport = complianceReport;
+
+export default complianceReport;
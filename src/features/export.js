@@ -2,7 +2,22 @@
 import { toast } from '../utils/toast.js';
 import { modal } from '../utils/modal.js';
 import { userService } from '../services/userService.js';
+import { entitlements, EXPORT_FORMAT_NAMES } from '../services/entitlements.js';
 import { trailGuideGeneratorV2 } from './trailGuideGeneratorV2.js';
+import { getSegmentedDistance } from '../core/trackSegments.js';
+import { getStretches } from '../core/trailStretches.js';
+import { gradeAnalyzer } from './gradeAnalysis.js';
+import { accessibilityRating } from './accessibilityRating.js';
+import { generateGPX, readGPX, assignWaypoints, GPX_IMPORT_LIMITS } from './gpxFormat.js';
+import { backupArchive, BACKUP_FORMAT } from './backupArchive.js';
+import { generatePDFReport } from './pdfReport.js';
+import { normalizeSurvey } from '../config/surveySchema.js';
+import {
+  SIMPLIFY_PRESETS,
+  applySimplifySettings,
+  loadSimplifySettings,
+  saveSimplifySettings
+} from '../core/trackSimplifier.js';
 
 export class ExportController {
   constructor(appState) {
@@ -17,13 +32,44 @@ export class ExportController {
   initialize() {
     this.setupExportButtons();
     this.setupFileImport();
+    this.refreshExportButtons();
+    window.addEventListener('userDataChanged', () => this.refreshExportButtons());
+  }
+
+  // Mark export buttons whose format the current plan doesn't include
+  refreshExportButtons() {
+    const buttonFormats = {
+      prepareAndExportBtn: 'json',
+      exportGPXBtn: 'gpx',
+      exportPDFBtn: 'pdf',
+      exportSummaryBtn: 'html',
+      exportComplianceBtn: 'html',
+      exportKMLBtn: 'kml',
+      exportGeoJSONBtn: 'geojson',
+      exportCSVBtn: 'csv'
+    };
+
+    Object.entries(buttonFormats).forEach(([id, format]) => {
+      const button = document.getElementById(id);
+      if (!button) return;
+
+      const locked = !entitlements.canExportFormat(format);
+      button.classList.toggle('export-locked', locked);
+      button.title = locked ? `${EXPORT_FORMAT_NAMES[format]} export needs a plan upgrade` : '';
+    });
   }
 
   setupExportButtons() {
     const buttons = [
       { id: 'prepareAndExportBtn', handler: () => this.showExportOptions() }, // Changed this
       { id: 'exportGPXBtn', handler: () => this.exportGPX() },
-      { id: 'exportPDFBtn', handler: () => this.exportPDF() }
+      { id: 'exportPDFBtn', handler: () => this.exportPDF() },
+      { id: 'exportSummaryBtn', handler: () => this.exportRouteSummary() },
+      { id: 'exportComplianceBtn', handler: () => this.exportComplianceReport() },
+      { id: 'exportKMLBtn', handler: () => this.exportKML() },
+      { id: 'exportGeoJSONBtn', handler: () => this.exportGeoJSON() },
+      { id: 'exportCSVBtn', handler: () => this.exportCSV() },
+      { id: 'trackDetailBtn', handler: () => this.showSimplifySettings() }
     ];
 
     buttons.forEach(({ id, handler }) => {
@@ -45,8 +91,10 @@ export class ExportController {
 
   // NEW: Show export options - current route or saved routes
   async showExportOptions() {
+    if (!(await entitlements.ensureExport('json'))) return;
+
     const currentRouteData = this.appState.getRouteData();
-    const savedSessions = this.appState.getSessions();
+    const savedSessions = await this.appState.getSessions();
     
     let message = '📦 Export Options:\n\n';
     let options = [];
@@ -102,12 +150,16 @@ export class ExportController {
       return;
     }
 
+    const { routeData: exportedData, stats: simplification } = applySimplifySettings(routeData);
+
     const exportData = {
       exportType: 'current_route',
       exportDate: new Date().toISOString(),
       totalDistance: this.appState.getTotalDistance(),
       elapsedTime: this.appState.getElapsedTime(),
-      route: routeData
+      movingTime: this.appState.getMovingTime(),
+      simplification,
+      route: exportedData
     };
 
     this.downloadJSON(exportData, `current-route-${Date.now()}.json`);
@@ -116,7 +168,7 @@ export class ExportController {
 
   // Show list of saved routes for export selection
   async showSavedRoutesForExport() {
-    const sessions = this.appState.getSessions();
+    const sessions = await this.appState.getSessions();
     if (!sessions || sessions.length === 0) {
       toast.info('No saved routes available');
       return;
@@ -152,7 +204,8 @@ export class ExportController {
         name: session.name,
         originalDate: session.date,
         totalDistance: session.totalDistance,
-        elapsedTime: session.elapsedTime
+        elapsedTime: session.elapsedTime,
+        movingTime: session.movingTime
       },
       route: session.data || []
     };
@@ -163,8 +216,8 @@ export class ExportController {
   }
 
   // Export all saved routes
-  exportAllRoutes() {
-    const sessions = this.appState.getSessions();
+  async exportAllRoutes() {
+    const sessions = await this.appState.getSessions();
     if (!sessions || sessions.length === 0) {
       toast.info('No saved routes to export');
       return;
@@ -180,6 +233,7 @@ export class ExportController {
         date: session.date,
         totalDistance: session.totalDistance,
         elapsedTime: session.elapsedTime,
+        movingTime: session.movingTime,
         dataPoints: session.data ? session.data.length : 0,
         route: session.data || []
       }))
@@ -191,10 +245,13 @@ export class ExportController {
 
   // Updated GPX export to handle both current and saved routes
   async exportGPX() {
+    if (!(await entitlements.ensureExport('gpx'))) return;
+
     const currentRouteData = this.appState.getRouteData();
-    const savedSessions = this.appState.getSessions();
+    const savedSessions = await this.appState.getSessions();
     
     let routeDataToExport = null;
+    let routeInfo = {};
     let filename = `route-${Date.now()}.gpx`;
     
     // Determine what data to export
@@ -207,11 +264,17 @@ export class ExportController {
       
       if (choice === 'current') {
         routeDataToExport = currentRouteData;
+        routeInfo = {
+          name: 'Current Route',
+          elapsedTime: this.appState.getElapsedTime(),
+          movingTime: this.appState.getMovingTime()
+        };
         filename = `current-route-${Date.now()}.gpx`;
       } else if (choice === 'saved' && savedSessions && savedSessions.length > 0) {
         const selectedRoute = await this.selectRouteForExport(savedSessions);
         if (selectedRoute) {
           routeDataToExport = selectedRoute.data;
+          routeInfo = selectedRoute;
           filename = `${selectedRoute.name.replace(/[^a-z0-9]/gi, '_').toLowerCase()}.gpx`;
         }
       } else if (choice === 'cancel' || choice === null) {
@@ -221,6 +284,7 @@ export class ExportController {
       const selectedRoute = await this.selectRouteForExport(savedSessions);
       if (selectedRoute) {
         routeDataToExport = selectedRoute.data;
+        routeInfo = selectedRoute;
         filename = `${selectedRoute.name.replace(/[^a-z0-9]/gi, '_').toLowerCase()}.gpx`;
       }
     } else {
@@ -230,6 +294,8 @@ export class ExportController {
     
     if (!routeDataToExport) return;
     
+    // Routes saved before simplification existed are thinned here
+    routeDataToExport = applySimplifySettings(routeDataToExport).routeData;
     const locationPoints = routeDataToExport.filter(point => point.type === 'location' && point.coords);
     
     if (locationPoints.length === 0) {
@@ -238,7 +304,11 @@ export class ExportController {
     }
 
     try {
-      const gpxContent = this.generateGPX(locationPoints);
+      const accessibilityData = this.getStoredAccessibilityData();
+      const gpxContent = this.generateGPX(routeDataToExport, routeInfo, {
+        accessibilityData,
+        rating: this.getExportRating(accessibilityData, routeInfo, routeDataToExport)
+      });
       this.downloadFile(gpxContent, filename, 'application/gpx+xml');
       toast.success(`GPX file exported with ${locationPoints.length} GPS points!`);
     } catch (error) {
@@ -247,65 +317,229 @@ export class ExportController {
     }
   }
 
-  // Updated PDF export with route selection
-  async exportPDF() {
-    if (!window.jsPDF) {
-      toast.error('PDF export not available. jsPDF library required.');
-      return;
-    }
-
+  // Route picker shared by the KML, GeoJSON, CSV and PDF exports
+  // Returns { routeData, routeInfo } (simplified), or null when cancelled / nothing to export
+  async chooseRouteForExport(question, title) {
     const currentRouteData = this.appState.getRouteData();
-    const savedSessions = this.appState.getSessions();
-    
-    let routeDataToExport = null;
-    let routeInfo = null;
-    
-    // Determine what data to export
+    const savedSessions = await this.appState.getSessions();
+
+    let routeData = null;
+    let routeInfo = {};
+
     if (currentRouteData && currentRouteData.length > 0) {
-      const choice = await modal.choice('Which route would you like to export to PDF?', '📤 Export PDF', [
+      const choice = await modal.choice(question, title, [
         { label: '📍 Current Route', value: 'current' },
         { label: '📂 Choose from Saved Routes', value: 'saved' },
         { label: '❌ Cancel', value: 'cancel' }
       ]);
-      
+
       if (choice === 'current') {
-        routeDataToExport = currentRouteData;
+        routeData = currentRouteData;
         routeInfo = {
           name: 'Current Route',
           totalDistance: this.appState.getTotalDistance(),
           elapsedTime: this.appState.getElapsedTime(),
+          movingTime: this.appState.getMovingTime(),
           date: new Date().toISOString()
         };
       } else if (choice === 'saved' && savedSessions && savedSessions.length > 0) {
         const selectedRoute = await this.selectRouteForExport(savedSessions);
         if (selectedRoute) {
-          routeDataToExport = selectedRoute.data;
+          routeData = selectedRoute.data;
           routeInfo = selectedRoute;
         }
-      } else if (choice === 'cancel' || choice === null) {
-        return;
       }
     } else if (savedSessions && savedSessions.length > 0) {
       const selectedRoute = await this.selectRouteForExport(savedSessions);
       if (selectedRoute) {
-        routeDataToExport = selectedRoute.data;
+        routeData = selectedRoute.data;
         routeInfo = selectedRoute;
       }
     } else {
-      toast.warning('No route data available to export to PDF');
-      return;
+      toast.warning('No route data available. Record or load a route first.');
+      return null;
     }
-    
-    if (!routeDataToExport || !routeInfo) return;
+
+    if (!routeData) return null;
+
+    routeData = applySimplifySettings(routeData).routeData;
+    if (!routeData.some(point => point.type === 'location' && point.coords)) {
+      toast.warning('No GPS location points found in selected route');
+      return null;
+    }
+
+    return { routeData, routeInfo };
+  }
+
+  getStoredAccessibilityData() {
+    try {
+      const stored = localStorage.getItem('accessibilityData');
+      return stored ? normalizeSurvey(JSON.parse(stored)) : null;
+    } catch (error) {
+      console.warn('Could not load accessibility data:', error);
+      return null;
+    }
+  }
+
+  exportFilename(routeInfo, extension) {
+    return `${(routeInfo.name || 'route').replace(/[^a-z0-9]/gi, '_').toLowerCase()}.${extension}`;
+  }
+
+  // KML for Google Earth, or KMZ with the full photos bundled
+  async exportKML() {
+    if (!(await entitlements.ensureExport('kml'))) return;
+
+    const selection = await this.chooseRouteForExport('Which route would you like to export for Google Earth?', '🌍 Export KML/KMZ');
+    if (!selection) return;
+    const { routeData: routeDataToExport, routeInfo } = selection;
+
+    const hasPhotos = routeDataToExport.some(point => point.type === 'photo' && point.coords);
+    const format = await modal.choice(
+      hasPhotos
+        ? 'KML embeds small photo previews. KMZ bundles the full photos in one file.'
+        : 'KML is plain text; KMZ is the zipped form most apps also open.',
+      '🌍 Choose Format',
+      [
+        { label: '📄 KML', value: 'kml' },
+        { label: '🗜️ KMZ (with photos)', value: 'kmz' },
+        { label: '❌ Cancel', value: 'cancel' }
+      ]
+    );
+    if (format !== 'kml' && format !== 'kmz') return;
+    if (format === 'kmz' && !(await entitlements.ensureExport('kmz'))) return;
+
+    const accessibilityData = this.getStoredAccessibilityData();
 
     try {
-      this.generatePDFReport(routeDataToExport, routeInfo);
+      const { generateKML, generateKMZ } = await import('./kmlExport.js');
+
+      if (format === 'kmz') {
+        const kmz = await generateKMZ(routeDataToExport, routeInfo, { accessibilityData });
+        this.downloadFile(kmz, this.exportFilename(routeInfo, 'kmz'), 'application/vnd.google-earth.kmz');
+      } else {
+        const { kml } = await generateKML(routeDataToExport, routeInfo, { accessibilityData });
+        this.downloadFile(kml, this.exportFilename(routeInfo, 'kml'), 'application/vnd.google-earth.kml+xml');
+      }
+      toast.success(`${format.toUpperCase()} exported - open it in Google Earth or your GIS tool`);
+    } catch (error) {
+      console.error('KML export failed:', error);
+      toast.error('KML export failed: ' + error.message);
+    }
+  }
+
+  // GeoJSON FeatureCollection for GIS tools
+  async exportGeoJSON() {
+    if (!(await entitlements.ensureExport('geojson'))) return;
+
+    const selection = await this.chooseRouteForExport('Which route would you like to export as GeoJSON?', '🗺️ Export GeoJSON');
+    if (!selection) return;
+
+    try {
+      const { generateGeoJSON } = await import('./geoExport.js');
+      const geojson = generateGeoJSON(selection.routeData, selection.routeInfo, {
+        accessibilityData: this.getStoredAccessibilityData()
+      });
+      this.downloadFile(JSON.stringify(geojson, null, 2), this.exportFilename(selection.routeInfo, 'geojson'), 'application/geo+json');
+      toast.success(`GeoJSON exported with ${geojson.features.length} features`);
+    } catch (error) {
+      console.error('GeoJSON export failed:', error);
+      toast.error('GeoJSON export failed: ' + error.message);
+    }
+  }
+
+  // Per-point CSV for spreadsheets and analysis
+  async exportCSV() {
+    if (!(await entitlements.ensureExport('csv'))) return;
+
+    const selection = await this.chooseRouteForExport('Which route would you like to export as CSV?', '📊 Export CSV');
+    if (!selection) return;
+
+    try {
+      const { generateCSV } = await import('./geoExport.js');
+      const csv = generateCSV(selection.routeData);
+      this.downloadFile(csv, this.exportFilename(selection.routeInfo, 'csv'), 'text/csv');
+      toast.success(`CSV exported with ${csv.split('\r\n').length - 1} GPS points`);
+    } catch (error) {
+      console.error('CSV export failed:', error);
+      toast.error('CSV export failed: ' + error.message);
+    }
+  }
+
+  // Tagged PDF report, generated on the device (works offline)
+  async exportPDF() {
+    if (!(await entitlements.ensureExport('pdf'))) return;
+
+    const selection = await this.chooseRouteForExport('Which route would you like to export to PDF?', '📄 Export PDF');
+    if (!selection) return;
+    const { routeData, routeInfo } = selection;
+
+    toast.info('Creating PDF report...');
+
+    try {
+      const accessibilityData = this.getStoredAccessibilityData();
+      const pdf = await generatePDFReport(routeData, routeInfo, {
+        accessibilityData,
+        rating: this.getExportRating(accessibilityData, routeInfo, routeData)
+      });
+      this.downloadFile(pdf, this.exportFilename(routeInfo, 'pdf'), 'application/pdf');
+      toast.success('PDF report exported');
     } catch (error) {
       console.error('PDF export failed:', error);
       toast.error('PDF export failed: ' + error.message);
     }
   }
 
+  // Standards compliance checklist as a printable HTML report
+  async exportComplianceReport() {
+    if (!(await entitlements.ensureExport('html'))) return;
+
+    const selection = await this.chooseRouteForExport('Which route would you like to check against accessibility standards?', '📏 Compliance Report');
+    if (!selection) return;
+    const { routeData, routeInfo } = selection;
+
+    try {
+      const { complianceReport } = await import('./complianceReport.js');
+      const html = complianceReport.generateHTML(routeData, routeInfo, this.getStoredAccessibilityData());
+      this.downloadFile(html, this.exportFilename({ name: `${routeInfo.name || 'route'} compliance` }, 'html'), 'text/html');
+      toast.success('Compliance report exported');
+    } catch (error) {
+      console.error('Compliance report failed:', error);
+      toast.error('Compliance report failed: ' + error.message);
+    }
+  }
+
+  // Track detail settings - how much routes are simplified on save and export
+  async showSimplifySettings() {
+    const settings = loadSimplifySettings();
+    const current = SIMPLIFY_PRESETS.find(p => p.enabled === settings.enabled && (!p.enabled || p.tolerance === settings.tolerance));
+
+    const choices = SIMPLIFY_PRESETS.map(preset => ({
+      label: preset === current ? `${preset.label} ✓` : preset.label,
+      value: preset.id
+    }));
+    choices.push({ label: '❌ Cancel', value: 'cancel' });
+
+    const choice = await modal.choice(
+      'Fewer points means smaller saved routes and faster maps. Photos and notes always stay on the track.',
+      '🪶 Track Detail',
+      choices
+    );
+
+    if (choice === null || choice === 'cancel') return;
+
+    const preset = SIMPLIFY_PRESETS.find(p => p.id === choice);
+    let keepRaw = true;
+    if (preset.enabled) {
+      keepRaw = await modal.confirm(
+        'Keep the full track with its raw GPS fixes on this device? It uses more storage but lets you re-smooth the route later.\n\nIf you choose not to, the raw fixes are thrown away when you save and the route can no longer be re-smoothed.',
+        '💾 Keep Full Track?'
+      );
+    }
+
+    saveSimplifySettings({ enabled: preset.enabled, tolerance: preset.tolerance, keepRaw });
+    toast.success(`Track detail set to ${preset.label.replace(/^\S+\s/, '')}`);
+  }
+
   // Helper method to select a route from saved sessions
   async selectRouteForExport(sessions) {
     if (!sessions || sessions.length === 0) return null;
@@ -330,100 +564,38 @@ export class ExportController {
     return null;
   }
 
-  // Generate PDF report
-  generatePDFReport(routeData, routeInfo) {
-    const { jsPDF } = window.jsPDF;
-    const doc = new jsPDF();
-
-    // Header
-    doc.setFontSize(20);
-    doc.text('🌲 Access Nature - Route Report', 20, 30);
-
-    // Route info
-    doc.setFontSize(14);
-    doc.text(`Route: ${routeInfo.name}`, 20, 50);
-    
-    doc.setFontSize(12);
-    const date = new Date(routeInfo.date).toLocaleDateString();
-    const time = new Date(routeInfo.date).toLocaleTimeString();
-    doc.text(`Date: ${date} ${time}`, 20, 65);
-    doc.text(`Export Date: ${new Date().toLocaleDateString()}`, 20, 75);
-
-    // Statistics
-    let yPos = 95;
-    doc.setFontSize(14);
-    doc.text('📊 Route Statistics:', 20, yPos);
-    yPos += 15;
-    
-    doc.setFontSize(12);
-    const stats = [
-      `📏 Total Distance: ${routeInfo.totalDistance?.toFixed(2) || 0} km`,
-      `⏱️ Duration: ${this.formatDuration(routeInfo.elapsedTime || 0)}`,
-      `📍 GPS Points: ${routeData.filter(p => p.type === 'location').length}`,
-      `📷 Photos: ${routeData.filter(p => p.type === 'photo').length}`,
-      `📝 Notes: ${routeData.filter(p => p.type === 'text').length}`
-    ];
-
-    stats.forEach(stat => {
-      doc.text(stat, 20, yPos);
-      yPos += 10;
-    });
+  // Keep all the existing methods (generateGPX, handleFileImport, etc.)
+  generateGPX(routeData, routeInfo = {}, options = {}) {
+    const elapsedTime = routeInfo.elapsedTime || 0;
+    const movingTime = routeInfo.movingTime ?? elapsedTime;
+    const describe = elapsedTime > 0
+      ? ` - Elapsed time: ${this.formatDuration(elapsedTime)}, moving time: ${this.formatDuration(movingTime)}`
+      : '';
+
+    return generateGPX(routeData, routeInfo, { describe, ...options });
+  }
 
-    // Notes section
-    const notes = routeData.filter(p => p.type === 'text');
-    if (notes.length > 0) {
-      yPos += 10;
-      doc.setFontSize(14);
-      doc.text('📝 Route Notes:', 20, yPos);
-      yPos += 15;
-      
-      doc.setFontSize(10);
-      notes.forEach((note, index) => {
-        const noteTime = new Date(note.timestamp).toLocaleTimeString();
-        doc.text(`${index + 1}. [${noteTime}] ${note.content}`, 20, yPos);
-        yPos += 8;
-        
-        // Add new page if needed
-        if (yPos > 270) {
-          doc.addPage();
-          yPos = 20;
-        }
-      });
+  // Rating carried in exports alongside the survey
+  getExportRating(accessibilityData, routeInfo = {}, routeData = []) {
+    if (!accessibilityData) return null;
+    try {
+      return accessibilityRating.calculateRating(
+        accessibilityRating.normalizeSurveyData(accessibilityData),
+        { gradeAnalysis: routeInfo.gradeAnalysis || null, stretches: getStretches(routeData) }
+      );
+    } catch (error) {
+      console.warn('Could not rate survey for export:', error);
+      return null;
     }
-
-    const filename = `${routeInfo.name.replace(/[^a-z0-9]/gi, '_').toLowerCase()}_report.pdf`;
-    doc.save(filename);
-    
-    this.showSuccessMessage('✅ PDF report generated successfully!');
   }
 
-  // Keep all the existing methods (generateGPX, handleFileImport, etc.)
-  generateGPX(locationPoints) {
-    let gpx = `<?xml version="1.0" encoding="UTF-8"?>
-<gpx version="1.1" creator="Access Nature" xmlns="http://www.topografix.com/GPX/1/1">
-  <metadata>
-    <name>Access Nature Route</name>
-    <desc>Generated by Access Nature App</desc>
-    <time>${new Date().toISOString()}</time>
-  </metadata>
-  <trk>
-    <name>Route Track</name>
-    <trkseg>`;
-
-    locationPoints.forEach(point => {
-      const timestamp = new Date(point.timestamp).toISOString();
-      gpx += `
-      <trkpt lat="${point.coords.lat}" lon="${point.coords.lng}">
-        <time>${timestamp}</time>
-      </trkpt>`;
-    });
-
-    gpx += `
-    </trkseg>
-  </trk>
-</gpx>`;
-
-    return gpx;
+  escapeXml(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&apos;');
   }
 
   formatDuration(milliseconds) {
@@ -471,12 +643,16 @@ export class ExportController {
     try {
       const fileType = file.name.toLowerCase().split('.').pop();
       
-      if (fileType === 'json') {
+      if (fileType === 'geojson') {
+        await this.importGeoJSON(file);
+      } else if (fileType === 'json') {
         await this.importJSON(file);
       } else if (fileType === 'gpx') {
         await this.importGPX(file);
+      } else if (fileType === 'fit' || fileType === 'tcx') {
+        await this.importActivityFile(file, fileType);
       } else {
-        throw new Error('Unsupported file type. Please use .json or .gpx files.');
+        throw new Error('Unsupported file type. Please use .json, .geojson, .gpx, .fit or .tcx files.');
       }
       
     } catch (error) {
@@ -491,6 +667,16 @@ export class ExportController {
     const text = await this.readFileAsText(file);
     const data = JSON.parse(text);
 
+    // GeoJSON saved with a plain .json extension
+    if (data.type === 'FeatureCollection' || data.type === 'Feature') {
+      return this.importGeoJSON(file, data);
+    }
+
+    // Full backup archive - restore it instead of loading one route
+    if (data.format === BACKUP_FORMAT) {
+      return backupArchive.restore(data);
+    }
+
     let routeData = null;
     
     // Handle different export formats
@@ -530,45 +716,306 @@ export class ExportController {
     toast.success(`Successfully imported ${routeData.length} data points!`);
   }
 
-  async importGPX(file) {
-    const text = await this.readFileAsText(file);
-    const parser = new DOMParser();
-    const gpxDoc = parser.parseFromString(text, 'text/xml');
+  async importGeoJSON(file, parsed = null) {
+    const data = parsed || JSON.parse(await this.readFileAsText(file));
+    const { parseGeoJSON } = await import('./geoExport.js');
+    const { routeData, accessibilityData, skipped } = parseGeoJSON(data);
 
-    const trackPoints = gpxDoc.querySelectorAll('trkpt');
-    if (trackPoints.length === 0) {
-      throw new Error('No track points found in GPX file');
+    const imported = await this.loadImportedRoute(routeData, accessibilityData, '📥 Import GeoJSON');
+    if (skipped > 0) {
+      toast.info(`${skipped} unsupported GeoJSON features skipped`);
     }
+    return imported;
+  }
 
+  // Add parsed route entries to the current route, offering to restore a bundled survey
+  async loadImportedRoute(routeData, accessibilityData, title) {
     let shouldClear = true;
     if (this.appState.getRouteData().length > 0) {
-      shouldClear = await modal.confirm('Clear current route data before importing?', '📥 Import GPX');
+      shouldClear = await modal.confirm('Clear current route data before importing?', title);
     }
 
     if (shouldClear) {
       this.appState.clearRouteData();
     }
 
-    let importedPoints = 0;
-    trackPoints.forEach(trkpt => {
-      const lat = parseFloat(trkpt.getAttribute('lat'));
-      const lon = parseFloat(trkpt.getAttribute('lon'));
-      
-      if (isNaN(lat) || isNaN(lon)) return;
+    routeData.forEach(point => {
+      this.appState.addRoutePoint(point);
+    });
 
-      const timeElement = trkpt.querySelector('time');
-      
-      const point = {
-        type: 'location',
-        coords: { lat, lng: lon },
-        timestamp: timeElement ? new Date(timeElement.textContent).getTime() : Date.now() + importedPoints * 1000
-      };
+    if (shouldClear) {
+      this.appState.updateDistance(getSegmentedDistance(routeData));
+    }
 
-      this.appState.addRoutePoint(point);
-      importedPoints++;
+    if (accessibilityData) {
+      const restore = await modal.confirm('This file includes an accessibility survey. Load it as the current survey?', '♿ Accessibility Survey');
+      if (restore) {
+        localStorage.setItem('accessibilityData', JSON.stringify(normalizeSurvey(accessibilityData)));
+      }
+    }
+
+    const points = routeData.filter(p => p.type === 'location').length;
+    const annotations = routeData.length - points;
+    toast.success(`Imported ${points} GPS points` + (annotations > 0 ? ` and ${annotations} photos, notes and waypoints` : ''));
+    return { points, annotations };
+  }
+
+  // GPX import with a preview: pick tracks / routes and save each as a session or planned route
+  async importGPX(file) {
+    if (file.size > GPX_IMPORT_LIMITS.largeFileBytes) {
+      const proceed = await modal.confirm(
+        `This GPX file is ${(file.size / (1024 * 1024)).toFixed(1)} MB. Reading it may be slow and the routes will take a lot of storage. Continue?`,
+        '⚠️ Large File'
+      );
+      if (!proceed) return;
+    }
+
+    const text = await this.readFileAsText(file);
+    const gpx = readGPX(text);
+    const items = [...gpx.tracks, ...gpx.routes];
+
+    // Waypoints only - nothing to save as a route, so they go onto the current one
+    if (items.length === 0) {
+      const add = await modal.confirm(
+        `This file has ${gpx.waypoints.length} waypoints but no tracks or routes. Add them to the current route?`,
+        '📥 Import GPX'
+      );
+      if (add) {
+        gpx.waypoints.forEach(waypoint => this.appState.addRoutePoint(waypoint));
+        toast.success(`Added ${gpx.waypoints.length} waypoints`);
+      }
+      return;
+    }
+
+    const selection = await this.showGPXImportPreview(file.name, gpx, items);
+    if (!selection) return;
+
+    const waypointsByItem = selection.includeWaypoints ? assignWaypoints(selection.items.map(s => s.item), gpx.waypoints) : [];
+    let saved = 0;
+
+    for (const [index, { item, destination }] of selection.items.entries()) {
+      try {
+        await this.saveImportedGPXItem(item, destination, waypointsByItem[index] || [], file.name, index);
+        saved++;
+      } catch (error) {
+        console.error(`Failed to save imported ${item.kind} "${item.name}":`, error);
+        toast.error(`Could not save "${item.name}": ${error.message}`);
+      }
+    }
+
+    if (gpx.accessibilityData) {
+      const restore = await modal.confirm('This file includes an accessibility survey. Load it as the current survey?', '♿ Accessibility Survey');
+      if (restore) {
+        localStorage.setItem('accessibilityData', JSON.stringify(normalizeSurvey(gpx.accessibilityData)));
+      }
+    }
+
+    if (saved > 0) {
+      toast.success(`Imported ${saved} route${saved === 1 ? '' : 's'} from ${file.name}`);
+    }
+  }
+
+  /**
+   * Show what the file holds and let the user choose what to import
+   * @returns {Promise<object|null>} { items: [{ item, destination }], includeWaypoints } or null if cancelled
+   */
+  async showGPXImportPreview(filename, gpx, items) {
+    const escape = (text) => this.escapeXml(text);
+    const totalPoints = items.reduce((sum, item) => sum + item.pointCount, 0);
+    const warnings = [];
+
+    const untimed = gpx.tracks.filter(track => track.missingTimes > 0);
+    if (untimed.length > 0) {
+      warnings.push(`No timestamps in ${untimed.map(t => `"${escape(t.name)}"`).join(', ')} - times were filled in one second apart, so duration and speed won't be meaningful.`);
+    }
+    if (totalPoints > GPX_IMPORT_LIMITS.largePointCount) {
+      warnings.push(`${totalPoints.toLocaleString()} points in total - large routes are slow to draw and take a lot of storage.`);
+    }
+
+    const rows = items.map((item, index) => {
+      const distance = getSegmentedDistance(item.routeData);
+      const first = item.routeData.find(p => p.type === 'location');
+      const date = item.kind === 'track' && !item.missingTimes ? ` · ${new Date(first.timestamp).toLocaleDateString()}` : '';
+      const segments = new Set(item.routeData.filter(p => p.type === 'location').map(p => p.segment)).size;
+
+      return `
+        <div class="gpx-import-item">
+          <label class="gpx-import-pick">
+            <input type="checkbox" data-gpx-item="${index}" checked>
+            <span class="gpx-import-name">${item.kind === 'track' ? '🥾' : '🗺️'} ${escape(item.name)}</span>
+          </label>
+          <div class="gpx-import-meta">
+            ${item.kind === 'track' ? 'Track' : 'Route'} · ${distance.toFixed(2)} km · ${item.pointCount.toLocaleString()} points${segments > 1 ? ` · ${segments} segments` : ''}${date}${item.missingTimes ? ' · ⚠️ no times' : ''}
+          </div>
+          <select data-gpx-destination="${index}" aria-label="Import ${escape(item.name)} as">
+            <option value="session"${item.kind === 'track' ? ' selected' : ''}>Saved session</option>
+            <option value="planned"${item.kind === 'route' ? ' selected' : ''}>Planned route (to follow)</option>
+          </select>
+        </div>`;
+    }).join('');
+
+    const typed = gpx.waypoints.filter(w => w.type === 'waypoint' || w.type === 'stretch').length;
+    const waypointRow = gpx.waypoints.length > 0 ? `
+        <label class="gpx-import-pick gpx-import-waypoints">
+          <input type="checkbox" data-gpx-waypoints checked>
+          <span>📍 Include ${gpx.waypoints.length} waypoint${gpx.waypoints.length === 1 ? '' : 's'} as notes${typed > 0 ? ` (${typed} recognised as accessibility waypoints or stretches)` : ''}</span>
+        </label>` : '';
+
+    const html = `
+      <div class="gpx-import-preview">
+        ${warnings.map(w => `<div class="gpx-import-warning">⚠️ ${w}</div>`).join('')}
+        ${rows}
+        ${waypointRow}
+      </div>`;
+
+    const choices = items.map((item, index) => ({ item, destination: item.kind === 'track' ? 'session' : 'planned', index }));
+    const picked = new Set(items.map((item, index) => index));
+    let includeWaypoints = gpx.waypoints.length > 0;
+
+    const pending = modal.show({
+      type: 'info',
+      icon: '📥',
+      title: `Import ${filename}`,
+      message: `${items.length} item${items.length === 1 ? '' : 's'} found. Choose what to import:`,
+      html,
+      buttons: [
+        { label: 'Cancel', action: 'cancel', variant: 'secondary' },
+        { label: 'Import', action: 'import', variant: 'primary' }
+      ]
+    });
+
+    // The modal is in the DOM as soon as show() returns; read the controls as they change
+    document.querySelectorAll('[data-gpx-item]').forEach(input => {
+      input.addEventListener('change', () => {
+        const index = Number(input.dataset.gpxItem);
+        if (input.checked) picked.add(index);
+        else picked.delete(index);
+      });
     });
+    document.querySelectorAll('[data-gpx-destination]').forEach(select => {
+      select.addEventListener('change', () => {
+        choices[Number(select.dataset.gpxDestination)].destination = select.value;
+      });
+    });
+    document.querySelector('[data-gpx-waypoints]')?.addEventListener('change', (e) => {
+      includeWaypoints = e.target.checked;
+    });
+
+    const action = await pending;
+    if (action !== 'import') return null;
 
-    this.showSuccessMessage(`✅ Successfully imported ${importedPoints} GPS points from GPX!`);
+    const selected = choices.filter(choice => picked.has(choice.index));
+    if (selected.length === 0) {
+      toast.info('Nothing selected to import');
+      return null;
+    }
+
+    return { items: selected, includeWaypoints };
+  }
+
+  /**
+   * Save one imported track / route as a session
+   * Planned routes are sessions flagged `planned` - listed with saved routes and ready to follow.
+   */
+  async saveImportedGPXItem(item, destination, waypoints, filename, index) {
+    const data = [...item.routeData, ...waypoints].sort((a, b) => a.timestamp - b.timestamp);
+    const locations = data.filter(p => p.type === 'location');
+    const timed = item.kind === 'track' && !item.missingTimes;
+    const elapsedTime = timed ? locations[locations.length - 1].timestamp - locations[0].timestamp : 0;
+
+    const session = {
+      id: Date.now() + index,
+      name: item.name,
+      date: timed ? new Date(locations[0].timestamp).toISOString() : new Date().toISOString(),
+      totalDistance: getSegmentedDistance(data),
+      elapsedTime,
+      movingTime: elapsedTime,
+      gradeAnalysis: gradeAnalyzer.analyze(data),
+      data,
+      planned: destination === 'planned',
+      source: { format: 'gpx', filename, kind: item.kind },
+      version: '2.0'
+    };
+
+    return this.appState.putSession(session);
+  }
+
+  // Sport watch / bike computer recordings, saved as sessions like a native recording
+  async importActivityFile(file, fileType) {
+    const { parseFIT, parseTCX } = await import('./fitnessImport.js');
+    const activities = fileType === 'fit'
+      ? [parseFIT(await this.readFileAsArrayBuffer(file))]
+      : parseTCX(await this.readFileAsText(file));
+
+    if (activities.some(activity => activity.crcValid === false)) {
+      toast.warning('This FIT file failed its checksum - some points may be damaged');
+    }
+
+    const sessions = [];
+    for (const [index, activity] of activities.entries()) {
+      const data = activity.routeData;
+      const session = {
+        id: Date.now() + index,
+        name: activity.name,
+        date: new Date(activity.startTime).toISOString(),
+        totalDistance: activity.totalDistance ?? getSegmentedDistance(data),
+        elapsedTime: activity.elapsedTime,
+        movingTime: activity.movingTime ?? activity.elapsedTime,
+        gradeAnalysis: gradeAnalyzer.analyze(data),
+        data,
+        laps: activity.laps,
+        ...(activity.planned ? { planned: true } : {}),
+        source: { format: fileType, filename: file.name, sport: activity.sport },
+        version: '2.0'
+      };
+
+      sessions.push(await this.appState.putSession(session));
+    }
+
+    const laps = sessions.reduce((sum, session) => sum + session.laps.length, 0);
+    toast.success(`Imported ${sessions.length === 1 ? `"${sessions[0].name}"` : `${sessions.length} activities`}` +
+      (laps > 1 ? ` with ${laps} laps` : ''));
+
+    // Surveying works on the current route, so offer to open a single import straight away
+    if (sessions.length === 1 && !sessions[0].planned) {
+      const survey = await modal.confirm('Open this route now to fill in its accessibility survey?', '♿ Survey This Route');
+      if (survey) {
+        await this.loadSessionAsCurrentRoute(sessions[0]);
+        window.openAccessibilityForm?.();
+      }
+    }
+  }
+
+  // Make a saved session the current route (map, distance, timers), as loading a cloud route does
+  async loadSessionAsCurrentRoute(session) {
+    if (this.appState.getRouteData().length > 0) {
+      const replace = await modal.confirm('Replace the current route on the map?', '📂 Open Route');
+      if (!replace) return false;
+    }
+
+    const app = window.AccessNatureApp;
+    this.appState.clearRouteData();
+    session.data.forEach(point => this.appState.addRoutePoint(point));
+    session.data
+      .filter(p => p.type === 'location' && p.coords)
+      .forEach(p => this.appState.addPathPoint(p.coords));
+
+    this.appState.updateDistance(session.totalDistance || 0);
+    this.appState.setElapsedTime(session.elapsedTime || 0);
+    this.appState.setMovingTime(session.movingTime || 0);
+    this.appState.setGradeAnalysis(session.gradeAnalysis || null);
+    app?.getController('timer')?.setElapsedTime?.(session.elapsedTime || 0);
+    app?.getController('map')?.showRouteData(session.data);
+    return true;
+  }
+
+  readFileAsArrayBuffer(file) {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = () => reject(new Error('Failed to read file'));
+      reader.readAsArrayBuffer(file);
+    });
   }
 
   readFileAsText(file) {
@@ -600,8 +1047,11 @@ export class ExportController {
     
     setTimeout(() => URL.revokeObjectURL(url), 100);
     
-    // Track export for engagement
-    const format = filename.split('.').pop() || 'unknown';
+    // Track export for engagement and the monthly quota
+    this.trackExport(filename.split('.').pop() || 'unknown');
+  }
+
+  trackExport(format) {
     if (userService.isInitialized) {
       userService.trackExport(format).catch(err => {
         console.warn('⚠️ Failed to track export:', err.message);
@@ -615,54 +1065,18 @@ export class ExportController {
       importFile.click();
     }
   }
-  // Add this method to the existing ExportController class
-setupExportButtons() {
-  const buttons = [
-    { id: 'prepareAndExportBtn', handler: () => this.showExportOptions() },
-    { id: 'exportGPXBtn', handler: () => this.exportGPX() },
-    { id: 'exportPDFBtn', handler: () => this.exportPDF() },
-    { id: 'exportSummaryBtn', handler: () => this.exportRouteSummary() } // Make sure this line is here
-  ];
-
-  console.log('🔧 Setting up export buttons...');
-
-  buttons.forEach(({ id, handler }) => {
-    const button = document.getElementById(id);
-    if (button) {
-      button.addEventListener('click', handler);
-      console.log(`✅ Button ${id} found and event listener added`);
-    } else {
-      console.error(`❌ Button ${id} not found in DOM`);
-    }
-  });
-
-  // Debug: Check if the button exists after DOM load
-  setTimeout(() => {
-    const summaryBtn = document.getElementById('exportSummaryBtn');
-    console.log('🌐 Summary button check:', summaryBtn ? 'Found' : 'Not found');
-    if (summaryBtn) {
-      console.log('Button text:', summaryBtn.textContent);
-      console.log('Button parent:', summaryBtn.parentElement?.id);
-    }
-  }, 1000);
-}
-
 // NEW: Export Route Summary - Beautiful HTML page for sharing
 async exportRouteSummary() {
+  if (!(await entitlements.ensureExport('html'))) return;
+
   const currentRouteData = this.appState.getRouteData();
-  const savedSessions = this.appState.getSessions();
+  const savedSessions = await this.appState.getSessions();
   
   let routeDataToExport = null;
   let routeInfo = null;
-  let accessibilityData = null;
 
   // Get accessibility data
-  try {
-    const storedAccessibilityData = localStorage.getItem('accessibilityData');
-    accessibilityData = storedAccessibilityData ? JSON.parse(storedAccessibilityData) : null;
-  } catch (error) {
-    console.warn('Could not load accessibility data:', error);
-  }
+  const accessibilityData = this.getStoredAccessibilityData();
 
   // Determine what data to export
   if (currentRouteData && currentRouteData.length > 0) {
@@ -678,6 +1092,7 @@ async exportRouteSummary() {
         name: 'Current Route',
         totalDistance: this.appState.getTotalDistance(),
         elapsedTime: this.appState.getElapsedTime(),
+        movingTime: this.appState.getMovingTime(),
         date: new Date().toISOString()
       };
     } else if (choice === 'saved' && savedSessions && savedSessions.length > 0) {
@@ -1285,6 +1700,13 @@ generateAccessibilitySection(accessibilityData) {
             </div>
             ` : ''}
 
+            ${accessibilityData.steps ? `
+            <div class="accessibility-item">
+                <h4>🪜 Steps or Stairs</h4>
+                <p>${accessibilityData.steps}</p>
+            </div>
+            ` : ''}
+
             ${accessibilityData.disabledParking ? `
             <div class="accessibility-item">
                 <h4>🚗 Disabled Parking</h4>
@@ -1352,6 +1774,13 @@ generateAccessibilitySection(accessibilityData) {
             </div>
             ` : ''}
 
+            ${accessibilityData.benchFeatures ? `
+            <div class="accessibility-item">
+                <h4>🪑 Bench Features</h4>
+                <p>${formatArray(accessibilityData.benchFeatures)}</p>
+            </div>
+            ` : ''}
+
             ${accessibilityData.picnicAreas ? `
             <div class="accessibility-item">
                 <h4>🧺 Picnic Areas</h4>
@@ -1376,18 +1805,18 @@ generateAccessibilitySection(accessibilityData) {
             </div>
             ` : ''}
 
-            <!-- Signage & Navigation -->
-            ${accessibilityData.signage ? `
+            ${accessibilityData.restroomFeatures ? `
             <div class="accessibility-item">
-                <h4>🗺️ Signage & Navigation</h4>
-                <p>${formatArray(accessibilityData.signage)}</p>
+                <h4>🚻 Restroom Features</h4>
+                <p>${formatArray(accessibilityData.restroomFeatures)}</p>
             </div>
             ` : ''}
 
-            ${accessibilityData.qrCode ? `
+            <!-- Signage & Navigation -->
+            ${accessibilityData.signage ? `
             <div class="accessibility-item">
-                <h4>📱 QR Code Information</h4>
-                <p>${formatArray(accessibilityData.qrCode)}</p>
+                <h4>🗺️ Signage & Navigation</h4>
+                <p>${formatArray(accessibilityData.signage)}</p>
             </div>
             ` : ''}
 
@@ -0,0 +1,250 @@
+/**
+ * Fitness Device Import (TCX / FIT)
+ * Turns activities from sport watches and bike computers into route data:
+ * - Track points with elevation and timestamps (device accuracy when the file has it)
+ * - Timer pauses become segments, like a native recording; long GPS gaps too
+ * - Laps kept as { startTime, elapsedTime, movingTime, distance }
+ *
+ * Access Nature - Export Formats
+ * Created: December 2025
+ */
+
+import { decodeFIT, FIT_EVENTS } from '../utils/fitDecoder.js';
+import { isGap, SEGMENT_BREAK_REASONS } from '../core/trackSegments.js';
+
+/**
+ * FIT sport enum values we name; anything else is an "Activity"
+ */
+const FIT_SPORTS = {
+  1: 'Run',
+  2: 'Ride',
+  11: 'Walk',
+  17: 'Hike',
+  33: 'Trail Run'
+};
+
+const TCX_SPORTS = {
+  Running: 'Run',
+  Biking: 'Ride',
+  Other: 'Activity'
+};
+
+/**
+ * Number segments the way the tracker does: a new segment after each pause,
+ * and wherever the device lost GPS long enough to count as a gap
+ * @param {Array} points - Location entries in time order; `pauseBefore` marks the first point after a pause
+ * @returns {Array} Same entries with segment / segmentStart set
+ */
+function assignSegments(points) {
+  let segment = 0;
+
+  return points.map((point, i) => {
+    const { pauseBefore, ...entry } = point;
+    const previous = points[i - 1];
+
+    if (previous) {
+      const reason = pauseBefore ? SEGMENT_BREAK_REASONS.pause : isGap(previous, entry) ? SEGMENT_BREAK_REASONS.gap : null;
+      if (reason) {
+        segment++;
+        entry.segmentStart = reason;
+      }
+    }
+
+    entry.segment = segment;
+    return entry;
+  });
+}
+
+function activityName(sport, startTime) {
+  const date = new Date(startTime);
+  return `${sport} ${date.toLocaleDateString()} ${date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`;
+}
+
+// ==================== FIT ====================
+
+/**
+ * Parse a FIT activity
+ * @param {ArrayBuffer} buffer
+ * @returns {object} Activity: { name, sport, startTime, routeData, laps, elapsedTime, movingTime, totalDistance (km|null), crcValid }
+ * @throws {Error} When the file can't be decoded or has no GPS positions
+ */
+export function parseFIT(buffer) {
+  const fit = decodeFIT(buffer);
+
+  const records = fit.records
+    .filter(r => typeof r.lat === 'number' && typeof r.lng === 'number' && typeof r.timestamp === 'number')
+    .sort((a, b) => a.timestamp - b.timestamp);
+
+  if (records.length === 0) {
+    throw new Error('This activity has no GPS positions (indoor or treadmill recording?)');
+  }
+
+  // Timer stops; the first record after each one starts a new segment
+  const stops = fit.events
+    .filter(e => e.event === FIT_EVENTS.timer && (e.eventType === FIT_EVENTS.stop || e.eventType === FIT_EVENTS.stopAll))
+    .map(e => e.timestamp)
+    .filter(Boolean)
+    .sort((a, b) => a - b);
+
+  let stopIndex = 0;
+  const points = records.map((record, i) => {
+    let pauseBefore = false;
+    while (stopIndex < stops.length && stops[stopIndex] < record.timestamp) {
+      if (i > 0 && stops[stopIndex] >= records[i - 1].timestamp) pauseBefore = true;
+      stopIndex++;
+    }
+
+    const point = {
+      type: 'location',
+      coords: { lat: record.lat, lng: record.lng },
+      timestamp: record.timestamp,
+      pauseBefore
+    };
+    const elevation = record.enhancedAltitude ?? record.altitude;
+    if (typeof elevation === 'number') point.elevation = Math.round(elevation * 10) / 10;
+    if (typeof record.gpsAccuracy === 'number') point.accuracy = record.gpsAccuracy;
+    return point;
+  });
+
+  const session = fit.sessions[0] || {};
+  const startTime = session.startTime || records[0].timestamp;
+  const sport = FIT_SPORTS[session.sport] || 'Activity';
+  const sessionDistance = fit.sessions.reduce((sum, s) => sum + (s.totalDistance || 0), 0);
+
+  return {
+    name: activityName(sport, startTime),
+    sport,
+    startTime,
+    routeData: assignSegments(points),
+    laps: fit.laps.map((lap, index) => ({
+      index: index + 1,
+      startTime: lap.startTime ?? null,
+      elapsedTime: typeof lap.totalElapsedTime === 'number' ? Math.round(lap.totalElapsedTime * 1000) : null,
+      movingTime: typeof lap.totalTimerTime === 'number' ? Math.round(lap.totalTimerTime * 1000) : null,
+      distance: typeof lap.totalDistance === 'number' ? Math.round(lap.totalDistance) : null
+    })),
+    elapsedTime: typeof session.totalElapsedTime === 'number'
+      ? Math.round(session.totalElapsedTime * 1000)
+      : records[records.length - 1].timestamp - records[0].timestamp,
+    movingTime: typeof session.totalTimerTime === 'number' ? Math.round(session.totalTimerTime * 1000) : null,
+    totalDistance: sessionDistance > 0 ? sessionDistance / 1000 : null,
+    crcValid: fit.crcValid
+  };
+}
+
+// ==================== TCX ====================
+
+function children(parent, localName) {
+  return Array.from(parent?.children || []).filter(child => child.localName === localName);
+}
+
+function childText(parent, localName) {
+  const child = children(parent, localName)[0];
+  return child ? child.textContent.trim() : null;
+}
+
+function childNumber(parent, localName) {
+  const value = parseFloat(childText(parent, localName));
+  return Number.isFinite(value) ? value : null;
+}
+
+function readTrackpoints(track, pauseFirst) {
+  const points = [];
+
+  children(track, 'Trackpoint').forEach(trackpoint => {
+    const position = children(trackpoint, 'Position')[0];
+    const lat = childNumber(position, 'LatitudeDegrees');
+    const lng = childNumber(position, 'LongitudeDegrees');
+    const timestamp = Date.parse(childText(trackpoint, 'Time'));
+    if (lat === null || lng === null || !Number.isFinite(timestamp)) return;
+
+    const point = { type: 'location', coords: { lat, lng }, timestamp, pauseBefore: pauseFirst && points.length === 0 };
+    const elevation = childNumber(trackpoint, 'AltitudeMeters');
+    if (elevation !== null) point.elevation = elevation;
+    points.push(point);
+  });
+
+  return points;
+}
+
+/**
+ * Parse a TCX file - every Activity (and Course) becomes its own activity
+ * Devices start a new <Track> inside a lap when the timer is paused.
+ * @param {string} text - TCX XML
+ * @returns {Array} Activities, same shape as parseFIT()
+ * @throws {Error} When the XML is invalid or has no positioned track points
+ */
+export function parseTCX(text) {
+  const doc = new DOMParser().parseFromString(text, 'application/xml');
+  if (doc.getElementsByTagName('parsererror').length > 0) {
+    throw new Error('Invalid TCX file - the XML could not be read');
+  }
+
+  const root = doc.documentElement;
+  if (root?.localName !== 'TrainingCenterDatabase') {
+    throw new Error('Not a TCX file');
+  }
+
+  const activities = [];
+
+  children(children(root, 'Activities')[0], 'Activity').forEach(activity => {
+    const points = [];
+    const laps = children(activity, 'Lap').map((lap, index) => {
+      children(lap, 'Track').forEach((track, trackIndex) => {
+        points.push(...readTrackpoints(track, trackIndex > 0));
+      });
+
+      const totalTime = childNumber(lap, 'TotalTimeSeconds');
+      return {
+        index: index + 1,
+        startTime: Date.parse(lap.getAttribute('StartTime')) || null,
+        elapsedTime: null,
+        movingTime: totalTime !== null ? Math.round(totalTime * 1000) : null,
+        distance: childNumber(lap, 'DistanceMeters')
+      };
+    });
+
+    if (points.length === 0) return;
+    points.sort((a, b) => a.timestamp - b.timestamp);
+
+    const sport = TCX_SPORTS[activity.getAttribute('Sport')] || 'Activity';
+    const startTime = Date.parse(childText(activity, 'Id')) || points[0].timestamp;
+    const lapDistance = laps.reduce((sum, lap) => sum + (lap.distance || 0), 0);
+    const lapTime = laps.reduce((sum, lap) => sum + (lap.movingTime || 0), 0);
+
+    activities.push({
+      name: activityName(sport, startTime),
+      sport,
+      startTime,
+      routeData: assignSegments(points),
+      laps,
+      elapsedTime: points[points.length - 1].timestamp - points[0].timestamp,
+      movingTime: lapTime > 0 ? lapTime : null,
+      totalDistance: lapDistance > 0 ? lapDistance / 1000 : null
+    });
+  });
+
+  // Courses are planned routes; their points have times but no laps
+  children(children(root, 'Courses')[0], 'Course').forEach(course => {
+    const points = children(course, 'Track').flatMap(track => readTrackpoints(track, false));
+    if (points.length === 0) return;
+
+    activities.push({
+      name: childText(course, 'Name') || 'Course',
+      sport: 'Course',
+      startTime: points[0].timestamp,
+      routeData: assignSegments(points),
+      laps: [],
+      elapsedTime: 0,
+      movingTime: null,
+      totalDistance: null,
+      planned: true
+    });
+  });
+
+  if (activities.length === 0) {
+    throw new Error('No GPS track points found in TCX file');
+  }
+
+  return activities;
+}
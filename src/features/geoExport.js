@@ -0,0 +1,322 @@
+/**
+ * GeoJSON and CSV Export / GeoJSON Import
+ * - GeoJSON FeatureCollection for GIS: track segments as LineStrings, photos,
+ *   notes, waypoints and stretch starts as Points, survey answers as collection metadata
+ * - Per-point CSV for analysts (time, position, accuracy, cumulative distance)
+ * - Reads our own GeoJSON back, plus plain LineString / Point files from other tools
+ *
+ * Access Nature - Export Formats
+ * Created: December 2025
+ */
+
+import { haversineDistance } from '../utils/calculations.js';
+import { getTrackSegments, getSegmentIndex, SEGMENT_BREAK_REASONS } from '../core/trackSegments.js';
+import { getWaypointType, describeWaypoint } from '../config/waypointTypes.js';
+import { STRETCH_ATTRIBUTES, getDefaultStretchAttributes, describeStretch } from '../config/stretchAttributes.js';
+
+// Bumped when the shape of the `accessNature` member changes
+export const GEOJSON_FORMAT_VERSION = 1;
+
+const round = (value, digits) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+const toIso = (timestamp) => (typeof timestamp === 'number' ? new Date(timestamp).toISOString() : null);
+
+function position(coords, elevation) {
+  const pos = [round(coords.lng, 7), round(coords.lat, 7)];
+  if (typeof elevation === 'number') pos.push(round(elevation, 1));
+  return pos;
+}
+
+function pointFeature(entry, properties) {
+  return {
+    type: 'Feature',
+    geometry: { type: 'Point', coordinates: position(entry.coords, entry.elevation) },
+    properties: { ...properties, time: toIso(entry.timestamp) }
+  };
+}
+
+// ==================== EXPORT ====================
+
+/**
+ * Build a GeoJSON FeatureCollection
+ * Feature properties.featureType is 'track' | 'photo' | 'note' | 'waypoint' | 'stretch'.
+ * Waypoint and stretch attributes are flattened into properties so GIS tools can filter on them.
+ * A stretch is a Point where it starts, with the time it ends in `endTime`.
+ * @param {Array} routeData - Route data entries
+ * @param {object} routeInfo - { name, date, totalDistance, elapsedTime, movingTime }
+ * @param {object} options - { accessibilityData, includePhotos }
+ * @returns {object} FeatureCollection
+ */
+export function generateGeoJSON(routeData, routeInfo = {}, { accessibilityData = null, includePhotos = true } = {}) {
+  const features = [];
+
+  getTrackSegments(routeData).forEach(segment => {
+    if (segment.length < 2) return;
+
+    features.push({
+      type: 'Feature',
+      geometry: {
+        type: 'LineString',
+        coordinates: segment.map(p => position(p.coords, p.elevation))
+      },
+      properties: {
+        featureType: 'track',
+        segment: getSegmentIndex(segment[0]),
+        segmentStart: segment[0].segmentStart || null,
+        // Same convention as togeojson, so other tools keep the times too
+        coordTimes: segment.map(p => toIso(p.timestamp)),
+        accuracies: segment.map(p => (typeof p.accuracy === 'number' ? round(p.accuracy, 1) : null))
+      }
+    });
+  });
+
+  routeData.forEach(entry => {
+    if (!entry.coords) return;
+
+    if (entry.type === 'photo') {
+      const properties = { featureType: 'photo' };
+      if (includePhotos && (entry.content || entry.data)) properties.image = entry.content || entry.data;
+      features.push(pointFeature(entry, properties));
+    } else if (entry.type === 'text') {
+      features.push(pointFeature(entry, { featureType: 'note', text: entry.content || entry.text || entry.data || '' }));
+    } else if (entry.type === 'waypoint') {
+      const type = getWaypointType(entry.waypointType);
+      features.push(pointFeature(entry, {
+        featureType: 'waypoint',
+        waypointType: entry.waypointType,
+        name: type?.name || entry.waypointType,
+        description: describeWaypoint(entry),
+        ...(entry.content ? { text: entry.content } : {}),
+        ...(entry.attributes || {})
+      }));
+    } else if (entry.type === 'stretch') {
+      features.push(pointFeature(entry, {
+        featureType: 'stretch',
+        description: describeStretch(entry.attributes),
+        endTime: toIso(entry.endTimestamp),
+        ...(entry.attributes || {})
+      }));
+    }
+  });
+
+  return {
+    type: 'FeatureCollection',
+    // Foreign member (RFC 7946 §6.1) - ignored by tools that don't know it
+    accessNature: {
+      version: GEOJSON_FORMAT_VERSION,
+      exportDate: new Date().toISOString(),
+      route: {
+        name: routeInfo.name || 'Access Nature Route',
+        date: routeInfo.date || null,
+        totalDistance: routeInfo.totalDistance ?? null,
+        elapsedTime: routeInfo.elapsedTime ?? null,
+        movingTime: routeInfo.movingTime ?? null
+      },
+      accessibility: accessibilityData || null
+    },
+    features
+  };
+}
+
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Per-point CSV of the recorded track
+ * Cumulative distance doesn't count the jumps between segments.
+ * @param {Array} routeData - Route data entries
+ * @returns {string}
+ */
+export function generateCSV(routeData) {
+  const header = ['timestamp', 'latitude', 'longitude', 'elevation_m', 'accuracy_m', 'segment', 'distance_m'];
+  const rows = [header.join(',')];
+  let distance = 0;
+
+  getTrackSegments(routeData).forEach(segment => {
+    segment.forEach((point, i) => {
+      if (i > 0) distance += haversineDistance(segment[i - 1].coords, point.coords) * 1000;
+
+      rows.push([
+        toIso(point.timestamp),
+        point.coords.lat,
+        point.coords.lng,
+        typeof point.elevation === 'number' ? round(point.elevation, 1) : null,
+        typeof point.accuracy === 'number' ? round(point.accuracy, 1) : null,
+        getSegmentIndex(point),
+        round(distance, 1)
+      ].map(csvCell).join(','));
+    });
+  });
+
+  return rows.join('\r\n');
+}
+
+// ==================== IMPORT ====================
+
+function toTimestamp(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const time = typeof value === 'number' ? value : Date.parse(value);
+  return Number.isFinite(time) ? time : null;
+}
+
+function toCoords(pos) {
+  if (!Array.isArray(pos) || pos.length < 2) return null;
+  const [lng, lat] = pos.map(Number);
+  if (!Number.isFinite(lat) || !Number.isFinite(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) return null;
+  return { lat, lng };
+}
+
+/**
+ * Waypoint or stretch attributes back from flattened properties, using their schema
+ */
+function readAttributes(schema, properties, defaults = {}) {
+  return schema.reduce((attributes, attribute) => {
+    if (properties[attribute.key] !== undefined && properties[attribute.key] !== null) {
+      attributes[attribute.key] = properties[attribute.key];
+    }
+    return attributes;
+  }, { ...defaults });
+}
+
+/**
+ * Route entries from a GeoJSON object
+ * Each LineString (or MultiLineString part) becomes a track segment. Points without
+ * our featureType are kept as notes when they have a name or description.
+ * @param {object} geojson - FeatureCollection, Feature or bare geometry
+ * @returns {object} { routeData, routeInfo, accessibilityData, skipped }
+ * @throws {Error} When nothing usable is found
+ */
+export function parseGeoJSON(geojson) {
+  if (!geojson || typeof geojson !== 'object') {
+    throw new Error('Invalid GeoJSON');
+  }
+
+  let features;
+  if (geojson.type === 'FeatureCollection' && Array.isArray(geojson.features)) {
+    features = geojson.features;
+  } else if (geojson.type === 'Feature') {
+    features = [geojson];
+  } else if (geojson.type && geojson.coordinates) {
+    features = [{ type: 'Feature', geometry: geojson, properties: {} }];
+  } else {
+    throw new Error('Invalid GeoJSON - expected a FeatureCollection, Feature or geometry');
+  }
+
+  const locations = [];
+  const annotations = [];
+  let skipped = 0;
+  let segment = 0;
+  // Files from other tools often have no times; keep their points in order
+  let syntheticTime = Date.now();
+
+  const addLine = (coordinates, properties, partIndex) => {
+    const times = Array.isArray(properties.coordTimes) ? properties.coordTimes : properties.times;
+    const accuracies = Array.isArray(properties.accuracies) ? properties.accuracies : [];
+    let added = 0;
+
+    coordinates.forEach((pos, i) => {
+      const coords = toCoords(pos);
+      if (!coords) return;
+
+      const point = {
+        type: 'location',
+        coords,
+        timestamp: toTimestamp(Array.isArray(times) ? times[i] : null) ?? syntheticTime++,
+        segment
+      };
+      if (typeof pos[2] === 'number') point.elevation = pos[2];
+      if (typeof accuracies[i] === 'number') point.accuracy = accuracies[i];
+      if (added === 0 && segment > 0) {
+        point.segmentStart = (partIndex === 0 && properties.segmentStart) || SEGMENT_BREAK_REASONS.gap;
+      }
+
+      locations.push(point);
+      added++;
+    });
+
+    if (added > 0) segment++;
+  };
+
+  features.forEach(feature => {
+    const geometry = feature?.geometry;
+    const properties = feature?.properties || {};
+    if (!geometry) {
+      skipped++;
+      return;
+    }
+
+    if (geometry.type === 'LineString') {
+      addLine(geometry.coordinates || [], properties, 0);
+    } else if (geometry.type === 'MultiLineString') {
+      // Per-part times aren't standard; only use them when they're nested the same way
+      (geometry.coordinates || []).forEach((line, partIndex) => {
+        const partProperties = Array.isArray(properties.coordTimes?.[partIndex])
+          ? { ...properties, coordTimes: properties.coordTimes[partIndex] }
+          : { segmentStart: properties.segmentStart };
+        addLine(line, partProperties, partIndex);
+      });
+    } else if (geometry.type === 'Point') {
+      const coords = toCoords(geometry.coordinates);
+      if (!coords) {
+        skipped++;
+        return;
+      }
+
+      const timestamp = toTimestamp(properties.time ?? properties.timestamp) ?? syntheticTime++;
+      const waypointType = getWaypointType(properties.waypointType);
+
+      if (properties.featureType === 'photo' && typeof properties.image === 'string') {
+        annotations.push({ type: 'photo', coords, timestamp, content: properties.image });
+      } else if (properties.featureType === 'stretch') {
+        annotations.push({
+          type: 'stretch',
+          coords,
+          attributes: readAttributes(STRETCH_ATTRIBUTES, properties, getDefaultStretchAttributes()),
+          timestamp,
+          endTimestamp: toTimestamp(properties.endTime)
+        });
+      } else if (waypointType) {
+        const waypoint = {
+          type: 'waypoint',
+          waypointType: waypointType.id,
+          attributes: readAttributes(waypointType.attributes, properties),
+          coords,
+          timestamp
+        };
+        if (properties.text) waypoint.content = String(properties.text);
+        annotations.push(waypoint);
+      } else {
+        const text = properties.text || properties.name || properties.description || properties.desc;
+        if (text) {
+          annotations.push({ type: 'text', coords, timestamp, content: String(text) });
+        } else {
+          skipped++;
+        }
+      }
+    } else {
+      skipped++;
+    }
+  });
+
+  if (locations.length === 0 && annotations.length === 0) {
+    throw new Error('No track lines or points found in GeoJSON file');
+  }
+
+  const meta = geojson.accessNature || {};
+  const routeData = [...locations, ...annotations].sort((a, b) => a.timestamp - b.timestamp);
+
+  return {
+    routeData,
+    routeInfo: {
+      name: meta.route?.name || geojson.name || null,
+      date: meta.route?.date || null,
+      elapsedTime: meta.route?.elapsedTime ?? null,
+      movingTime: meta.route?.movingTime ?? null
+    },
+    accessibilityData: meta.accessibility || null,
+    skipped
+  };
+}
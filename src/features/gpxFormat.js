@@ -0,0 +1,597 @@
+/**
+ * GPX 1.1 Export / Import
+ * Writes everything we record so a GPX round trip is lossless:
+ * - <ele>, <time> and accuracy on every track point, one <trkseg> per segment
+ * - Photos (with a <link> to the image), notes and typed waypoints as <wpt>
+ * - Marked stretches as a <wpt> where they start, with their end and details in an extension
+ * - Survey answers, rating and route totals in the accessnature: extension namespace
+ *
+ * Other apps ignore the extensions and still see a normal track with waypoints.
+ *
+ * Access Nature - Export Formats
+ * Created: December 2025
+ */
+
+import { getTrackSegments, SEGMENT_BREAK_REASONS } from '../core/trackSegments.js';
+import { haversineDistance } from '../utils/calculations.js';
+import { getWaypointType, matchWaypointType, getDefaultAttributes, describeWaypoint } from '../config/waypointTypes.js';
+import { getDefaultStretchAttributes, describeStretch } from '../config/stretchAttributes.js';
+
+export const GPX_NS = 'http://www.topografix.com/GPX/1/1';
+export const ACCESSNATURE_NS = 'https://accessnature.app/xmlns/gpx/1';
+
+// User equivalent range error used to turn accuracy (m) into an HDOP estimate and back
+const UERE_METERS = 5;
+
+/**
+ * Sizes that get a warning before import
+ */
+export const GPX_IMPORT_LIMITS = {
+  largeFileBytes: 10 * 1024 * 1024,
+  largePointCount: 50000
+};
+
+function escapeXml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+const toIso = (timestamp) => new Date(timestamp).toISOString();
+
+// ==================== VALUE ENCODING ====================
+
+/**
+ * Survey answers and waypoint attributes as typed <accessnature:value> elements.
+ * type is 'string' (default), 'number', 'boolean', 'list' (one <accessnature:item> each) or 'json'.
+ */
+function encodeValues(tag, values, indent) {
+  return Object.entries(values || {})
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([name, value]) => {
+      const open = `${indent}<accessnature:${tag} name="${escapeXml(name)}"`;
+      if (Array.isArray(value) && value.every(item => typeof item !== 'object')) {
+        const items = value.map(item => `<accessnature:item>${escapeXml(item)}</accessnature:item>`).join('');
+        return `${open} type="list">${items}</accessnature:${tag}>`;
+      }
+      if (typeof value === 'object') {
+        return `${open} type="json">${escapeXml(JSON.stringify(value))}</accessnature:${tag}>`;
+      }
+      const type = typeof value === 'number' || typeof value === 'boolean' ? ` type="${typeof value}"` : '';
+      return `${open}${type}>${escapeXml(value)}</accessnature:${tag}>`;
+    })
+    .join('');
+}
+
+function decodeValues(parent, tag) {
+  const values = {};
+  if (!parent) return values;
+
+  childrenNS(parent, ACCESSNATURE_NS, tag).forEach(element => {
+    const name = element.getAttribute('name');
+    if (!name) return;
+
+    const text = element.textContent;
+    switch (element.getAttribute('type')) {
+      case 'list':
+        values[name] = childrenNS(element, ACCESSNATURE_NS, 'item').map(item => item.textContent);
+        break;
+      case 'number':
+        values[name] = Number(text);
+        break;
+      case 'boolean':
+        values[name] = text === 'true';
+        break;
+      case 'json':
+        try {
+          values[name] = JSON.parse(text);
+        } catch (error) {
+          values[name] = text;
+        }
+        break;
+      default:
+        values[name] = text;
+    }
+  });
+
+  return values;
+}
+
+// ==================== EXPORT ====================
+
+function renderTrackPoint(point) {
+  const accuracy = typeof point.accuracy === 'number' ? Math.round(point.accuracy * 10) / 10 : null;
+  let xml = `
+      <trkpt lat="${point.coords.lat}" lon="${point.coords.lng}">`;
+  if (typeof point.elevation === 'number') xml += `
+        <ele>${Math.round(point.elevation * 10) / 10}</ele>`;
+  xml += `
+        <time>${toIso(point.timestamp)}</time>`;
+  if (accuracy !== null) xml += `
+        <hdop>${Math.round((accuracy / UERE_METERS) * 10) / 10}</hdop>
+        <extensions><accessnature:accuracy>${accuracy}</accessnature:accuracy></extensions>`;
+  return `${xml}
+      </trkpt>`;
+}
+
+/**
+ * <wpt> for a photo, note, typed waypoint or stretch start (null for anything else)
+ * Child order follows the GPX 1.1 schema: ele, time, name, desc, link, sym, type, extensions
+ */
+function renderWaypoint(entry, index, { includePhotos }) {
+  const head = `
+  <wpt lat="${entry.coords.lat}" lon="${entry.coords.lng}">${typeof entry.elevation === 'number' ? `
+    <ele>${entry.elevation}</ele>` : ''}${entry.timestamp ? `
+    <time>${toIso(entry.timestamp)}</time>` : ''}`;
+
+  if (entry.type === 'photo') {
+    const image = entry.content || entry.data;
+    const link = includePhotos && image ? `
+    <link href="${escapeXml(image)}"><text>Photo ${index.photo}</text><type>${escapeXml(image.match(/^data:([^;,]+)/)?.[1] || 'image/jpeg')}</type></link>` : '';
+    return `${head}
+    <name>Photo ${index.photo}</name>${link}
+    <sym>Scenic Area</sym>
+    <type>photo</type>
+  </wpt>`;
+  }
+
+  if (entry.type === 'text') {
+    const text = entry.content || entry.text || entry.data || '';
+    return `${head}
+    <name>Note ${index.note}</name>
+    <desc>${escapeXml(text)}</desc>
+    <sym>Information</sym>
+    <type>note</type>
+  </wpt>`;
+  }
+
+  if (entry.type === 'waypoint') {
+    const type = getWaypointType(entry.waypointType);
+    if (!type) return null;
+
+    const details = describeWaypoint(entry);
+    const note = entry.content ? `
+        <accessnature:note>${escapeXml(entry.content)}</accessnature:note>` : '';
+    return `${head}
+    <name>${escapeXml(type.name)}</name>${details ? `
+    <desc>${escapeXml(details)}</desc>` : ''}
+    <sym>${escapeXml(type.gpxSymbol)}</sym>
+    <type>${type.id}</type>
+    <extensions>
+      <accessnature:waypoint type="${type.id}">${encodeValues('attribute', entry.attributes, '\n        ')}${note}
+      </accessnature:waypoint>
+    </extensions>
+  </wpt>`;
+  }
+
+  if (entry.type === 'stretch') {
+    const details = describeStretch(entry.attributes);
+    const end = typeof entry.endTimestamp === 'number' ? ` end="${toIso(entry.endTimestamp)}"` : '';
+    return `${head}
+    <name>Stretch</name>${details ? `
+    <desc>${escapeXml(details)}</desc>` : ''}
+    <sym>Trail Head</sym>
+    <type>stretch</type>
+    <extensions>
+      <accessnature:stretch${end}>${encodeValues('attribute', entry.attributes, '\n        ')}
+      </accessnature:stretch>
+    </extensions>
+  </wpt>`;
+  }
+
+  return null;
+}
+
+/**
+ * Generate a GPX 1.1 document
+ * @param {Array} routeData - Route data entries (locations, photos, notes, waypoints, stretches)
+ * @param {object} routeInfo - { name, date, totalDistance, elapsedTime, movingTime }
+ * @param {object} options
+ *   - accessibilityData: survey answers for the accessnature:survey extension
+ *   - rating: result of accessibilityRating.calculateRating()
+ *   - includePhotos: embed photos as data: links (default true)
+ *   - describe: extra text appended to the metadata description
+ * @returns {string}
+ */
+export function generateGPX(routeData, routeInfo = {}, { accessibilityData = null, rating = null, includePhotos = true, describe = '' } = {}) {
+  const locations = routeData.filter(p => p.type === 'location' && p.coords);
+  const name = routeInfo.name || 'Access Nature Route';
+
+  // reduce rather than Math.min(...) - long tracks overflow the argument limit
+  const box = locations.reduce((b, p) => ({
+    minLat: Math.min(b.minLat, p.coords.lat),
+    minLng: Math.min(b.minLng, p.coords.lng),
+    maxLat: Math.max(b.maxLat, p.coords.lat),
+    maxLng: Math.max(b.maxLng, p.coords.lng)
+  }), { minLat: Infinity, minLng: Infinity, maxLat: -Infinity, maxLng: -Infinity });
+  const bounds = locations.length > 0
+    ? `
+    <bounds minlat="${box.minLat}" minlon="${box.minLng}" maxlat="${box.maxLat}" maxlon="${box.maxLng}"/>`
+    : '';
+
+  const routeValues = {
+    date: routeInfo.date || null,
+    totalDistance: typeof routeInfo.totalDistance === 'number' ? routeInfo.totalDistance : null,
+    elapsedTime: routeInfo.elapsedTime || null,
+    movingTime: routeInfo.movingTime ?? null
+  };
+
+  let extensions = `
+      <accessnature:route>${encodeValues('value', routeValues, '\n        ')}
+      </accessnature:route>`;
+  if (accessibilityData) extensions += `
+      <accessnature:survey>${encodeValues('answer', accessibilityData, '\n        ')}
+      </accessnature:survey>`;
+  if (rating) extensions += `
+      <accessnature:rating id="${escapeXml(rating.rating)}" score="${rating.score}">${escapeXml(rating.ratingInfo?.label || rating.rating)}</accessnature:rating>`;
+
+  let gpx = `<?xml version="1.0" encoding="UTF-8"?>
+<gpx version="1.1" creator="Access Nature" xmlns="${GPX_NS}" xmlns:accessnature="${ACCESSNATURE_NS}">
+  <metadata>
+    <name>${escapeXml(name)}</name>
+    <desc>Generated by Access Nature App${escapeXml(describe)}</desc>
+    <time>${new Date().toISOString()}</time>${bounds}
+    <extensions>${extensions}
+    </extensions>
+  </metadata>`;
+
+  // GPX 1.1 wants every <wpt> before <trk>
+  const index = { photo: 0, note: 0 };
+  routeData.forEach(entry => {
+    if (!entry.coords) return;
+    if (entry.type === 'photo') index.photo++;
+    if (entry.type === 'text') index.note++;
+
+    const wpt = renderWaypoint(entry, index, { includePhotos });
+    if (wpt) gpx += wpt;
+  });
+
+  gpx += `
+  <trk>
+    <name>${escapeXml(name)}</name>`;
+
+  // One <trkseg> per recorded segment - pauses and GPS gaps aren't drawn as track
+  getTrackSegments(locations).forEach(segment => {
+    gpx += `
+    <trkseg>${segment.map(renderTrackPoint).join('')}`;
+    if (segment[0].segmentStart) gpx += `
+      <extensions><accessnature:segmentStart>${escapeXml(segment[0].segmentStart)}</accessnature:segmentStart></extensions>`;
+    gpx += `
+    </trkseg>`;
+  });
+
+  gpx += `
+  </trk>
+</gpx>`;
+
+  return gpx;
+}
+
+// ==================== IMPORT ====================
+
+/**
+ * Direct children by namespace and local name ('*' matches any namespace)
+ */
+function childrenNS(parent, ns, localName) {
+  return Array.from(parent?.children || []).filter(child =>
+    child.localName === localName && (ns === '*' || child.namespaceURI === ns)
+  );
+}
+
+function childText(parent, localName, ns = '*') {
+  const child = childrenNS(parent, ns, localName)[0];
+  return child ? child.textContent.trim() : null;
+}
+
+function extension(parent, localName) {
+  const extensions = childrenNS(parent, '*', 'extensions')[0];
+  return extensions ? childrenNS(extensions, ACCESSNATURE_NS, localName)[0] || null : null;
+}
+
+function readCoords(element) {
+  const lat = parseFloat(element.getAttribute('lat'));
+  const lng = parseFloat(element.getAttribute('lon'));
+  return isNaN(lat) || isNaN(lng) ? null : { lat, lng };
+}
+
+function readTime(element) {
+  const text = childText(element, 'time');
+  const time = text ? Date.parse(text) : NaN;
+  return Number.isFinite(time) ? time : null;
+}
+
+function readNumber(element, localName) {
+  const text = childText(element, localName);
+  const value = text !== null ? parseFloat(text) : NaN;
+  return Number.isFinite(value) ? value : null;
+}
+
+function readTrackPoint(element, timeOf) {
+  const coords = readCoords(element);
+  if (!coords) return null;
+
+  const point = { type: 'location', coords, timestamp: timeOf(element) };
+  const elevation = readNumber(element, 'ele');
+  if (elevation !== null) point.elevation = elevation;
+
+  const accuracy = parseFloat(extension(element, 'accuracy')?.textContent);
+  const hdop = readNumber(element, 'hdop');
+  if (Number.isFinite(accuracy)) point.accuracy = accuracy;
+  else if (hdop !== null) point.accuracy = Math.round(hdop * UERE_METERS * 10) / 10;
+
+  return point;
+}
+
+/**
+ * Route entry for a <wpt> (or a described <rtept>)
+ * Our own photos, notes, typed waypoints and stretches come back as they were written; waypoints
+ * from other apps become typed waypoints when their name or symbol says what they are,
+ * and notes otherwise.
+ */
+function readWaypoint(wpt, timestamp) {
+  const coords = readCoords(wpt);
+  if (!coords) return null;
+
+  const type = childText(wpt, 'type');
+  const sym = childText(wpt, 'sym');
+  const name = childText(wpt, 'name');
+  const desc = childText(wpt, 'desc') || childText(wpt, 'cmt');
+  const link = childrenNS(wpt, '*', 'link')[0]?.getAttribute('href') || null;
+  const waypointExtension = extension(wpt, 'waypoint');
+  const stretchExtension = extension(wpt, 'stretch');
+
+  if (type === 'photo' && link) {
+    return { type: 'photo', coords, timestamp, content: link };
+  }
+  if (type === 'note') {
+    return { type: 'text', coords, timestamp, content: desc || name || '' };
+  }
+
+  if (stretchExtension) {
+    const end = Date.parse(stretchExtension.getAttribute('end') || '');
+    return {
+      type: 'stretch',
+      coords,
+      attributes: { ...getDefaultStretchAttributes(), ...decodeValues(stretchExtension, 'attribute') },
+      timestamp,
+      endTimestamp: Number.isFinite(end) ? end : null
+    };
+  }
+
+  if (waypointExtension) {
+    const waypointType = getWaypointType(waypointExtension.getAttribute('type'));
+    if (waypointType) {
+      const waypoint = {
+        type: 'waypoint',
+        waypointType: waypointType.id,
+        attributes: decodeValues(waypointExtension, 'attribute'),
+        coords,
+        timestamp
+      };
+      const note = childText(waypointExtension, 'note', ACCESSNATURE_NS);
+      if (note) waypoint.content = note;
+      return waypoint;
+    }
+  }
+
+  const text = [name, desc].filter(Boolean).join(' - ');
+  const waypointType = matchWaypointType(type, sym, name);
+  if (waypointType) {
+    return {
+      type: 'waypoint',
+      waypointType: waypointType.id,
+      attributes: getDefaultAttributes(waypointType.id),
+      coords,
+      timestamp,
+      ...(text ? { content: text } : {})
+    };
+  }
+
+  if (!text) return null;
+  return { type: 'text', coords, timestamp, content: text, ...(sym || type ? { gpxSymbol: sym || type } : {}) };
+}
+
+/**
+ * Read everything a GPX file holds, kept apart for the import preview
+ * @param {string} text - GPX XML
+ * @returns {object}
+ *   - name, routeInfo, accessibilityData, rating: file metadata (accessnature extensions when present)
+ *   - tracks: [{ kind: 'track', name, routeData, pointCount, missingTimes }] - one per <trk>, a segment per <trkseg>
+ *   - routes: [{ kind: 'route', name, routeData, pointCount }] - one per <rte>; route points have no times
+ *   - waypoints: route entries for every <wpt>
+ *   - missingTimes: track points and waypoints that had no <time>
+ * @throws {Error} When the XML is invalid or holds no tracks, routes or waypoints
+ */
+export function readGPX(text) {
+  const doc = new DOMParser().parseFromString(text, 'application/xml');
+  if (doc.getElementsByTagName('parsererror').length > 0) {
+    throw new Error('Invalid GPX file - the XML could not be read');
+  }
+
+  const root = doc.documentElement;
+  if (root?.localName !== 'gpx') {
+    throw new Error('Not a GPX file');
+  }
+
+  const metadata = childrenNS(root, '*', 'metadata')[0] || null;
+  let missingTimes = 0;
+  // Points without <time> keep their order, one second apart
+  let syntheticTime = Date.now();
+  const timeOf = (element) => {
+    const time = readTime(element);
+    if (time !== null) return time;
+    missingTimes++;
+    return syntheticTime += 1000;
+  };
+
+  const tracks = childrenNS(root, '*', 'trk').map((trk, index) => {
+    const routeData = [];
+    const missingBefore = missingTimes;
+    let segment = 0;
+
+    childrenNS(trk, '*', 'trkseg').forEach(trkseg => {
+      const segmentStart = extension(trkseg, 'segmentStart')?.textContent.trim() || null;
+      let added = 0;
+
+      childrenNS(trkseg, '*', 'trkpt').forEach(trkpt => {
+        const point = readTrackPoint(trkpt, timeOf);
+        if (!point) return;
+
+        point.segment = segment;
+        if (added === 0 && segment > 0) point.segmentStart = segmentStart || SEGMENT_BREAK_REASONS.gap;
+        routeData.push(point);
+        added++;
+      });
+
+      if (added > 0) segment++;
+    });
+
+    return {
+      kind: 'track',
+      name: childText(trk, 'name') || `Track ${index + 1}`,
+      routeData,
+      pointCount: routeData.length,
+      missingTimes: missingTimes - missingBefore
+    };
+  }).filter(track => track.pointCount > 0);
+
+  // Planned routes carry no times - they're spaced one second apart without counting as missing
+  const routes = childrenNS(root, '*', 'rte').map((rte, index) => {
+    const routeData = [];
+
+    childrenNS(rte, '*', 'rtept').forEach(rtept => {
+      const point = readTrackPoint(rtept, () => readTime(rtept) ?? (syntheticTime += 1000));
+      if (!point) return;
+
+      point.segment = 0;
+      routeData.push(point);
+
+      // Turn instructions and the like
+      if (childText(rtept, 'desc') || childText(rtept, 'cmt')) {
+        const note = readWaypoint(rtept, point.timestamp);
+        if (note) routeData.push(note);
+      }
+    });
+
+    return {
+      kind: 'route',
+      name: childText(rte, 'name') || `Route ${index + 1}`,
+      routeData,
+      pointCount: routeData.filter(p => p.type === 'location').length
+    };
+  }).filter(route => route.pointCount > 0);
+
+  const waypoints = childrenNS(root, '*', 'wpt')
+    .map(wpt => readWaypoint(wpt, timeOf(wpt)))
+    .filter(Boolean);
+
+  if (tracks.length === 0 && routes.length === 0 && waypoints.length === 0) {
+    throw new Error('No tracks, routes or waypoints found in GPX file');
+  }
+
+  const metaExtensions = metadata ? childrenNS(metadata, '*', 'extensions')[0] : null;
+  const routeValues = decodeValues(metaExtensions && childrenNS(metaExtensions, ACCESSNATURE_NS, 'route')[0], 'value');
+  const survey = metaExtensions && childrenNS(metaExtensions, ACCESSNATURE_NS, 'survey')[0];
+  const ratingElement = metaExtensions && childrenNS(metaExtensions, ACCESSNATURE_NS, 'rating')[0];
+
+  return {
+    name: childText(metadata, 'name') || tracks[0]?.name || routes[0]?.name || null,
+    routeInfo: routeValues,
+    accessibilityData: survey ? decodeValues(survey, 'answer') : null,
+    rating: ratingElement
+      ? { rating: ratingElement.getAttribute('id'), score: Number(ratingElement.getAttribute('score')) }
+      : null,
+    tracks,
+    routes,
+    waypoints,
+    missingTimes
+  };
+}
+
+/**
+ * Parse a GPX document into a single route: every track's segments plus all waypoints
+ * @param {string} text - GPX XML
+ * @returns {object} { routeData, routeInfo, accessibilityData, rating, missingTimes }
+ * @throws {Error} When the XML is invalid or has no track points
+ */
+export function parseGPX(text) {
+  const file = readGPX(text);
+  if (file.tracks.length === 0) {
+    throw new Error('No track points found in GPX file');
+  }
+
+  return {
+    routeData: mergeTracks(file.tracks, file.waypoints),
+    routeInfo: { name: file.name, ...file.routeInfo },
+    accessibilityData: file.accessibilityData,
+    rating: file.rating,
+    missingTimes: file.missingTimes
+  };
+}
+
+/**
+ * Join tracks (in order, each starting a new segment) and extra entries into one route
+ * @param {Array} tracks - Items from readGPX().tracks or .routes
+ * @param {Array} extra - Further entries, e.g. waypoints
+ * @returns {Array} Route entries sorted by time
+ */
+export function mergeTracks(tracks, extra = []) {
+  const routeData = [];
+  let offset = 0;
+
+  tracks.forEach(track => {
+    let first = true;
+    let lastSegment = -1;
+
+    track.routeData.forEach(entry => {
+      if (entry.type !== 'location') {
+        routeData.push(entry);
+        return;
+      }
+
+      const point = { ...entry, segment: entry.segment + offset };
+      if (first && offset > 0 && !point.segmentStart) point.segmentStart = SEGMENT_BREAK_REASONS.gap;
+      first = false;
+      lastSegment = point.segment;
+      routeData.push(point);
+    });
+
+    if (lastSegment >= 0) offset = lastSegment + 1;
+  });
+
+  return [...routeData, ...extra].sort((a, b) => a.timestamp - b.timestamp);
+}
+
+/**
+ * Give each waypoint to the track or route that passes closest to it
+ * @param {Array} items - Tracks / routes from readGPX()
+ * @param {Array} waypoints - Waypoint entries
+ * @returns {Array<Array>} Waypoints per item, same order as items
+ */
+export function assignWaypoints(items, waypoints) {
+  const assigned = items.map(() => []);
+  if (items.length === 0) return assigned;
+
+  waypoints.forEach(waypoint => {
+    let best = 0;
+    let bestDistance = Infinity;
+
+    items.forEach((item, index) => {
+      item.routeData.forEach(point => {
+        if (point.type !== 'location') return;
+        const distance = haversineDistance(point.coords, waypoint.coords);
+        if (distance < bestDistance) {
+          bestDistance = distance;
+          best = index;
+        }
+      });
+    });
+
+    assigned[best].push(waypoint);
+  });
+
+  return assigned;
+}
@@ -0,0 +1,415 @@
+/**
+ * Grade Analysis
+ * Measures slope along a recorded route instead of relying on what the
+ * surveyor estimated.
+ *
+ * - Attaches elevation to the route's GPS points
+ * - Computes running slope per segment, max/average grade and a grade histogram
+ * - Flags sections over the ADA thresholds (5% running slope, 8.33% ramp max)
+ * - Maps the result onto survey fields and the accessibility rating
+ *
+ * Access Nature - Route Geometry
+ * Created: December 2025
+ */
+
+import { haversineDistance } from '../utils/calculations.js';
+import { getElevations } from '../utils/geolocation.js';
+import { getSegmentIndex } from '../core/trackSegments.js';
+
+/**
+ * ADA grade thresholds (percent)
+ */
+export const GRADE_THRESHOLDS = {
+  accessible: 5,     // Running slope above this needs ramp treatment
+  rampMax: 8.33      // Maximum ramp slope (1:12)
+};
+
+/**
+ * Histogram buckets, by absolute grade (percent)
+ */
+export const GRADE_BINS = [
+  { id: 'flat', label: 'Flat (0-2%)', max: 2 },
+  { id: 'gentle', label: 'Gentle (2-5%)', max: GRADE_THRESHOLDS.accessible },
+  { id: 'moderate', label: 'Moderate (5-8.33%)', max: GRADE_THRESHOLDS.rampMax },
+  { id: 'steep', label: 'Steep (8.33-12%)', max: 12 },
+  { id: 'very_steep', label: 'Very steep (>12%)', max: Infinity }
+];
+
+/**
+ * Analysis configuration
+ */
+const GRADE_CONFIG = {
+  // Shortest stretch a grade is measured over - DEM elevations are coarse,
+  // so very short segments produce meaningless spikes (meters)
+  minSegmentLength: 30,
+
+  // Moving-average window applied to elevations before measuring (points)
+  smoothingWindow: 3,
+
+  // Ignore sections shorter than this when flagging (meters)
+  minSectionLength: 10
+};
+
+/**
+ * Survey `trailSlopes` options, as used by the accessibility forms
+ */
+const SLOPE_OPTIONS = {
+  mild: 'No slopes to mild slopes (up to 5%)',
+  moderate: 'Moderate slopes - assistance recommended (5%-10%)',
+  steep: 'Steep slopes - not accessible (over 10%)'
+};
+
+class GradeAnalyzer {
+  constructor(options = {}) {
+    this.config = { ...GRADE_CONFIG, ...options };
+    this.elevationProvider = getElevations;
+  }
+
+  /**
+   * Use a different elevation source (e.g. offline tiles)
+   * @param {function} provider - async (coordsList) => Array<number|null>
+   */
+  setElevationProvider(provider) {
+    this.elevationProvider = provider;
+  }
+
+  // ==================== ELEVATION ====================
+
+  /**
+   * Look up elevation for location points that don't have one yet
+   * @param {Array} routeData - Route data entries
+   * @returns {Promise<Array>} [{ timestamp, elevation }] for newly resolved points
+   */
+  async fetchMissingElevations(routeData) {
+    const missing = routeData.filter(p =>
+      p.type === 'location' && p.coords && typeof p.elevation !== 'number'
+    );
+
+    if (missing.length === 0) return [];
+
+    const values = await this.elevationProvider(missing.map(p => p.coords));
+
+    return missing
+      .map((point, i) => ({ timestamp: point.timestamp, elevation: values[i] }))
+      .filter(e => typeof e.elevation === 'number');
+  }
+
+  /**
+   * Attach elevations to an AppState's route and analyze it
+   * @param {AppState} appState
+   * @returns {Promise<object|null>} Analysis result
+   */
+  async analyzeRoute(appState) {
+    try {
+      const elevations = await this.fetchMissingElevations(appState.getRouteData());
+      if (elevations.length > 0) {
+        appState.applyElevations(elevations);
+      }
+    } catch (error) {
+      console.warn('⚠️ Elevation lookup failed, using what we have:', error);
+    }
+
+    const analysis = this.analyze(appState.getRouteData());
+    appState.setGradeAnalysis(analysis);
+    return analysis;
+  }
+
+  /**
+   * Analyze whatever route the app currently holds (used by the survey forms)
+   * @returns {Promise<object|null>}
+   */
+  async analyzeCurrentRoute() {
+    const appState = window.AccessNatureApp?.getController('state');
+    if (!appState) return null;
+
+    const locationCount = appState.getRouteData().filter(p => p.type === 'location').length;
+    return locationCount >= 2 ? this.analyzeRoute(appState) : appState.getGradeAnalysis();
+  }
+
+  // ==================== ANALYSIS ====================
+
+  /**
+   * Compute grade statistics for route data that carries elevations
+   * @param {Array} routeData - Route data entries
+   * @returns {object|null} Analysis, or null if there isn't enough elevation data
+   */
+  analyze(routeData) {
+    const points = (routeData || []).filter(p =>
+      p.type === 'location' && p.coords && typeof p.elevation === 'number'
+    );
+
+    if (points.length < 2) return null;
+
+    const elevations = this.smooth(points.map(p => p.elevation));
+    const segments = this.buildSegments(points, elevations).filter(s => !s.short);
+
+    if (segments.length === 0) return null;
+
+    const totalLength = segments.reduce((sum, s) => sum + s.length, 0);
+    const maxSegment = segments.reduce((max, s) => Math.abs(s.grade) > Math.abs(max.grade) ? s : max, segments[0]);
+    const climb = segments.reduce((sum, s) => sum + Math.abs(s.rise), 0);
+
+    return {
+      analyzedAt: new Date().toISOString(),
+      pointCount: points.length,
+      totalLength,
+      maxGrade: round(Math.abs(maxSegment.grade)),
+      maxGradeAt: maxSegment.startDistance,
+      averageGrade: round(totalLength > 0 ? (climb / totalLength) * 100 : 0),
+      totalAscent: round(segments.reduce((sum, s) => sum + Math.max(s.rise, 0), 0)),
+      totalDescent: round(segments.reduce((sum, s) => sum + Math.max(-s.rise, 0), 0)),
+      histogram: this.buildHistogram(segments, totalLength),
+      steepSections: this.findSteepSections(segments),
+      profile: this.buildProfile(points, elevations)
+    };
+  }
+
+  /**
+   * Centered moving average over elevations
+   */
+  smooth(values) {
+    const half = Math.floor(this.config.smoothingWindow / 2);
+    if (half < 1) return values;
+
+    return values.map((_, i) => {
+      const from = Math.max(0, i - half);
+      const to = Math.min(values.length - 1, i + half);
+      let sum = 0;
+      for (let j = from; j <= to; j++) sum += values[j];
+      return sum / (to - from + 1);
+    });
+  }
+
+  /**
+   * Split the track into segments of at least minSegmentLength and measure each
+   */
+  buildSegments(points, elevations) {
+    const segments = [];
+    let startIndex = 0;
+    let length = 0;
+    let distanceSoFar = 0;
+
+    for (let i = 1; i < points.length; i++) {
+      // Never measure a slope across a pause or GPS gap - restart from the new segment
+      if (getSegmentIndex(points[i]) !== getSegmentIndex(points[i - 1])) {
+        startIndex = i;
+        length = 0;
+        continue;
+      }
+
+      length += haversineDistance(points[i - 1].coords, points[i].coords) * 1000;
+
+      // Close short leftovers at the end of the track or of a track segment
+      const isLast = i === points.length - 1 || getSegmentIndex(points[i + 1]) !== getSegmentIndex(points[i]);
+      if (length >= this.config.minSegmentLength || (isLast && length > 0)) {
+        const previous = segments[segments.length - 1];
+
+        if (length < this.config.minSegmentLength && previous && previous.endIndex === startIndex) {
+          // A few meters of elevation noise would read as a steep grade - extend the previous segment
+          previous.endIndex = i;
+          previous.endDistance += length;
+          previous.length += length;
+          previous.rise = elevations[i] - elevations[previous.startIndex];
+          previous.grade = (previous.rise / previous.length) * 100;
+          previous.path.push(...points.slice(startIndex + 1, i + 1).map(p => ({ lat: p.coords.lat, lng: p.coords.lng })));
+        } else {
+          segments.push(this.measureSegment(points, elevations, startIndex, i, distanceSoFar, length));
+        }
+
+        distanceSoFar += length;
+        startIndex = i;
+        length = 0;
+      }
+    }
+
+    return segments;
+  }
+
+  /**
+   * Grade of the points from startIndex to endIndex
+   * Track segments shorter than minSegmentLength are marked `short`: they keep
+   * their distance but their grade is too noisy to count.
+   */
+  measureSegment(points, elevations, startIndex, endIndex, startDistance, length) {
+    const rise = elevations[endIndex] - elevations[startIndex];
+    return {
+      startIndex,
+      endIndex,
+      startDistance,
+      endDistance: startDistance + length,
+      length,
+      rise,
+      grade: (rise / length) * 100,
+      short: length < this.config.minSegmentLength,
+      path: points.slice(startIndex, endIndex + 1).map(p => ({ lat: p.coords.lat, lng: p.coords.lng }))
+    };
+  }
+
+  /**
+   * Distance spent in each grade bucket
+   */
+  buildHistogram(segments, totalLength) {
+    const histogram = GRADE_BINS.map(bin => ({ id: bin.id, label: bin.label, distance: 0, percent: 0 }));
+
+    segments.forEach(segment => {
+      const grade = Math.abs(segment.grade);
+      const index = GRADE_BINS.findIndex(bin => grade <= bin.max);
+      histogram[index].distance += segment.length;
+    });
+
+    histogram.forEach(bucket => {
+      bucket.distance = round(bucket.distance);
+      bucket.percent = totalLength > 0 ? round((bucket.distance / totalLength) * 100) : 0;
+    });
+
+    return histogram;
+  }
+
+  /**
+   * Merge consecutive segments over the accessible threshold into sections
+   */
+  findSteepSections(segments) {
+    const sections = [];
+    let current = null;
+
+    const close = () => {
+      if (current && current.length >= this.config.minSectionLength) {
+        current.level = current.maxGrade > GRADE_THRESHOLDS.rampMax ? 'steep' : 'moderate';
+        current.maxGrade = round(current.maxGrade);
+        current.startDistance = round(current.startDistance);
+        current.endDistance = round(current.endDistance);
+        current.length = round(current.length);
+        sections.push(current);
+      }
+      current = null;
+    };
+
+    segments.forEach(segment => {
+      const grade = Math.abs(segment.grade);
+
+      // Segments that don't touch (a track gap between them) never share a section
+      if (current && segment.startIndex !== current.endIndex) {
+        close();
+      }
+
+      if (grade <= GRADE_THRESHOLDS.accessible) {
+        close();
+        return;
+      }
+
+      if (!current) {
+        current = {
+          startIndex: segment.startIndex,
+          endIndex: segment.endIndex,
+          startDistance: segment.startDistance,
+          endDistance: segment.endDistance,
+          length: 0,
+          maxGrade: 0,
+          direction: segment.rise >= 0 ? 'uphill' : 'downhill',
+          path: []
+        };
+      }
+
+      current.endIndex = segment.endIndex;
+      current.endDistance = segment.endDistance;
+      current.length += segment.length;
+      if (grade > current.maxGrade) {
+        current.maxGrade = grade;
+        current.direction = segment.rise >= 0 ? 'uphill' : 'downhill';
+      }
+      // Segments share their boundary point
+      current.path.push(...(current.path.length > 0 ? segment.path.slice(1) : segment.path));
+    });
+
+    close();
+    return sections;
+  }
+
+  /**
+   * Distance/elevation pairs for charts
+   */
+  buildProfile(points, elevations) {
+    const profile = [];
+    let distance = 0;
+
+    points.forEach((point, i) => {
+      if (i > 0 && getSegmentIndex(point) === getSegmentIndex(points[i - 1])) {
+        distance += haversineDistance(points[i - 1].coords, point.coords) * 1000;
+      }
+      profile.push({ distance: round(distance), elevation: round(elevations[i]) });
+    });
+
+    return profile;
+  }
+
+  /**
+   * Analysis without the per-point profile, for cloud documents
+   * @param {object} analysis
+   * @returns {object}
+   */
+  toStorable(analysis) {
+    const { profile, ...summary } = analysis;
+    return summary;
+  }
+
+  // ==================== SURVEY & RATING ====================
+
+  /**
+   * Survey `trailSlopes` option matching a grade
+   * @param {number} grade - Percent
+   * @returns {string}
+   */
+  getSlopeOption(grade) {
+    if (grade <= GRADE_THRESHOLDS.accessible) return SLOPE_OPTIONS.mild;
+    if (grade <= 10) return SLOPE_OPTIONS.moderate;
+    return SLOPE_OPTIONS.steep;
+  }
+
+  /**
+   * Survey fields that can be prefilled from an analysis
+   * @param {object} analysis
+   * @returns {object}
+   */
+  toSurveyFields(analysis) {
+    if (!analysis) return {};
+
+    return {
+      trailSlopes: this.getSlopeOption(analysis.maxGrade),
+      maxGrade: analysis.maxGrade,
+      averageGrade: analysis.averageGrade,
+      steepSectionCount: analysis.steepSections.length,
+      gradeSource: 'measured'
+    };
+  }
+
+  /**
+   * One-line human summary, e.g. for the survey hint
+   * @param {object} analysis
+   * @returns {string}
+   */
+  describe(analysis) {
+    if (!analysis) return '';
+
+    const over = analysis.steepSections.filter(s => s.level === 'steep').length;
+    const moderate = analysis.steepSections.length - over;
+    let text = `Max ${analysis.maxGrade}% at ${formatKm(analysis.maxGradeAt)}, average ${analysis.averageGrade}%`;
+
+    if (over > 0) text += ` · ${over} section${over > 1 ? 's' : ''} over ${GRADE_THRESHOLDS.rampMax}%`;
+    if (moderate > 0) text += ` · ${moderate} over ${GRADE_THRESHOLDS.accessible}%`;
+
+    return text;
+  }
+}
+
+function round(value) {
+  return Math.round(value * 10) / 10;
+}
+
+function formatKm(meters) {
+  return meters < 1000 ? `${Math.round(meters)} m` : `km ${(meters / 1000).toFixed(1)}`;
+}
+
+// Create singleton instance
+const gradeAnalyzer = new GradeAnalyzer();
+
+export { GradeAnalyzer, gradeAnalyzer };
@@ -0,0 +1,324 @@
+/**
+ * KML / KMZ Export
+ * Opens our surveys in Google Earth and GIS tools:
+ * - Track styled by measured slope (accessible / moderate / steep / not measured)
+ * - Photos as placemarks with the picture in the balloon
+ * - Notes and typed waypoints as placemarks (waypoint attributes as ExtendedData)
+ *
+ * KML embeds small photo thumbnails as data URLs; KMZ bundles the full photos
+ * under files/ next to doc.kml.
+ *
+ * Access Nature - Export Formats
+ * Created: December 2025
+ */
+
+import { gradeAnalyzer, GRADE_THRESHOLDS } from './gradeAnalysis.js';
+import { getTrackSegments } from '../core/trackSegments.js';
+import { WAYPOINT_TYPES, getWaypointType, describeWaypoint } from '../config/waypointTypes.js';
+import { createZip, dataUrlToBytes } from '../utils/zip.js';
+
+/**
+ * Track styles by slope class
+ */
+export const KML_TRACK_STYLES = {
+  accessible: { label: `Accessible slope (up to ${GRADE_THRESHOLDS.accessible}%)`, color: '#22c55e' },
+  moderate: { label: `Moderate slope (${GRADE_THRESHOLDS.accessible}-${GRADE_THRESHOLDS.rampMax}%)`, color: '#f59e0b' },
+  steep: { label: `Steep slope (over ${GRADE_THRESHOLDS.rampMax}%)`, color: '#ef4444' },
+  unmeasured: { label: 'Slope not measured', color: '#4a7c59' }
+};
+
+const ICONS = {
+  photo: 'https://maps.google.com/mapfiles/kml/shapes/camera.png',
+  note: 'https://maps.google.com/mapfiles/kml/shapes/info-i.png',
+  waypoint: 'https://maps.google.com/mapfiles/kml/shapes/placemark_circle.png',
+  start: 'https://maps.google.com/mapfiles/kml/paddle/grn-circle.png',
+  end: 'https://maps.google.com/mapfiles/kml/paddle/red-circle.png'
+};
+
+// Longest side of photo thumbnails embedded in plain KML (px)
+const THUMBNAIL_SIZE = 320;
+
+function escapeXml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function cdata(html) {
+  return `<![CDATA[${String(html).replace(/]]>/g, ']]]]><![CDATA[>')}]]>`;
+}
+
+/**
+ * KML colors are aabbggrr
+ * @param {string} hex - #rrggbb
+ * @param {string} alpha - Two hex digits
+ */
+export function toKmlColor(hex, alpha = 'ff') {
+  const value = hex.replace('#', '');
+  return `${alpha}${value.slice(4, 6)}${value.slice(2, 4)}${value.slice(0, 2)}`.toLowerCase();
+}
+
+function coordinates(points) {
+  return points
+    .map(p => `${p.lng},${p.lat}${typeof p.elevation === 'number' ? `,${p.elevation}` : ''}`)
+    .join(' ');
+}
+
+function timeStamp(timestamp) {
+  return typeof timestamp === 'number' ? `<TimeStamp><when>${new Date(timestamp).toISOString()}</when></TimeStamp>` : '';
+}
+
+/**
+ * Slope class of a grade
+ * @param {number} grade - Percent, either direction
+ * @returns {string} KML_TRACK_STYLES key
+ */
+export function slopeClass(grade) {
+  const absolute = Math.abs(grade);
+  if (absolute <= GRADE_THRESHOLDS.accessible) return 'accessible';
+  if (absolute <= GRADE_THRESHOLDS.rampMax) return 'moderate';
+  return 'steep';
+}
+
+/**
+ * Track lines grouped into runs of the same slope class.
+ * Routes without elevations get one unmeasured line per track segment.
+ * @param {Array} routeData
+ * @returns {Array} [{ style, points: [{ lat, lng, elevation? }], maxGrade? }]
+ */
+export function buildTrackRuns(routeData) {
+  const elevated = routeData.filter(p => p.type === 'location' && p.coords && typeof p.elevation === 'number');
+  const locations = routeData.filter(p => p.type === 'location' && p.coords);
+
+  // Mostly-unmeasured routes would lose most of their geometry if drawn from elevated points only
+  if (elevated.length < 2 || elevated.length < locations.length * 0.9) {
+    return getTrackSegments(routeData).map(segment => ({
+      style: 'unmeasured',
+      points: segment.map(p => ({ ...p.coords }))
+    }));
+  }
+
+  const elevations = gradeAnalyzer.smooth(elevated.map(p => p.elevation));
+  const segments = gradeAnalyzer.buildSegments(elevated, elevations);
+  const runs = [];
+
+  segments.forEach(segment => {
+    // Pieces too short to measure are drawn without a slope class
+    const style = segment.short ? 'unmeasured' : slopeClass(segment.grade);
+    const grade = segment.short ? 0 : Math.abs(segment.grade);
+    const last = runs[runs.length - 1];
+    const path = elevated.slice(segment.startIndex, segment.endIndex + 1)
+      .map((p, i) => ({ ...p.coords, elevation: Math.round(elevations[segment.startIndex + i] * 10) / 10 }));
+
+    // Continue the run only when the segments touch (no track gap between them)
+    if (last && last.style === style && last.endIndex === segment.startIndex) {
+      last.points.push(...path.slice(1));
+      last.endIndex = segment.endIndex;
+      last.maxGrade = Math.max(last.maxGrade, grade);
+    } else {
+      runs.push({ style, points: path, endIndex: segment.endIndex, maxGrade: grade });
+    }
+  });
+
+  return runs.map(({ endIndex, ...run }) => run);
+}
+
+/**
+ * Downscale a photo for embedding
+ * @param {string} dataUrl
+ * @returns {Promise<string>} JPEG data URL (the original if it can't be decoded)
+ */
+function makeThumbnail(dataUrl) {
+  return new Promise(resolve => {
+    const img = new Image();
+    img.onload = () => {
+      const scale = Math.min(1, THUMBNAIL_SIZE / Math.max(img.width, img.height));
+      const canvas = document.createElement('canvas');
+      canvas.width = Math.round(img.width * scale);
+      canvas.height = Math.round(img.height * scale);
+      canvas.getContext('2d').drawImage(img, 0, 0, canvas.width, canvas.height);
+      try {
+        resolve(canvas.toDataURL('image/jpeg', 0.7));
+      } catch (error) {
+        resolve(dataUrl);
+      }
+    };
+    img.onerror = () => resolve(dataUrl);
+    img.src = dataUrl;
+  });
+}
+
+function renderStyles() {
+  const trackStyles = Object.entries(KML_TRACK_STYLES).map(([id, style]) => `
+    <Style id="track-${id}">
+      <LineStyle><color>${toKmlColor(style.color)}</color><width>5</width></LineStyle>
+    </Style>`).join('');
+
+  const waypointStyles = Object.values(WAYPOINT_TYPES).map(type => `
+    <Style id="waypoint-${type.id}">
+      <IconStyle><color>${toKmlColor(type.color)}</color><scale>1.1</scale><Icon><href>${ICONS.waypoint}</href></Icon></IconStyle>
+    </Style>`).join('');
+
+  return `${trackStyles}
+    <Style id="photo">
+      <IconStyle><scale>1.1</scale><Icon><href>${ICONS.photo}</href></Icon></IconStyle>
+    </Style>
+    <Style id="note">
+      <IconStyle><color>${toKmlColor('#f59e0b')}</color><Icon><href>${ICONS.note}</href></Icon></IconStyle>
+    </Style>
+    <Style id="start">
+      <IconStyle><Icon><href>${ICONS.start}</href></Icon></IconStyle>
+    </Style>
+    <Style id="end">
+      <IconStyle><Icon><href>${ICONS.end}</href></Icon></IconStyle>
+    </Style>${waypointStyles}`;
+}
+
+function renderDescription(routeInfo, accessibilityData, runs) {
+  const rows = [];
+  if (routeInfo.totalDistance) rows.push(`Distance: ${routeInfo.totalDistance.toFixed(2)} km`);
+  if (routeInfo.date) rows.push(`Recorded: ${new Date(routeInfo.date).toLocaleDateString()}`);
+  if (routeInfo.gradeAnalysis) rows.push(`Slope: ${gradeAnalyzer.describe(routeInfo.gradeAnalysis)}`);
+
+  if (accessibilityData) {
+    [
+      ['Wheelchair access', accessibilityData.wheelchairAccess],
+      ['Surface', accessibilityData.trailSurface],
+      ['Slopes', accessibilityData.trailSlopes],
+      ['Restrooms', accessibilityData.restrooms],
+      ['Shade', accessibilityData.shadeCoverage]
+    ].forEach(([label, value]) => {
+      if (value) rows.push(`${label}: ${Array.isArray(value) ? value.join(', ') : value}`);
+    });
+  }
+
+  const legend = [...new Set(runs.map(run => run.style))]
+    .map(style => `<span style="color:${KML_TRACK_STYLES[style].color}">■</span> ${KML_TRACK_STYLES[style].label}`);
+
+  return `<p>${rows.map(escapeXml).join('<br>')}</p>${legend.length ? `<p>${legend.join('<br>')}</p>` : ''}<p>Exported from Access Nature</p>`;
+}
+
+/**
+ * Generate a KML document
+ * @param {Array} routeData - Route data entries
+ * @param {object} routeInfo - { name, totalDistance, date, gradeAnalysis }
+ * @param {object} options
+ *   - accessibilityData: survey answers to summarize
+ *   - photos: 'thumbnail' (embedded data URLs) or 'files' (files/photo-N.jpg, for KMZ)
+ * @returns {Promise<object>} { kml, files: [{ name, data }] } - files only for photos: 'files'
+ */
+export async function generateKML(routeData, routeInfo = {}, { accessibilityData = null, photos = 'thumbnail' } = {}) {
+  const name = routeInfo.name || 'Access Nature Route';
+  const runs = buildTrackRuns(routeData);
+  const locations = routeData.filter(p => p.type === 'location' && p.coords);
+  const files = [];
+
+  const trackPlacemarks = runs.map((run, i) => `
+      <Placemark>
+        <name>${escapeXml(KML_TRACK_STYLES[run.style].label)}</name>${run.maxGrade !== undefined ? `
+        <description>Max ${run.maxGrade.toFixed(1)}%</description>` : ''}
+        <styleUrl>#track-${run.style}</styleUrl>
+        <ExtendedData><Data name="slopeClass"><value>${run.style}</value></Data><Data name="part"><value>${i + 1}</value></Data></ExtendedData>
+        <LineString>
+          <tessellate>1</tessellate>${run.points.some(p => typeof p.elevation === 'number') ? `
+          <altitudeMode>clampToGround</altitudeMode>` : ''}
+          <coordinates>${coordinates(run.points)}</coordinates>
+        </LineString>
+      </Placemark>`).join('');
+
+  const endpoints = locations.length > 0 ? [
+    ['start', 'Start', locations[0]],
+    ['end', 'End', locations[locations.length - 1]]
+  ].map(([style, label, point]) => `
+      <Placemark>
+        <name>${label}</name>
+        <styleUrl>#${style}</styleUrl>
+        ${timeStamp(point.timestamp)}
+        <Point><coordinates>${coordinates([point.coords])}</coordinates></Point>
+      </Placemark>`).join('') : '';
+
+  const photoEntries = routeData.filter(p => p.type === 'photo' && p.coords && (p.content || p.data));
+  const photoPlacemarks = [];
+  for (const [index, photo] of photoEntries.entries()) {
+    const content = photo.content || photo.data;
+    let src;
+    if (photos === 'files') {
+      src = `files/photo-${index + 1}.jpg`;
+      files.push({ name: src, data: dataUrlToBytes(content) });
+    } else {
+      src = await makeThumbnail(content);
+    }
+
+    photoPlacemarks.push(`
+      <Placemark>
+        <name>Photo ${index + 1}</name>
+        <styleUrl>#photo</styleUrl>
+        ${timeStamp(photo.timestamp)}
+        <description>${cdata(`<img src="${src}" width="${THUMBNAIL_SIZE}"><br>${photo.timestamp ? new Date(photo.timestamp).toLocaleString() : ''}`)}</description>
+        <Point><coordinates>${coordinates([photo.coords])}</coordinates></Point>
+      </Placemark>`);
+  }
+
+  const notePlacemarks = routeData
+    .filter(p => p.type === 'text' && p.coords)
+    .map((note, index) => {
+      const text = note.content || note.text || note.data || '';
+      return `
+      <Placemark>
+        <name>Note ${index + 1}</name>
+        <styleUrl>#note</styleUrl>
+        ${timeStamp(note.timestamp)}
+        <description>${escapeXml(text)}</description>
+        <Point><coordinates>${coordinates([note.coords])}</coordinates></Point>
+      </Placemark>`;
+    }).join('');
+
+  const waypointPlacemarks = routeData
+    .filter(p => p.type === 'waypoint' && p.coords && getWaypointType(p.waypointType))
+    .map(waypoint => {
+      const type = getWaypointType(waypoint.waypointType);
+      const data = [['waypointType', type.id], ...Object.entries(waypoint.attributes || {})]
+        .map(([key, value]) => `<Data name="${escapeXml(key)}"><value>${escapeXml(value)}</value></Data>`)
+        .join('');
+      return `
+      <Placemark>
+        <name>${escapeXml(`${type.icon} ${type.name}`)}</name>
+        <styleUrl>#waypoint-${type.id}</styleUrl>
+        ${timeStamp(waypoint.timestamp)}
+        <description>${escapeXml(describeWaypoint(waypoint))}</description>
+        <ExtendedData>${data}</ExtendedData>
+        <Point><coordinates>${coordinates([waypoint.coords])}</coordinates></Point>
+      </Placemark>`;
+    }).join('');
+
+  const folder = (folderName, content) => content ? `
+    <Folder>
+      <name>${folderName}</name>${content}
+    </Folder>` : '';
+
+  const kml = `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2">
+  <Document>
+    <name>${escapeXml(name)}</name>
+    <description>${cdata(renderDescription(routeInfo, accessibilityData, runs))}</description>
+    ${renderStyles()}${folder('Track', trackPlacemarks + endpoints)}${folder('Photos', photoPlacemarks.join(''))}${folder('Notes', notePlacemarks)}${folder('Accessibility Waypoints', waypointPlacemarks)}
+  </Document>
+</kml>`;
+
+  return { kml, files };
+}
+
+/**
+ * Generate a KMZ archive: doc.kml plus the full photos under files/
+ * @param {Array} routeData
+ * @param {object} routeInfo
+ * @param {object} options - { accessibilityData }
+ * @returns {Promise<Blob>}
+ */
+export async function generateKMZ(routeData, routeInfo = {}, options = {}) {
+  const { kml, files } = await generateKML(routeData, routeInfo, { ...options, photos: 'files' });
+  return createZip([{ name: 'doc.kml', data: kml }, ...files], { mimeType: 'application/vnd.google-earth.kmz' });
+}
@@ -3,6 +3,10 @@ import { getCurrentPosition } from '../utils/geolocation.js';
 import { toast } from '../utils/toast.js';
 import { modal } from '../utils/modal.js';
 import { userService } from '../services/userService.js';
+import { entitlements } from '../services/entitlements.js';
+import { getAllWaypointTypes, getWaypointType, getDefaultAttributes } from '../config/waypointTypes.js';
+import { STRETCH_ATTRIBUTES, getDefaultStretchAttributes, describeStretch } from '../config/stretchAttributes.js';
+import { getStretchEntries } from '../core/trailStretches.js';
 
 export class MediaController {
   constructor(appState) {
@@ -30,6 +34,20 @@ export class MediaController {
         this.capturePhoto();
       });
     }
+
+    const addWaypointBtn = document.getElementById('addWaypointBtn');
+    if (addWaypointBtn) {
+      addWaypointBtn.addEventListener('click', () => {
+        this.showWaypointPicker();
+      });
+    }
+
+    const markStretchBtn = document.getElementById('markStretchBtn');
+    if (markStretchBtn) {
+      markStretchBtn.addEventListener('click', () => {
+        this.showStretchPicker();
+      });
+    }
   }
 
   async capturePhoto() {
@@ -38,6 +56,11 @@ export class MediaController {
       return;
     }
 
+    const photoCount = this.appState.getRouteData().filter(entry => entry.type === 'photo').length;
+    if (!(await entitlements.ensureLimit('maxPhotosPerRoute', photoCount))) {
+      return;
+    }
+
     const photoInput = document.getElementById('photoInput');
     if (photoInput) {
       photoInput.click();
@@ -111,6 +134,307 @@ export class MediaController {
     }
   }
 
+  // Typed waypoints: one tap records the spot, details are optional
+  showWaypointPicker() {
+    if (!this.appState.getTrackingState().isTracking) {
+      toast.warning('Start tracking first to mark waypoints');
+      return;
+    }
+
+    const sheet = this.openWaypointSheet('📍 Mark Waypoint');
+    sheet.body.innerHTML = `
+      <div class="waypoint-grid">
+        ${getAllWaypointTypes().map(type => `
+          <button type="button" class="waypoint-type-btn" data-type="${type.id}" style="--waypoint-color: ${type.color}">
+            <span class="waypoint-type-icon" aria-hidden="true">${type.icon}</span>
+            <span>${type.name}</span>
+          </button>
+        `).join('')}
+      </div>
+    `;
+
+    sheet.body.querySelectorAll('.waypoint-type-btn').forEach(btn => {
+      btn.addEventListener('click', () => this.addWaypoint(btn.dataset.type));
+    });
+  }
+
+  async addWaypoint(typeId) {
+    const type = getWaypointType(typeId);
+    if (!type) return;
+
+    try {
+      const position = await getCurrentPosition();
+      const entry = {
+        type: 'waypoint',
+        waypointType: type.id,
+        coords: {
+          lat: position.coords.latitude,
+          lng: position.coords.longitude
+        },
+        attributes: getDefaultAttributes(type.id),
+        timestamp: Date.now()
+      };
+
+      this.appState.addRoutePoint(entry);
+      window.AccessNatureApp?.getController('map')?.addWaypointMarker(entry);
+
+      toast.success(`${type.icon} ${type.name} marked`);
+      this.showWaypointDetails(entry);
+    } catch (error) {
+      console.error('Failed to add waypoint:', error);
+      toast.error('Failed to mark waypoint: ' + error.message);
+      this.closeWaypointSheet();
+    }
+  }
+
+  showWaypointDetails(entry) {
+    const type = getWaypointType(entry.waypointType);
+    const sheet = this.openWaypointSheet(`${type.icon} ${type.name} details`);
+
+    sheet.body.innerHTML = `
+      <form class="waypoint-details">
+        ${type.attributes.map(attribute => this.renderWaypointAttribute(attribute, entry.attributes[attribute.key])).join('')}
+        <label class="waypoint-field">
+          <span>Note (optional)</span>
+          <input type="text" name="content" maxlength="200">
+        </label>
+        <div class="waypoint-actions">
+          <button type="button" class="waypoint-skip">Skip</button>
+          <button type="submit" class="waypoint-save">Save details</button>
+        </div>
+      </form>
+    `;
+
+    const form = sheet.body.querySelector('form');
+    form.querySelector('.waypoint-skip').addEventListener('click', () => this.closeWaypointSheet());
+    form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      const changes = { attributes: this.readAttributes(form, type.attributes) };
+      const note = form.elements.content.value.trim();
+      if (note) changes.content = note;
+
+      this.appState.updateRoutePoint(entry.timestamp, changes);
+      Object.assign(entry, changes);
+      window.AccessNatureApp?.getController('map')?.addWaypointMarker(entry);
+
+      this.closeWaypointSheet();
+      toast.success('Waypoint details saved');
+    });
+  }
+
+  // Answers from a details form; unanswered details are left out
+  readAttributes(form, attributeList) {
+    const attributes = {};
+
+    attributeList.forEach(attribute => {
+      if (attribute.type === 'multi') {
+        attributes[attribute.key] = [...form.querySelectorAll(`input[name="${attribute.key}"]:checked`)].map(input => input.value);
+        return;
+      }
+
+      const input = form.elements[attribute.key];
+      if (attribute.type === 'boolean') {
+        attributes[attribute.key] = input.checked;
+      } else if (attribute.type === 'number') {
+        if (input.value !== '') attributes[attribute.key] = Number(input.value);
+      } else if (input.value !== '') {
+        attributes[attribute.key] = input.value;
+      }
+    });
+
+    return attributes;
+  }
+
+  renderWaypointAttribute(attribute, value) {
+    const unit = attribute.unit ? ` (${attribute.unit})` : '';
+
+    if (attribute.type === 'multi') {
+      const selected = value || [];
+      return `
+        <fieldset class="waypoint-field waypoint-field-multi">
+          <legend>${attribute.label}</legend>
+          ${attribute.options.map(o => `
+            <label class="waypoint-field-check">
+              <input type="checkbox" name="${attribute.key}" value="${o.value}" ${selected.includes(o.value) ? 'checked' : ''}>
+              <span>${o.label}</span>
+            </label>`).join('')}
+        </fieldset>`;
+    }
+
+    if (attribute.type === 'boolean') {
+      return `
+        <label class="waypoint-field waypoint-field-check">
+          <input type="checkbox" name="${attribute.key}" ${value ? 'checked' : ''}>
+          <span>${attribute.label}</span>
+        </label>`;
+    }
+
+    if (attribute.type === 'select') {
+      return `
+        <label class="waypoint-field">
+          <span>${attribute.label}</span>
+          <select name="${attribute.key}">
+            ${attribute.default === undefined ? '<option value="">Not sure</option>' : ''}
+            ${attribute.options.map(o => `<option value="${o.value}" ${o.value === value ? 'selected' : ''}>${o.label}</option>`).join('')}
+          </select>
+        </label>`;
+    }
+
+    const inputType = attribute.type === 'number' ? 'number' : 'text';
+    const min = attribute.min !== undefined ? `min="${attribute.min}"` : '';
+    const max = attribute.max !== undefined ? `max="${attribute.max}"` : '';
+    return `
+      <label class="waypoint-field">
+        <span>${attribute.label}${unit}</span>
+        <input type="${inputType}" name="${attribute.key}" ${min} ${max} inputmode="${inputType === 'number' ? 'decimal' : 'text'}" value="${value ?? ''}">
+      </label>`;
+  }
+
+  // Stretches: surface, width, slope and obstacles from here until the next tap
+  getOpenStretch() {
+    return getStretchEntries(this.appState.getRouteData()).filter(entry => entry.endTimestamp == null).pop() || null;
+  }
+
+  showStretchPicker() {
+    if (!this.appState.getTrackingState().isTracking) {
+      toast.warning('Start tracking first to mark stretches');
+      return;
+    }
+
+    const open = this.getOpenStretch();
+    if (!open) {
+      this.startStretch();
+      return;
+    }
+
+    const sheet = this.openWaypointSheet('🛤️ Trail Stretch');
+    const details = describeStretch(open.attributes).replace(/&/g, '&amp;').replace(/</g, '&lt;');
+    sheet.body.innerHTML = `
+      <p class="stretch-current">Current stretch: ${details || 'no details yet'}</p>
+      <div class="waypoint-actions">
+        <button type="button" class="waypoint-skip stretch-edit">Edit details</button>
+        <button type="button" class="waypoint-skip stretch-end">End here</button>
+        <button type="button" class="stretch-next">New stretch from here</button>
+      </div>
+    `;
+
+    sheet.body.querySelector('.stretch-edit').addEventListener('click', () => this.editStretch(open));
+    sheet.body.querySelector('.stretch-end').addEventListener('click', () => this.endStretch());
+    sheet.body.querySelector('.stretch-next').addEventListener('click', () => this.startStretch());
+  }
+
+  // A new stretch ends the one before it at the same spot
+  async startStretch() {
+    try {
+      const position = await getCurrentPosition();
+      const timestamp = Date.now();
+      const open = this.getOpenStretch();
+      if (open) this.appState.updateRoutePoint(open.timestamp, { endTimestamp: timestamp });
+
+      const entry = {
+        type: 'stretch',
+        coords: {
+          lat: position.coords.latitude,
+          lng: position.coords.longitude
+        },
+        attributes: getDefaultStretchAttributes(open?.attributes),
+        timestamp,
+        endTimestamp: null
+      };
+
+      this.appState.addRoutePoint(entry);
+      this.refreshStretches();
+
+      toast.success('🛤️ Stretch started - tap 🛤️ again where the trail changes');
+      this.editStretch(entry);
+    } catch (error) {
+      console.error('Failed to start stretch:', error);
+      toast.error('Failed to mark stretch: ' + error.message);
+      this.closeWaypointSheet();
+    }
+  }
+
+  endStretch() {
+    const open = this.getOpenStretch();
+    this.closeWaypointSheet();
+    if (!open) return;
+
+    this.appState.updateRoutePoint(open.timestamp, { endTimestamp: Date.now() });
+    this.refreshStretches();
+    toast.success('🛤️ Stretch ended');
+  }
+
+  editStretch(entry) {
+    this.showStretchDetails(entry.attributes, '🛤️ Stretch details', (attributes) => {
+      this.appState.updateRoutePoint(entry.timestamp, { attributes });
+      entry.attributes = attributes;
+      this.refreshStretches();
+      toast.success('Stretch details saved');
+    });
+  }
+
+  /**
+   * Details form for a stretch, also used by the route editor
+   * @param {object} attributes - Current stretch attributes
+   * @param {string} title
+   * @param {function} onSave - Called with the new attributes
+   */
+  showStretchDetails(attributes, title, onSave) {
+    const sheet = this.openWaypointSheet(title);
+
+    sheet.body.innerHTML = `
+      <form class="waypoint-details">
+        ${STRETCH_ATTRIBUTES.map(attribute => this.renderWaypointAttribute(attribute, attributes?.[attribute.key])).join('')}
+        <div class="waypoint-actions">
+          <button type="button" class="waypoint-skip">Skip</button>
+          <button type="submit" class="waypoint-save">Save details</button>
+        </div>
+      </form>
+    `;
+
+    const form = sheet.body.querySelector('form');
+    form.querySelector('.waypoint-skip').addEventListener('click', () => this.closeWaypointSheet());
+    form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      const changed = { ...getDefaultStretchAttributes(), ...this.readAttributes(form, STRETCH_ATTRIBUTES) };
+      this.closeWaypointSheet();
+      onSave(changed);
+    });
+  }
+
+  refreshStretches() {
+    window.AccessNatureApp?.getController('map')?.showStretches(this.appState.getRouteData());
+  }
+
+  openWaypointSheet(title) {
+    this.closeWaypointSheet();
+
+    const overlay = document.createElement('div');
+    overlay.id = 'waypointSheet';
+    overlay.className = 'waypoint-sheet-overlay';
+    overlay.innerHTML = `
+      <div class="waypoint-sheet" role="dialog" aria-modal="true" aria-labelledby="waypointSheetTitle">
+        <div class="waypoint-sheet-header">
+          <h3 id="waypointSheetTitle">${title}</h3>
+          <button type="button" class="waypoint-sheet-close" aria-label="Close">×</button>
+        </div>
+        <div class="waypoint-sheet-body"></div>
+      </div>
+    `;
+
+    overlay.addEventListener('click', (e) => {
+      if (e.target === overlay) this.closeWaypointSheet();
+    });
+    overlay.querySelector('.waypoint-sheet-close').addEventListener('click', () => this.closeWaypointSheet());
+
+    document.body.appendChild(overlay);
+    return { overlay, body: overlay.querySelector('.waypoint-sheet-body') };
+  }
+
+  closeWaypointSheet() {
+    document.getElementById('waypointSheet')?.remove();
+  }
+
   async compressImage(file, quality = 0.7) {
     return new Promise((resolve, reject) => {
       const img = new Image();
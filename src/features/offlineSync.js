@@ -12,6 +12,7 @@
 
 import { toast } from '../utils/toast.js';
 import { modal } from '../utils/modal.js';
+import { normalizeSurvey } from '../config/surveySchema.js';
 
 // Settings storage key (shared with admin.html)
 const SETTINGS_KEY = 'accessNature_adminSettings';
@@ -447,6 +448,37 @@ class OfflineSync {
     });
   }
 
+  /**
+   * Rewrite stored records in place (e.g. data migrations)
+   * @param {string} storeName - 'pending_routes' or 'pending_guides'
+   * @param {Function} update - Receives a record, returns true when it changed it
+   * @returns {Promise<number>} Number of records rewritten
+   */
+  async updatePendingRecords(storeName, update) {
+    if (!this.db) await this.openDatabase();
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([storeName], 'readwrite');
+      const store = transaction.objectStore(storeName);
+      const request = store.openCursor();
+      let updated = 0;
+      
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) return;
+        
+        const record = cursor.value;
+        if (update(record)) {
+          cursor.update(record);
+          updated++;
+        }
+        cursor.continue();
+      };
+      transaction.oncomplete = () => resolve(updated);
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
+
   // ==================== Cloud Upload ====================
 
   async uploadRouteToCloud(routeData, user) {
@@ -1215,7 +1247,7 @@ class OfflineSync {
   async queueSurvey(surveyData, context = {}) {
     const queuedSurvey = {
       id: `survey_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-      data: surveyData,
+      data: normalizeSurvey(surveyData),
       routeId: context.routeId || null,
       location: context.location || null,
       timestamp: new Date().toISOString(),
@@ -0,0 +1,838 @@
+/**
+ * PDF Route Report
+ * A multi-page report generated on the device, with no network access:
+ * - Static map drawn from the map tiles already cached for offline use,
+ *   track colored by slope, start / end and numbered photo markers
+ * - Elevation profile with a slope band
+ * - Survey summary with the rating badge, rating factors and answers
+ * - Photos with captions
+ * - Timeline of notes and accessibility waypoints
+ *
+ * The file is tagged (headings, tables, lists, figures with alt text) so
+ * screen readers read it in order.
+ *
+ * Access Nature - Export Formats
+ * Created: December 2025
+ */
+
+import { PdfDocument, encodeWinAnsi, wrapText, measureText, readJpegInfo } from '../utils/pdfWriter.js';
+import { dataUrlToBytes } from '../utils/zip.js';
+import { gradeAnalyzer } from './gradeAnalysis.js';
+import { KML_TRACK_STYLES, buildTrackRuns, slopeClass } from './kmlExport.js';
+import { getWaypointType, describeWaypoint } from '../config/waypointTypes.js';
+import { getSurveyField } from '../config/surveySchema.js';
+import { getSegmentIndex } from '../core/trackSegments.js';
+import { haversineDistance, formatDistance, formatDuration } from '../utils/calculations.js';
+
+const COLORS = {
+  text: '#1f2937',
+  muted: '#6b7280',
+  accent: '#2c5530',
+  rule: '#d1d5db',
+  tableHeader: '#eef4ef',
+  chartFill: '#dcebdd',
+  mapBackground: '#eef2ee'
+};
+
+const MARGIN = 48;
+const FOOTER_SPACE = 28;
+
+// Same tiles as the live map (core/map.js) and offline regions (sw.js)
+const TILE_URL = 'https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png';
+const TILE_SUBDOMAINS = ['a', 'b', 'c'];
+const TILE_SIZE = 256;
+const MAP_MAX_ZOOM = 17;
+
+// Canvas pixels per PDF point for the map image
+const MAP_SCALE = 2;
+
+// Longest side of photos in the report (px); larger photos are downscaled
+const PHOTO_MAX_SIZE = 1600;
+
+// ==================== LAYOUT ====================
+
+/**
+ * Flowing layout: keeps the cursor and starts new pages as content needs them
+ */
+class ReportLayout {
+  constructor(doc) {
+    this.doc = doc;
+    this.left = MARGIN;
+    this.width = doc.pageWidth - MARGIN * 2;
+    this.bottom = doc.pageHeight - MARGIN - FOOTER_SPACE;
+    this.newPage();
+  }
+
+  newPage() {
+    this.doc.addPage();
+    this.y = MARGIN;
+  }
+
+  /**
+   * Start a new page unless the height fits (a fresh page always takes the content)
+   */
+  ensureSpace(height) {
+    if (this.y + height > this.bottom && this.y > MARGIN) {
+      this.newPage();
+    }
+  }
+
+  /**
+   * @param {number} keepWith - Height of the content that must follow on the same page
+   */
+  heading(text, level = 2, keepWith = 60) {
+    const size = level === 1 ? 20 : 14;
+
+    // Keep headings with the start of their section
+    this.ensureSpace(size * 1.4 + 16 + keepWith);
+    if (level > 1) this.y += 8;
+
+    const top = this.y;
+    this.doc.textElement(`H${level}`, text, this.left, top + size, { font: 'bold', size, color: COLORS.accent });
+    this.y += size * 1.4;
+
+    if (level > 1) {
+      this.doc.artifact(() => this.doc.line(this.left, this.y, this.left + this.width, this.y, { stroke: COLORS.rule, lineWidth: 0.75 }));
+    }
+    this.y += 8;
+  }
+
+  /**
+   * Wrapped text; long paragraphs continue on the next page
+   * @returns {object} Structure element
+   */
+  paragraph(text, { font = 'regular', size = 10.5, color = COLORS.text, parent, type = 'P', indent = 0, after = 6 } = {}) {
+    const { lossless } = encodeWinAnsi(text);
+    const element = this.doc.createElement(type, { parent, actualText: lossless ? null : text });
+    this.lines(element, wrapText(text, this.width - indent, font, size), { x: this.left + indent, font, size, color });
+    this.y += after;
+    return element;
+  }
+
+  lines(element, lines, { x, font, size, color }) {
+    const lineHeight = size * 1.35;
+    let index = 0;
+
+    while (index < lines.length) {
+      this.ensureSpace(lineHeight);
+      const fit = Math.max(1, Math.floor((this.bottom - this.y) / lineHeight));
+      const chunk = lines.slice(index, index + fit);
+      const top = this.y;
+
+      this.doc.mark(element, () => {
+        chunk.forEach((line, i) => this.doc.text(line, x, top + size + i * lineHeight, { font, size, color }));
+      });
+
+      this.y += chunk.length * lineHeight;
+      index += chunk.length;
+    }
+  }
+
+  /**
+   * Table with a header row; rows never split, the header repeats on each page
+   * @param {Array} columns - [{ header, width (fraction of the text width) }]
+   * @param {Array} rows - Arrays of cell text
+   */
+  table(columns, rows, { parent } = {}) {
+    const doc = this.doc;
+    const size = 9.5;
+    const lineHeight = size * 1.35;
+    const pad = 5;
+    const widths = columns.map(column => column.width * this.width);
+    const table = doc.createElement('Table', { parent });
+
+    const measure = (cells, font) => {
+      const wrapped = cells.map((cell, i) => wrapText(cell, widths[i] - pad * 2, font, size));
+      return { wrapped, height: Math.max(...wrapped.map(lines => lines.length)) * lineHeight + pad * 2 };
+    };
+
+    const drawRow = (cells, { header = false, repeat = false } = {}) => {
+      const font = header ? 'bold' : 'regular';
+      const { wrapped, height } = measure(cells, font);
+
+      if (!header && this.y + height > this.bottom) {
+        this.newPage();
+        drawRow(columns.map(column => column.header), { header: true, repeat: true });
+      }
+
+      const top = this.y;
+      doc.artifact(() => {
+        if (header) doc.rect(this.left, top, this.width, height, { fill: COLORS.tableHeader });
+        doc.line(this.left, top + height, this.left + this.width, top + height, { stroke: COLORS.rule, lineWidth: 0.5 });
+      });
+
+      const drawCell = (lines, i) => {
+        const x = this.left + widths.slice(0, i).reduce((sum, w) => sum + w, 0) + pad;
+        lines.forEach((line, j) => doc.text(line, x, top + pad + size + j * lineHeight, { font, size, color: COLORS.text }));
+      };
+
+      // Repeated headers are decoration - the table already has its header row
+      if (repeat) {
+        doc.artifact(() => wrapped.forEach(drawCell));
+      } else {
+        const row = doc.createElement('TR', { parent: table });
+        wrapped.forEach((lines, i) => {
+          const { lossless } = encodeWinAnsi(cells[i]);
+          const cell = doc.createElement(header ? 'TH' : 'TD', { parent: row, actualText: lossless ? null : cells[i] });
+          doc.mark(cell, () => drawCell(lines, i));
+        });
+      }
+
+      this.y += height;
+    };
+
+    this.ensureSpace(lineHeight * 4 + pad * 4);
+    drawRow(columns.map(column => column.header), { header: true });
+    rows.forEach(cells => drawRow(cells));
+    this.y += 10;
+    return table;
+  }
+
+  /**
+   * Figure drawn in one block, read as its alt text
+   * @param {Function} draw - Called with the top of the block
+   */
+  figure(alt, height, draw, { parent } = {}) {
+    this.ensureSpace(height);
+    const element = this.doc.createElement('Figure', { parent, alt });
+    const top = this.y;
+    this.doc.mark(element, () => draw(top));
+    this.y += height;
+    return element;
+  }
+}
+
+// ==================== HELPERS ====================
+
+function formatTime(timestamp) {
+  return typeof timestamp === 'number' || typeof timestamp === 'string'
+    ? new Date(timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+    : '';
+}
+
+// "wheelchairAccess" → "Wheelchair access", "firm-packed" → "Firm packed"
+function humanize(value) {
+  const text = String(value).replace(/([a-z])([A-Z])/g, '$1 $2').replace(/[_-]+/g, ' ').trim().toLowerCase();
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+function formatAnswer(value) {
+  if (value === null || value === undefined || value === '') return null;
+  if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+  if (typeof value === 'number') return String(value);
+  if (Array.isArray(value)) {
+    const items = value.map(formatAnswer).filter(Boolean);
+    return items.length ? items.join(', ') : null;
+  }
+  if (typeof value === 'string') {
+    // Option values are identifiers; free text stays as written
+    return /^[a-z][a-zA-Z0-9_-]*$/.test(value) ? humanize(value) : value;
+  }
+  return null;
+}
+
+/**
+ * Distance along the track (km) at each photo, note and waypoint
+ * Gaps between track segments aren't counted.
+ * @returns {Map} Entry → km
+ */
+function distancesAlongRoute(routeData) {
+  const along = new Map();
+  let distance = 0;
+  let last = null;
+
+  routeData.forEach(entry => {
+    if (entry.type === 'location' && entry.coords) {
+      if (last && getSegmentIndex(last) === getSegmentIndex(entry)) {
+        distance += haversineDistance(last.coords, entry.coords);
+      }
+      last = entry;
+    } else {
+      along.set(entry, distance);
+    }
+  });
+
+  return along;
+}
+
+// ==================== STATIC MAP ====================
+
+function project(lat, lng, zoom) {
+  const size = TILE_SIZE * 2 ** zoom;
+  const sin = Math.sin((Math.max(-85.05, Math.min(85.05, lat)) * Math.PI) / 180);
+  return {
+    x: ((lng + 180) / 360) * size,
+    y: (0.5 - Math.log((1 + sin) / (1 - sin)) / (4 * Math.PI)) * size
+  };
+}
+
+/**
+ * Tile from the offline map cache only - never the network
+ * @returns {Promise<ImageBitmap|null>}
+ */
+async function loadCachedTile(z, x, y) {
+  if (typeof caches === 'undefined') return null;
+
+  for (const subdomain of TILE_SUBDOMAINS) {
+    const url = TILE_URL.replace('{s}', subdomain).replace('{z}', z).replace('{x}', x).replace('{y}', y);
+    try {
+      const response = await caches.match(url);
+
+      // Opaque responses would taint the canvas and block the JPEG export
+      if (response && response.ok && response.type !== 'opaque') {
+        return await createImageBitmap(await response.blob());
+      }
+    } catch (error) {
+      console.warn('Could not read cached tile:', url, error);
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Draw the route over cached tiles
+ * @param {Array} runs - From buildTrackRuns()
+ * @param {object} markers - { start, end, photos: [{ number, coords }] }
+ * @param {number} width - Points
+ * @param {number} height - Points
+ * @returns {Promise<object|null>} { bytes (JPEG), tiles, missingTiles }, or null when there's nothing to draw
+ */
+async function renderStaticMap(runs, markers, width, height) {
+  const coords = runs.flatMap(run => run.points);
+  if (coords.length === 0 || typeof document === 'undefined') return null;
+
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.round(width * MAP_SCALE);
+  canvas.height = Math.round(height * MAP_SCALE);
+  const ctx = canvas.getContext('2d');
+  if (!ctx) return null;
+
+  // Highest zoom at which the whole track fits with some padding
+  const padding = 48;
+  let zoom = MAP_MAX_ZOOM;
+  let bounds;
+  for (; zoom >= 1; zoom--) {
+    const projected = coords.map(p => project(p.lat, p.lng, zoom));
+    bounds = {
+      minX: Math.min(...projected.map(p => p.x)),
+      maxX: Math.max(...projected.map(p => p.x)),
+      minY: Math.min(...projected.map(p => p.y)),
+      maxY: Math.max(...projected.map(p => p.y))
+    };
+    if (bounds.maxX - bounds.minX <= canvas.width - padding * 2 && bounds.maxY - bounds.minY <= canvas.height - padding * 2) break;
+  }
+  zoom = Math.max(zoom, 1);
+
+  const originX = (bounds.minX + bounds.maxX) / 2 - canvas.width / 2;
+  const originY = (bounds.minY + bounds.maxY) / 2 - canvas.height / 2;
+  const toCanvas = (p) => {
+    const point = project(p.lat, p.lng, zoom);
+    return [point.x - originX, point.y - originY];
+  };
+
+  ctx.fillStyle = COLORS.mapBackground;
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+  const tileCount = 2 ** zoom;
+  let tiles = 0;
+  let missingTiles = 0;
+  for (let ty = Math.floor(originY / TILE_SIZE); ty * TILE_SIZE < originY + canvas.height; ty++) {
+    for (let tx = Math.floor(originX / TILE_SIZE); tx * TILE_SIZE < originX + canvas.width; tx++) {
+      if (ty < 0 || ty >= tileCount) continue;
+      tiles++;
+
+      const tile = await loadCachedTile(zoom, ((tx % tileCount) + tileCount) % tileCount, ty);
+      if (tile) {
+        ctx.drawImage(tile, tx * TILE_SIZE - originX, ty * TILE_SIZE - originY, TILE_SIZE, TILE_SIZE);
+        tile.close?.();
+      } else {
+        missingTiles++;
+      }
+    }
+  }
+
+  // Track: white casing first so every color stands out from the tiles
+  ctx.lineCap = 'round';
+  ctx.lineJoin = 'round';
+  [['casing', 10], ['color', 6]].forEach(([pass, lineWidth]) => {
+    runs.forEach(run => {
+      if (run.points.length < 2) return;
+      ctx.beginPath();
+      run.points.forEach((p, i) => {
+        const [x, y] = toCanvas(p);
+        if (i === 0) ctx.moveTo(x, y);
+        else ctx.lineTo(x, y);
+      });
+      ctx.strokeStyle = pass === 'casing' ? '#ffffff' : KML_TRACK_STYLES[run.style].color;
+      ctx.lineWidth = lineWidth;
+      ctx.stroke();
+    });
+  });
+
+  const drawMarker = (coordsAt, color, label = '') => {
+    const [x, y] = toCanvas(coordsAt);
+    ctx.beginPath();
+    ctx.arc(x, y, 12, 0, Math.PI * 2);
+    ctx.fillStyle = color;
+    ctx.fill();
+    ctx.lineWidth = 3;
+    ctx.strokeStyle = '#ffffff';
+    ctx.stroke();
+
+    if (label) {
+      ctx.fillStyle = '#ffffff';
+      ctx.font = 'bold 13px sans-serif';
+      ctx.textAlign = 'center';
+      ctx.textBaseline = 'middle';
+      ctx.fillText(label, x, y + 1);
+    }
+  };
+
+  markers.photos.forEach(photo => drawMarker(photo.coords, '#2563eb', String(photo.number)));
+  if (markers.start) drawMarker(markers.start, '#16a34a', 'S');
+  if (markers.end) drawMarker(markers.end, '#dc2626', 'E');
+
+  return {
+    bytes: dataUrlToBytes(canvas.toDataURL('image/jpeg', 0.85)),
+    tiles,
+    missingTiles
+  };
+}
+
+// ==================== PHOTOS ====================
+
+/**
+ * JPEG bytes for a stored photo; small JPEGs pass through, anything else is re-encoded
+ * @param {string} dataUrl
+ * @returns {Promise<Uint8Array|null>}
+ */
+async function photoToJpeg(dataUrl) {
+  if (/^data:image\/jpe?g/i.test(dataUrl)) {
+    try {
+      const bytes = dataUrlToBytes(dataUrl);
+      const info = readJpegInfo(bytes);
+      if (info.components !== 4 && Math.max(info.width, info.height) <= PHOTO_MAX_SIZE) return bytes;
+    } catch (error) {
+      // Re-encoded below
+    }
+  }
+
+  if (typeof document === 'undefined') return null;
+
+  return new Promise(resolve => {
+    const img = new Image();
+    img.onload = () => {
+      try {
+        const scale = Math.min(1, PHOTO_MAX_SIZE / Math.max(img.width, img.height));
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.max(1, Math.round(img.width * scale));
+        canvas.height = Math.max(1, Math.round(img.height * scale));
+        const ctx = canvas.getContext('2d');
+        ctx.fillStyle = '#ffffff';
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+        ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+        resolve(dataUrlToBytes(canvas.toDataURL('image/jpeg', 0.85)));
+      } catch (error) {
+        resolve(null);
+      }
+    };
+    img.onerror = () => resolve(null);
+    img.src = dataUrl;
+  });
+}
+
+// ==================== SECTIONS ====================
+
+function renderHeader(layout, routeInfo, name) {
+  layout.heading(name, 1);
+
+  const parts = [];
+  if (routeInfo.date) parts.push(`Recorded ${new Date(routeInfo.date).toLocaleString()}`);
+  parts.push(`Report created ${new Date().toLocaleDateString()}`);
+  layout.paragraph(parts.join(' · '), { color: COLORS.muted, size: 10 });
+}
+
+function renderStats(layout, routeData, routeInfo, analysis) {
+  const count = (type) => routeData.filter(p => p.type === type).length;
+  const rows = [];
+
+  if (typeof routeInfo.totalDistance === 'number') rows.push(['Distance', formatDistance(routeInfo.totalDistance)]);
+  if (routeInfo.elapsedTime) rows.push(['Duration', formatDuration(routeInfo.elapsedTime)]);
+  if (routeInfo.movingTime) rows.push(['Moving time', formatDuration(routeInfo.movingTime)]);
+  if (analysis) {
+    rows.push(['Elevation gain / loss', `${Math.round(analysis.totalAscent)} m / ${Math.round(analysis.totalDescent)} m`]);
+    rows.push(['Maximum slope', `${analysis.maxGrade}%`]);
+  }
+  rows.push(['GPS points', String(count('location'))]);
+  rows.push(['Photos', String(count('photo'))]);
+  rows.push(['Notes', String(count('text'))]);
+  rows.push(['Accessibility waypoints', String(count('waypoint'))]);
+
+  layout.heading('Route Summary');
+  layout.table([{ header: 'Measure', width: 0.45 }, { header: 'Value', width: 0.55 }], rows);
+}
+
+async function renderMap(layout, routeData, runs, photos) {
+  const doc = layout.doc;
+  const locations = routeData.filter(p => p.type === 'location' && p.coords);
+  if (locations.length === 0) return;
+
+  const height = Math.min(320, layout.width * 0.65);
+  layout.heading('Map', 2, height);
+
+  let map = null;
+  try {
+    map = await renderStaticMap(runs, {
+      start: locations[0].coords,
+      end: locations[locations.length - 1].coords,
+      photos: photos.filter(photo => photo.entry.coords).map(photo => ({ number: photo.number, coords: photo.entry.coords }))
+    }, layout.width, height);
+  } catch (error) {
+    console.warn('Static map failed:', error);
+  }
+
+  if (!map) {
+    layout.paragraph('The map could not be drawn on this device.', { color: COLORS.muted });
+    return;
+  }
+
+  const styles = [...new Set(runs.map(run => run.style))];
+  const photoCount = photos.filter(photo => photo.entry.coords).length;
+  const alt = [
+    `Map of the route from S (start) to E (end).`,
+    `Track colored by slope: ${styles.map(style => KML_TRACK_STYLES[style].label.toLowerCase()).join('; ')}.`,
+    photoCount ? `${photoCount} numbered photo location${photoCount > 1 ? 's' : ''}.` : ''
+  ].filter(Boolean).join(' ');
+
+  const image = doc.addJpeg(map.bytes);
+  layout.figure(alt, height, (top) => {
+    doc.image(image, layout.left, top, layout.width, height);
+  });
+  doc.artifact(() => doc.rect(layout.left, layout.y - height, layout.width, height, { stroke: COLORS.rule, lineWidth: 0.75 }));
+  layout.y += 6;
+
+  // Legend: swatches are decoration, the labels are read
+  const legend = doc.createElement('P');
+  const size = 9;
+  let x = layout.left;
+  layout.ensureSpace(size * 2);
+  const items = [
+    ...styles.map(style => [KML_TRACK_STYLES[style].color, KML_TRACK_STYLES[style].label]),
+    ['#16a34a', 'Start'],
+    ['#dc2626', 'End'],
+    ...(photoCount ? [['#2563eb', 'Photo']] : [])
+  ];
+  items.forEach(([color, label], i) => {
+    const text = i < items.length - 1 ? `${label};` : label;
+    const itemWidth = 14 + measureText(text, 'regular', size) + 12;
+    if (x + itemWidth > layout.left + layout.width) {
+      x = layout.left;
+      layout.y += size * 1.6;
+    }
+    const top = layout.y;
+    const swatchX = x;
+    doc.artifact(() => doc.rect(swatchX, top + 1, 10, 8, { fill: color }));
+    doc.mark(legend, () => doc.text(text, swatchX + 14, top + size, { size, color: COLORS.text }));
+    x += itemWidth;
+  });
+  layout.y += size * 1.6 + 4;
+
+  layout.paragraph('Map data © OpenStreetMap contributors', { size: 8, color: COLORS.muted, after: 2 });
+  if (map.missingTiles > 0) {
+    layout.paragraph(
+      map.missingTiles === map.tiles
+        ? 'Map tiles for this area aren\'t saved on this device, so only the track is shown. Save the area for offline use to include the background map.'
+        : 'Some map tiles for this area aren\'t saved on this device and are left blank.',
+      { size: 9, color: COLORS.muted }
+    );
+  }
+}
+
+function renderElevation(layout, routeData, analysis) {
+  const doc = layout.doc;
+  const chartHeight = 190;
+  layout.heading('Elevation and Slope', 2, analysis?.profile?.length ? chartHeight : 60);
+
+  if (!analysis || !analysis.profile?.length) {
+    layout.paragraph('No elevation was recorded on this route, so slope can\'t be charted.', { color: COLORS.muted });
+    return;
+  }
+
+  const elevated = routeData.filter(p => p.type === 'location' && p.coords && typeof p.elevation === 'number');
+  const segments = gradeAnalyzer.buildSegments(elevated, gradeAnalyzer.smooth(elevated.map(p => p.elevation)));
+
+  const profile = analysis.profile;
+  const totalDistance = Math.max(profile[profile.length - 1].distance, 1);
+  const elevations = profile.map(p => p.elevation);
+  let low = Math.min(...elevations);
+  let high = Math.max(...elevations);
+  if (high - low < 10) {
+    const middle = (high + low) / 2;
+    low = middle - 5;
+    high = middle + 5;
+  }
+
+  // Share of the measured length in each slope class
+  const byClass = { accessible: 0, moderate: 0, steep: 0 };
+  segments.filter(segment => !segment.short).forEach(segment => { byClass[slopeClass(segment.grade)] += segment.length; });
+  const measured = Object.values(byClass).reduce((sum, length) => sum + length, 0) || 1;
+  const shares = Object.entries(byClass)
+    .filter(([, length]) => length > 0)
+    .map(([style, length]) => `${Math.round((length / measured) * 100)}% ${KML_TRACK_STYLES[style].label.toLowerCase()}`);
+
+  const alt = `Elevation profile over ${formatDistance(totalDistance / 1000)}, between ${Math.round(Math.min(...elevations))} m ` +
+    `and ${Math.round(Math.max(...elevations))} m. ${gradeAnalyzer.describe(analysis)}. Slope along the route: ${shares.join(', ')}.`;
+
+  const plotLeft = layout.left + 44;
+  const plotWidth = layout.width - 44;
+  const plotHeight = 120;
+
+  layout.figure(alt, chartHeight, (top) => {
+    const plotTop = top + 6;
+    const plotBottom = plotTop + plotHeight;
+    const toX = (distance) => plotLeft + (distance / totalDistance) * plotWidth;
+    const toY = (elevation) => plotBottom - ((elevation - low) / (high - low)) * plotHeight;
+
+    [0, 0.5, 1].forEach(fraction => {
+      const elevation = low + (high - low) * fraction;
+      const y = toY(elevation);
+      doc.line(plotLeft, y, plotLeft + plotWidth, y, { stroke: COLORS.rule, lineWidth: 0.5 });
+      const label = `${Math.round(elevation)} m`;
+      doc.text(label, plotLeft - 6 - measureText(label, 'regular', 8), y + 3, { size: 8, color: COLORS.muted });
+    });
+
+    // Long tracks are thinned to what the chart can show
+    const step = Math.max(1, Math.ceil(profile.length / 600));
+    const line = profile
+      .filter((_, i) => i % step === 0 || i === profile.length - 1)
+      .map(p => [toX(p.distance), toY(p.elevation)]);
+
+    doc.polyline([[line[0][0], plotBottom], ...line, [line[line.length - 1][0], plotBottom]], { fill: COLORS.chartFill, stroke: null });
+    doc.polyline(line, { stroke: COLORS.accent, lineWidth: 1.5 });
+
+    // Slope band under the profile
+    const bandTop = plotBottom + 6;
+    doc.text('Slope', plotLeft - 6 - measureText('Slope', 'regular', 8), bandTop + 8, { size: 8, color: COLORS.muted });
+    segments.forEach(segment => {
+      const x = toX(segment.startDistance);
+      doc.rect(x, bandTop, Math.max(0.5, toX(segment.endDistance) - x), 10, { fill: KML_TRACK_STYLES[segment.short ? 'unmeasured' : slopeClass(segment.grade)].color });
+    });
+
+    const axisY = bandTop + 24;
+    doc.text('0 km', plotLeft, axisY, { size: 8, color: COLORS.muted });
+    const endLabel = formatDistance(totalDistance / 1000);
+    doc.text(endLabel, plotLeft + plotWidth - measureText(endLabel, 'regular', 8), axisY, { size: 8, color: COLORS.muted });
+
+    let x = plotLeft + 60;
+    Object.keys(byClass).forEach(style => {
+      const label = KML_TRACK_STYLES[style].label;
+      doc.rect(x, axisY + 10, 10, 8, { fill: KML_TRACK_STYLES[style].color });
+      doc.text(label, x + 14, axisY + 17, { size: 8, color: COLORS.text });
+      x += 14 + measureText(label, 'regular', 8) + 14;
+    });
+  });
+
+  layout.paragraph(`${gradeAnalyzer.describe(analysis)}. Gain ${Math.round(analysis.totalAscent)} m, loss ${Math.round(analysis.totalDescent)} m.`, { size: 10 });
+}
+
+function renderSurvey(layout, accessibilityData, rating) {
+  const doc = layout.doc;
+  layout.heading('Accessibility Survey');
+
+  if (!accessibilityData) {
+    layout.paragraph('No accessibility survey has been filled in for this route.', { color: COLORS.muted });
+    return;
+  }
+
+  if (rating?.ratingInfo) {
+    const info = rating.ratingInfo;
+    const label = `${info.label} · score ${rating.score}/100`;
+    const size = 13;
+    const width = measureText(label, 'bold', size) + 28;
+    const height = 30;
+
+    layout.ensureSpace(height + 10);
+    const top = layout.y;
+    doc.artifact(() => doc.rect(layout.left, top, width, height, { fill: info.bgColor, stroke: info.borderColor, lineWidth: 1.5, radius: 8 }));
+    const badge = doc.createElement('P', { actualText: `Accessibility rating: ${info.label}, score ${rating.score} out of 100` });
+    doc.mark(badge, () => doc.text(label, layout.left + 14, top + 19.5, { font: 'bold', size, color: COLORS.text }));
+    layout.y += height + 10;
+
+    if (info.description) layout.paragraph(info.description, { size: 10 });
+
+    if (rating.factors?.length) {
+      const impacts = { positive: 'Helps', neutral: 'Mixed', negative: 'Barrier' };
+      layout.table(
+        [{ header: 'Factor', width: 0.25 }, { header: 'Effect', width: 0.15 }, { header: 'Details', width: 0.6 }],
+        rating.factors.map(factor => [factor.factor, impacts[factor.impact] || factor.impact, factor.note || ''])
+      );
+    }
+  }
+
+  const answers = Object.entries(accessibilityData)
+    .filter(([key]) => key !== 'schemaVersion')
+    .map(([key, value]) => [getSurveyField(key)?.label || humanize(key), formatAnswer(value)])
+    .filter(([, value]) => value !== null);
+
+  if (answers.length) {
+    layout.paragraph('Survey answers', { font: 'bold', size: 11, type: 'H3', after: 4 });
+    layout.table([{ header: 'Question', width: 0.4 }, { header: 'Answer', width: 0.6 }], answers);
+  }
+}
+
+async function renderPhotos(layout, photos, along) {
+  const doc = layout.doc;
+  if (photos.length === 0) return;
+
+  const gap = 16;
+  const cellWidth = (layout.width - gap) / 2;
+  const imageHeight = cellWidth * 0.75;
+  const captionSize = 9;
+
+  layout.heading('Photos', 2, imageHeight + captionSize * 3);
+  let column = 0;
+  let rowTop = layout.y;
+
+  for (const photo of photos) {
+    const { entry, number } = photo;
+    const captionParts = [`Photo ${number}`];
+    if (entry.timestamp) captionParts.push(formatTime(entry.timestamp));
+    if (along.has(entry)) captionParts.push(`${formatDistance(along.get(entry))} along the route`);
+    const caption = captionParts.join(' · ');
+
+    let bytes = null;
+    const content = entry.content || entry.data;
+    const stored = typeof content === 'string' && content.startsWith('data:');
+    if (stored) {
+      bytes = await photoToJpeg(content);
+    }
+
+    let image = null;
+    if (bytes) {
+      try {
+        image = doc.addJpeg(bytes);
+      } catch (error) {
+        console.warn('Photo skipped in PDF:', error.message);
+      }
+    }
+
+    if (column === 0) {
+      layout.ensureSpace(imageHeight + captionSize * 3);
+      rowTop = layout.y;
+    }
+    const x = layout.left + column * (cellWidth + gap);
+
+    let figure = null;
+    if (image) {
+      // Fit inside the cell, keeping the aspect ratio
+      const scale = Math.min(cellWidth / image.width, imageHeight / image.height);
+      const width = image.width * scale;
+      const height = image.height * scale;
+      figure = doc.createElement('Figure', { alt: caption });
+      doc.mark(figure, () => doc.image(image, x + (cellWidth - width) / 2, rowTop + (imageHeight - height) / 2, width, height));
+    } else {
+      doc.artifact(() => doc.rect(x, rowTop, cellWidth, imageHeight, { fill: COLORS.mapBackground }));
+    }
+
+    // The caption belongs to its figure (read once, as the alt text)
+    const captionText = image ? caption : `${caption} (${stored ? 'could not be read' : 'not stored on this device'})`;
+    const captionElement = figure ? doc.createElement('Caption', { parent: figure }) : doc.createElement('P');
+    doc.mark(captionElement, () => {
+      wrapText(captionText, cellWidth, 'regular', captionSize).slice(0, 2).forEach((line, i) => {
+        doc.text(line, x, rowTop + imageHeight + captionSize + 4 + i * captionSize * 1.3, { size: captionSize, color: COLORS.muted });
+      });
+    });
+
+    column = (column + 1) % 2;
+    if (column === 0) layout.y = rowTop + imageHeight + captionSize * 3 + 8;
+  }
+
+  if (column === 1) layout.y = rowTop + imageHeight + captionSize * 3 + 8;
+}
+
+function renderTimeline(layout, routeData, along) {
+  const doc = layout.doc;
+  const entries = routeData.filter(p => p.type === 'text' || (p.type === 'waypoint' && getWaypointType(p.waypointType)));
+  if (entries.length === 0) return;
+
+  layout.heading('Notes and Waypoints');
+  const list = doc.createElement('L');
+
+  entries.forEach(entry => {
+    const item = doc.createElement('LI', { parent: list });
+    const body = doc.createElement('LBody', { parent: item });
+
+    const meta = [formatTime(entry.timestamp), along.has(entry) ? formatDistance(along.get(entry)) : ''].filter(Boolean).join(' · ');
+    let title;
+    let text;
+    if (entry.type === 'waypoint') {
+      title = getWaypointType(entry.waypointType).name;
+      text = describeWaypoint(entry);
+    } else {
+      title = 'Note';
+      text = entry.content || entry.text || entry.data || '';
+    }
+
+    layout.ensureSpace(34);
+    layout.paragraph(meta ? `${title} · ${meta}` : title, { font: 'bold', size: 10, parent: body, type: 'Span', after: 0 });
+    if (text) layout.paragraph(text, { size: 10, parent: body, type: 'Span', indent: 12, after: 0 });
+    layout.y += 8;
+  });
+}
+
+function renderFooters(doc, name) {
+  const pages = doc.pages;
+  pages.forEach((page, index) => {
+    doc.setPage(page);
+    doc.artifact(() => {
+      const y = doc.pageHeight - MARGIN + 6;
+      doc.line(MARGIN, y - 12, doc.pageWidth - MARGIN, y - 12, { stroke: COLORS.rule, lineWidth: 0.5 });
+      doc.text(`Access Nature · ${name}`, MARGIN, y, { size: 8, color: COLORS.muted });
+      const label = `Page ${index + 1} of ${pages.length}`;
+      doc.text(label, doc.pageWidth - MARGIN - measureText(label, 'regular', 8), y, { size: 8, color: COLORS.muted });
+    });
+  });
+}
+
+// ==================== REPORT ====================
+
+/**
+ * Generate the PDF report for a route
+ * @param {Array} routeData - Route data entries
+ * @param {object} routeInfo - { name, date, totalDistance (km), elapsedTime, movingTime }
+ * @param {object} options
+ *   - accessibilityData: survey answers
+ *   - rating: calculateRating() result for the survey
+ * @returns {Promise<Blob>} application/pdf
+ */
+export async function generatePDFReport(routeData, routeInfo = {}, { accessibilityData = null, rating = null } = {}) {
+  const name = routeInfo.name || 'Access Nature Route';
+  const locale = typeof navigator !== 'undefined' ? navigator.language || 'en' : 'en';
+
+  const doc = new PdfDocument({
+    title: `${name} - Route Report`,
+    author: 'Access Nature',
+    subject: 'Trail accessibility report',
+    lang: locale,
+    size: /^en-(US|CA)$/i.test(locale) ? 'letter' : 'a4'
+  });
+  const layout = new ReportLayout(doc);
+
+  const analysis = gradeAnalyzer.analyze(routeData);
+  const along = distancesAlongRoute(routeData);
+  const photos = routeData
+    .filter(p => p.type === 'photo' && (p.content || p.data))
+    .map((entry, index) => ({ entry, number: index + 1 }));
+
+  renderHeader(layout, routeInfo, name);
+  renderStats(layout, routeData, routeInfo, analysis);
+  await renderMap(layout, routeData, buildTrackRuns(routeData), photos);
+  renderElevation(layout, routeData, analysis);
+  renderSurvey(layout, accessibilityData, rating);
+  await renderPhotos(layout, photos, along);
+  renderTimeline(layout, routeData, along);
+  renderFooters(doc, name);
+
+  return doc.toBlob();
+}
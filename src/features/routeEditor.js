@@ -0,0 +1,869 @@
+/**
+ * Route Editor
+ * Fixes up saved sessions after the fact:
+ * - Trim the start or end (tracking left on during the drive home)
+ * - Delete a range of points in the middle
+ * - Split one session into two
+ * - Merge sessions in time order (one trail recorded across two sessions)
+ * - Mark stretches: surface, width, slope and obstacles for a selected range
+ * - Re-smooth: run the GPS position filter again over the recorded raw fixes
+ *
+ * Every edit recalculates distance, elapsed/moving time, grades and the
+ * photo/note anchors, and keeps the previous version on the edited session
+ * so the last edit can be undone.
+ *
+ * Access Nature - Route Management
+ * Created: December 2025
+ */
+
+import { toast } from '../utils/toast.js';
+import { modal } from '../utils/modal.js';
+import { gradeAnalyzer } from './gradeAnalysis.js';
+import { nearestByTime } from '../core/trackSimplifier.js';
+import { resmoothRoute, createPositionFilter } from '../core/positionFilter.js';
+import {
+  getSegmentIndex,
+  getSegmentedDistance,
+  getTrackSegments,
+  getDistanceAlong,
+  SEGMENT_BREAK_REASONS
+} from '../core/trackSegments.js';
+import { getStretches, formatLength } from '../core/trailStretches.js';
+import { getDefaultStretchAttributes, describeStretch } from '../config/stretchAttributes.js';
+
+// ==================== EDIT OPERATIONS ====================
+
+/**
+ * Location points of a session, in route order
+ * @param {object} session
+ * @returns {Array}
+ */
+export function getTrackPoints(session) {
+  return (session.data || []).filter(p => p.type === 'location' && p.coords);
+}
+
+/**
+ * Session as it was before this edit, without its own undo (one level only)
+ */
+function snapshot(session) {
+  const { undo, ...original } = session;
+  return original;
+}
+
+/**
+ * Rebuild a session's data from a list of kept entries.
+ * Rejected raw fixes are dropped - the undo version still has them.
+ * @param {Array} entries - Entries to keep, any order
+ * @param {Set} breaks - Location entries that start a new segment because of the edit
+ * @returns {Array} New route data
+ */
+function rebuildData(entries, breaks = new Set()) {
+  const sources = entries
+    .filter(entry => entry.type !== 'raw_location')
+    .sort((a, b) => (a.timestamp || 0) - (b.timestamp || 0));
+
+  // Renumber segments from 0, starting a new one at every original break and edit
+  let segment = -1;
+  let previous = null;
+
+  return sources.map(source => {
+    const entry = { ...source };
+    if (entry.type !== 'location' || !entry.coords) return entry;
+
+    const forced = breaks.has(source);
+    const startsSegment = !previous || forced || getSegmentIndex(source) !== getSegmentIndex(previous);
+
+    if (startsSegment) segment++;
+    if (forced) {
+      entry.segmentStart = SEGMENT_BREAK_REASONS.edit;
+    } else if (!startsSegment || segment === 0) {
+      delete entry.segmentStart;
+    } else if (!entry.segmentStart) {
+      entry.segmentStart = SEGMENT_BREAK_REASONS.gap;
+    }
+
+    entry.segment = segment;
+    previous = source;
+    return entry;
+  });
+}
+
+/**
+ * Recalculate everything derived from a session's data
+ * @param {object} session - Session with edited `data`
+ * @returns {object} The same session, updated
+ */
+export function recalculateSession(session) {
+  const data = session.data;
+  const locations = data.filter(p => p.type === 'location' && p.coords);
+
+  session.totalDistance = getSegmentedDistance(data);
+
+  if (locations.length > 0) {
+    const first = locations[0].timestamp;
+    const last = locations[locations.length - 1].timestamp;
+    let elapsed = last - first;
+    let resting = 0;
+
+    // Manual pauses stop the timer; auto rests only stop moving time
+    data.forEach(entry => {
+      if (entry.type !== 'pause' || !entry.duration) return;
+      if (entry.auto) resting += entry.duration;
+      else elapsed -= entry.duration;
+    });
+
+    // Time across edit breaks (deleted ranges, gaps between merged sessions) isn't route time
+    getTrackSegments(data).forEach((segment, i, segments) => {
+      if (i === 0 || segment[0].segmentStart !== SEGMENT_BREAK_REASONS.edit) return;
+      const before = segments[i - 1];
+      elapsed -= segment[0].timestamp - before[before.length - 1].timestamp;
+    });
+
+    session.elapsedTime = Math.max(elapsed, 0);
+    session.movingTime = Math.max(session.elapsedTime - resting, 0);
+    session.date = new Date(first).toISOString();
+  }
+
+  session.gradeAnalysis = gradeAnalyzer.analyze(data);
+  anchorAnnotations(data, locations);
+
+  // The unsimplified copy and simplification stats describe the old geometry
+  delete session.rawData;
+  delete session.simplification;
+
+  return session;
+}
+
+/**
+ * Place photos, notes, waypoints and rests on the edited track: each one's `distance`
+ * (meters along the route) comes from the point recorded closest in time
+ */
+function anchorAnnotations(data, locations) {
+  if (locations.length === 0) return;
+
+  const along = getDistanceAlong(locations);
+
+  data.forEach(entry => {
+    if (!['photo', 'text', 'waypoint', 'pause'].includes(entry.type) || typeof entry.timestamp !== 'number') return;
+    entry.distance = Math.round(along[nearestByTime(locations, entry.timestamp)]);
+  });
+}
+
+/**
+ * Entries recorded inside a time window (inclusive)
+ */
+function inWindow(entry, from, to) {
+  return typeof entry.timestamp === 'number' && entry.timestamp >= from && entry.timestamp <= to;
+}
+
+/**
+ * Keep only points startIndex..endIndex; anything recorded outside that time is removed
+ * @param {object} session
+ * @param {number} startIndex - First location point to keep
+ * @param {number} endIndex - Last location point to keep
+ * @returns {object} Edited session (same id)
+ */
+export function trimSession(session, startIndex, endIndex) {
+  const points = getTrackPoints(session);
+  if (endIndex - startIndex < 1) {
+    throw new Error('A route needs at least two points');
+  }
+
+  const from = points[startIndex].timestamp;
+  const to = points[endIndex].timestamp;
+
+  const edited = {
+    ...snapshot(session),
+    data: rebuildData(session.data.filter(entry => inWindow(entry, from, to))),
+    undo: { operation: 'trim', editedAt: new Date().toISOString(), restore: [snapshot(session)], remove: [] }
+  };
+
+  return recalculateSession(edited);
+}
+
+/**
+ * Remove points startIndex..endIndex; the route continues in a new segment after the hole
+ * @param {object} session
+ * @param {number} startIndex
+ * @param {number} endIndex
+ * @returns {object} Edited session (same id)
+ */
+export function deleteRange(session, startIndex, endIndex) {
+  const points = getTrackPoints(session);
+
+  // Deleting from either end is a trim
+  if (startIndex === 0) return trimSession(session, endIndex + 1, points.length - 1);
+  if (endIndex === points.length - 1) return trimSession(session, 0, startIndex - 1);
+
+  const from = points[startIndex].timestamp;
+  const to = points[endIndex].timestamp;
+
+  const edited = {
+    ...snapshot(session),
+    data: rebuildData(
+      session.data.filter(entry => !inWindow(entry, from, to)),
+      new Set([points[endIndex + 1]])
+    ),
+    undo: { operation: 'delete', editedAt: new Date().toISOString(), restore: [snapshot(session)], remove: [] }
+  };
+
+  return recalculateSession(edited);
+}
+
+/**
+ * Split a session at a point; the point ends the first part and starts the second
+ * @param {object} session
+ * @param {number} index - Location point to split at
+ * @returns {Array} [first, second] - first keeps the original id and carries the undo
+ */
+export function splitSession(session, index) {
+  const points = getTrackPoints(session);
+  if (index < 1 || index > points.length - 2) {
+    throw new Error('Split point must leave at least two points on each side');
+  }
+
+  const at = points[index].timestamp;
+  const secondId = Date.now();
+
+  const first = recalculateSession({
+    ...snapshot(session),
+    name: `${session.name} (1)`,
+    data: rebuildData(session.data.filter(entry => (entry.timestamp || 0) <= at)),
+    undo: { operation: 'split', editedAt: new Date().toISOString(), restore: [snapshot(session)], remove: [secondId] }
+  });
+
+  const second = recalculateSession({
+    ...snapshot(session),
+    id: secondId,
+    name: `${session.name} (2)`,
+    data: rebuildData(session.data.filter(entry => (entry.timestamp || 0) > at || entry === points[index]))
+  });
+
+  return [first, second];
+}
+
+/**
+ * Join sessions in time order; each one after the first starts a new segment
+ * @param {Array} sessions - Two or more sessions
+ * @returns {object} Merged session (new id) - its undo restores the originals
+ */
+export function mergeSessions(sessions) {
+  if (sessions.length < 2) {
+    throw new Error('Pick at least two routes to merge');
+  }
+
+  const startOf = (s) => getTrackPoints(s)[0]?.timestamp || new Date(s.date).getTime();
+  const ordered = [...sessions].sort((a, b) => startOf(a) - startOf(b));
+  const mergedId = Date.now();
+
+  // Sessions must not overlap in time, or their points would interleave
+  for (let i = 1; i < ordered.length; i++) {
+    const previous = getTrackPoints(ordered[i - 1]);
+    if (previous.length > 0 && startOf(ordered[i]) < previous[previous.length - 1].timestamp) {
+      throw new Error(`"${ordered[i - 1].name}" and "${ordered[i].name}" overlap in time`);
+    }
+  }
+
+  // Each session after the first starts with an edit break
+  const breaks = new Set();
+  const entries = [];
+  ordered.forEach((session, i) => {
+    const points = getTrackPoints(session);
+    if (i > 0 && points.length > 0) breaks.add(points[0]);
+    entries.push(...session.data);
+  });
+
+  return recalculateSession({
+    ...snapshot(ordered[0]),
+    id: mergedId,
+    name: `${ordered[0].name} (merged)`,
+    data: rebuildData(entries, breaks),
+    undo: {
+      operation: 'merge',
+      editedAt: new Date().toISOString(),
+      restore: ordered.map(snapshot),
+      remove: [mergedId]
+    }
+  });
+}
+
+/**
+ * Rebuild the track by running the position filter over the raw GPS fixes again.
+ * Uses the unsimplified copy when the saved track was thinned.
+ * @param {object} session
+ * @param {PositionFilterPipeline} pipeline - Filter to apply
+ * @returns {object} Edited session (same id)
+ */
+export function resmoothSession(session, pipeline = createPositionFilter()) {
+  const { routeData } = resmoothRoute(session.rawData || session.data, pipeline);
+  if (routeData.filter(p => p.type === 'location').length < 2) {
+    throw new Error('Re-smoothing would leave fewer than two points');
+  }
+
+  const edited = {
+    ...snapshot(session),
+    data: routeData,
+    undo: { operation: 're-smooth', editedAt: new Date().toISOString(), restore: [snapshot(session)], remove: [] }
+  };
+
+  return recalculateSession(edited);
+}
+
+// ==================== EDITOR UI ====================
+
+class RouteEditor {
+  constructor() {
+    this.session = null;
+    this.points = [];
+    this.startIndex = 0;
+    this.endIndex = 0;
+    this.previewLayers = [];
+    this.stretches = [];
+  }
+
+  getState() {
+    return window.AccessNatureApp?.getController('state');
+  }
+
+  getMapController() {
+    return window.AccessNatureApp?.getController('map');
+  }
+
+  /**
+   * Pick a saved session and open it in the editor
+   */
+  async open() {
+    const state = this.getState();
+    const appState = state && state.getTrackingState();
+    if (appState?.isTracking) {
+      toast.warning('Stop tracking before editing saved routes');
+      return;
+    }
+
+    const sessions = (await state?.getSessions()) || [];
+    if (sessions.length === 0) {
+      toast.info('No saved routes to edit yet');
+      return;
+    }
+
+    const session = await this.pickSession(sessions, 'Select a route to edit:', '✂️ Edit Route');
+    if (session) this.edit(session);
+  }
+
+  async pickSession(sessions, message, title) {
+    const choices = sessions.map((session, index) => ({
+      label: `${session.name} (${new Date(session.date).toLocaleDateString()}, ${(session.totalDistance || 0).toFixed(2)} km)`,
+      value: index
+    }));
+    choices.push({ label: '❌ Cancel', value: 'cancel' });
+
+    const choice = await modal.choice(message, title, choices);
+    return choice === null || choice === 'cancel' ? null : sessions[choice];
+  }
+
+  /**
+   * Show a session on the map with the editing panel
+   * @param {object} session
+   */
+  edit(session) {
+    this.session = session;
+    this.points = getTrackPoints(session);
+    this.stretches = getStretches(session.data);
+
+    if (this.points.length < 2) {
+      toast.warning('This route has too few GPS points to edit');
+      return;
+    }
+
+    this.startIndex = 0;
+    this.endIndex = this.points.length - 1;
+
+    this.getMapController()?.showRouteData(session.data);
+    this.injectStyles();
+    this.renderPanel();
+    this.updatePreview();
+  }
+
+  renderPanel() {
+    document.getElementById('routeEditorPanel')?.remove();
+
+    const max = this.points.length - 1;
+    const panel = document.createElement('div');
+    panel.id = 'routeEditorPanel';
+    panel.className = 're-panel';
+    panel.setAttribute('role', 'dialog');
+    panel.setAttribute('aria-label', `Edit route ${this.session.name}`);
+
+    panel.innerHTML = `
+      <div class="re-header">
+        <div>
+          <div class="re-title">✂️ ${modal.escapeHtml(this.session.name || '')}</div>
+          <div class="re-stats">${this.describeSession(this.session)}</div>
+        </div>
+        <button class="re-close" id="reClose" aria-label="Close editor">×</button>
+      </div>
+
+      <label class="re-slider">
+        <span>Selection start</span>
+        <input type="range" id="reStart" min="0" max="${max}" value="${this.startIndex}">
+      </label>
+      <label class="re-slider">
+        <span>Selection end</span>
+        <input type="range" id="reEnd" min="0" max="${max}" value="${this.endIndex}">
+      </label>
+      <div class="re-selection" id="reSelection" aria-live="polite"></div>
+
+      <div class="re-actions">
+        <button id="reTrim">✂️ Trim to selection</button>
+        <button id="reDelete">🗑️ Delete selection</button>
+        <button id="reSplit">➗ Split at start</button>
+        <button id="reMerge">🔗 Merge with…</button>
+        <button id="reResmooth">🔁 Re-smooth GPS</button>
+        <button id="reUndo" ${this.session.undo ? '' : 'disabled'}>↩️ Undo last edit</button>
+        <button id="reStretch">🛤️ Describe selection</button>
+        <button id="reStretches" ${this.stretches.length > 0 ? '' : 'disabled'}>🛤️ Stretches (${this.stretches.length})</button>
+      </div>
+    `;
+
+    document.body.appendChild(panel);
+
+    const start = panel.querySelector('#reStart');
+    const end = panel.querySelector('#reEnd');
+    start.addEventListener('input', () => {
+      this.startIndex = Math.min(parseInt(start.value, 10), this.endIndex);
+      start.value = this.startIndex;
+      this.updatePreview();
+    });
+    end.addEventListener('input', () => {
+      this.endIndex = Math.max(parseInt(end.value, 10), this.startIndex);
+      end.value = this.endIndex;
+      this.updatePreview();
+    });
+
+    panel.querySelector('#reClose').addEventListener('click', () => this.close());
+    panel.querySelector('#reTrim').addEventListener('click', () => this.trim());
+    panel.querySelector('#reDelete').addEventListener('click', () => this.deleteSelection());
+    panel.querySelector('#reSplit').addEventListener('click', () => this.split());
+    panel.querySelector('#reMerge').addEventListener('click', () => this.merge());
+    panel.querySelector('#reResmooth').addEventListener('click', () => this.resmooth());
+    panel.querySelector('#reUndo').addEventListener('click', () => this.undo());
+    panel.querySelector('#reStretch').addEventListener('click', () => this.describeSelection());
+    panel.querySelector('#reStretches').addEventListener('click', () => this.manageStretches());
+  }
+
+  /**
+   * Highlight the selection on the map and describe it
+   */
+  updatePreview() {
+    const mapController = this.getMapController();
+    const map = mapController?.map;
+
+    this.clearPreview();
+
+    const selected = this.points.slice(this.startIndex, this.endIndex + 1);
+    if (map && window.L) {
+      getTrackSegments(selected).forEach(segment => {
+        this.previewLayers.push(L.polyline(segment.map(p => [p.coords.lat, p.coords.lng]), {
+          color: '#2563eb',
+          weight: 7,
+          opacity: 0.6
+        }).addTo(map));
+      });
+
+      [[this.startIndex, '#16a34a'], [this.endIndex, '#dc2626']].forEach(([index, color]) => {
+        const point = this.points[index];
+        this.previewLayers.push(L.circleMarker([point.coords.lat, point.coords.lng], {
+          radius: 9,
+          color: 'white',
+          weight: 3,
+          fillColor: color,
+          fillOpacity: 1
+        }).addTo(map));
+      });
+    }
+
+    const label = document.getElementById('reSelection');
+    if (label) {
+      const from = new Date(this.points[this.startIndex].timestamp).toLocaleTimeString();
+      const to = new Date(this.points[this.endIndex].timestamp).toLocaleTimeString();
+      const meters = getSegmentedDistance(selected) * 1000;
+      label.textContent = `${from} → ${to} · ${this.formatDistance(meters)} · ${selected.length} points`;
+    }
+  }
+
+  clearPreview() {
+    this.previewLayers.forEach(layer => layer.remove());
+    this.previewLayers = [];
+  }
+
+  /**
+   * Photos/notes/rests that an edit would remove
+   */
+  countRemoved(keptEntries) {
+    const kept = new Set(keptEntries.map(e => e.timestamp));
+    const lost = this.session.data.filter(e => ['photo', 'text', 'waypoint', 'stretch'].includes(e.type) && !kept.has(e.timestamp));
+    return lost.length;
+  }
+
+  async trim() {
+    let edited;
+    try {
+      edited = trimSession(this.session, this.startIndex, this.endIndex);
+    } catch (error) {
+      toast.warning(error.message);
+      return;
+    }
+    await this.confirmAndSave(edited, 'Keep only the selected part of the route?', '✂️ Trim Route');
+  }
+
+  async deleteSelection() {
+    if (this.startIndex === 0 && this.endIndex === this.points.length - 1) {
+      toast.warning('Select part of the route - deleting everything would leave nothing');
+      return;
+    }
+    let edited;
+    try {
+      edited = deleteRange(this.session, this.startIndex, this.endIndex);
+    } catch (error) {
+      toast.warning(error.message);
+      return;
+    }
+    await this.confirmAndSave(edited, 'Delete the selected part of the route?', '🗑️ Delete Points');
+  }
+
+  async confirmAndSave(edited, question, title) {
+    const removed = this.countRemoved(edited.data);
+    const message = `${question}
+
+${this.describeSession(this.session)}
+→ ${this.describeSession(edited)}${removed > 0 ? `\n\n⚠️ ${removed} photo(s)/note(s)/waypoint(s)/stretch(es) recorded in the removed part will be removed too.` : ''}
+
+The previous version is kept - you can undo this edit.`;
+
+    if (!await modal.confirm(message, title)) return;
+
+    try {
+      await this.getState().putSession(edited);
+      toast.success('Route updated');
+      this.edit(edited);
+    } catch (error) {
+      console.error('❌ Route edit failed:', error);
+      toast.error('Failed to save the edited route: ' + error.message);
+    }
+  }
+
+  async split() {
+    let parts;
+    try {
+      parts = splitSession(this.session, this.startIndex);
+    } catch (error) {
+      toast.warning(error.message);
+      return;
+    }
+
+    const [first, second] = parts;
+    const message = `Split "${this.session.name}" at the selection start?
+
+1️⃣ ${this.describeSession(first)}
+2️⃣ ${this.describeSession(second)}`;
+
+    if (!await modal.confirm(message, '➗ Split Route')) return;
+
+    try {
+      const state = this.getState();
+      await state.putSession(first);
+      await state.putSession(second);
+      toast.success('Route split into two');
+      this.edit(first);
+    } catch (error) {
+      console.error('❌ Route split failed:', error);
+      toast.error('Failed to split route: ' + error.message);
+    }
+  }
+
+  async merge() {
+    const state = this.getState();
+    const others = ((await state.getSessions()) || []).filter(s => s.id !== this.session.id);
+    if (others.length === 0) {
+      toast.info('No other saved routes to merge with');
+      return;
+    }
+
+    const other = await this.pickSession(others, `Merge "${this.session.name}" with:`, '🔗 Merge Routes');
+    if (!other) return;
+
+    let merged;
+    try {
+      merged = mergeSessions([this.session, other]);
+    } catch (error) {
+      toast.warning(error.message);
+      return;
+    }
+
+    const message = `Merge these routes in time order?
+
+${this.describeSession(merged)}`;
+    if (!await modal.confirm(message, '🔗 Merge Routes')) return;
+
+    try {
+      await state.putSession(merged);
+      await state.deleteSession(this.session.id);
+      await state.deleteSession(other.id);
+      toast.success('Routes merged');
+      this.edit(merged);
+    } catch (error) {
+      console.error('❌ Route merge failed:', error);
+      toast.error('Failed to merge routes: ' + error.message);
+    }
+  }
+
+  async resmooth() {
+    let edited;
+    try {
+      edited = resmoothSession(this.session);
+    } catch (error) {
+      toast.warning(error.message);
+      return;
+    }
+    await this.confirmAndSave(edited, 'Rebuild the route from its raw GPS fixes with the current filter?', '🔁 Re-smooth Route');
+  }
+
+  async undo() {
+    const undo = this.session.undo;
+    if (!undo) return;
+
+    const confirmed = await modal.confirm(
+      `Undo the last ${undo.operation} (${new Date(undo.editedAt).toLocaleString()})?`,
+      '↩️ Undo Edit'
+    );
+    if (!confirmed) return;
+
+    try {
+      const state = this.getState();
+      for (const id of undo.remove) {
+        await state.deleteSession(id);
+      }
+      for (const session of undo.restore) {
+        await state.putSession(session);
+      }
+      toast.success('Edit undone');
+      this.edit(undo.restore.find(s => s.id === this.session.id) || undo.restore[0]);
+    } catch (error) {
+      console.error('❌ Undo failed:', error);
+      toast.error('Failed to undo: ' + error.message);
+    }
+  }
+
+  // ==================== STRETCHES ====================
+
+  /**
+   * Give the selected range its own surface, width, slope and obstacles
+   */
+  describeSelection() {
+    const start = this.points[this.startIndex];
+    const end = this.points[this.endIndex];
+    if (this.startIndex === this.endIndex) {
+      toast.warning('Select part of the route to describe');
+      return;
+    }
+
+    const previous = this.stretches.filter(stretch => stretch.entry.timestamp < start.timestamp).pop();
+    this.getMedia()?.showStretchDetails(getDefaultStretchAttributes(previous?.attributes), '🛤️ Describe Selection', (attributes) => {
+      const entry = {
+        type: 'stretch',
+        coords: { ...start.coords },
+        attributes,
+        timestamp: start.timestamp,
+        endTimestamp: end.timestamp
+      };
+      const data = [...this.session.data, entry].sort((a, b) => (a.timestamp || 0) - (b.timestamp || 0));
+      this.saveStretches(data, 'Stretch saved');
+    });
+  }
+
+  /**
+   * Pick a marked stretch to select, edit or delete
+   */
+  async manageStretches() {
+    const choices = this.stretches.map((stretch, index) => ({
+      label: `${formatLength(stretch.from)} → ${formatLength(stretch.to)}: ${describeStretch(stretch.attributes) || 'no details'}`,
+      value: index
+    }));
+    choices.push({ label: '❌ Cancel', value: 'cancel' });
+
+    const choice = await modal.choice('Select a stretch:', '🛤️ Stretches', choices);
+    if (choice === null || choice === 'cancel') return;
+
+    const stretch = this.stretches[choice];
+    const entry = stretch.entry;
+    this.selectStretch(stretch);
+
+    const action = await modal.choice(describeStretch(stretch.attributes) || 'This stretch has no details yet', '🛤️ Stretch', [
+      { label: '✏️ Edit details', value: 'edit' },
+      { label: '🗑️ Delete stretch', value: 'delete' },
+      { label: '❌ Cancel', value: 'cancel' }
+    ]);
+
+    if (action === 'edit') {
+      this.getMedia()?.showStretchDetails(stretch.attributes, '🛤️ Stretch Details', (attributes) => {
+        this.saveStretches(this.session.data.map(e => (e === entry ? { ...e, attributes } : e)), 'Stretch updated');
+      });
+    } else if (action === 'delete') {
+      this.saveStretches(this.session.data.filter(e => e !== entry), 'Stretch deleted');
+    }
+  }
+
+  // Move the selection sliders onto a stretch
+  selectStretch(stretch) {
+    const first = stretch.entry.timestamp;
+    const last = stretch.entry.endTimestamp ?? this.points[this.points.length - 1].timestamp;
+    const startIndex = this.points.findIndex(p => p.timestamp >= first);
+    const endIndex = this.points.findLastIndex(p => p.timestamp <= last);
+    if (startIndex < 0 || endIndex < startIndex) return;
+
+    this.startIndex = startIndex;
+    this.endIndex = endIndex;
+    document.getElementById('reStart').value = startIndex;
+    document.getElementById('reEnd').value = endIndex;
+    this.updatePreview();
+  }
+
+  // Stretches only annotate the track, so saving them isn't an undoable edit
+  async saveStretches(data, message) {
+    const edited = { ...this.session, data };
+    try {
+      await this.getState().putSession(edited);
+      toast.success(message);
+      this.edit(edited);
+    } catch (error) {
+      console.error('❌ Saving stretch failed:', error);
+      toast.error('Failed to save the stretch: ' + error.message);
+    }
+  }
+
+  getMedia() {
+    return window.AccessNatureApp?.getController('media');
+  }
+
+  close() {
+    this.clearPreview();
+    document.getElementById('routeEditorPanel')?.remove();
+    this.session = null;
+    this.points = [];
+  }
+
+  describeSession(session) {
+    const points = getTrackPoints(session).length;
+    return `${(session.totalDistance || 0).toFixed(2)} km · ${this.formatDuration(session.elapsedTime || 0)} · ${points} points`;
+  }
+
+  formatDuration(milliseconds) {
+    const totalMinutes = Math.floor(milliseconds / 60000);
+    const hours = Math.floor(totalMinutes / 60);
+    const minutes = totalMinutes % 60;
+    return hours > 0 ? `${hours}h ${minutes}m` : `${minutes}m`;
+  }
+
+  formatDistance(meters) {
+    return meters < 1000 ? `${Math.round(meters)} m` : `${(meters / 1000).toFixed(2)} km`;
+  }
+
+  injectStyles() {
+    if (document.getElementById('route-editor-styles')) return;
+
+    const styles = document.createElement('style');
+    styles.id = 'route-editor-styles';
+    styles.textContent = `
+      .re-panel {
+        position: fixed;
+        left: 12px;
+        right: 12px;
+        bottom: 80px;
+        z-index: 1200;
+        max-width: 520px;
+        margin: 0 auto;
+        padding: 14px 16px;
+        background: white;
+        border-radius: 16px;
+        box-shadow: 0 8px 30px rgba(0, 0, 0, 0.25);
+        font-size: 0.9rem;
+      }
+
+      .re-header {
+        display: flex;
+        justify-content: space-between;
+        align-items: flex-start;
+        margin-bottom: 10px;
+      }
+
+      .re-title {
+        font-weight: 700;
+        font-size: 1rem;
+      }
+
+      .re-stats,
+      .re-selection {
+        color: #6b7280;
+        font-size: 0.8rem;
+      }
+
+      .re-selection {
+        margin: 4px 0 10px;
+      }
+
+      .re-close {
+        background: none;
+        border: none;
+        font-size: 1.5rem;
+        line-height: 1;
+        cursor: pointer;
+        color: #6b7280;
+      }
+
+      .re-slider {
+        display: flex;
+        align-items: center;
+        gap: 10px;
+        margin: 6px 0;
+      }
+
+      .re-slider span {
+        min-width: 110px;
+        font-size: 0.8rem;
+        color: #374151;
+      }
+
+      .re-slider input {
+        flex: 1;
+      }
+
+      .re-actions {
+        display: grid;
+        grid-template-columns: 1fr 1fr;
+        gap: 8px;
+      }
+
+      .re-actions button {
+        padding: 10px;
+        border: 1px solid #e5e7eb;
+        border-radius: 10px;
+        background: #f9fafb;
+        cursor: pointer;
+        font-size: 0.85rem;
+      }
+
+      .re-actions button:disabled {
+        opacity: 0.5;
+        cursor: not-allowed;
+      }
+    `;
+
+    document.head.appendChild(styles);
+  }
+}
+
+// Create singleton instance
+export const routeEditor = new RouteEditor();
+
+// Make available globally
+window.routeEditor = routeEditor;
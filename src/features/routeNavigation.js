@@ -0,0 +1,907 @@
+/**
+ * Route Navigation
+ * Follow a saved session or a published trail guide on the map:
+ * - Live progress along the line with distance remaining
+ * - Off-route warnings (voice, vibration and visual) past a threshold
+ * - Announcements for upcoming typed waypoints and reported hazards
+ *
+ * Positions come from the `positionUpdate` event dispatched by the
+ * TrackingController, so navigation runs while a route is being recorded.
+ * Speech goes through TrailAlerts so both features share one voice.
+ *
+ * Access Nature - Safety & Navigation Features
+ * Created: December 2025
+ */
+
+import { toast } from '../utils/toast.js';
+import { modal } from '../utils/modal.js';
+import { trailAlerts } from './trailAlerts.js';
+import { getWaypointType, describeWaypoint } from '../config/waypointTypes.js';
+import { getTrackSegments, getDistanceAlong, getSegmentIndex } from '../core/trackSegments.js';
+
+/**
+ * Navigation Configuration
+ */
+const NAV_CONFIG = {
+  // Distance from the route line that counts as off-route (meters)
+  offRouteDistance: 30,
+
+  // Distance to get back under before "back on route" (meters, hysteresis)
+  backOnRouteDistance: 20,
+
+  // Consecutive off-route fixes before warning (one bad fix isn't enough)
+  offRouteConfirmFixes: 2,
+
+  // Fixes less accurate than this don't count towards off-route (meters)
+  maxFixAccuracy: 50,
+
+  // Repeat the warning while still off route (ms)
+  offRouteRepeat: 60000,
+
+  // Announce waypoints/hazards when this far ahead along the route (meters)
+  announceDistances: [200, 50],
+
+  // Hazards further than this from the line aren't on the route (meters)
+  hazardCorridor: 40,
+
+  // Distance from the end that counts as arrived (meters)
+  arrivalDistance: 25,
+
+  // How far back/ahead of the last progress to look before searching the whole route (meters)
+  searchBehind: 100,
+  searchAhead: 1000,
+
+  // Longest wait for the app before following a guide from a link (ms)
+  appReadyTimeout: 30000
+};
+
+const SETTINGS_KEY = 'navigationSettings';
+
+const COMPASS = ['north', 'north-east', 'east', 'south-east', 'south', 'south-west', 'west', 'north-west'];
+
+// ==================== ROUTE GEOMETRY ====================
+
+/**
+ * Route line in local meters with cumulative distance at every vertex
+ * The jump between two track segments (a pause or GPS gap) isn't part of the
+ * line: it adds no distance and positions are never matched onto it.
+ * @param {Array} locations - Location entries in route order
+ * @returns {object} { vertices: [{ lat, lng, x, y, along, segment }], length, project }
+ */
+function buildRouteLine(locations) {
+  const refLat = locations.reduce((sum, p) => sum + p.coords.lat, 0) / locations.length;
+  const mPerLng = 111320 * Math.cos(refLat * Math.PI / 180);
+  const mPerLat = 110540;
+  const toLocal = (c) => ({ x: c.lng * mPerLng, y: c.lat * mPerLat });
+
+  const distances = getDistanceAlong(locations);
+  const vertices = locations.map((p, i) => ({
+    lat: p.coords.lat,
+    lng: p.coords.lng,
+    ...toLocal(p.coords),
+    along: distances[i],
+    segment: getSegmentIndex(p)
+  }));
+  const along = distances[distances.length - 1];
+
+  const fromLocal = (p) => ({ lat: p.y / mPerLat, lng: p.x / mPerLng });
+
+  /**
+   * Nearest point on the line to a position
+   * @param {object} coords - { lat, lng }
+   * @param {number} fromAlong - Only consider the line from here (meters)
+   * @param {number} toAlong - ...up to here
+   * @returns {object} { distance, along, coords }
+   */
+  const project = (coords, fromAlong = -Infinity, toAlong = Infinity) => {
+    const p = toLocal(coords);
+    let best = null;
+
+    for (let i = 1; i < vertices.length; i++) {
+      const a = vertices[i - 1];
+      const b = vertices[i];
+      if (a.segment !== b.segment) continue;
+      if (b.along < fromAlong || a.along > toAlong) continue;
+
+      const dx = b.x - a.x;
+      const dy = b.y - a.y;
+      const lengthSq = dx * dx + dy * dy;
+      const t = lengthSq === 0 ? 0 : Math.max(0, Math.min(1, ((p.x - a.x) * dx + (p.y - a.y) * dy) / lengthSq));
+      const x = a.x + t * dx;
+      const y = a.y + t * dy;
+      const distance = Math.hypot(p.x - x, p.y - y);
+
+      if (!best || distance < best.distance) {
+        best = { distance, along: a.along + t * (b.along - a.along), coords: fromLocal({ x, y }) };
+      }
+    }
+
+    return best;
+  };
+
+  return { vertices, length: along, project };
+}
+
+/**
+ * Compass direction from one point to another, e.g. "north-east"
+ */
+function compassDirection(from, to) {
+  const φ1 = from.lat * Math.PI / 180;
+  const φ2 = to.lat * Math.PI / 180;
+  const Δλ = (to.lng - from.lng) * Math.PI / 180;
+  const y = Math.sin(Δλ) * Math.cos(φ2);
+  const x = Math.cos(φ1) * Math.sin(φ2) - Math.sin(φ1) * Math.cos(φ2) * Math.cos(Δλ);
+  const bearing = (Math.atan2(y, x) * 180 / Math.PI + 360) % 360;
+  return COMPASS[Math.round(bearing / 45) % 8];
+}
+
+function formatDistance(meters) {
+  return meters < 1000 ? `${Math.round(meters)} m` : `${(meters / 1000).toFixed(1)} km`;
+}
+
+function spokenDistance(meters) {
+  return meters < 1000 ? `${Math.round(meters / 10) * 10} meters` : `${(meters / 1000).toFixed(1)} kilometers`;
+}
+
+/**
+ * Track from a trail guide's HTML (guides store their map script, not the route data)
+ * @param {string} html
+ * @returns {Array} Location entries, one segment per line of the guide map
+ */
+function parseGuidePath(html) {
+  const match = /const pathCoords = (\[[\s\S]*?\]);\s*\n/.exec(html || '');
+  if (!match) return [];
+
+  try {
+    // Older guides hold one line of [lat, lng], newer ones one line per segment
+    const path = JSON.parse(match[1]);
+    const lines = Array.isArray(path[0]?.[0]) ? path : [path];
+    return lines.flatMap((line, segment) =>
+      line.map(([lat, lng]) => ({ type: 'location', coords: { lat, lng }, segment }))
+    );
+  } catch (error) {
+    console.warn('Failed to read trail guide path:', error);
+    return [];
+  }
+}
+
+// ==================== NAVIGATOR ====================
+
+/**
+ * Route Navigation Class
+ */
+class RouteNavigation {
+  constructor() {
+    this.route = null;          // { name, line, items }
+    this.isNavigating = false;
+    this.progress = null;       // { along, distance, coords }
+    this.offRoute = false;
+    this.offRouteCount = 0;
+    this.lastOffRouteWarning = 0;
+    this.arrived = false;
+    this.hazardSource = null;
+    this.layers = null;
+    this.settings = { voice: true, haptic: true };
+    this.handlePosition = this.handlePosition.bind(this);
+  }
+
+  /**
+   * Initialize navigation
+   */
+  initialize() {
+    this.injectStyles();
+    this.loadSettings();
+
+    window.addEventListener('positionUpdate', this.handlePosition);
+    window.addEventListener('trackingStopped', () => {
+      if (this.isNavigating && !this.arrived) this.updatePanel();
+    });
+
+    this.followFromLink();
+
+    console.log('🧭 Route navigation initialized');
+  }
+
+  loadSettings() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(SETTINGS_KEY) || 'null');
+      this.settings = { ...this.settings, ...(saved || {}) };
+    } catch (e) {
+      console.warn('Failed to load navigation settings:', e);
+    }
+  }
+
+  saveSettings() {
+    try {
+      localStorage.setItem(SETTINGS_KEY, JSON.stringify(this.settings));
+    } catch (e) {
+      console.warn('Failed to save navigation settings:', e);
+    }
+  }
+
+  getApp() {
+    return window.AccessNatureApp;
+  }
+
+  /**
+   * Follow the guide a trail browser "🧭 Follow" button links to (tracker.html?follow=<guideId>)
+   */
+  followFromLink() {
+    const params = new URLSearchParams(window.location.search);
+    const guideId = params.get('follow');
+    if (!guideId) return;
+
+    params.delete('follow');
+    const query = params.toString();
+    window.history.replaceState({}, document.title, window.location.pathname + (query ? `?${query}` : ''));
+
+    // The map and tracking controllers come up with the app
+    const startedAt = Date.now();
+    const whenReady = () => {
+      if (this.getApp()?.isInitialized) {
+        this.followGuide(guideId);
+      } else if (Date.now() - startedAt < NAV_CONFIG.appReadyTimeout) {
+        setTimeout(whenReady, 250);
+      } else {
+        toast.error('The app did not finish loading - open the guide and tap Follow again');
+      }
+    };
+    whenReady();
+  }
+
+  /**
+   * Choose what to follow
+   */
+  async open() {
+    const choice = await modal.choice('What would you like to follow?', '🧭 Follow a Route', [
+      { label: '📂 One of my saved routes', value: 'saved' },
+      { label: '🌐 One of my trail guides', value: 'guide' },
+      { label: '❌ Cancel', value: 'cancel' }
+    ]);
+
+    if (choice === 'saved') {
+      await this.chooseSavedRoute();
+    } else if (choice === 'guide') {
+      await this.chooseGuide();
+    }
+  }
+
+  async chooseSavedRoute() {
+    const sessions = (await this.getApp()?.getController('state')?.getSessions()) || [];
+    if (sessions.length === 0) {
+      toast.info('No saved routes yet');
+      return;
+    }
+
+    const choices = sessions.map((session, index) => ({
+      label: `${session.planned ? '🗺️ ' : ''}${session.name} (${(session.totalDistance || 0).toFixed(2)} km)`,
+      value: index
+    }));
+    choices.push({ label: '❌ Cancel', value: 'cancel' });
+
+    const choice = await modal.choice('Select a route to follow:', '📂 Saved Routes', choices);
+    if (choice === null || choice === 'cancel') return;
+
+    const session = sessions[choice];
+    await this.start({ name: session.name, routeData: session.data });
+  }
+
+  async chooseGuide() {
+    const authController = this.getApp()?.getController('auth');
+    if (!authController?.isAuthenticated?.()) {
+      toast.warning('Sign in to follow your trail guides');
+      return;
+    }
+
+    let guides;
+    try {
+      guides = await authController.getUserTrailGuides();
+    } catch (error) {
+      toast.error('Failed to load trail guides: ' + error.message);
+      return;
+    }
+
+    if (guides.length === 0) {
+      toast.info('No trail guides yet');
+      return;
+    }
+
+    const choices = guides.map((guide, index) => ({
+      label: `${guide.routeName || 'Unnamed Guide'} (${(guide.metadata?.totalDistance || 0).toFixed(2)} km)`,
+      value: index
+    }));
+    choices.push({ label: '❌ Cancel', value: 'cancel' });
+
+    const choice = await modal.choice('Select a trail guide to follow:', '🌐 Trail Guides', choices);
+    if (choice === null || choice === 'cancel') return;
+
+    await this.followGuide(guides[choice].id);
+  }
+
+  /**
+   * Follow a trail guide: any public guide, or one of the user's own
+   * @param {string} guideId - trail_guides document id
+   */
+  async followGuide(guideId) {
+    try {
+      const { db, auth } = await import('../../firebase-setup.js');
+      const { doc, getDoc } = await import(
+        'https://www.gstatic.com/firebasejs/10.5.0/firebase-firestore.js'
+      );
+
+      const guideSnap = await getDoc(doc(db, 'trail_guides', guideId));
+      if (!guideSnap.exists()) {
+        toast.error('Trail guide not found');
+        return;
+      }
+      const guide = guideSnap.data();
+
+      // Opened from a link the sign-in may still be restoring
+      await auth.authStateReady?.();
+      if (!guide.isPublic && guide.userId !== auth.currentUser?.uid) {
+        toast.error('This trail guide is private');
+        return;
+      }
+
+      // Prefer the full route (waypoints included); other people's routes may not be readable
+      let routeData = null;
+      if (guide.routeId) {
+        try {
+          const routeSnap = await getDoc(doc(db, 'routes', guide.routeId));
+          routeData = routeSnap.exists() ? routeSnap.data().routeData : null;
+        } catch (error) {
+          console.warn('Route behind guide not readable, using the guide map:', error.message);
+        }
+      }
+
+      if (!routeData) {
+        routeData = parseGuidePath(guide.htmlContent);
+      }
+
+      await this.start({ name: guide.routeName || 'Trail Guide', routeData });
+    } catch (error) {
+      console.error('❌ Failed to load trail guide for navigation:', error);
+      toast.error('Failed to load trail guide: ' + error.message);
+    }
+  }
+
+  /**
+   * Start following a route
+   * @param {object} route - { name, routeData }
+   */
+  async start({ name, routeData }) {
+    const locations = (routeData || []).filter(p => p.type === 'location' && p.coords);
+
+    if (locations.length < 2) {
+      toast.warning('This route has no track to follow');
+      return;
+    }
+
+    this.stop({ silent: true });
+
+    const line = buildRouteLine(locations);
+    this.route = {
+      name,
+      line,
+      items: this.buildWaypointItems(routeData, line)
+    };
+    this.isNavigating = true;
+    this.progress = null;
+    this.offRoute = false;
+    this.offRouteCount = 0;
+    this.arrived = false;
+    this.hazardSource = null;
+
+    this.drawRoute();
+    this.renderPanel();
+
+    // Hazards are normally loaded when tracking starts - load them now for the announcements
+    if (trailAlerts.hazards.length === 0) {
+      trailAlerts.loadHazardsFromFirebase().then(() => this.updatePanel());
+    }
+
+    const tracking = this.getApp()?.getController('tracking');
+    if (tracking && !tracking.isTracking) {
+      const startNow = await modal.confirm(
+        `Navigation follows your live position while you record.\n\nStart tracking now?`,
+        '🧭 Follow Route'
+      );
+      if (startNow) {
+        try {
+          await tracking.start();
+        } catch (error) {
+          toast.error('Failed to start tracking: ' + error.message);
+        }
+      }
+    }
+
+    this.announce(`Following ${name}. ${spokenDistance(line.length)} to go.`, 'info');
+    this.updatePanel();
+  }
+
+  /**
+   * Stop navigating
+   */
+  stop({ silent = false } = {}) {
+    if (!this.isNavigating) return;
+
+    this.isNavigating = false;
+    this.route = null;
+    this.progress = null;
+    this.clearLayers();
+    document.getElementById('routeNavPanel')?.remove();
+
+    if (!silent) toast.info('Navigation ended');
+  }
+
+  /**
+   * Typed waypoints from the route, placed along the line
+   */
+  buildWaypointItems(routeData, line) {
+    return (routeData || [])
+      .filter(p => p.type === 'waypoint' && p.coords && getWaypointType(p.waypointType))
+      .map(p => {
+        const type = getWaypointType(p.waypointType);
+        return {
+          id: `waypoint-${p.timestamp}`,
+          kind: 'waypoint',
+          icon: type.icon,
+          name: type.name,
+          detail: describeWaypoint(p),
+          along: line.project(p.coords).along,
+          announced: new Set()
+        };
+      });
+  }
+
+  /**
+   * Reported hazards near the line, placed along it (refreshed when TrailAlerts reloads them)
+   */
+  refreshHazardItems() {
+    if (!this.route || trailAlerts.hazards === this.hazardSource) return;
+    this.hazardSource = trailAlerts.hazards;
+
+    const hazards = trailAlerts.hazards
+      .map(hazard => {
+        const position = trailAlerts.getHazardPosition(hazard);
+        if (!position) return null;
+
+        const projected = this.route.line.project(position);
+        if (projected.distance > NAV_CONFIG.hazardCorridor) return null;
+
+        return {
+          id: `hazard-${hazard.id}`,
+          hazardId: hazard.id,
+          kind: 'hazard',
+          icon: '⚠️',
+          name: trailAlerts.getIssueTypeLabel(hazard.issueType),
+          detail: hazard.title || '',
+          along: projected.along,
+          announced: new Set()
+        };
+      })
+      .filter(Boolean);
+
+    this.route.items = this.route.items.filter(item => item.kind !== 'hazard').concat(hazards);
+  }
+
+  // ==================== LIVE UPDATES ====================
+
+  /**
+   * positionUpdate handler
+   * @param {CustomEvent} e - detail { lat, lng, accuracy }
+   */
+  handlePosition(e) {
+    if (!this.isNavigating || this.arrived || !e.detail?.lat || !e.detail?.lng) return;
+
+    const position = { lat: e.detail.lat, lng: e.detail.lng };
+    const accuracy = e.detail.accuracy || 0;
+    const line = this.route.line;
+
+    this.refreshHazardItems();
+
+    // Look near the last known progress first so loops and out-and-back routes don't jump
+    let match = null;
+    if (this.progress) {
+      match = line.project(
+        position,
+        this.progress.along - NAV_CONFIG.searchBehind,
+        this.progress.along + NAV_CONFIG.searchAhead
+      );
+    }
+    if (!match || match.distance > NAV_CONFIG.offRouteDistance) {
+      const anywhere = line.project(position);
+      if (!match || anywhere.distance < match.distance) match = anywhere;
+    }
+
+    this.checkOffRoute(position, match, accuracy);
+
+    // Only move progress forward along the line while on it
+    if (!this.offRoute) {
+      this.progress = match;
+      this.checkAnnouncements();
+      this.checkArrival(position);
+    }
+
+    this.updateOffRouteLine(position, match);
+    this.updatePanel(match);
+  }
+
+  checkOffRoute(position, match, accuracy) {
+    const now = Date.now();
+
+    if (match.distance > NAV_CONFIG.offRouteDistance && accuracy <= NAV_CONFIG.maxFixAccuracy) {
+      this.offRouteCount++;
+    } else if (match.distance <= NAV_CONFIG.backOnRouteDistance) {
+      this.offRouteCount = 0;
+    }
+
+    const direction = compassDirection(position, match.coords);
+
+    if (!this.offRoute && this.offRouteCount >= NAV_CONFIG.offRouteConfirmFixes) {
+      this.offRoute = true;
+      this.lastOffRouteWarning = now;
+      this.cue('immediate', `You are off route, ${spokenDistance(match.distance)} from the trail. Head ${direction}.`);
+    } else if (this.offRoute && match.distance <= NAV_CONFIG.backOnRouteDistance) {
+      this.offRoute = false;
+      this.cue('info', 'Back on route.');
+    } else if (this.offRoute && now - this.lastOffRouteWarning > NAV_CONFIG.offRouteRepeat) {
+      this.lastOffRouteWarning = now;
+      this.cue('warning', `Still off route, ${spokenDistance(match.distance)} from the trail. Head ${direction}.`);
+    }
+  }
+
+  checkAnnouncements() {
+    const along = this.progress.along;
+
+    this.route.items.forEach(item => {
+      const ahead = item.along - along;
+      if (ahead < 0) return;
+
+      // Closest threshold we've reached that hasn't been announced yet
+      const threshold = [...NAV_CONFIG.announceDistances]
+        .sort((a, b) => a - b)
+        .find(d => ahead <= d && !item.announced.has(d));
+      if (threshold === undefined) return;
+
+      // Reaching the near threshold also covers the far one
+      NAV_CONFIG.announceDistances.filter(d => d >= threshold).forEach(d => item.announced.add(d));
+
+      const near = threshold === Math.min(...NAV_CONFIG.announceDistances);
+      const where = near ? 'just ahead' : `in ${spokenDistance(ahead)}`;
+      const level = item.kind === 'hazard' ? (near ? 'immediate' : 'warning') : 'info';
+
+      this.cue(level, `${item.name} ${where}. ${item.detail || ''}`, { vibrate: item.kind === 'hazard' });
+
+      // Don't let TrailAlerts announce the same hazard again by proximity
+      if (item.hazardId) trailAlerts.alertedHazards.set(item.hazardId, Date.now());
+    });
+  }
+
+  checkArrival(position) {
+    const line = this.route.line;
+    const end = line.vertices[line.vertices.length - 1];
+    const remaining = line.length - this.progress.along;
+    const toEnd = trailAlerts.calculateDistance(position.lat, position.lng, end.lat, end.lng);
+
+    if (remaining <= NAV_CONFIG.arrivalDistance * 2 && toEnd <= NAV_CONFIG.arrivalDistance) {
+      this.arrived = true;
+      this.cue('info', `You have reached the end of ${this.route.name}.`);
+      toast.success(`🏁 You've reached the end of ${this.route.name}!`);
+    }
+  }
+
+  /**
+   * Voice, vibration and a flash of the panel
+   * @param {string} level - immediate, warning, or info
+   * @param {string} message
+   */
+  cue(level, message, { vibrate = level !== 'info' } = {}) {
+    this.announce(message, level);
+
+    if (this.settings.haptic && vibrate && navigator.vibrate) {
+      const patterns = {
+        immediate: [300, 100, 300, 100, 300],
+        warning: [200, 100, 200],
+        info: [100]
+      };
+      navigator.vibrate(patterns[level] || [100]);
+    }
+
+    if (level !== 'info') trailAlerts.playAlertSound(level);
+
+    const panel = document.getElementById('routeNavPanel');
+    if (panel) {
+      panel.classList.remove('nav-flash');
+      void panel.offsetWidth; // Restart the animation
+      panel.classList.add('nav-flash');
+    }
+
+    const status = document.getElementById('routeNavAnnouncement');
+    if (status) status.textContent = message;
+  }
+
+  announce(message, level) {
+    if (this.settings.voice) trailAlerts.speak(message, level);
+  }
+
+  // ==================== MAP ====================
+
+  drawRoute() {
+    const map = this.getApp()?.getController('map')?.map;
+    if (!map || !window.L) return;
+
+    this.clearLayers();
+    const latLngs = this.route.line.vertices.map(v => [v.lat, v.lng]);
+    const segments = this.getSegmentLatLngs(this.route.line.vertices);
+
+    this.layers = {
+      group: L.layerGroup().addTo(map),
+      done: null,
+      offRoute: null
+    };
+
+    L.polyline(segments, { color: '#2563eb', weight: 6, opacity: 0.7 }).addTo(this.layers.group);
+    this.layers.done = L.polyline([], { color: '#93c5fd', weight: 6, opacity: 0.9 }).addTo(this.layers.group);
+
+    const end = latLngs[latLngs.length - 1];
+    L.marker(end, {
+      icon: L.divIcon({ html: '🏁', iconSize: [30, 30], className: 'custom-div-icon location-marker' })
+    }).addTo(this.layers.group).bindPopup(`<strong>End of ${modal.escapeHtml(this.route.name)}</strong>`);
+
+    map.fitBounds(L.latLngBounds(latLngs), { padding: [30, 30] });
+  }
+
+  // One [lat, lng] line per track segment, so the jumps between them aren't drawn
+  getSegmentLatLngs(vertices) {
+    return getTrackSegments(vertices.map(v => ({ type: 'location', coords: v, segment: v.segment })))
+      .map(segment => segment.map(p => [p.coords.lat, p.coords.lng]));
+  }
+
+  updateOffRouteLine(position, match) {
+    if (!this.layers) return;
+
+    // Walked part of the route
+    if (this.progress) {
+      const done = this.getSegmentLatLngs(this.route.line.vertices.filter(v => v.along <= this.progress.along));
+      if (done.length === 0) done.push([]);
+      done[done.length - 1].push([this.progress.coords.lat, this.progress.coords.lng]);
+      this.layers.done.setLatLngs(done);
+    }
+
+    // Way back to the route
+    if (this.offRoute) {
+      const latLngs = [[position.lat, position.lng], [match.coords.lat, match.coords.lng]];
+      if (this.layers.offRoute) {
+        this.layers.offRoute.setLatLngs(latLngs);
+      } else {
+        this.layers.offRoute = L.polyline(latLngs, {
+          color: '#dc2626', weight: 3, dashArray: '4, 6'
+        }).addTo(this.layers.group);
+      }
+    } else if (this.layers.offRoute) {
+      this.layers.offRoute.remove();
+      this.layers.offRoute = null;
+    }
+  }
+
+  clearLayers() {
+    if (this.layers) {
+      this.layers.group.remove();
+      this.layers = null;
+    }
+  }
+
+  // ==================== PANEL ====================
+
+  renderPanel() {
+    document.getElementById('routeNavPanel')?.remove();
+
+    const panel = document.createElement('div');
+    panel.id = 'routeNavPanel';
+    panel.className = 'route-nav-panel';
+    panel.setAttribute('role', 'region');
+    panel.setAttribute('aria-label', 'Route navigation');
+    panel.innerHTML = `
+      <div class="nav-header">
+        <div class="nav-title">🧭 ${trailAlerts.escapeHtml(this.route.name)}</div>
+        <div class="nav-controls">
+          <button type="button" class="nav-toggle" id="routeNavVoice" aria-pressed="${this.settings.voice}" title="Voice guidance">🔊</button>
+          <button type="button" class="nav-toggle" id="routeNavHaptic" aria-pressed="${this.settings.haptic}" title="Vibration">📳</button>
+          <button type="button" class="nav-end" id="routeNavEnd">End</button>
+        </div>
+      </div>
+      <div class="nav-progress" aria-hidden="true"><div class="nav-progress-bar" id="routeNavBar"></div></div>
+      <div class="nav-status" id="routeNavStatus"></div>
+      <div class="nav-next" id="routeNavNext"></div>
+      <div class="nav-announcement" id="routeNavAnnouncement" aria-live="assertive"></div>
+    `;
+
+    document.body.appendChild(panel);
+
+    panel.querySelector('#routeNavEnd').addEventListener('click', () => this.stop());
+    panel.querySelector('#routeNavVoice').addEventListener('click', (e) => {
+      this.settings.voice = !this.settings.voice;
+      e.currentTarget.setAttribute('aria-pressed', this.settings.voice);
+      if (!this.settings.voice && 'speechSynthesis' in window) speechSynthesis.cancel();
+      this.saveSettings();
+    });
+    panel.querySelector('#routeNavHaptic').addEventListener('click', (e) => {
+      this.settings.haptic = !this.settings.haptic;
+      e.currentTarget.setAttribute('aria-pressed', this.settings.haptic);
+      this.saveSettings();
+    });
+  }
+
+  updatePanel(match = null) {
+    const panel = document.getElementById('routeNavPanel');
+    if (!panel || !this.route) return;
+
+    const line = this.route.line;
+    const along = this.progress?.along || 0;
+    const remaining = Math.max(line.length - along, 0);
+    const percent = line.length > 0 ? Math.min(100, Math.round((along / line.length) * 100)) : 0;
+
+    panel.classList.toggle('off-route', this.offRoute);
+    panel.classList.toggle('arrived', this.arrived);
+    panel.querySelector('#routeNavBar').style.width = `${percent}%`;
+
+    const status = panel.querySelector('#routeNavStatus');
+    const tracking = this.getApp()?.getController('tracking');
+    if (this.arrived) {
+      status.textContent = `🏁 Arrived · ${formatDistance(line.length)} route`;
+    } else if (this.offRoute && match) {
+      status.textContent = `⚠️ Off route · ${formatDistance(match.distance)} from the trail`;
+    } else if (!this.progress) {
+      status.textContent = tracking?.isTracking
+        ? `Waiting for GPS… · ${formatDistance(line.length)} route`
+        : `Start tracking to follow · ${formatDistance(line.length)} route`;
+    } else {
+      status.textContent = `${formatDistance(remaining)} remaining · ${percent}% done`;
+    }
+
+    // Next waypoint or hazard ahead
+    const next = this.route.items
+      .filter(item => item.along >= along)
+      .sort((a, b) => a.along - b.along)[0];
+    panel.querySelector('#routeNavNext').textContent = next
+      ? `Next: ${next.icon} ${next.name} in ${formatDistance(next.along - along)}`
+      : '';
+  }
+
+  /**
+   * Inject CSS styles
+   */
+  injectStyles() {
+    if (document.getElementById('route-navigation-styles')) return;
+
+    const styles = document.createElement('style');
+    styles.id = 'route-navigation-styles';
+    styles.textContent = `
+      .route-nav-panel {
+        position: fixed;
+        top: 60px;
+        left: 50%;
+        transform: translateX(-50%);
+        z-index: 1100;
+        width: calc(100% - 32px);
+        max-width: 420px;
+        padding: 12px 14px;
+        background: white;
+        border-radius: 14px;
+        border-top: 4px solid #2563eb;
+        box-shadow: 0 8px 30px rgba(0, 0, 0, 0.2);
+        font-size: 0.9rem;
+      }
+
+      .route-nav-panel.off-route {
+        border-top-color: #dc2626;
+        background: #fef2f2;
+      }
+
+      .route-nav-panel.arrived {
+        border-top-color: #16a34a;
+      }
+
+      .route-nav-panel.nav-flash {
+        animation: navFlash 0.6s ease 2;
+      }
+
+      @keyframes navFlash {
+        50% { box-shadow: 0 0 0 6px rgba(220, 38, 38, 0.35); }
+      }
+
+      .nav-header {
+        display: flex;
+        justify-content: space-between;
+        align-items: center;
+        gap: 8px;
+      }
+
+      .nav-title {
+        font-weight: 700;
+        overflow: hidden;
+        text-overflow: ellipsis;
+        white-space: nowrap;
+      }
+
+      .nav-controls {
+        display: flex;
+        gap: 6px;
+        flex-shrink: 0;
+      }
+
+      .nav-toggle {
+        background: #f3f4f6;
+        color: #111827;
+        padding: 6px 8px;
+      }
+
+      .nav-toggle[aria-pressed="false"] {
+        opacity: 0.4;
+      }
+
+      .nav-end {
+        background: #374151;
+        padding: 6px 10px;
+      }
+
+      .nav-progress {
+        height: 6px;
+        margin: 10px 0 8px;
+        background: #e5e7eb;
+        border-radius: 3px;
+        overflow: hidden;
+      }
+
+      .nav-progress-bar {
+        width: 0;
+        height: 100%;
+        background: #2563eb;
+        transition: width 0.5s ease;
+      }
+
+      .off-route .nav-progress-bar {
+        background: #dc2626;
+      }
+
+      .nav-status {
+        font-weight: 600;
+        color: #111827;
+      }
+
+      .nav-next,
+      .nav-announcement {
+        margin-top: 4px;
+        font-size: 0.8rem;
+        color: #6b7280;
+      }
+
+      .nav-announcement:empty,
+      .nav-next:empty {
+        display: none;
+      }
+
+      @media (prefers-reduced-motion: reduce) {
+        .route-nav-panel.nav-flash {
+          animation: none;
+        }
+      }
+    `;
+
+    document.head.appendChild(styles);
+  }
+}
+
+// Create and export singleton
+export const routeNavigation = new RouteNavigation();
+
+// Auto-initialize when DOM is ready
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', () => routeNavigation.initialize());
+} else {
+  routeNavigation.initialize();
+}
+
+// Make available globally
+window.routeNavigation = routeNavigation;
@@ -0,0 +1,535 @@
+/**
+ * Survey Consensus
+ * Merges the surveys different people recorded for the same trail into one
+ * consensus survey (see config/surveySchema.js):
+ * - Linking: trail guides that start at the same place and cover about the
+ *   same distance (older guides without a start point: same name and location)
+ * - Merging: field by field, newer surveys weigh more; each contributor counts once
+ * - Confidence: per field, from agreement, number of contributors and age,
+ *   with fields people disagree on flagged as disputed
+ *
+ * The consensus is what gets rated, so a trail's rating doesn't depend on
+ * which of its guides was opened.
+ *
+ * Access Nature - Enhanced Accessibility Survey System
+ * Created: December 2025
+ */
+
+import { SURVEY_FIELDS, getSurveyField, getFieldLabel, getSurveyValues, normalizeSurvey } from '../config/surveySchema.js';
+import { pruneInapplicable } from '../config/surveyRules.js';
+import { haversineDistance } from '../utils/calculations.js';
+import { accessibilityRating } from './accessibilityRating.js';
+import { modal } from '../utils/modal.js';
+
+// Trail cells are a 0.01° grid (about 1 km) over start points
+const CELL_SIZE = 0.01;
+
+// Linked guides start within this distance (km) and differ in length by less than this share
+const MAX_START_DISTANCE = 0.2;
+const MAX_LENGTH_DIFFERENCE = 0.25;
+
+// A survey's weight halves every year
+const HALF_LIFE_DAYS = 365;
+
+// Confidence levels, and the agreement below which a field is disputed
+const CONFIDENCE_LEVELS = { high: 0.7, medium: 0.4 };
+const DISPUTED_BELOW = 0.75;
+
+// Number answers within this share of the consensus count as agreeing
+const NUMBER_TOLERANCE = 0.1;
+
+// Merged differently from the weighted vote
+const LATEST_FIELDS = ['additionalNotes', 'surveyDate'];
+const SKIPPED_FIELDS = ['surveyorName'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// ==================== LINKING ====================
+
+/**
+ * Grid cell of a point, stored on trail guides so nearby guides can be queried
+ * @param {object} point - { lat, lng }
+ * @returns {string|null} e.g. '3205:3481'
+ */
+export function getTrailCell(point) {
+  if (typeof point?.lat !== 'number' || typeof point?.lng !== 'number') return null;
+  return `${Math.floor(point.lat / CELL_SIZE)}:${Math.floor(point.lng / CELL_SIZE)}`;
+}
+
+// The cell and its eight neighbours - a start near a cell edge can land in either
+function getNearbyCells(point) {
+  const lat = Math.floor(point.lat / CELL_SIZE);
+  const lng = Math.floor(point.lng / CELL_SIZE);
+  const cells = [];
+  for (let dLat = -1; dLat <= 1; dLat++) {
+    for (let dLng = -1; dLng <= 1; dLng++) {
+      cells.push(`${lat + dLat}:${lng + dLng}`);
+    }
+  }
+  return cells;
+}
+
+function normalizeName(text) {
+  return String(text || '').trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+function isNear(a, b) {
+  return !!a && !!b && haversineDistance(a, b) <= MAX_START_DISTANCE;
+}
+
+/**
+ * Whether two trail guides describe the same trail
+ * @param {object} guide - trail_guides document
+ * @param {object} other - trail_guides document
+ * @returns {boolean}
+ */
+export function isSameTrail(guide, other) {
+  if (guide.id && guide.id === other.id) return true;
+
+  if (guide.startPoint && other.startPoint) {
+    // Walked either way round
+    const sameEnds = isNear(guide.startPoint, other.startPoint) ||
+      (isNear(guide.startPoint, other.endPoint) && isNear(guide.endPoint, other.startPoint));
+    if (!sameEnds) return false;
+
+    const length = guide.metadata?.totalDistance || 0;
+    const otherLength = other.metadata?.totalDistance || 0;
+    if (length > 0 && otherLength > 0) {
+      return Math.abs(length - otherLength) / Math.max(length, otherLength) <= MAX_LENGTH_DIFFERENCE;
+    }
+    return true;
+  }
+
+  // Guides saved before start points were stored
+  if (normalizeName(guide.routeName) !== normalizeName(other.routeName)) return false;
+  const location = normalizeName(normalizeSurvey(guide.accessibility)?.location);
+  const otherLocation = normalizeName(normalizeSurvey(other.accessibility)?.location);
+  return !location || !otherLocation || location === otherLocation;
+}
+
+// ==================== MERGING ====================
+
+function getSurveyTime(survey, guide) {
+  const time = Date.parse(survey.surveyDate || guide.surveyUpdatedAt || guide.generatedAt);
+  return Number.isFinite(time) ? time : 0;
+}
+
+/**
+ * One contribution per person - their latest survey of the trail
+ * @param {Array} guides - Linked trail_guides documents
+ * @param {number} now - Timestamp the weights are relative to
+ * @returns {Array} [{ guideId, userId, survey, time, weight, complete }]
+ */
+export function getContributions(guides, now = Date.now()) {
+  const latest = new Map();
+
+  guides.forEach(guide => {
+    // Full survey on newer guides, the searchable summary on older ones
+    const survey = normalizeSurvey(guide.survey || guide.accessibility);
+    if (!survey) return;
+
+    const time = getSurveyTime(survey, guide);
+    const contributor = guide.userId || guide.id;
+    const current = latest.get(contributor);
+    if (current && current.time >= time) return;
+
+    const ageDays = Math.max(0, now - time) / DAY_MS;
+    latest.set(contributor, {
+      guideId: guide.id,
+      userId: contributor,
+      survey,
+      time,
+      weight: Math.pow(0.5, ageDays / HALF_LIFE_DAYS),
+      // Summaries leave out flags, so only full surveys say a flag is unticked
+      complete: !!guide.survey
+    });
+  });
+
+  return [...latest.values()];
+}
+
+function sumWeights(contributions) {
+  return contributions.reduce((total, c) => total + c.weight, 0);
+}
+
+function getConfidence(agreement, contributors, freshness) {
+  const confidence = agreement * (1 - Math.pow(0.5, contributors)) * (0.5 + 0.5 * freshness);
+  const level = confidence >= CONFIDENCE_LEVELS.high ? 'high'
+    : confidence >= CONFIDENCE_LEVELS.medium ? 'medium'
+    : 'low';
+  return { confidence: Math.round(confidence * 100) / 100, level };
+}
+
+// Weighted vote on one answer per contributor
+function mergeChoice(answers) {
+  const tally = new Map();
+  answers.forEach(({ value, contribution }) => {
+    const entry = tally.get(value) || { value, weight: 0, count: 0, freshness: 0 };
+    entry.weight += contribution.weight;
+    entry.count++;
+    entry.freshness = Math.max(entry.freshness, contribution.weight);
+    tally.set(value, entry);
+  });
+
+  const values = [...tally.values()].sort((a, b) => b.weight - a.weight);
+  const total = values.reduce((sum, v) => sum + v.weight, 0);
+  const winner = values[0];
+  return {
+    value: winner.value,
+    agreement: total > 0 ? winner.weight / total : 0,
+    freshness: winner.freshness,
+    values: values.map(({ value, count }) => ({ value, count }))
+  };
+}
+
+// Options most of the (weighted) contributors ticked
+function mergeOptions(answers) {
+  const total = sumWeights(answers.map(a => a.contribution));
+  const tally = new Map();
+  answers.forEach(({ value, contribution }) => {
+    value.forEach(option => {
+      const entry = tally.get(option) || { value: option, weight: 0, count: 0 };
+      entry.weight += contribution.weight;
+      entry.count++;
+      tally.set(option, entry);
+    });
+  });
+
+  const options = [...tally.values()].sort((a, b) => b.weight - a.weight);
+  const shares = options.map(option => total > 0 ? option.weight / total : 0);
+  return {
+    value: options.filter((option, i) => shares[i] >= 0.5).map(option => option.value),
+    // The least settled option decides how settled the field is
+    agreement: shares.reduce((lowest, share) => Math.min(lowest, Math.max(share, 1 - share)), 1),
+    freshness: Math.max(...answers.map(a => a.contribution.weight)),
+    values: options.map(({ value, count }) => ({ value, count }))
+  };
+}
+
+// Weighted median
+function mergeNumber(answers) {
+  const sorted = [...answers].sort((a, b) => a.value - b.value);
+  const total = sumWeights(sorted.map(a => a.contribution));
+  let running = 0;
+  const median = sorted.find(a => (running += a.contribution.weight) >= total / 2).value;
+
+  const tolerance = Math.max(Math.abs(median) * NUMBER_TOLERANCE, 1);
+  const agreeing = sorted.filter(a => Math.abs(a.value - median) <= tolerance);
+  return {
+    value: median,
+    agreement: total > 0 ? sumWeights(agreeing.map(a => a.contribution)) / total : 0,
+    freshness: Math.max(...agreeing.map(a => a.contribution.weight)),
+    values: mergeChoice(answers).values
+  };
+}
+
+// Most recent answer, e.g. notes, which can't be voted on
+function mergeLatest(answers) {
+  const latest = answers.reduce((newest, a) => a.contribution.time > newest.contribution.time ? a : newest);
+  return {
+    value: latest.value,
+    agreement: 1,
+    freshness: latest.contribution.weight,
+    values: [{ value: latest.value, count: 1 }]
+  };
+}
+
+function mergeField(field, contributions) {
+  const answers = [];
+  contributions.forEach(contribution => {
+    const values = getSurveyValues(contribution.survey, field.key);
+    if (field.type === 'flag') {
+      // An unticked flag on a full survey is a "no"
+      if (values.length > 0 || contribution.complete) {
+        answers.push({ value: values.length > 0 ? field.value : null, contribution });
+      }
+    } else if (values.length > 0) {
+      answers.push({ value: field.type === 'multi' ? values : contribution.survey[field.key], contribution });
+    }
+  });
+  if (answers.length === 0) return null;
+
+  const merged = LATEST_FIELDS.includes(field.key) ? mergeLatest(answers)
+    : field.type === 'multi' ? mergeOptions(answers)
+    : field.type === 'number' ? mergeNumber(answers)
+    : mergeChoice(answers);
+
+  const { freshness, ...result } = merged;
+  return {
+    ...result,
+    contributors: answers.length,
+    agreement: Math.round(merged.agreement * 100) / 100,
+    disputed: answers.length > 1 && merged.values.length > 1 && merged.agreement < DISPUTED_BELOW,
+    ...getConfidence(merged.agreement, answers.length, freshness)
+  };
+}
+
+/**
+ * Consensus of the surveys recorded for one trail
+ * @param {Array} guides - Linked trail_guides documents
+ * @param {object} options - { now }
+ * @returns {object|null} {
+ *   survey: canonical consensus survey,
+ *   fields: { key: { value, confidence, level, contributors, agreement, disputed, values: [{ value, count }] } },
+ *   contributors, guideIds, updatedAt
+ * }
+ */
+export function buildConsensus(guides, options = {}) {
+  const contributions = getContributions(guides || [], options.now);
+  if (contributions.length === 0) return null;
+
+  const fields = {};
+  SURVEY_FIELDS.forEach(field => {
+    if (SKIPPED_FIELDS.includes(field.key)) return;
+    const merged = mergeField(field, contributions);
+    if (merged && !(Array.isArray(merged.value) && merged.value.length === 0) && merged.value !== null) {
+      fields[field.key] = merged;
+    }
+  });
+
+  const survey = pruneInapplicable(normalizeSurvey(
+    Object.fromEntries(Object.entries(fields).map(([key, merged]) => [key, merged.value]))
+  ));
+  Object.keys(fields).forEach(key => {
+    if (!(key in survey)) delete fields[key];
+  });
+
+  return {
+    survey,
+    fields,
+    contributors: contributions.length,
+    guideIds: contributions.map(c => c.guideId),
+    updatedAt: new Date(Math.max(...contributions.map(c => c.time))).toISOString()
+  };
+}
+
+// ==================== SURVEY CONSENSUS ====================
+
+class SurveyConsensus {
+  constructor() {
+    // Consensus per trail guide id, for this session
+    this.cache = new Map();
+  }
+
+  /**
+   * Trail guides of the same trail that this user can read, including the guide itself
+   * @param {object} guide - trail_guides document
+   * @returns {Promise<Array>}
+   */
+  async findLinkedGuides(guide) {
+    const { collection, query, where, getDocs } = await import("https://www.gstatic.com/firebasejs/10.5.0/firebase-firestore.js");
+    const { db } = await import('../../firebase-setup.js');
+    const guides = collection(db, 'trail_guides');
+
+    const queries = [];
+    if (guide.startPoint) {
+      queries.push(query(guides, where('isPublic', '==', true), where('trailCell', 'in', getNearbyCells(guide.startPoint))));
+    }
+    // Guides saved before start points were stored can only be matched by name
+    if (guide.routeName) {
+      queries.push(query(guides, where('isPublic', '==', true), where('routeName', '==', guide.routeName)));
+    }
+
+    const found = new Map([[guide.id, guide]]);
+    const snapshots = await Promise.all(queries.map(q => getDocs(q)));
+    snapshots.forEach(snapshot => {
+      snapshot.forEach(doc => {
+        const candidate = { id: doc.id, ...doc.data() };
+        if (!found.has(doc.id) && isSameTrail(guide, candidate)) found.set(doc.id, candidate);
+      });
+    });
+
+    return [...found.values()];
+  }
+
+  /**
+   * Consensus for the trail a guide describes
+   * @param {object} guide - trail_guides document
+   * @returns {Promise<object|null>} buildConsensus() result with `rating`
+   */
+  async getForGuide(guide) {
+    if (!guide?.id) return null;
+    if (this.cache.has(guide.id)) return this.cache.get(guide.id);
+
+    let linked = [guide];
+    try {
+      linked = await this.findLinkedGuides(guide);
+    } catch (error) {
+      console.warn('⚠️ Could not load other surveys of this trail:', error);
+    }
+
+    const consensus = buildConsensus(linked);
+    if (consensus) {
+      consensus.rating = this.rate(consensus, linked);
+      linked.forEach(linkedGuide => this.cache.set(linkedGuide.id, consensus));
+    }
+    this.cache.set(guide.id, consensus);
+    return consensus;
+  }
+
+  /**
+   * Forget cached consensus, e.g. after a survey changed
+   */
+  clearCache() {
+    this.cache.clear();
+  }
+
+  /**
+   * Rating of the consensus survey, with the newest measured grade and marked stretches of its guides
+   * @param {object} consensus - buildConsensus() result
+   * @param {Array} guides - Linked trail_guides documents
+   * @param {object} options - calculateRating() options, e.g. { profile }
+   * @returns {object} calculateRating() result
+   */
+  rate(consensus, guides = [], options = {}) {
+    const measured = guides
+      .filter(guide => typeof guide.metadata?.maxGrade === 'number')
+      .sort((a, b) => String(b.generatedAt).localeCompare(String(a.generatedAt)))[0];
+
+    const marked = guides
+      .filter(guide => guide.stretches?.length > 0)
+      .sort((a, b) => String(b.generatedAt).localeCompare(String(a.generatedAt)))[0];
+
+    return accessibilityRating.calculateRating(
+      accessibilityRating.normalizeSurveyData(consensus.survey),
+      {
+        gradeAnalysis: measured ? accessibilityRating.normalizeTrailGuide(measured).gradeAnalysis : null,
+        stretches: marked ? marked.stretches : [],
+        ...options
+      }
+    );
+  }
+
+  // ==================== UI ====================
+
+  formatValue(key, value) {
+    // Unticked flag
+    if (value === null) return 'No';
+    const field = getSurveyField(key);
+    const text = Array.isArray(value) ? value.join(', ') : String(value);
+    return field?.unit ? `${text} ${field.unit}` : text;
+  }
+
+  /**
+   * Collapsible consensus panel: rating, then each answer with its confidence
+   * @param {object} consensus - getForGuide() result
+   * @returns {HTMLElement}
+   */
+  createPanel(consensus) {
+    this.injectStyles();
+    const escape = (text) => modal.escapeHtml(String(text));
+
+    const panel = document.createElement('details');
+    panel.className = 'consensus-panel';
+
+    const disputed = Object.values(consensus.fields).filter(f => f.disputed).length;
+    const updated = new Date(consensus.updatedAt).toLocaleDateString();
+    const rows = Object.entries(consensus.fields).map(([key, field]) => {
+      const label = getFieldLabel(key);
+      const breakdown = field.values.map(v => `${this.formatValue(key, v.value)}: ${v.count}`).join('\n');
+      return `
+        <li class="consensus-field ${field.disputed ? 'disputed' : ''}" title="${escape(breakdown)}">
+          <span class="consensus-label">${escape(label)}</span>
+          <span class="consensus-value">${escape(this.formatValue(key, field.value))}</span>
+          <span class="consensus-confidence ${field.level}">${field.level} · ${field.contributors}/${consensus.contributors}</span>
+          ${field.disputed ? '<span class="consensus-disputed">⚠️ Disputed</span>' : ''}
+        </li>
+      `;
+    }).join('');
+
+    panel.innerHTML = `
+      <summary>
+        👥 Community consensus · ${consensus.contributors} ${consensus.contributors === 1 ? 'survey' : 'surveys'}
+        ${disputed > 0 ? ` · ${disputed} disputed` : ''} · updated ${updated}
+      </summary>
+      <div class="consensus-body">
+        <div class="consensus-rating"></div>
+        <ul class="consensus-fields">${rows}</ul>
+        <p class="consensus-note">Confidence grows with agreement, more contributors and newer surveys. Hover an answer to see what each survey said.</p>
+      </div>
+    `;
+
+    if (consensus.rating) {
+      panel.querySelector('.consensus-rating').appendChild(accessibilityRating.createRatingCard(consensus.rating));
+    }
+    return panel;
+  }
+
+  injectStyles() {
+    if (document.getElementById('survey-consensus-styles')) return;
+
+    const style = document.createElement('style');
+    style.id = 'survey-consensus-styles';
+    style.textContent = `
+      .consensus-panel {
+        flex-shrink: 0;
+        max-height: 50vh;
+        overflow-y: auto;
+        background: #f5f9f5;
+        border-bottom: 1px solid #d6e4d6;
+      }
+      .consensus-panel summary {
+        padding: 10px 20px;
+        cursor: pointer;
+        font-weight: 600;
+        color: #2c5530;
+      }
+      .consensus-body {
+        padding: 0 20px 16px;
+      }
+      .consensus-fields {
+        list-style: none;
+        margin: 12px 0 0;
+        padding: 0;
+      }
+      .consensus-field {
+        display: flex;
+        flex-wrap: wrap;
+        align-items: center;
+        gap: 8px;
+        padding: 6px 0;
+        border-bottom: 1px solid #e3ece3;
+        font-size: 13px;
+      }
+      .consensus-field.disputed {
+        background: #fff8e6;
+      }
+      .consensus-label {
+        flex: 0 0 40%;
+        color: #666;
+      }
+      .consensus-value {
+        flex: 1;
+        color: #222;
+      }
+      .consensus-confidence {
+        padding: 2px 8px;
+        border-radius: 10px;
+        font-size: 11px;
+        text-transform: capitalize;
+      }
+      .consensus-confidence.high { background: #e8f5e9; color: #2e7d32; }
+      .consensus-confidence.medium { background: #fff3e0; color: #e65100; }
+      .consensus-confidence.low { background: #f3f3f3; color: #777; }
+      .consensus-disputed {
+        font-size: 11px;
+        color: #b26a00;
+        font-weight: 600;
+      }
+      .consensus-note {
+        margin: 10px 0 0;
+        font-size: 12px;
+        color: #777;
+      }
+    `;
+    document.head.appendChild(style);
+  }
+}
+
+// Create and export singleton
+export const surveyConsensus = new SurveyConsensus();
+
+// Make available globally
+window.surveyConsensus = surveyConsensus;
+
+export default surveyConsensus;
@@ -0,0 +1,346 @@
+/**
+ * Survey Drafts
+ * Answers in the survey forms are kept as a draft while the surveyor works,
+ * so closing the form, switching apps or a page reload never loses them.
+ * Drafts live in IndexedDB (see AppState survey draft methods), one per route
+ * or trail:
+ * - route:<first fix time> - shared by the live route, its unsaved-route
+ *   backup, the saved session and its cloud copy, so a draft survives
+ *   AppState.checkForUnsavedRoute recovery
+ * - trail:<trail name> - surveys made without a recorded route
+ * - trail:untitled:<time started> - such surveys before they have a name
+ *
+ * Saving the survey removes its draft. Drafts whose route is gone from this
+ * device, or that were not touched for a month, can be cleaned up from the
+ * draft manager.
+ *
+ * Access Nature - Enhanced Accessibility Survey System
+ * Created: December 2025
+ */
+
+import { toast } from '../utils/toast.js';
+import { modal } from '../utils/modal.js';
+import { getSurveyProgress } from '../config/surveyRules.js';
+
+// A draft is written this long after the last change (ms)
+const SAVE_DELAY = 800;
+
+// Drafts untouched this long are offered for cleanup (ms)
+const STALE_AFTER = 30 * 24 * 60 * 60 * 1000;
+
+// Trail drafts offered when a survey starts without a recorded route
+const RESUME_CHOICES = 3;
+
+const UNTITLED_PREFIX = 'trail:untitled:';
+
+/**
+ * Draft key of a recorded route: when it started
+ * @param {Array} routeData - Route data entries
+ * @returns {string|null} null without GPS points
+ */
+export function getRouteDraftKey(routeData) {
+  const first = (routeData || []).find(p => p && p.type === 'location' && p.coords);
+  if (!first) return null;
+
+  // Imported tracks can come without times
+  return typeof first.timestamp === 'number'
+    ? `route:${first.timestamp}`
+    : `route:${first.coords.lat.toFixed(5)},${first.coords.lng.toFixed(5)}`;
+}
+
+/**
+ * Draft key of a survey without a recorded route
+ * @param {Object} survey - Survey answers
+ * @param {string|null} activeKey - Key the open form writes to, kept while the survey has no name
+ * @returns {string}
+ */
+export function getTrailDraftKey(survey, activeKey = null) {
+  const name = String(survey?.trailName || '').trim().toLowerCase().replace(/\s+/g, ' ');
+  if (name) return `trail:${name}`;
+
+  // Unnamed surveys must not share a draft - each gets the time it was started
+  return activeKey?.startsWith(UNTITLED_PREFIX) ? activeKey : `${UNTITLED_PREFIX}${Date.now()}`;
+}
+
+function timeAgo(timestamp) {
+  const minutes = Math.round((Date.now() - timestamp) / 60000);
+  if (minutes < 1) return 'just now';
+  if (minutes < 60) return `${minutes} min ago`;
+  if (minutes < 24 * 60) return `${Math.round(minutes / 60)} h ago`;
+  return new Date(timestamp).toLocaleDateString();
+}
+
+class SurveyDrafts {
+  constructor() {
+    this.activeKey = null; // Draft the open form writes to
+    this.pending = null;   // { form, collect } waiting for SAVE_DELAY
+    this.timer = null;
+    this.listening = false;
+  }
+
+  getState() {
+    return window.AccessNatureApp?.getController('state') || null;
+  }
+
+  getCurrentRouteKey() {
+    return getRouteDraftKey(this.getState()?.getRouteData());
+  }
+
+  getTitle(draft, routeNames = new Map()) {
+    return draft.trailName || routeNames.get(draft.key) || 'Untitled survey';
+  }
+
+  // ==================== FORM SESSION ====================
+
+  /**
+   * Start a form session, offering the draft of the current route (or the
+   * latest trail drafts when there is no route)
+   * @returns {Promise<Object|null>} Survey answers to resume, or null to start fresh
+   */
+  async begin() {
+    this.cancel();
+    this.activeKey = null;
+
+    const state = this.getState();
+    if (!state) return null;
+
+    const routeKey = this.getCurrentRouteKey();
+    let drafts;
+    try {
+      drafts = routeKey
+        ? [await state.getSurveyDraft(routeKey)].filter(Boolean)
+        : (await state.getSurveyDrafts())
+          .filter(draft => draft.key.startsWith('trail:'))
+          .sort((a, b) => b.updatedAt - a.updatedAt)
+          .slice(0, RESUME_CHOICES);
+    } catch (error) {
+      console.warn('⚠️ Could not read survey drafts:', error);
+      return null;
+    }
+    if (drafts.length === 0) return null;
+
+    const describe = (draft) => `${draft.answered} answer${draft.answered === 1 ? '' : 's'}, ${timeAgo(draft.updatedAt)}`;
+    const choice = routeKey
+      ? await modal.choice(
+        `This route has an unsaved survey (${describe(drafts[0])}). Pick up where you left off?`,
+        '📝 Resume Survey Draft',
+        [
+          { label: '🗑️ Discard and start fresh', value: 'discard' },
+          { label: '▶️ Resume draft', value: routeKey }
+        ])
+      : await modal.choice(
+        'You have unsaved surveys. Pick up where you left off?',
+        '📝 Resume Survey Draft',
+        [
+          { label: '🆕 New survey', value: 'new' },
+          ...drafts.map(draft => ({ label: `▶️ ${this.getTitle(draft)} (${describe(draft)})`, value: draft.key }))
+        ]);
+
+    if (choice === 'discard') {
+      await this.remove(routeKey);
+      return null;
+    }
+
+    const draft = drafts.find(d => d.key === choice);
+    if (!draft) return null;
+
+    this.activeKey = draft.key;
+    return draft.survey;
+  }
+
+  /**
+   * Save the form's answers shortly, once the surveyor pauses
+   * @param {string} form - 'quick' or 'full'
+   * @param {Function} collect - Returns the form's current answers
+   */
+  schedule(form, collect) {
+    this.listen();
+    this.pending = { form, collect };
+
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => this.flush(), SAVE_DELAY);
+  }
+
+  // Write a scheduled save now
+  flush() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    if (!this.pending) return Promise.resolve();
+
+    const { form, collect } = this.pending;
+    this.pending = null;
+    return this.save(form, collect());
+  }
+
+  // Drop a scheduled save
+  cancel() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.pending = null;
+  }
+
+  /**
+   * The form closed without saving - keep what was answered
+   */
+  end() {
+    this.flush();
+    this.activeKey = null;
+  }
+
+  /**
+   * The survey was saved - its draft is no longer needed
+   */
+  async discard() {
+    this.cancel();
+    const keys = new Set([this.activeKey, this.getCurrentRouteKey()].filter(Boolean));
+    this.activeKey = null;
+
+    for (const key of keys) {
+      await this.remove(key);
+    }
+  }
+
+  // Backgrounding the app or reloading must not wait for the save delay
+  listen() {
+    if (this.listening) return;
+    this.listening = true;
+
+    document.addEventListener('visibilitychange', () => {
+      if (document.visibilityState === 'hidden') this.flush();
+    });
+    window.addEventListener('pagehide', () => this.flush());
+  }
+
+  // ==================== STORAGE ====================
+
+  /**
+   * Store answers as the draft of the current route or trail
+   * @param {string} form - 'quick' or 'full'
+   * @param {Object} survey - Survey answers
+   */
+  async save(form, survey) {
+    const state = this.getState();
+    const answered = getSurveyProgress(survey).answered;
+    if (!state || answered === 0) return;
+
+    const key = this.getCurrentRouteKey() || getTrailDraftKey(survey, this.activeKey);
+    const previousKey = this.activeKey;
+    this.activeKey = key;
+
+    try {
+      // A renamed trail moves its draft
+      if (previousKey && previousKey !== key && previousKey.startsWith('trail:')) {
+        await state.deleteSurveyDraft(previousKey);
+      }
+
+      await state.putSurveyDraft({
+        key,
+        form,
+        survey,
+        answered,
+        trailName: survey.trailName || '',
+        cloudRouteId: state.getCloudRouteId?.() || null,
+        updatedAt: Date.now()
+      });
+    } catch (error) {
+      console.warn('⚠️ Survey draft not saved:', error);
+    }
+  }
+
+  async remove(key) {
+    try {
+      await this.getState()?.deleteSurveyDraft(key);
+    } catch (error) {
+      console.warn('⚠️ Could not delete survey draft:', error);
+    }
+  }
+
+  /**
+   * Every draft with whether it can go
+   * @returns {Promise<Array>} [{ draft, title, orphaned, stale }], newest first
+   *   orphaned: its route is no longer on this device (and didn't come from the cloud)
+   *   stale: untouched for STALE_AFTER
+   */
+  async getDrafts() {
+    const state = this.getState();
+    if (!state) return [];
+
+    const [drafts, sessions, backup] = await Promise.all([
+      state.getSurveyDrafts(),
+      state.getSessions(),
+      state.peekRouteBackup()
+    ]);
+
+    const routeNames = new Map();
+    (sessions || []).forEach(session => {
+      const key = getRouteDraftKey(session.data);
+      if (key) routeNames.set(key, session.name);
+    });
+    [state.getRouteData(), backup?.routeData].forEach(routeData => {
+      const key = getRouteDraftKey(routeData);
+      if (key && !routeNames.has(key)) routeNames.set(key, 'Current route');
+    });
+
+    return drafts
+      .sort((a, b) => b.updatedAt - a.updatedAt)
+      .map(draft => ({
+        draft,
+        title: this.getTitle(draft, routeNames),
+        orphaned: draft.key.startsWith('route:') && !routeNames.has(draft.key) && !draft.cloudRouteId,
+        stale: Date.now() - draft.updatedAt > STALE_AFTER
+      }));
+  }
+
+  /**
+   * List the drafts on this device and clean up the ones nothing uses
+   */
+  async showDraftManager() {
+    let entries;
+    try {
+      entries = await this.getDrafts();
+    } catch (error) {
+      console.error('❌ Failed to load survey drafts:', error);
+      toast.error('Could not load survey drafts');
+      return;
+    }
+
+    if (entries.length === 0) {
+      toast.info('No survey drafts - unsaved survey answers are kept here automatically');
+      return;
+    }
+
+    const unused = entries.filter(entry => entry.orphaned || entry.stale);
+    const message = `📝 ${entries.length} survey draft${entries.length === 1 ? '' : 's'}:\n\n` +
+      entries.map(({ draft, title, orphaned, stale }) =>
+        `• ${title} - ${draft.answered} answers, ${timeAgo(draft.updatedAt)}` +
+        (orphaned ? '\n   ⚠️ Route no longer on this device' : stale ? '\n   💤 Not touched in 30 days' : '')
+      ).join('\n');
+
+    const choice = await modal.choice(message, '📝 Survey Drafts', [
+      ...(unused.length > 0 ? [{ label: `🧹 Delete ${unused.length} unused`, value: 'unused' }] : []),
+      { label: '🗑️ Delete all', value: 'all' },
+      { label: 'Close', value: 'close' }
+    ]);
+
+    let removing = [];
+    if (choice === 'unused') {
+      removing = unused;
+    } else if (choice === 'all' && await modal.confirm(`Delete all ${entries.length} survey drafts? Their answers cannot be recovered.`, '🗑️ Delete Drafts')) {
+      removing = entries;
+    }
+    if (removing.length === 0) return;
+
+    for (const { draft } of removing) {
+      await this.remove(draft.key);
+    }
+    toast.success(`${removing.length} survey draft${removing.length === 1 ? '' : 's'} deleted`);
+  }
+}
+
+// Create and export singleton
+export const surveyDrafts = new SurveyDrafts();
+
+// Make available globally
+window.surveyDrafts = surveyDrafts;
+
+export default surveyDrafts;
@@ -0,0 +1,408 @@
+/**
+ * Survey Renderer
+ * Renders survey schema fields in the markup of each accessibility form and
+ * reads / fills answers back, so all forms store the same canonical shape.
+ * Also applies the survey rules to a rendered form (hidden follow-ups, inline problems)
+ * and prefills answers from the recorded route.
+ *
+ * Styles:
+ * - 'classic': v1 form (radio and checkbox groups, styled by accessibility.css)
+ * - 'af2': V2 Quick form (cards, chips, steppers and the difficulty slider)
+ * - 'af2f': V2 Full form (cards, chips and tick boxes)
+ *
+ * Access Nature - Enhanced Accessibility Survey System
+ * Created: December 2025
+ */
+
+import { SURVEY_FIELDS, getSurveyField, getSurveyOption, getSurveyValues, normalizeSurvey } from '../config/surveySchema.js';
+import { isFieldApplicable, pruneInapplicable, validateSurvey } from '../config/surveyRules.js';
+import { gradeAnalyzer } from './gradeAnalysis.js';
+import { getSurveyPrefills } from '../config/waypointTypes.js';
+
+// Inline rule message class per form style
+const MESSAGE_CLASSES = { classic: 'rule-message', af2: 'af2-rule-message', af2f: 'af2f-rule-message' };
+
+function escapeHtml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function optionText(option) {
+  return option.short || option.label || option.value;
+}
+
+function maxAttr(field) {
+  return field.max !== undefined ? ` max="${field.max}"` : '';
+}
+
+function fieldLabel(field) {
+  const unit = field.unit ? ` (${field.unit})` : '';
+  const required = field.required ? ' <span class="required">*</span>' : '';
+  return `${escapeHtml(field.label)}${unit}${required}`;
+}
+
+// ==================== CLASSIC (v1) ====================
+
+function renderClassicControl(field) {
+  const key = field.key;
+  const attrs = `id="${key}" name="${key}"${field.required ? ' required' : ''}`;
+
+  switch (field.type) {
+    case 'textarea':
+      return `<textarea ${attrs} placeholder="${escapeHtml(field.placeholder || '')}"></textarea>`;
+    case 'number':
+      return `<input type="number" ${attrs} min="${field.min ?? 0}"${maxAttr(field)}${field.step ? ` step="${field.step}"` : ''}>`;
+    case 'date':
+      return `<input type="date" ${attrs}>`;
+    case 'select':
+      return `
+        <select ${attrs}>
+          <option value="">Select ${escapeHtml(field.label.toLowerCase())}</option>
+          ${field.options.map(o => `<option value="${escapeHtml(o.value)}">${escapeHtml(o.label || o.value)}</option>`).join('')}
+        </select>`;
+    case 'single':
+    case 'scale':
+    case 'multi': {
+      const input = field.type === 'multi' ? 'checkbox' : 'radio';
+      return `
+        <div class="${input}-group">
+          ${field.options.map((o, i) => `
+            <div class="${input}-item">
+              <input type="${input}" id="${key}-${i}" name="${key}" value="${escapeHtml(o.value)}">
+              <label for="${key}-${i}">${escapeHtml(o.label || o.value)}</label>
+            </div>`).join('')}
+        </div>`;
+    }
+    default:
+      return `<input type="text" ${attrs}>`;
+  }
+}
+
+function renderClassicField(field) {
+  if (field.type === 'flag') {
+    return `
+      <div class="form-group" data-survey-field="${field.key}">
+        <label>
+          <input type="checkbox" name="${field.key}" value="${escapeHtml(field.value)}"> ${escapeHtml(field.label)}
+        </label>
+      </div>`;
+  }
+
+  const textual = ['text', 'textarea', 'number', 'date', 'select'].includes(field.type);
+  return `
+      <div class="form-group" data-survey-field="${field.key}">
+        <label${textual ? ` for="${field.key}"` : ''}>${fieldLabel(field)}</label>
+        ${renderClassicControl(field)}
+      </div>`;
+}
+
+// ==================== CARD FORMS (V2) ====================
+
+function renderChoices(field, p) {
+  const type = field.type === 'multi' ? 'multi' : 'single';
+
+  if (field.display === 'cards' || field.type === 'scale') {
+    const cols = field.columns ? ` cols-${field.columns}` : '';
+    return `
+      <div class="${p}-card-grid${cols}" data-field="${field.key}" data-type="${type}">
+        ${field.options.map(o => `
+          <div class="${p}-select-card" data-value="${escapeHtml(o.value)}">
+            ${o.icon ? `<span class="card-icon">${o.icon}</span>` : ''}
+            <span class="card-label">${escapeHtml(optionText(o))}</span>
+            ${o.desc ? `<span class="card-desc">${escapeHtml(o.desc)}</span>` : ''}
+          </div>`).join('')}
+      </div>`;
+  }
+
+  return `
+      <div class="${p}-chip-grid" data-field="${field.key}" data-type="${type}">
+        ${field.options.map(o => `
+          <div class="${p}-chip" data-value="${escapeHtml(o.value)}">${o.icon ? `${o.icon} ` : ''}${escapeHtml(optionText(o))}</div>`).join('')}
+      </div>`;
+}
+
+function renderCardControl(field, p) {
+  const key = field.key;
+  const placeholder = field.placeholder ? ` placeholder="${escapeHtml(field.placeholder)}"` : '';
+
+  switch (field.type) {
+    case 'textarea':
+      return `<textarea class="${p}-textarea" id="${p}-${key}" name="${key}"${placeholder}></textarea>`;
+    case 'date':
+      return `<input type="date" class="${p}-input" id="${p}-${key}" name="${key}">`;
+    case 'select':
+      return `
+        <select class="${p === 'af2' ? 'af2-input' : `${p}-select`}" id="${p}-${key}" name="${key}">
+          <option value="">Select...</option>
+          ${field.options.map(o => `<option value="${escapeHtml(o.value)}">${escapeHtml(optionText(o))}</option>`).join('')}
+        </select>`;
+    case 'number':
+      if (p === 'af2' && !field.step) {
+        // Counts get a stepper; totals of other counts are read-only
+        if (field.total) {
+          return `
+        <div class="af2-number-input af2-readonly">
+          <input type="number" id="af2-${key}" name="${key}" value="0" min="0" readonly>
+        </div>`;
+        }
+        return `
+        <div class="af2-number-input">
+          <button type="button" onclick="window.af2NumberStep('${key}', -1)">−</button>
+          <input type="number" id="af2-${key}" name="${key}" value="0" min="${field.min ?? 0}"${maxAttr(field)}>
+          <button type="button" onclick="window.af2NumberStep('${key}', 1)">+</button>
+        </div>`;
+      }
+      return `<input type="number" class="${p}-input" id="${p}-${key}" name="${key}" min="${field.min ?? 0}"${maxAttr(field)}${field.step ? ` step="${field.step}"` : ' value="0"'}${placeholder}>`;
+    case 'scale':
+      if (p === 'af2') {
+        return `
+        <div class="af2-slider-container">
+          <div class="af2-slider-labels">
+            ${field.options.map((o, i) => `<span class="af2-slider-label${i === 0 ? ' active' : ''}" data-level="${i + 1}">${o.icon || ''} ${escapeHtml(optionText(o))}</span>`).join('')}
+          </div>
+          <input type="range" class="af2-slider" id="af2-${key}" name="${key}" min="1" max="${field.options.length}" value="1">
+        </div>`;
+      }
+      return renderChoices(field, p);
+    case 'single':
+    case 'multi':
+      return renderChoices(field, p);
+    case 'flag':
+      if (p === 'af2f') {
+        return `
+        <div class="af2f-checkbox" data-field="${key}" data-value="${escapeHtml(field.value)}">
+          <span class="check-box">✓</span>
+          <span class="check-label">${field.icon ? `${field.icon} ` : ''}${escapeHtml(field.label)}</span>
+        </div>`;
+      }
+      return `
+      <div class="af2-chip-grid" data-field="${key}" data-type="flag">
+        <div class="af2-chip" data-value="${escapeHtml(field.value)}">${field.icon ? `${field.icon} ` : ''}${escapeHtml(field.label)}</div>
+      </div>`;
+    default:
+      return `<input type="text" class="${p}-input" id="${p}-${key}" name="${key}"${placeholder}${field.required ? ' required' : ''}>`;
+  }
+}
+
+function renderCardField(field, p, wrapper) {
+  const control = renderCardControl(field, p);
+
+  if (wrapper === 'subsection') {
+    const title = field.type === 'flag' ? '' : `<div class="af2-subsection-title">${fieldLabel(field)}</div>`;
+    return `
+      <div class="af2-subsection" data-survey-field="${field.key}">
+        ${title}
+        ${control}
+      </div>`;
+  }
+
+  const label = field.type === 'flag' ? '' : `<label class="${p}-label">${fieldLabel(field)}</label>`;
+  return `
+      <div class="${p}-field" data-survey-field="${field.key}">
+        ${label}
+        ${control}
+      </div>`;
+}
+
+// ==================== PUBLIC API ====================
+
+/**
+ * Render fields in a form's markup; consecutive half-width fields share a row
+ * @param {Array} fields - SURVEY_FIELDS entries
+ * @param {object} options - { style: 'classic' | 'af2' | 'af2f', wrapper: 'field' | 'subsection' }
+ * @returns {string} HTML
+ */
+export function renderSurveyFields(fields, { style = 'af2f', wrapper = 'field' } = {}) {
+  const render = (field) => (style === 'classic' ? renderClassicField(field) : renderCardField(field, style, wrapper));
+  const rowClass = { classic: 'form-row', af2: 'af2-grid-2col', af2f: 'af2f-row' }[style];
+  const html = [];
+
+  for (let i = 0; i < fields.length; i++) {
+    const field = fields[i];
+    const next = fields[i + 1];
+    if (field.half && next?.half) {
+      html.push(`<div class="${rowClass}">${render(field)}${render(next)}</div>`);
+      i++;
+    } else {
+      html.push(render(field));
+    }
+  }
+
+  return html.join('');
+}
+
+/**
+ * Read the answers of every schema field rendered inside a form; answers to
+ * questions that don't apply (surveyRules) are left out
+ * @param {HTMLElement} root - Form or overlay element
+ * @returns {object} Canonical survey (normalizeSurvey)
+ */
+export function collectSurvey(root) {
+  const data = {};
+
+  SURVEY_FIELDS.forEach(field => {
+    const key = field.key;
+    const grid = root.querySelector(`[data-field="${key}"]`);
+    const inputs = Array.from(root.querySelectorAll(`[name="${key}"]`));
+
+    if (grid) {
+      // Cards, chips and tick boxes
+      const selected = grid.classList.contains('checked') ? [grid] : Array.from(grid.querySelectorAll('.selected'));
+      if (selected.length > 0) data[key] = selected.map(el => el.dataset.value);
+    } else if (inputs.some(input => input.type === 'radio' || input.type === 'checkbox')) {
+      const checked = inputs.filter(input => input.checked).map(input => input.value);
+      if (checked.length > 0) data[key] = checked;
+    } else if (inputs[0]?.type === 'range') {
+      data[key] = field.options[parseInt(inputs[0].value) - 1]?.value;
+    } else if (inputs[0] && inputs[0].value !== '') {
+      data[key] = inputs[0].value;
+    }
+  });
+
+  return pruneInapplicable(normalizeSurvey(data));
+}
+
+/**
+ * Show only the questions that apply and explain rule problems next to their field
+ * @param {HTMLElement} root - Form or overlay element
+ * @param {object} survey - Canonical survey (collectSurvey)
+ * @param {object} options - { style: 'classic' | 'af2' | 'af2f' }
+ * @returns {Array} validateSurvey problems
+ */
+export function applySurveyRules(root, survey, { style = 'af2f' } = {}) {
+  const messageClass = MESSAGE_CLASSES[style];
+
+  root.querySelectorAll('[data-survey-field]').forEach(wrapper => {
+    wrapper.style.display = isFieldApplicable(wrapper.dataset.surveyField, survey) ? '' : 'none';
+  });
+
+  root.querySelectorAll(`.${messageClass}`).forEach(message => message.remove());
+
+  const problems = validateSurvey(survey);
+  problems.forEach(problem => {
+    const wrapper = root.querySelector(`[data-survey-field="${problem.field}"]`);
+    if (!wrapper) return;
+
+    const message = document.createElement('div');
+    message.className = `${messageClass} ${problem.severity}`;
+    message.setAttribute('role', problem.severity === 'error' ? 'alert' : 'status');
+    message.textContent = problem.message;
+    wrapper.appendChild(message);
+  });
+
+  return problems;
+}
+
+/**
+ * Show saved answers (any schema version) in a rendered form
+ * @param {HTMLElement} root - Form or overlay element
+ * @param {object} data - Survey answers
+ */
+export function fillSurvey(root, data) {
+  const survey = normalizeSurvey(data);
+  if (!survey) return;
+
+  Object.keys(survey).forEach(key => {
+    const field = getSurveyField(key);
+    if (!field) return;
+
+    const values = getSurveyValues(survey, key).map(String);
+    const grid = root.querySelector(`[data-field="${key}"]`);
+    const inputs = Array.from(root.querySelectorAll(`[name="${key}"]`));
+
+    if (grid) {
+      if (grid.dataset.value !== undefined) {
+        grid.classList.toggle('checked', values.includes(grid.dataset.value));
+        return;
+      }
+      grid.querySelectorAll('[data-value]').forEach(item => {
+        item.classList.toggle('selected', values.includes(item.dataset.value));
+      });
+    } else if (inputs.some(input => input.type === 'radio' || input.type === 'checkbox')) {
+      inputs.forEach(input => { input.checked = values.includes(input.value); });
+    } else if (inputs[0]?.type === 'range') {
+      const index = field.options.indexOf(getSurveyOption(key, values[0]));
+      if (index !== -1) {
+        inputs[0].value = index + 1;
+        inputs[0].dispatchEvent(new Event('input', { bubbles: true }));
+      }
+    } else if (inputs[0]) {
+      inputs[0].value = values[0] ?? '';
+    }
+  });
+}
+
+// ==================== ROUTE PREFILLS ====================
+
+/**
+ * Explain under a card field where its prefilled answer came from
+ */
+function showPrefillHint(grid, className, text) {
+  let hint = grid.parentElement.querySelector(`.${className}`);
+  if (!hint) {
+    hint = document.createElement('div');
+    hint.className = className;
+    grid.after(hint);
+  }
+  hint.textContent = text;
+}
+
+/**
+ * Prefill the slope answer of a V2 form from the route's measured grades.
+ * An answer the surveyor already gave is kept.
+ * @param {HTMLElement} root - Form overlay
+ * @param {object} analysis - gradeAnalyzer result
+ * @param {object} options - { style: 'af2' | 'af2f' }
+ * @returns {boolean} Whether the form has the slope question
+ */
+export function prefillSlope(root, analysis, { style = 'af2f' } = {}) {
+  const grid = root?.querySelector('[data-field="trailSlopes"]');
+  if (!grid) return false;
+
+  if (!grid.querySelector('.selected')) {
+    grid.querySelector(`[data-value="${gradeAnalyzer.getSlopeOption(analysis.maxGrade)}"]`)?.classList.add('selected');
+  }
+
+  showPrefillHint(grid, `${style}-measured-hint`, `📐 Measured from your route: ${gradeAnalyzer.describe(analysis)}`);
+  return true;
+}
+
+/**
+ * Prefill facility answers of a V2 form from the typed waypoints marked on the route.
+ * Answers the surveyor already gave are kept.
+ * @param {HTMLElement} root - Form overlay
+ * @param {Array} routeData - Route data entries
+ * @param {object} options - { style: 'af2' | 'af2f' }
+ * @returns {boolean} Whether any answer was selected
+ */
+export function prefillFacilities(root, routeData, { style = 'af2f' } = {}) {
+  if (!root) return false;
+
+  // Hints from a previous route
+  root.querySelectorAll(`.${style}-waypoint-hint`).forEach(hint => hint.remove());
+
+  let changed = false;
+  Object.entries(getSurveyPrefills(routeData)).forEach(([field, { value, reason }]) => {
+    const grid = root.querySelector(`[data-field="${field}"]`);
+    if (!grid) return;
+
+    if (!grid.querySelector('.selected')) {
+      [].concat(value).forEach(optionValue => {
+        const option = grid.querySelector(`[data-value="${optionValue}"]`);
+        if (option) {
+          option.classList.add('selected');
+          changed = true;
+        }
+      });
+    }
+
+    showPrefillHint(grid, `${style}-waypoint-hint`, `📍 From your waypoints: ${reason}`);
+  });
+
+  return changed;
+}
+
+export default { renderSurveyFields, collectSurvey, applySurveyRules, fillSurvey, prefillSlope, prefillFacilities };
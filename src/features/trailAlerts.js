@@ -515,12 +515,10 @@ class TrailAlerts {
     const now = Date.now();
 
     for (const hazard of this.hazards) {
-      const hazardLat = hazard.latitude || hazard.location?.latitude;
-      const hazardLng = hazard.longitude || hazard.location?.longitude;
-      
-      if (!hazardLat || !hazardLng) continue;
+      const position = this.getHazardPosition(hazard);
+      if (!position) continue;
 
-      const distance = this.calculateDistance(lat, lng, hazardLat, hazardLng);
+      const distance = this.calculateDistance(lat, lng, position.lat, position.lng);
       
       // Check if within alert range
       let alertLevel = null;
@@ -549,6 +547,18 @@ class TrailAlerts {
     }
   }
 
+  /**
+   * Hazard coordinates - trail conditions carry lat/lng, older reports latitude/longitude
+   * @param {object} hazard
+   * @returns {object|null} { lat, lng }
+   */
+  getHazardPosition(hazard) {
+    const lat = hazard.lat ?? hazard.latitude ?? hazard.location?.lat ?? hazard.location?.latitude;
+    const lng = hazard.lng ?? hazard.longitude ?? hazard.location?.lng ?? hazard.location?.longitude;
+    if (typeof lat !== 'number' || typeof lng !== 'number') return null;
+    return { lat, lng };
+  }
+
   /**
    * Calculate distance between two points (Haversine formula)
    * @returns {number} Distance in meters
@@ -694,10 +704,7 @@ class TrailAlerts {
    * @param {string} level 
    */
   speakAlert(hazard, distance, level) {
-    if (!this.voiceAlertsEnabled || !('speechSynthesis' in window)) return;
-
-    // Cancel any ongoing speech
-    speechSynthesis.cancel();
+    if (!this.voiceAlertsEnabled) return;
 
     const distanceText = distance < 100 ? `${Math.round(distance)} meters` : `${(distance / 1000).toFixed(1)} kilometers`;
     const issueType = this.getIssueTypeLabel(hazard.issueType);
@@ -715,6 +722,20 @@ class TrailAlerts {
         break;
     }
 
+    this.speak(message, level);
+  }
+
+  /**
+   * Speak a message, interrupting anything still being spoken
+   * @param {string} message
+   * @param {string} level - immediate, warning, or info (immediate is pitched up)
+   */
+  speak(message, level = 'info') {
+    if (!('speechSynthesis' in window)) return;
+
+    // Cancel any ongoing speech
+    speechSynthesis.cancel();
+
     const utterance = new SpeechSynthesisUtterance(message);
     utterance.rate = 1.1;
     utterance.pitch = level === 'immediate' ? 1.2 : 1.0;
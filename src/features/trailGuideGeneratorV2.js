@@ -3,17 +3,29 @@
  * 
  * Features:
  * - Prominent accessibility rating banner
+ * - Personal verdict for the reader's mobility profile
  * - At-a-glance stats with icons
  * - "Good For" badges
  * - Visual progress bars for trail conditions
- * - Integrated timeline with photos and notes
+ * - Marked stretches ("first 800 m paved, then 1.2 km loose gravel") on the map and in words
+ * - Integrated timeline with photos, notes and typed waypoints
  * - Facilities icon grid
  * - "Heads Up" warnings section
+ * - Standards compliance checklist (see complianceReport.js)
  * 
  * Access Nature - Phase 2 Redesign
  * Created: December 2025
  */
 
+import { getTrackSegments, getSegmentGaps } from '../core/trackSegments.js';
+import { getStretches, describeStretches, formatLength } from '../core/trailStretches.js';
+import { getStretchSurface, describeStretch, isStretchDescribed, UNDESCRIBED_STRETCH_COLOR } from '../config/stretchAttributes.js';
+import { getWaypointType, describeWaypoint } from '../config/waypointTypes.js';
+import { getAllProfiles } from '../config/mobilityProfiles.js';
+import { accessibilityRating } from './accessibilityRating.js';
+import { complianceReport } from './complianceReport.js';
+import { SURVEY_FIELDS, getFieldLabel, normalizeSurvey } from '../config/surveySchema.js';
+
 export class TrailGuideGeneratorV2 {
   
   /**
@@ -31,9 +43,14 @@ export class TrailGuideGeneratorV2 {
     console.log('  - notes:', routeData?.filter(p => p.type === 'text').length || 0);
     console.log('  - accessibilityData:', accessibilityData);
     
+    // Surveys saved before the schema still use older answer shapes
+    accessibilityData = normalizeSurvey(accessibilityData);
+
     const locationPoints = routeData.filter(p => p.type === 'location' && p.coords);
     const photos = routeData.filter(p => p.type === 'photo');
     const notes = routeData.filter(p => p.type === 'text');
+    const waypoints = routeData.filter(p => p.type === 'waypoint' && getWaypointType(p.waypointType));
+    const stretches = getStretches(routeData);
     
     console.log('  - Filtered photos:', photos);
     console.log('  - Filtered notes:', notes);
@@ -48,6 +65,7 @@ export class TrailGuideGeneratorV2 {
     
     // Determine accessibility level
     const accessLevel = this.getAccessibilityLevel(accessibilityData);
+    const profileVerdicts = this.getProfileVerdicts(accessibilityData, routeInfo, stretches);
     
     // Build timeline items
     const timelineItems = this.buildTimeline(routeData, routeInfo);
@@ -97,6 +115,12 @@ export class TrailGuideGeneratorV2 {
                 <div class="tg-access-desc">${accessLevel.description}</div>
             </div>
         </div>
+        
+        <!-- Personal Verdict (filled in from the reader's saved mobility profile) -->
+        <div class="tg-personal-verdict" id="personalVerdict" hidden>
+            <div class="tg-personal-verdict-title" id="personalVerdictTitle"></div>
+            <ul class="tg-personal-verdict-reasons" id="personalVerdictReasons"></ul>
+        </div>
 
         <!-- Action Bar -->
         <div class="tg-action-bar" id="actionBar">
@@ -146,7 +170,7 @@ export class TrailGuideGeneratorV2 {
             </div>
             <div class="tg-stat">
                 <span class="tg-stat-value">${this.formatDuration(routeInfo.elapsedTime || 0)}</span>
-                <span class="tg-stat-label">duration</span>
+                <span class="tg-stat-label">duration${this.hasRests(routeInfo) ? ` · ${this.formatDuration(routeInfo.movingTime)} moving` : ''}</span>
             </div>
             <div class="tg-stat">
                 <span class="tg-stat-value">${this.getDifficultyEmoji(accessibilityData)}</span>
@@ -164,6 +188,9 @@ export class TrailGuideGeneratorV2 {
         <!-- Trail Conditions -->
         ${this.renderConditionsSection(accessibilityData)}
 
+        <!-- Along the Trail (marked stretches) -->
+        ${this.renderStretchesSection(stretches)}
+
         <!-- Facilities -->
         ${this.renderFacilitiesSection(accessibilityData)}
 
@@ -180,6 +207,7 @@ export class TrailGuideGeneratorV2 {
                 <div class="tg-legend-item"><div class="tg-legend-dot end"></div> End</div>
                 <div class="tg-legend-item"><div class="tg-legend-dot photo"></div> Photo</div>
                 <div class="tg-legend-item"><div class="tg-legend-dot note"></div> Note</div>
+                ${this.renderStretchLegend(stretches)}
             </div>
         </section>
         ` : ''}
@@ -197,6 +225,9 @@ export class TrailGuideGeneratorV2 {
         <!-- Heads Up Section -->
         ${this.renderHeadsUpSection(accessibilityData, notes)}
 
+        <!-- Standards Compliance -->
+        ${this.renderComplianceSection(routeData, routeInfo, accessibilityData)}
+
         <!-- Footer -->
         <footer class="tg-footer">
             <p>Created with 🌲 Access Nature</p>
@@ -205,7 +236,34 @@ export class TrailGuideGeneratorV2 {
     </div>
 
     <!-- Map Script -->
-    ${locationPoints.length > 0 ? this.getMapScript(locationPoints, bounds, photos, notes) : ''}
+    ${locationPoints.length > 0 ? this.getMapScript(locationPoints, bounds, photos, notes, waypoints, stretches) : ''}
+    
+    <!-- Personal Verdict Script -->
+    <script>
+        (function() {
+            const verdicts = ${JSON.stringify(profileVerdicts).replace(/</g, '\\u003c')};
+            let profileId = null;
+            try {
+                profileId = localStorage.getItem('accessNature_mobilityProfile');
+            } catch (e) {
+                return; // Storage blocked (e.g. opened from a file) - keep the universal rating only
+            }
+            const verdict = verdicts[profileId];
+            if (!verdict) return;
+            
+            const panel = document.getElementById('personalVerdict');
+            panel.style.background = verdict.bgColor;
+            panel.style.color = verdict.color;
+            document.getElementById('personalVerdictTitle').textContent = verdict.icon + ' ' + verdict.summary;
+            const list = document.getElementById('personalVerdictReasons');
+            verdict.reasons.forEach(function(reason) {
+                const item = document.createElement('li');
+                item.textContent = reason;
+                list.appendChild(item);
+            });
+            panel.hidden = false;
+        })();
+    </script>
     
     <!-- PDF Download Script -->
     <script>
@@ -338,6 +396,42 @@ export class TrailGuideGeneratorV2 {
     };
   }
 
+  // Verdict per mobility profile, keyed by profile id; the guide shows the reader's own
+  getProfileVerdicts(data, routeInfo, stretches = []) {
+    const surveyData = accessibilityRating.normalizeSurveyData(data || {});
+    const gradeAnalysis = routeInfo.gradeAnalysis || null;
+    const verdicts = {};
+    
+    getAllProfiles()
+      .filter(profile => profile.id !== 'no_mobility_aids')
+      .forEach(profile => {
+        const personal = accessibilityRating.rateForProfile(surveyData, profile, { gradeAnalysis, stretches });
+        verdicts[profile.id] = {
+          icon: personal.verdictInfo.icon,
+          summary: personal.summary,
+          reasons: personal.reasons.map(r => r.note),
+          color: personal.verdictInfo.color,
+          bgColor: personal.verdictInfo.bgColor
+        };
+      });
+    
+    return verdicts;
+  }
+
+  // True when the route recorded rests, so moving time differs from elapsed time
+  hasRests(routeInfo) {
+    return typeof routeInfo.movingTime === 'number' &&
+      routeInfo.elapsedTime - routeInfo.movingTime >= 60000;
+  }
+
+  // Rest durations are always milliseconds (too short for formatDuration's guess)
+  formatRestDuration(ms) {
+    const minutes = Math.round(ms / 60000);
+    if (minutes < 1) return 'Under a minute';
+    if (minutes < 60) return `${minutes} min`;
+    return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+  }
+
   formatDuration(timeValue) {
     if (!timeValue) return '--';
     
@@ -502,6 +596,41 @@ export class TrailGuideGeneratorV2 {
     `;
   }
 
+  // Marked stretches in words, then one row each
+  renderStretchesSection(stretches) {
+    const described = stretches.filter(stretch => isStretchDescribed(stretch.attributes));
+    if (described.length === 0) return '';
+
+    return `
+        <section class="tg-section">
+            <h2 class="tg-section-title">🛤️ Along the Trail</h2>
+            <p class="tg-stretch-summary">${describeStretches(described)}</p>
+            <div class="tg-stretches">
+                ${described.map(stretch => `
+                    <div class="tg-stretch-row">
+                        <span class="tg-stretch-color" style="background: ${this.getStretchColor(stretch)}"></span>
+                        <span class="tg-stretch-range">${formatLength(stretch.from)} – ${formatLength(stretch.to)}</span>
+                        <span class="tg-stretch-details">${describeStretch(stretch.attributes)}</span>
+                    </div>
+                `).join('')}
+            </div>
+        </section>
+    `;
+  }
+
+  renderStretchLegend(stretches) {
+    const surfaces = [...new Set(stretches.map(stretch => stretch.attributes.surface))]
+      .map(getStretchSurface)
+      .filter(Boolean);
+
+    return surfaces.map(surface => `
+                <div class="tg-legend-item"><div class="tg-legend-dot" style="background: ${surface.color}"></div> ${surface.label}</div>`).join('');
+  }
+
+  getStretchColor(stretch) {
+    return getStretchSurface(stretch.attributes.surface)?.color || UNDESCRIBED_STRETCH_COLOR;
+  }
+
   getBarClass(percent) {
     if (percent >= 70) return 'good';
     if (percent >= 40) return 'moderate';
@@ -618,7 +747,7 @@ export class TrailGuideGeneratorV2 {
       distance: 0
     });
     
-    // Add photos and notes
+    // Add photos, notes, rests and waypoints
     routeData.forEach((point, index) => {
       if (point.type === 'photo') {
         // Handle both 'content' (from storage) and 'data' (from live tracking) field names
@@ -635,6 +764,16 @@ export class TrailGuideGeneratorV2 {
             coords: point.coords || null
           });
         }
+      } else if (point.type === 'pause' && point.duration > 0) {
+        items.push({
+          type: 'rest',
+          icon: point.auto ? '💤' : '⏸️',
+          title: point.auto ? 'Rest Stop' : 'Paused',
+          content: this.formatRestDuration(point.duration),
+          time: point.timestamp ? new Date(point.timestamp).toLocaleTimeString() : null,
+          distance: point.distance || null,
+          coords: point.coords || null
+        });
       } else if (point.type === 'text') {
         // Handle both 'content' (from storage) and 'text'/'data' field names
         const noteContent = point.content || point.text || point.data;
@@ -650,14 +789,31 @@ export class TrailGuideGeneratorV2 {
             coords: point.coords || null
           });
         }
+      } else if (point.type === 'waypoint') {
+        const waypointType = getWaypointType(point.waypointType);
+        if (waypointType) {
+          items.push({
+            type: 'waypoint',
+            icon: waypointType.icon,
+            title: waypointType.name,
+            content: describeWaypoint(point) || null,
+            time: point.timestamp ? new Date(point.timestamp).toLocaleTimeString() : null,
+            distance: point.distance || null,
+            coords: point.coords || null
+          });
+        }
       }
     });
     
     // Add end point
+    const elapsedTime = routeInfo.elapsedTime || 0;
     items.push({
       type: 'end',
       icon: '🔴',
       title: 'End',
+      content: elapsedTime > 0
+        ? `Total time ${this.formatDuration(elapsedTime)} · moving ${this.formatDuration(routeInfo.movingTime ?? elapsedTime)}`
+        : null,
       time: null,
       distance: routeInfo.totalDistance || null
     });
@@ -673,6 +829,8 @@ export class TrailGuideGeneratorV2 {
       content = `<img src="${item.content}" class="tg-timeline-photo" alt="Trail photo">`;
     } else if (item.type === 'note' && item.content) {
       content = `<p class="tg-timeline-text">"${item.content}"</p>`;
+    } else if ((item.type === 'rest' || item.type === 'end' || item.type === 'waypoint') && item.content) {
+      content = `<p class="tg-timeline-meta">${item.content}${item.type === 'rest' && item.time ? ` · ${item.time}` : ''}</p>`;
     }
     
     const distanceText = item.distance ? `${(item.distance / 1000).toFixed(1)} km` : '';
@@ -747,52 +905,46 @@ export class TrailGuideGeneratorV2 {
     `;
   }
 
+  // Checklist without photos - guides are stored as one cloud document
+  renderComplianceSection(routeData, routeInfo, data) {
+    let report;
+    try {
+      report = complianceReport.evaluate(routeData, routeInfo, data);
+    } catch (error) {
+      console.warn('⚠️ Compliance checklist skipped:', error);
+      return '';
+    }
+
+    return `
+        <section class="tg-section">
+            <h2 class="tg-section-title">📏 Standards Compliance</h2>
+            ${complianceReport.renderChecklist(report, { includePhotos: false })}
+        </section>
+    `;
+  }
+
   renderFullSurveyDetails(data) {
     if (!data) return '<p style="color:#666;">No survey data available.</p>';
     
     const items = [];
     
-    // Helper to add item if value exists
-    const addItem = (label, value) => {
-      if (value && value !== 'Unknown' && value !== '') {
-        const displayValue = Array.isArray(value) ? value.join(', ') : value;
-        items.push({ label, value: displayValue });
-      }
-    };
-    
-    // Basic Info
-    addItem('Trail Name', data.trailName);
-    addItem('Location', data.location);
-    addItem('Route Type', data.routeType);
-    addItem('Difficulty', data.difficulty);
-    
-    // Accessibility
-    addItem('Wheelchair Access', data.wheelchairAccess);
-    addItem('Trail Surface', data.trailSurface);
-    addItem('Surface Quality', data.surfaceQuality);
-    addItem('Trail Slopes', data.trailSlopes);
-    
-    // Facilities
-    addItem('Accessible Parking', data.disabledParking);
-    addItem('Parking Spaces', data.parkingSpaces);
-    addItem('Restrooms', data.restrooms);
-    addItem('Water Fountains', data.waterFountains);
-    addItem('Seating', data.seating);
-    
-    // Environment
-    addItem('Shade Coverage', data.shadeCoverage);
-    addItem('Lighting', data.lighting);
-    addItem('Signage', data.signage);
-    addItem('Visual Access', data.visualAccess);
-    addItem('Trail Width', data.trailWidth);
-    
-    // Extras
-    addItem('Picnic Areas', data.picnicAreas);
-    addItem('Accessible Viewpoint', data.accessibleViewpoint);
-    addItem('Environment', data.environment);
-    
-    // Notes
-    addItem('Additional Notes', data.additionalNotes);
+    // Every answered schema field except who surveyed and when
+    SURVEY_FIELDS
+      .filter(field => !['surveyorName', 'surveyDate'].includes(field.key))
+      .forEach(field => {
+        const value = data[field.key];
+        if (value === undefined || value === 0) return;
+        
+        let displayValue;
+        if (field.type === 'flag') {
+          displayValue = 'Yes';
+        } else if (Array.isArray(value)) {
+          displayValue = value.join(', ');
+        } else {
+          displayValue = field.unit ? `${value} ${field.unit}` : value;
+        }
+        items.push({ label: getFieldLabel(field.key), value: displayValue });
+      });
     
     if (items.length === 0) {
       return '<p style="color:#666;">No detailed survey data available.</p>';
@@ -810,8 +962,20 @@ export class TrailGuideGeneratorV2 {
     `;
   }
 
-  getMapScript(locationPoints, bounds, photos, notes) {
-    const pathCoords = locationPoints.map(p => `[${p.coords.lat}, ${p.coords.lng}]`).join(',');
+  getMapScript(locationPoints, bounds, photos, notes, waypoints = [], stretches = []) {
+    // One line per track segment; gaps between segments are drawn dashed
+    const segments = getTrackSegments(locationPoints);
+    const toLatLngs = (points) => points.map(p => `[${p.coords.lat}, ${p.coords.lng}]`).join(',');
+    const pathCoords = segments.map(segment => `[${toLatLngs(segment)}]`).join(',');
+    const gapCoords = getSegmentGaps(segments)
+      .map(gap => `[[${gap.from.lat}, ${gap.from.lng}], [${gap.to.lat}, ${gap.to.lng}]]`)
+      .join(',');
+    // Marked stretches as wide bands under the route line
+    const stretchLines = stretches.map(stretch => JSON.stringify({
+      paths: stretch.paths.map(path => path.map(p => [p.lat, p.lng])),
+      color: this.getStretchColor(stretch),
+      popup: `<strong>🛤️ ${describeStretch(stretch.attributes) || 'Stretch'}</strong><br>${formatLength(stretch.from)} – ${formatLength(stretch.to)}`
+    }).replace(/</g, '\\u003c')).join(',');
     const startCoord = locationPoints[0]?.coords;
     const endCoord = locationPoints[locationPoints.length - 1]?.coords;
     
@@ -830,6 +994,10 @@ export class TrailGuideGeneratorV2 {
         
         const pathCoords = [${pathCoords}];
         
+        [${stretchLines}].forEach(stretch => {
+            L.polyline(stretch.paths, { color: stretch.color, weight: 10, opacity: 0.45 }).addTo(map).bindPopup(stretch.popup);
+        });
+        
         if (pathCoords.length > 0) {
             const polyline = L.polyline(pathCoords, {
                 color: '#4a7c59',
@@ -839,6 +1007,10 @@ export class TrailGuideGeneratorV2 {
             
             map.fitBounds(polyline.getBounds(), { padding: [30, 30] });
             
+            [${gapCoords}].forEach(gap => {
+                L.polyline(gap, { color: '#9ca3af', weight: 3, opacity: 0.8, dashArray: '6, 8' }).addTo(map);
+            });
+            
             // Start marker
             L.marker([${startCoord?.lat || 0}, ${startCoord?.lng || 0}], {
                 icon: L.divIcon({
@@ -882,6 +1054,23 @@ export class TrailGuideGeneratorV2 {
                 })
             }).addTo(map).bindPopup('<div style="max-width:200px;"><strong style="color:#92400e;">📝 Note</strong><p style="margin:8px 0 0;font-size:13px;color:#333;">${(note.text || note.content || note.data || '').replace(/'/g, "\\'")}</p></div>');
             `).join('')}
+            
+            // Waypoint markers
+            ${waypoints.filter(w => w.coords).map(waypoint => {
+              const type = getWaypointType(waypoint.waypointType);
+              const details = describeWaypoint(waypoint).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/'/g, "\\'");
+              return `
+            L.marker([${waypoint.coords.lat}, ${waypoint.coords.lng}], {
+                icon: L.divIcon({
+                    className: 'waypoint-marker',
+                    html: '<div style="background:${type.color};width:28px;height:28px;border-radius:50%;border:3px solid white;box-shadow:0 2px 6px rgba(0,0,0,0.3);display:flex;align-items:center;justify-content:center;font-size:14px;">${type.icon}</div>',
+                    iconSize: [28, 28],
+                    iconAnchor: [14, 14]
+                }),
+                title: '${type.name}'
+            }).addTo(map).bindPopup('<div style="max-width:200px;"><strong>${type.icon} ${type.name}</strong>${details ? `<p style="margin:8px 0 0;font-size:13px;color:#333;">${details}</p>` : ''}</div>');
+            `;
+            }).join('')}
         }
     </script>`;
   }
@@ -982,6 +1171,25 @@ export class TrailGuideGeneratorV2 {
             opacity: 0.9;
         }
         
+        /* Personal Verdict */
+        .tg-personal-verdict {
+            padding: 12px 24px;
+            border-bottom: 1px solid #e5e5e5;
+        }
+        
+        .tg-personal-verdict[hidden] {
+            display: none;
+        }
+        
+        .tg-personal-verdict-title {
+            font-weight: 700;
+        }
+        
+        .tg-personal-verdict-reasons {
+            margin: 6px 0 0 20px;
+            font-size: 0.9rem;
+        }
+        
         /* Stats Row */
         .tg-stats-row {
             display: grid;
@@ -1106,6 +1314,46 @@ export class TrailGuideGeneratorV2 {
             text-align: right;
         }
         
+        /* Along the Trail */
+        .tg-stretch-summary {
+            margin: 0 0 12px;
+            font-size: 0.95rem;
+            color: #333;
+        }
+        
+        .tg-stretches {
+            display: flex;
+            flex-direction: column;
+            gap: 8px;
+        }
+        
+        .tg-stretch-row {
+            display: flex;
+            align-items: center;
+            gap: 10px;
+            font-size: 0.85rem;
+        }
+        
+        .tg-stretch-color {
+            flex-shrink: 0;
+            width: 14px;
+            height: 14px;
+            border-radius: 3px;
+        }
+        
+        .tg-stretch-range {
+            width: 120px;
+            color: #666;
+        }
+        
+        .tg-stretch-details {
+            flex: 1;
+            color: #333;
+        }
+        
+        /* Standards Compliance */
+        ${complianceReport.getStyles()}
+        
         /* Facilities */
         .tg-facilities {
             display: grid;
@@ -1282,6 +1530,11 @@ export class TrailGuideGeneratorV2 {
             font-style: italic;
         }
         
+        .tg-timeline-meta {
+            color: #666;
+            font-size: 0.85rem;
+        }
+        
         /* Heads Up */
         .tg-heads-up {
             background: #fef3c7;
@@ -6,7 +6,9 @@
  * Created: December 2025
  */
 
-import { ACCESSIBILITY_RATINGS, SURFACE_TYPES } from './accessibilityRating.js';
+import { ACCESSIBILITY_RATINGS, SURFACE_TYPES, accessibilityRating } from './accessibilityRating.js';
+import { userService } from '../services/userService.js';
+import { getSurveyOption, getSurveyValues, normalizeSurvey } from '../config/surveySchema.js';
 
 // Sort options
 export const SORT_OPTIONS = {
@@ -27,6 +29,14 @@ export const DISTANCE_RANGES = {
   very_long: { id: 'very_long', label: 'Very Long (> 10km)', min: 10000, max: Infinity }
 };
 
+// Surface filter IDs -> survey option surfaceIds they cover
+const SURFACE_FILTER_IDS = {
+  paved: ['paved', 'boardwalk'],
+  packed_gravel: ['packed_gravel'],
+  dirt: ['grass', 'dirt'],
+  mixed: ['mixed']
+};
+
 /**
  * Trail Search System
  */
@@ -407,6 +417,18 @@ class TrailSearch {
         margin-bottom: 16px;
       }
       
+      /* Personal verdict chip on trail cards */
+      .personal-verdict-chip {
+        display: inline-flex;
+        align-items: center;
+        gap: 4px;
+        padding: 3px 8px;
+        border-radius: 12px;
+        font-size: 12px;
+        font-weight: 600;
+        white-space: nowrap;
+      }
+      
       /* Mobile Responsive */
       @media (max-width: 480px) {
         .trail-search-container {
@@ -433,6 +455,37 @@ class TrailSearch {
     document.head.appendChild(styles);
   }
 
+  // ==================== PERSONAL VERDICTS ====================
+
+  /**
+   * Verdict for the signed-in user's mobility profile
+   * @param {object} trail - trail_guides document
+   * @returns {object|null} rateForProfile() result, or null without a profile
+   */
+  getPersonalVerdict(trail) {
+    if (!userService.hasMobilityProfile()) return null;
+
+    const { surveyData, gradeAnalysis, stretches } = accessibilityRating.normalizeTrailGuide(trail);
+    return accessibilityRating.rateForProfile(surveyData, userService.getMobilityProfile(), { gradeAnalysis, stretches });
+  }
+
+  /**
+   * Chip shown next to a card's universal accessibility badge
+   * @param {object} trail - trail_guides document
+   * @returns {string} HTML, empty without a profile
+   */
+  createPersonalVerdictChip(trail) {
+    const personal = this.getPersonalVerdict(trail);
+    if (!personal) return '';
+
+    const info = personal.verdictInfo;
+    const reasons = personal.reasons.map(r => r.note).join('\n') || 'No slope, surface or step details recorded';
+    const escape = (text) => String(text).replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+
+    return `<span class="personal-verdict-chip" style="background: ${info.bgColor}; color: ${info.color};"
+                  title="${escape(`${personal.summary}\n\n${reasons}`)}">${info.icon} ${personal.icon} ${escape(info.label)} you</span>`;
+  }
+
   // ==================== FILTERING ====================
 
   /**
@@ -460,22 +513,12 @@ class TrailSearch {
       }
       
       // Accessibility filter
-      // Survey values: "Fully accessible", "Partially accessible", "Accessible with assistance", "Not accessible"
-      // Filter IDs: "fully", "partial", "not"
+      // Filter IDs match the `rating` of the survey's wheelchairAccess options;
+      // unanswered surveys count as not accessible
+      const survey = normalizeSurvey(trail.accessibility) || {};
       if (this.filters.accessibility) {
-        const wheelchairAccess = trail.accessibility?.wheelchairAccess || '';
-        const accessLower = wheelchairAccess.toLowerCase();
-        
-        let matches = false;
-        if (this.filters.accessibility === 'fully') {
-          matches = accessLower.includes('fully');
-        } else if (this.filters.accessibility === 'partial') {
-          matches = accessLower.includes('partial') || accessLower.includes('assistance');
-        } else if (this.filters.accessibility === 'not') {
-          matches = accessLower.includes('not accessible') || accessLower === '' || accessLower === 'unknown';
-        }
-        
-        if (!matches) {
+        const rating = getSurveyOption('wheelchairAccess', survey.wheelchairAccess)?.rating || 'not';
+        if (rating !== this.filters.accessibility) {
           return false;
         }
       }
@@ -490,24 +533,14 @@ class TrailSearch {
       }
       
       // Surface filter
-      // Survey values: "Asphalt", "Concrete", "Stone", "Wood/Plastic Deck", "Compacted Gravel", "Mixed Surfaces", "Grass"
-      // Filter IDs: "paved", "packed_gravel", "dirt", "mixed"
+      // Filter IDs: "paved", "packed_gravel", "dirt", "mixed"; matched against
+      // the surfaceId of every surface reported in the survey
       if (this.filters.surface) {
-        const trailSurface = trail.accessibility?.trailSurface || '';
-        const surfaceLower = trailSurface.toLowerCase();
-        
-        let matches = false;
-        if (this.filters.surface === 'paved') {
-          matches = surfaceLower.includes('asphalt') || surfaceLower.includes('concrete') || surfaceLower.includes('wood');
-        } else if (this.filters.surface === 'packed_gravel') {
-          matches = surfaceLower.includes('gravel') || surfaceLower.includes('stone');
-        } else if (this.filters.surface === 'dirt') {
-          matches = surfaceLower.includes('grass') || surfaceLower.includes('dirt');
-        } else if (this.filters.surface === 'mixed') {
-          matches = surfaceLower.includes('mixed');
-        }
+        const surfaceIds = getSurveyValues(survey, 'trailSurface')
+          .map(value => getSurveyOption('trailSurface', value)?.surfaceId || String(value).toLowerCase());
+        const wanted = SURFACE_FILTER_IDS[this.filters.surface] || [this.filters.surface];
         
-        if (!matches) {
+        if (!surfaceIds.some(id => wanted.includes(id))) {
           return false;
         }
       }
@@ -9,8 +9,11 @@ import { mobilityProfileUI } from './ui/mobilityProfileUI.js';
 import { communityChallenges } from './features/communityChallenges.js';
 import { accessibilityRating } from './features/accessibilityRating.js';
 import { trailSearch } from './features/trailSearch.js';
+import { surveyConsensus } from './features/surveyConsensus.js';
+import { surveyHistoryUI } from './ui/surveyHistoryUI.js';
 import { showError, getErrorMessage } from './utils/errorMessages.js';
 import { userService } from './services/userService.js';
+import { surveyMigration } from './services/surveyMigration.js';
 import { betaFeedback } from './utils/betaFeedback.js';
 // import { initializeAccessReport } from './js/modules/access-report-main.js';
 
@@ -27,6 +30,7 @@ window.applyFilters = () => window.landingController?.applyFilters();
 window.loadMoreResults = () => window.landingController?.loadMoreResults();
 window.loadMoreFeatured = () => window.landingController?.loadMoreFeatured();
 window.viewTrailGuide = (guideId) => window.landingController?.viewTrailGuide(guideId);
+window.followTrailGuide = (guideId) => { window.location.href = `tracker.html?follow=${encodeURIComponent(guideId)}`; };
 window.loadMyTrailGuides = () => window.landingController?.loadMyTrailGuides();
 window.showAbout = () => window.landingController?.showAbout();
 window.showPrivacy = () => window.landingController?.showPrivacy();
@@ -346,6 +350,7 @@ class LandingPageController {
     window.loadMoreResults = () => this.loadMoreResults();
     window.loadMoreFeatured = () => this.loadMoreFeatured();
     window.viewTrailGuide = (guideId) => this.viewTrailGuide(guideId);
+    window.followTrailGuide = (guideId) => this.followTrailGuide(guideId);
     window.loadMyTrailGuides = () => this.loadMyTrailGuides();
     
     // Social functions
@@ -544,8 +549,9 @@ async searchTrails() {
           
           <div class="trail-accessibility-tags">
             ${accessibility.wheelchairAccess ? `<span class="accessibility-tag">♿ ${accessibility.wheelchairAccess}</span>` : ''}
+            ${trailSearch.createPersonalVerdictChip(guide)}
             ${accessibility.difficulty ? `<span class="accessibility-tag">🥾 ${accessibility.difficulty}</span>` : ''}
-            ${accessibility.trailSurface ? `<span class="accessibility-tag">🛤️ ${accessibility.trailSurface}</span>` : ''}
+            ${accessibility.trailSurface ? `<span class="accessibility-tag">🛤️ ${[].concat(accessibility.trailSurface).join(', ')}</span>` : ''}
           </div>
           
           <div class="trail-community-stats">
@@ -553,11 +559,22 @@ async searchTrails() {
             <span>📷 ${metadata.photoCount || 0} photos</span>
             <span>📝 ${metadata.noteCount || 0} notes</span>
           </div>
+
+          <div class="trail-actions">
+            <button class="follow-trail-btn" onclick="event.stopPropagation(); followTrailGuide('${guide.id}')">
+              🧭 Follow
+            </button>
+          </div>
         </div>
       </div>
     `;
   }
 
+  // Follow a guide with live navigation - the tracker picks it up from the link
+  followTrailGuide(guideId) {
+    window.location.href = `tracker.html?follow=${encodeURIComponent(guideId)}`;
+  }
+
   async viewTrailGuide(guideId) {
     try {
       console.log('👁️ Viewing trail guide:', guideId);
@@ -936,6 +953,7 @@ updateLoadMoreButton() {
           </div>
           <div class="trail-accessibility">
             ${accessibility.wheelchairAccess ? `<span class="accessibility-badge">♿ ${accessibility.wheelchairAccess}</span>` : ''}
+            ${trailSearch.createPersonalVerdictChip(trail)}
             ${accessibility.difficulty ? `<span class="accessibility-badge">🥾 ${accessibility.difficulty}</span>` : ''}
           </div>
           <div class="trail-stats">
@@ -956,6 +974,9 @@ updateLoadMoreButton() {
                     aria-label="Share this trail">
               📤 Share
             </button>
+            <button class="follow-trail-btn" onclick="event.stopPropagation(); followTrailGuide('${trail.id}')">
+              🧭 Follow
+            </button>
             <button class="view-trail-btn" onclick="viewTrailGuide('${trail.id}')">
               View Guide
             </button>
@@ -1588,6 +1609,9 @@ Happy trail mapping! 🥾`);
         }
       }
       
+      // Bring surveys saved before the survey schema into its shape (once per account)
+      surveyMigration.migrateCloud(authStatus.user);
+      
       // Load user's trails
       this.loadMyTrails();
       
@@ -1914,6 +1938,9 @@ Happy trail mapping! 🥾`);
             ✕ Close
           </button>
           <h2>${this.escapeHtml(guideName)}</h2>
+          <button class="close-overlay-btn" id="followGuideOverlay">
+            🧭 Follow
+          </button>
         </div>
         <iframe class="trail-guide-iframe" id="guideIframe" sandbox="allow-scripts allow-same-origin allow-downloads allow-popups allow-popups-to-escape-sandbox allow-top-navigation-by-user-activation"></iframe>
       `;
@@ -1977,6 +2004,23 @@ Happy trail mapping! 🥾`);
       
       document.body.appendChild(overlay);
       
+      // Consensus of everyone's surveys of this trail, rated as a whole
+      surveyConsensus.getForGuide(guideData).then(consensus => {
+        if (consensus && overlay.isConnected) {
+          overlay.querySelector('.trail-guide-overlay-header').after(surveyConsensus.createPanel(consensus));
+        }
+      }).catch(error => console.warn('Could not build survey consensus:', error));
+      
+      // What changed in this guide's survey; its author can restore earlier answers
+      overlay.querySelector('.trail-guide-overlay-header').after(surveyHistoryUI.createChangeLogPanel(guideData, {
+        canRestore: !!auth.currentUser && auth.currentUser.uid === guideData.userId,
+        onRestored: () => {
+          surveyConsensus.clearCache();
+          overlay.querySelector('#closeGuideOverlay')?.click();
+          this.viewTrailGuide(guideData.id);
+        }
+      }));
+      
       // Write content to iframe
       const iframe = overlay.querySelector('#guideIframe');
       if (iframe) {
@@ -1993,6 +2037,9 @@ Happy trail mapping! 🥾`);
       // Prevent body scroll
       document.body.style.overflow = 'hidden';
       
+      // Navigate along this guide in the tracker
+      overlay.querySelector('#followGuideOverlay')?.addEventListener('click', () => this.followTrailGuide(guideData.id));
+      
       // Close button handler
       const closeBtn = overlay.querySelector('#closeGuideOverlay');
       if (closeBtn) {
@@ -21,6 +21,8 @@ import { toast } from './utils/toast.js';
 import { modal } from './utils/modal.js';
 import { showError, getErrorMessage } from './utils/errorMessages.js';
 import { betaFeedback } from './utils/betaFeedback.js';
+import { surveyMigration } from './services/surveyMigration.js';
+import { surveyHistory } from './services/surveyHistory.js';
 
 class AccessNatureApp {
   constructor() {
@@ -56,6 +58,10 @@ async initialize() {
     // Set up dependencies
     this.setupControllerDependencies();
 
+    // Surveys saved before the survey schema: this device now, the cloud once signed in
+    surveyMigration.migrateLocal();
+    authController.onLogin(user => surveyMigration.migrateCloud(user));
+
     // Initialize all controllers
     await this.initializeControllers();
 
@@ -609,7 +615,18 @@ document.addEventListener('DOMContentLoaded', async () => {
 // Global functions for HTML onclick handlers
 window.openAccessibilityForm = (callback) => {
   console.log('🔧 Opening accessibility form');
-  app?.getController('accessibility')?.open(callback);
+  app?.getController('accessibility')?.open((data) => {
+    // Re-surveying a route loaded from the cloud adds a version to it and its guides
+    const cloudRouteId = app?.getController('state')?.getCloudRouteId();
+    if (cloudRouteId) {
+      surveyHistory.resurvey(cloudRouteId, data)
+        .then(updated => {
+          if (updated > 0) toast.success('Cloud route updated - earlier answers are kept in its survey history');
+        })
+        .catch(error => console.warn('⚠️ Could not update the cloud route survey:', error));
+    }
+    callback?.(data);
+  });
 };
 
 window.closeAccessibilityForm = () => {
@@ -6,6 +6,7 @@
 import { toast } from '../utils/toast.js';
 import { modal } from '../utils/modal.js';
 import { pwaManager } from './pwaManager.js';
+import { localDEMProvider } from '../services/elevationService.js';
 
 class OfflineMapsUI {
   constructor() {
@@ -77,6 +78,7 @@ class OfflineMapsUI {
 
     container.innerHTML = this.renderPanel();
     this.attachEventListeners(container);
+    this.refreshElevationTiles();
   }
 
   /**
@@ -109,6 +111,7 @@ class OfflineMapsUI {
     
     // Update cache size display
     this.updateCacheSize();
+    this.refreshElevationTiles();
   }
 
   /**
@@ -155,6 +158,18 @@ class OfflineMapsUI {
       
       ${this.renderCachedRegions()}
       
+      <div class="elevation-tiles">
+        <h4>⛰️ Offline Elevation</h4>
+        <p class="elevation-tiles-hint">
+          Import SRTM .hgt or GeoTIFF (WGS84) tiles to measure slopes without a signal.
+        </p>
+        <div class="elevation-tiles-list" id="elevationTilesList"></div>
+        <button class="offline-maps-btn secondary" id="importElevationTiles" style="width: 100%;">
+          📂 Import Elevation Tiles
+        </button>
+        <input type="file" id="elevationTilesInput" accept=".hgt,.tif,.tiff" multiple class="hidden" aria-label="Import elevation tiles">
+      </div>
+      
       <div class="cache-storage-info">
         <div class="cache-storage-header">
           <span class="cache-storage-title">Storage Used</span>
@@ -238,10 +253,96 @@ class OfflineMapsUI {
       });
     });
 
+    // Elevation tile import
+    const elevationInput = container.querySelector('#elevationTilesInput');
+    container.querySelector('#importElevationTiles')?.addEventListener('click', () => {
+      elevationInput?.click();
+    });
+    elevationInput?.addEventListener('change', (e) => {
+      this.importElevationTiles(Array.from(e.target.files || []));
+      e.target.value = '';
+    });
+
     // Listen for progress updates from service worker
     this.setupProgressListener();
   }
 
+  /**
+   * Import DEM files into offline elevation storage
+   * @param {File[]} files
+   */
+  async importElevationTiles(files) {
+    if (files.length === 0) return;
+
+    let imported = 0;
+    for (const file of files) {
+      try {
+        toast.info(`Reading ${file.name}...`);
+        await localDEMProvider.importFile(file);
+        imported++;
+      } catch (error) {
+        console.error('Elevation import failed:', error);
+        toast.error(`${file.name}: ${error.message}`);
+      }
+    }
+
+    if (imported > 0) {
+      toast.success(`${imported} elevation tile(s) ready for offline use`);
+    }
+    this.refreshElevationTiles();
+  }
+
+  /**
+   * Render the stored elevation tiles list
+   */
+  async refreshElevationTiles() {
+    const list = document.getElementById('elevationTilesList');
+    if (!list) return;
+
+    const tiles = await localDEMProvider.getTiles();
+    if (tiles.length === 0) {
+      list.innerHTML = '<p class="elevation-tiles-empty">No elevation tiles imported</p>';
+      return;
+    }
+
+    list.innerHTML = tiles.map(tile => `
+      <div class="cached-region-item">
+        <div class="cached-region-info">
+          <span class="cached-region-icon">⛰️</span>
+          <div>
+            <div class="cached-region-name">${tile.name}</div>
+            <div class="cached-region-size">${this.formatBounds(tile.bounds)} • ${this.formatBytes(tile.size)}</div>
+          </div>
+        </div>
+        <button class="cached-region-remove" data-tile-id="${tile.id}" title="Remove">×</button>
+      </div>
+    `).join('');
+
+    list.querySelectorAll('[data-tile-id]').forEach(btn => {
+      btn.addEventListener('click', () => this.removeElevationTile(btn.dataset.tileId));
+    });
+  }
+
+  /**
+   * Remove an elevation tile
+   */
+  async removeElevationTile(id) {
+    const confirm = await modal.confirm(
+      'Remove this elevation tile from offline storage?',
+      '🗑️ Remove Elevation Tile'
+    );
+
+    if (!confirm) return;
+
+    try {
+      await localDEMProvider.removeTile(id);
+      toast.success('Elevation tile removed');
+    } catch (error) {
+      toast.error('Failed to remove elevation tile');
+    }
+    this.refreshElevationTiles();
+  }
+
   /**
    * Setup progress listener for downloads
    */
@@ -556,6 +657,15 @@ class OfflineMapsUI {
     return (bytes / (1024 * 1024)).toFixed(1) + ' MB';
   }
 
+  /**
+   * Format tile bounds, e.g. "47.0–48.0°N, 11.0–12.0°E"
+   */
+  formatBounds(bounds) {
+    const lat = (v) => `${Math.abs(v).toFixed(1)}°${v < 0 ? 'S' : 'N'}`;
+    const lng = (v) => `${Math.abs(v).toFixed(1)}°${v < 0 ? 'W' : 'E'}`;
+    return `${lat(bounds.south)}–${lat(bounds.north)}, ${lng(bounds.west)}–${lng(bounds.east)}`;
+  }
+
   /**
    * Format date
    */
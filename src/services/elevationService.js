@@ -0,0 +1,342 @@
+/**
+ * Elevation Service
+ * Answers point and batch elevation lookups from a chain of providers:
+ *   1. Local DEM tiles imported by the user (works with no signal)
+ *   2. open-meteo elevation API (network fallback)
+ *
+ * Every provider implements the same interface:
+ *   name                                  - Short id for logs
+ *   getElevation(lat, lng)                - Promise<number|null>
+ *   getElevations(coordsList)             - Promise<Array<number|null>>, aligned with input
+ *
+ * Access Nature - Route Geometry
+ * Created: December 2025
+ */
+
+import { parseDEM, sampleGrid } from '../utils/demParser.js';
+
+// ==================== NETWORK ====================
+
+/**
+ * open-meteo elevation API (Copernicus 90m DEM)
+ */
+export class NetworkElevationProvider {
+  constructor(options = {}) {
+    this.name = 'network';
+    this.baseUrl = options.baseUrl || 'https://api.open-meteo.com/v1/elevation';
+    // open-meteo accepts up to 100 coordinates per call
+    this.batchSize = options.batchSize || 100;
+  }
+
+  async getElevation(lat, lng) {
+    const [elevation] = await this.getElevations([{ lat, lng }]);
+    return elevation;
+  }
+
+  async getElevations(coordsList) {
+    const results = new Array(coordsList.length).fill(null);
+    if (typeof navigator !== 'undefined' && navigator.onLine === false) return results;
+
+    for (let start = 0; start < coordsList.length; start += this.batchSize) {
+      const batch = coordsList.slice(start, start + this.batchSize);
+      try {
+        const lats = batch.map(c => c.lat.toFixed(6)).join(',');
+        const lngs = batch.map(c => c.lng.toFixed(6)).join(',');
+        const response = await fetch(`${this.baseUrl}?latitude=${lats}&longitude=${lngs}`);
+
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+        const data = await response.json();
+        if (Array.isArray(data.elevation)) {
+          data.elevation.forEach((value, i) => {
+            results[start + i] = typeof value === 'number' ? value : null;
+          });
+        }
+      } catch (error) {
+        console.warn('Elevation batch fetch failed:', error);
+      }
+    }
+
+    return results;
+  }
+}
+
+// ==================== LOCAL DEM ====================
+
+/**
+ * Imported DEM tiles, kept in their own IndexedDB database.
+ * Tile metadata and sample data live in separate stores so the tile index
+ * can be loaded without pulling megabytes of samples into memory.
+ */
+export class LocalDEMProvider {
+  constructor(options = {}) {
+    this.name = 'local';
+    this.dbName = 'AccessNatureElevation';
+    this.dbVersion = 1;
+    this.db = null;
+    this.tiles = [];               // Metadata of every stored tile
+    this.gridCache = new Map();    // id -> decoded grid, most recently used last
+    this.maxCachedGrids = options.maxCachedGrids || 4;
+    this.ready = null;
+  }
+
+  /**
+   * Open the database and load the tile index (safe to call repeatedly)
+   */
+  init() {
+    if (!this.ready) {
+      this.ready = this.openDatabase()
+        .then(() => this.loadIndex())
+        .catch(error => {
+          console.warn('⚠️ Offline elevation unavailable:', error);
+          this.ready = null;
+        });
+    }
+    return this.ready;
+  }
+
+  openDatabase() {
+    return new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('IndexedDB not supported'));
+        return;
+      }
+
+      const request = indexedDB.open(this.dbName, this.dbVersion);
+
+      request.onerror = () => reject(request.error);
+
+      request.onsuccess = () => {
+        this.db = request.result;
+        resolve();
+      };
+
+      request.onupgradeneeded = (event) => {
+        const db = event.target.result;
+
+        if (!db.objectStoreNames.contains('tiles')) {
+          db.createObjectStore('tiles', { keyPath: 'id' });
+        }
+
+        if (!db.objectStoreNames.contains('tile_data')) {
+          db.createObjectStore('tile_data', { keyPath: 'id' });
+        }
+
+        console.log('⛰️ Elevation tile database created');
+      };
+    });
+  }
+
+  async loadIndex() {
+    this.tiles = await this.request('tiles', 'readonly', store => store.getAll()) || [];
+    console.log(`⛰️ ${this.tiles.length} offline elevation tile(s) available`);
+  }
+
+  /**
+   * Run a single IndexedDB request against a store
+   */
+  request(storeName, mode, action) {
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([storeName], mode);
+      const request = action(transaction.objectStore(storeName));
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * Parse a DEM file and store it
+   * @param {File} file - .hgt or GeoTIFF
+   * @returns {Promise<object>} Stored tile metadata
+   */
+  async importFile(file) {
+    await this.init();
+    if (!this.db) throw new Error('Offline elevation storage is not available');
+
+    const grid = await parseDEM(await file.arrayBuffer(), file.name);
+    const id = `${grid.format}_${grid.bounds.south.toFixed(4)}_${grid.bounds.west.toFixed(4)}_${grid.width}x${grid.height}`;
+
+    const meta = {
+      id,
+      name: file.name,
+      format: grid.format,
+      bounds: grid.bounds,
+      width: grid.width,
+      height: grid.height,
+      noData: grid.noData,
+      size: grid.data.byteLength,
+      importedAt: new Date().toISOString()
+    };
+
+    await new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(['tiles', 'tile_data'], 'readwrite');
+      transaction.objectStore('tiles').put(meta);
+      transaction.objectStore('tile_data').put({ id, data: grid.data });
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error || new Error('Storage quota exceeded'));
+    });
+
+    this.tiles = this.tiles.filter(t => t.id !== id).concat(meta);
+    this.cacheGrid({ ...meta, data: grid.data });
+    console.log(`⛰️ Imported elevation tile ${file.name}`);
+    return meta;
+  }
+
+  /**
+   * Remove a stored tile
+   * @param {string} id
+   */
+  async removeTile(id) {
+    await this.init();
+    if (!this.db) return;
+
+    await new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(['tiles', 'tile_data'], 'readwrite');
+      transaction.objectStore('tiles').delete(id);
+      transaction.objectStore('tile_data').delete(id);
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+    });
+
+    this.tiles = this.tiles.filter(t => t.id !== id);
+    this.gridCache.delete(id);
+  }
+
+  /**
+   * Stored tile metadata
+   * @returns {Promise<Array>}
+   */
+  async getTiles() {
+    await this.init();
+    return [...this.tiles];
+  }
+
+  /**
+   * Tile covering a point - the finest resolution wins when tiles overlap
+   */
+  findTile(lat, lng) {
+    let best = null;
+    this.tiles.forEach(tile => {
+      const { south, west, north, east } = tile.bounds;
+      if (lat < south || lat > north || lng < west || lng > east) return;
+      const spacing = (east - west) / (tile.width - 1);
+      if (!best || spacing < best.spacing) best = { tile, spacing };
+    });
+    return best?.tile || null;
+  }
+
+  async loadGrid(tile) {
+    if (this.gridCache.has(tile.id)) {
+      const grid = this.gridCache.get(tile.id);
+      // Refresh its LRU position
+      this.gridCache.delete(tile.id);
+      this.gridCache.set(tile.id, grid);
+      return grid;
+    }
+
+    const record = await this.request('tile_data', 'readonly', store => store.get(tile.id));
+    if (!record) return null;
+
+    const grid = { ...tile, data: record.data };
+    this.cacheGrid(grid);
+    return grid;
+  }
+
+  cacheGrid(grid) {
+    this.gridCache.set(grid.id, grid);
+    while (this.gridCache.size > this.maxCachedGrids) {
+      this.gridCache.delete(this.gridCache.keys().next().value);
+    }
+  }
+
+  async getElevation(lat, lng) {
+    const [elevation] = await this.getElevations([{ lat, lng }]);
+    return elevation;
+  }
+
+  async getElevations(coordsList) {
+    const results = new Array(coordsList.length).fill(null);
+    await this.init();
+    if (!this.db || this.tiles.length === 0) return results;
+
+    // Group by tile so each grid is loaded once per batch
+    const byTile = new Map();
+    coordsList.forEach((coords, i) => {
+      const tile = coords && this.findTile(coords.lat, coords.lng);
+      if (!tile) return;
+      if (!byTile.has(tile.id)) byTile.set(tile.id, { tile, indexes: [] });
+      byTile.get(tile.id).indexes.push(i);
+    });
+
+    for (const { tile, indexes } of byTile.values()) {
+      try {
+        const grid = await this.loadGrid(tile);
+        if (!grid) continue;
+        indexes.forEach(i => {
+          const elevation = sampleGrid(grid, coordsList[i].lat, coordsList[i].lng);
+          results[i] = elevation === null ? null : Math.round(elevation * 10) / 10;
+        });
+      } catch (error) {
+        console.warn(`Elevation tile ${tile.name} unreadable:`, error);
+      }
+    }
+
+    return results;
+  }
+}
+
+// ==================== SERVICE ====================
+
+/**
+ * Tries providers in order; each one only sees the points the previous
+ * ones couldn't answer.
+ */
+export class ElevationService {
+  constructor(providers = []) {
+    this.providers = providers;
+  }
+
+  /**
+   * Replace the provider chain
+   * @param {Array} providers
+   */
+  setProviders(providers) {
+    this.providers = providers;
+  }
+
+  getProvider(name) {
+    return this.providers.find(p => p.name === name) || null;
+  }
+
+  async getElevation(lat, lng) {
+    const [elevation] = await this.getElevations([{ lat, lng }]);
+    return elevation;
+  }
+
+  async getElevations(coordsList) {
+    const results = new Array(coordsList.length).fill(null);
+    let pending = coordsList.map((_, i) => i);
+
+    for (const provider of this.providers) {
+      if (pending.length === 0) break;
+
+      try {
+        const values = await provider.getElevations(pending.map(i => coordsList[i]));
+        pending.forEach((index, j) => {
+          if (typeof values[j] === 'number') results[index] = values[j];
+        });
+        pending = pending.filter(i => results[i] === null);
+      } catch (error) {
+        console.warn(`Elevation provider "${provider.name}" failed:`, error);
+      }
+    }
+
+    return results;
+  }
+}
+
+// Create singleton instances
+export const localDEMProvider = new LocalDEMProvider();
+export const networkElevationProvider = new NetworkElevationProvider();
+export const elevationService = new ElevationService([localDEMProvider, networkElevationProvider]);
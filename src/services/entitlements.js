@@ -0,0 +1,261 @@
+/**
+ * Entitlements
+ * The one place features ask "may this account do that?":
+ * - Export formats (exportFormats / pdfExports) and the monthly export quota
+ * - Cloud route saves, cloud trail guides and photos per route
+ *
+ * Signed in, tier and usage come from UserService. Offline (or while the user
+ * document is still loading) the last tier seen for this account is used, so a
+ * paid plan keeps its formats without a connection; account counters that
+ * can't be read aren't enforced until they can. Signed out is the free plan.
+ *
+ * Access Nature - Monetization Foundation
+ * Created: December 2025
+ */
+
+import { userService } from './userService.js';
+import {
+  FEATURE_FLAGS,
+  getFeatureValue,
+  getTierDisplayName,
+  getUpgradeBenefits
+} from '../config/featureFlags.js';
+import { toast } from '../utils/toast.js';
+import { modal } from '../utils/modal.js';
+
+const CACHE_KEY = 'accessNature_entitlements';
+
+// Cheapest first - upgrade prompts suggest the first tier that unlocks the action
+const TIER_ORDER = ['free', 'plus', 'pro', 'institutional'];
+
+export const EXPORT_FORMAT_NAMES = {
+  json: 'JSON',
+  gpx: 'GPX',
+  pdf: 'PDF',
+  html: 'HTML trail guide',
+  csv: 'CSV',
+  kml: 'KML',
+  kmz: 'KMZ',
+  geojson: 'GeoJSON'
+};
+
+const LIMIT_NAMES = {
+  maxSavedRoutes: 'cloud-saved routes',
+  maxCloudGuides: 'trail guides',
+  maxPhotosPerRoute: 'photos on this route',
+  maxExportsPerMonth: 'exports this month'
+};
+
+/**
+ * Limits counted on the account (the rest are counted by the caller)
+ */
+const ACCOUNT_LIMITS = ['maxSavedRoutes', 'maxCloudGuides', 'maxExportsPerMonth'];
+
+class Entitlements {
+  constructor() {
+    this.cache = this.loadCache();
+
+    window.addEventListener('userDataChanged', () => this.saveCache());
+  }
+
+  // ==================== ACCOUNT STATE ====================
+
+  /**
+   * Where the tier comes from right now
+   * @returns {object} { tier, source: 'account' | 'cached' | 'signedOut' }
+   */
+  getState() {
+    if (userService.isInitialized && userService.userData) {
+      return { tier: userService.getTier(), source: 'account' };
+    }
+
+    const user = window.AccessNatureApp?.getController('auth')?.getCurrentUser?.() || userService.currentUser;
+    if (user) {
+      const cachedTier = this.cache?.uid === user.uid ? this.cache.tier : null;
+      return { tier: FEATURE_FLAGS[cachedTier] ? cachedTier : 'free', source: 'cached' };
+    }
+
+    return { tier: 'free', source: 'signedOut' };
+  }
+
+  getTier() {
+    return this.getState().tier;
+  }
+
+  loadCache() {
+    try {
+      return JSON.parse(localStorage.getItem(CACHE_KEY)) || null;
+    } catch {
+      return null;
+    }
+  }
+
+  // Remember the account's tier for offline starts
+  saveCache() {
+    if (!userService.isInitialized || !userService.currentUser) return;
+
+    this.cache = { uid: userService.currentUser.uid, tier: userService.getTier(), updatedAt: Date.now() };
+    try {
+      localStorage.setItem(CACHE_KEY, JSON.stringify(this.cache));
+    } catch (error) {
+      console.warn('Could not cache plan:', error);
+    }
+  }
+
+  // ==================== CHECKS ====================
+
+  /**
+   * @param {string} feature - FEATURE_FLAGS key
+   * @returns {boolean}
+   */
+  canAccessFeature(feature) {
+    const { tier, source } = this.getState();
+    if (source === 'account') return userService.canAccessFeature(feature);
+
+    const value = getFeatureValue(feature, tier);
+    if (typeof value === 'number') return value !== 0;
+    if (Array.isArray(value)) return value.length > 0;
+    return !!value;
+  }
+
+  /**
+   * @param {string} format - File extension (json, gpx, pdf, html, csv, kml, kmz, geojson)
+   * @returns {boolean}
+   */
+  canExportFormat(format, tier = this.getTier()) {
+    const formats = getFeatureValue('exportFormats', tier) || [];
+    if (format === 'pdf' && !getFeatureValue('pdfExports', tier)) return false;
+    return formats.includes(format);
+  }
+
+  /**
+   * @param {string} limitType - FEATURE_FLAGS limit key
+   * @param {number|null} currentUsage - Required for limits that aren't account counters (maxPhotosPerRoute)
+   * @returns {object} { allowed, remaining, message, verified }
+   */
+  checkLimit(limitType, currentUsage = null) {
+    const { tier, source } = this.getState();
+
+    if (source === 'account') {
+      return { ...userService.checkLimit(limitType, currentUsage), verified: true };
+    }
+
+    // Account counters can't be read offline or signed out
+    if (currentUsage === null || ACCOUNT_LIMITS.includes(limitType)) {
+      return { allowed: true, remaining: null, message: '', verified: false };
+    }
+
+    const limit = getFeatureValue(limitType, tier);
+    if (typeof limit !== 'number' || limit === -1) {
+      return { allowed: true, remaining: null, message: '', verified: true };
+    }
+
+    const remaining = Math.max(0, limit - currentUsage);
+    return {
+      allowed: currentUsage < limit,
+      remaining,
+      message: remaining <= 2 ? `${remaining} remaining on your ${getTierDisplayName(tier)} plan` : '',
+      verified: true
+    };
+  }
+
+  // ==================== GUARDS ====================
+
+  /**
+   * Check an export before generating the file; explains and returns false when it isn't allowed
+   * @param {string} format - File extension
+   * @returns {Promise<boolean>}
+   */
+  async ensureExport(format) {
+    const name = EXPORT_FORMAT_NAMES[format] || format.toUpperCase();
+
+    if (!this.canExportFormat(format)) {
+      await this.showUpgradePrompt({
+        title: `${name} Export`,
+        reason: `${name} export isn't included in your plan.`,
+        unlocks: (tier) => this.canExportFormat(format, tier)
+      });
+      return false;
+    }
+
+    return this.ensureLimit('maxExportsPerMonth');
+  }
+
+  /**
+   * Check a usage limit before the action; warns when nearly used up
+   * @param {string} limitType - FEATURE_FLAGS limit key
+   * @param {number|null} currentUsage - See checkLimit()
+   * @returns {Promise<boolean>}
+   */
+  async ensureLimit(limitType, currentUsage = null) {
+    const result = this.checkLimit(limitType, currentUsage);
+
+    if (!result.allowed) {
+      const limit = getFeatureValue(limitType, this.getTier());
+      await this.showUpgradePrompt({
+        title: 'Plan Limit Reached',
+        reason: `Your plan allows ${limit} ${LIMIT_NAMES[limitType] || limitType}.`,
+        unlocks: (tier) => {
+          const target = getFeatureValue(limitType, tier);
+          return target === -1 || target > limit;
+        }
+      });
+      return false;
+    }
+
+    if (result.message) {
+      toast.info(result.message);
+    }
+    return true;
+  }
+
+  // ==================== UPGRADE PROMPT ====================
+
+  /**
+   * Explain why an action is locked and what upgrading would add
+   * @param {object} options - { title, reason, unlocks(tier) → boolean }
+   */
+  async showUpgradePrompt({ title, reason, unlocks }) {
+    const { tier, source } = this.getState();
+    const targetTier = TIER_ORDER
+      .slice(TIER_ORDER.indexOf(tier) + 1)
+      .find(candidate => unlocks(candidate));
+
+    const benefits = targetTier ? getUpgradeBenefits(tier, targetTier) : [];
+    const lines = [`<p>${modal.escapeHtml(reason)}</p>`];
+
+    if (targetTier) {
+      lines.push(`<p><strong>${getTierDisplayName(targetTier)}</strong> includes:</p>`);
+      lines.push(`<ul>${benefits.map(benefit => `<li>${modal.escapeHtml(benefit)}</li>`).join('')}</ul>`);
+    }
+    if (source === 'signedOut') {
+      lines.push('<p>Already have a paid plan? Sign in to use it.</p>');
+    } else if (source === 'cached') {
+      lines.push('<p>Your plan will be checked again when you\'re back online.</p>');
+    }
+
+    const buttons = [{ label: source === 'signedOut' ? 'Not now' : 'OK', action: 'close', variant: 'secondary' }];
+    if (source === 'signedOut') {
+      buttons.push({ label: 'Sign in', action: 'signin', variant: 'primary' });
+    }
+
+    const action = await modal.show({
+      type: 'info',
+      icon: '⭐',
+      title,
+      html: lines.join(''),
+      buttons
+    });
+
+    if (action === 'signin') {
+      window.AccessNatureApp?.getController('auth')?.showAuthModal?.();
+    }
+  }
+}
+
+export const entitlements = new Entitlements();
+
+// Make available globally
+window.entitlements = entitlements;
+
+export default entitlements;
@@ -0,0 +1,322 @@
+/**
+ * Survey History
+ * Every survey save on a cloud route or trail guide adds a version, so earlier
+ * answers are never lost:
+ * - Versions: `survey_versions` under the route / guide document, each with
+ *   the canonical survey, author, time and what caused it
+ * - Diffs: field-level changes between any two versions
+ * - Restore: an older version becomes the current survey (as a new version)
+ *
+ * Documents saved before versioning get their current answers recorded as a
+ * first version the first time they are edited.
+ *
+ * Access Nature - Enhanced Accessibility Survey System
+ * Created: December 2025
+ */
+
+import { SURVEY_FIELDS, MEASURED_FIELDS, getFieldLabel, getSurveyValues, normalizeSurvey, getGuideSummary } from '../config/surveySchema.js';
+import { trailGuideGeneratorV2 } from '../features/trailGuideGeneratorV2.js';
+
+const VERSIONS_COLLECTION = 'survey_versions';
+
+// What caused a version
+export const VERSION_SOURCES = {
+  original: { label: 'Original survey', icon: '📋' },
+  survey: { label: 'Survey', icon: '📋' },
+  resurvey: { label: 'Re-survey', icon: '🔁' },
+  admin: { label: 'Admin edit', icon: '🛠️' },
+  restore: { label: 'Restored', icon: '↩️' }
+};
+
+// Where each collection keeps its survey
+const SURVEY_DOCUMENTS = {
+  routes: {
+    read: (data) => data.accessibilityData,
+    update: (survey) => ({ accessibilityData: survey })
+  },
+  trail_guides: {
+    // Full survey on newer guides, the searchable summary on older ones
+    read: (data) => data.survey || data.accessibility,
+    update: (survey) => ({ survey, accessibility: getGuideSummary(survey) })
+  }
+};
+
+function getSurveyDocument(collectionName) {
+  const surveyDocument = SURVEY_DOCUMENTS[collectionName];
+  if (!surveyDocument) throw new Error(`No survey history for ${collectionName}`);
+  return surveyDocument;
+}
+
+function formatValues(field, values) {
+  // Flags are ticked or not, so never blank
+  if (field.type === 'flag') return values.length > 0 ? 'Yes' : 'No';
+  if (values.length === 0) return '—';
+  return values.join(', ') + (field.unit ? ` ${field.unit}` : '');
+}
+
+// ==================== DIFFS ====================
+
+/**
+ * Field-level changes between two surveys
+ * @param {object} before - Survey (any version)
+ * @param {object} after - Survey (any version)
+ * @returns {Array} [{ key, label, type: 'added'|'removed'|'changed', from, to, added, removed }]
+ */
+export function diffSurveys(before, after) {
+  const from = normalizeSurvey(before) || {};
+  const to = normalizeSurvey(after) || {};
+  const changes = [];
+
+  [...SURVEY_FIELDS, ...MEASURED_FIELDS].forEach(field => {
+    const fromValues = getSurveyValues(from, field.key).map(String);
+    const toValues = getSurveyValues(to, field.key).map(String);
+    const added = toValues.filter(value => !fromValues.includes(value));
+    const removed = fromValues.filter(value => !toValues.includes(value));
+    if (added.length === 0 && removed.length === 0) return;
+
+    changes.push({
+      key: field.key,
+      label: getFieldLabel(field.key),
+      type: field.type === 'flag' ? 'changed'
+        : fromValues.length === 0 ? 'added'
+        : toValues.length === 0 ? 'removed'
+        : 'changed',
+      from: formatValues(field, fromValues),
+      to: formatValues(field, toValues),
+      added,
+      removed
+    });
+  });
+
+  return changes;
+}
+
+/**
+ * One line for a change, e.g. "Trail Surface Types changed from Compacted Gravel to Mixed on 2026-03-02"
+ * @param {object} change - diffSurveys() entry
+ * @param {string} date - Optional date to end with
+ * @returns {string}
+ */
+export function describeChange(change, date = null) {
+  const text = change.type === 'added' ? `${change.label} set to ${change.to}`
+    : change.type === 'removed' ? `${change.label} cleared (was ${change.from})`
+    : `${change.label} changed from ${change.from} to ${change.to}`;
+  return date ? `${text} on ${date}` : text;
+}
+
+function toDay(iso) {
+  return String(iso || '').slice(0, 10);
+}
+
+// ==================== SURVEY HISTORY ====================
+
+class SurveyHistory {
+  async getFirestore() {
+    const firestore = await import("https://www.gstatic.com/firebasejs/10.5.0/firebase-firestore.js");
+    const { db, auth } = await import('../../firebase-setup.js');
+    return { ...firestore, db, auth };
+  }
+
+  /**
+   * Author fields for a signed-in user
+   * @param {object} user - Firebase user
+   * @returns {object} { authorId, authorName }
+   */
+  getAuthor(user) {
+    return {
+      authorId: user?.uid || null,
+      authorName: user?.displayName || user?.email || 'Unknown'
+    };
+  }
+
+  /**
+   * Versions of a document's survey, newest first
+   * @param {string} collectionName - 'routes' or 'trail_guides'
+   * @param {string} docId
+   * @returns {Promise<Array>} [{ id, survey, authorId, authorName, createdAt, source, restoredFrom }]
+   */
+  async getVersions(collectionName, docId) {
+    const { collection, query, orderBy, getDocs, db } = await this.getFirestore();
+    const snapshot = await getDocs(query(collection(db, collectionName, docId, VERSIONS_COLLECTION), orderBy('createdAt', 'desc')));
+    return snapshot.docs.map(versionDoc => ({ id: versionDoc.id, ...versionDoc.data() }));
+  }
+
+  /**
+   * Record the survey a document was just created with
+   * @param {string} collectionName
+   * @param {string} docId
+   * @param {object} survey - Survey (any version)
+   * @param {object} user - Firebase user who saved it
+   * @returns {Promise<string|null>} Version id
+   */
+  async recordCreated(collectionName, docId, survey, user) {
+    if (!survey) return null;
+    try {
+      const { collection, addDoc, db } = await this.getFirestore();
+      const version = await addDoc(collection(db, collectionName, docId, VERSIONS_COLLECTION), {
+        survey: normalizeSurvey(survey),
+        ...this.getAuthor(user),
+        createdAt: new Date().toISOString(),
+        source: 'survey'
+      });
+      return version.id;
+    } catch (error) {
+      console.warn('⚠️ Could not record survey version:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Replace a document's survey, keeping the previous answers as a version
+   * @param {string} collectionName - 'routes' or 'trail_guides'
+   * @param {string} docId
+   * @param {object} survey - New survey (any version)
+   * @param {object} options
+   *   - user: Firebase user making the change
+   *   - source: VERSION_SOURCES key
+   *   - restoredFrom: version id, for restores
+   * @returns {Promise<boolean>} false when nothing changed
+   */
+  async saveSurvey(collectionName, docId, survey, options = {}) {
+    const surveyDocument = getSurveyDocument(collectionName);
+    const { doc, getDoc, collection, writeBatch, db } = await this.getFirestore();
+
+    const docRef = doc(db, collectionName, docId);
+    const snapshot = await getDoc(docRef);
+    if (!snapshot.exists()) throw new Error('Document not found');
+
+    const data = snapshot.data();
+    const current = normalizeSurvey(surveyDocument.read(data));
+    const next = normalizeSurvey(survey);
+    if (diffSurveys(current, next).length === 0) return false;
+
+    const versions = collection(db, collectionName, docId, VERSIONS_COLLECTION);
+    const batch = writeBatch(db);
+    const now = new Date().toISOString();
+
+    // Answers from before versioning become the first version
+    if (current && (await this.getVersions(collectionName, docId)).length === 0) {
+      batch.set(doc(versions), {
+        survey: current,
+        authorId: data.userId || null,
+        authorName: data.userDisplayName || data.userEmail || 'Unknown',
+        createdAt: data.generatedAt || data.createdAt || now,
+        source: 'original'
+      });
+    }
+
+    const update = { ...surveyDocument.update(next), surveyUpdatedAt: now };
+    if (collectionName === 'trail_guides') {
+      const htmlContent = await this.regenerateGuideHTML(data, next);
+      if (htmlContent) update.htmlContent = htmlContent;
+    }
+
+    batch.update(docRef, update);
+    batch.set(doc(versions), {
+      survey: next,
+      ...this.getAuthor(options.user),
+      createdAt: now,
+      source: options.source || 'survey',
+      ...(options.restoredFrom && { restoredFrom: options.restoredFrom })
+    });
+
+    await batch.commit();
+    return true;
+  }
+
+  /**
+   * Make an older version the current survey
+   * @param {string} collectionName
+   * @param {string} docId
+   * @param {object} version - getVersions() entry
+   * @param {object} user - Firebase user restoring it
+   * @returns {Promise<boolean>}
+   */
+  async restore(collectionName, docId, version, user) {
+    return this.saveSurvey(collectionName, docId, version.survey, {
+      user,
+      source: 'restore',
+      restoredFrom: version.id
+    });
+  }
+
+  /**
+   * A route loaded from the cloud was surveyed again - update it and its trail guides
+   * @param {string} routeId
+   * @param {object} survey - New survey (any version)
+   * @returns {Promise<number>} Documents updated
+   */
+  async resurvey(routeId, survey) {
+    const { collection, query, where, getDocs, db, auth } = await this.getFirestore();
+    const user = auth.currentUser;
+    if (!user) return 0;
+
+    let updated = 0;
+    if (await this.saveSurvey('routes', routeId, survey, { user, source: 'resurvey' })) updated++;
+
+    const guides = await getDocs(query(
+      collection(db, 'trail_guides'),
+      where('routeId', '==', routeId),
+      where('userId', '==', user.uid)
+    ));
+    for (const guideDoc of guides.docs) {
+      if (await this.saveSurvey('trail_guides', guideDoc.id, survey, { user, source: 'resurvey' })) updated++;
+    }
+    return updated;
+  }
+
+  /**
+   * Guide HTML for a changed survey, rebuilt from the guide's route when it can be read
+   * @param {object} guide - trail_guides document data
+   * @param {object} survey - Canonical survey
+   * @returns {Promise<string|null>}
+   */
+  async regenerateGuideHTML(guide, survey) {
+    if (!guide.routeId) return null;
+    try {
+      const { doc, getDoc, db } = await this.getFirestore();
+      const routeSnap = await getDoc(doc(db, 'routes', guide.routeId));
+      const route = routeSnap.exists() ? routeSnap.data() : null;
+      if (!route?.routeData) return null;
+
+      return trailGuideGeneratorV2.generateHTML(route.routeData, {
+        name: guide.routeName || route.routeName,
+        totalDistance: route.totalDistance || 0,
+        elapsedTime: route.elapsedTime || 0,
+        movingTime: route.movingTime ?? route.elapsedTime ?? 0,
+        date: route.originalDate || route.createdAt,
+        gradeAnalysis: route.gradeAnalysis || null
+      }, survey);
+    } catch (error) {
+      console.warn('⚠️ Guide HTML kept - route not available:', error);
+      return null;
+    }
+  }
+
+  /**
+   * What changed in each version, newest first
+   * @param {Array} versions - getVersions() result
+   * @returns {Array} [{ version, date, changes, lines }]
+   */
+  getChangeLog(versions) {
+    return versions.map((version, i) => {
+      const previous = versions[i + 1];
+      const date = toDay(version.createdAt);
+      const changes = previous ? diffSurveys(previous.survey, version.survey) : [];
+      return {
+        version,
+        date,
+        changes,
+        lines: changes.map(change => describeChange(change, date))
+      };
+    });
+  }
+}
+
+// Create and export singleton
+export const surveyHistory = new SurveyHistory();
+
+// Make available globally
+window.surveyHistory = surveyHistory;
+
+export default surveyHistory;
@@ -0,0 +1,191 @@
+/**
+ * Survey Migration
+ * Rewrites surveys stored before the survey schema into its canonical shape
+ * (see config/surveySchema.js):
+ * - This device: the current survey, the offline survey queue and surveys
+ *   inside routes / trail guides waiting for upload (IndexedDB)
+ * - Cloud: the signed-in user's routes and trail guide summaries (Firestore)
+ *
+ * Standalone cloud surveys (accessibility_surveys) carry no owner, so they are
+ * normalized when read instead. Runs are idempotent; each account's cloud pass
+ * is recorded per schema version so it only runs once.
+ *
+ * Access Nature - Enhanced Accessibility Survey System
+ * Created: December 2025
+ */
+
+import { SURVEY_SCHEMA_VERSION, normalizeSurvey, getGuideSummary } from '../config/surveySchema.js';
+
+const CURRENT_SURVEY_KEY = 'accessibilityData';
+const SURVEY_QUEUE_KEY = 'accessNature_pendingSurveys';
+const CLOUD_DONE_PREFIX = 'accessNature_surveySchema_';
+
+// Survey fields by stored record type
+const ROUTE_SURVEY_FIELDS = ['accessibilityData', 'accessibility'];
+
+function isCurrent(survey) {
+  return survey?.schemaVersion === SURVEY_SCHEMA_VERSION;
+}
+
+// Canonical survey, or null when there is nothing to rewrite
+function migrateSurvey(survey) {
+  if (!survey || typeof survey !== 'object' || isCurrent(survey)) return null;
+  return normalizeSurvey(survey);
+}
+
+// Trail guide summary in the current shape, or null when already current
+function migrateGuideSummary(summary) {
+  if (!summary || typeof summary !== 'object') return null;
+  const migrated = getGuideSummary(summary);
+  return JSON.stringify(migrated) === JSON.stringify(summary) ? null : migrated;
+}
+
+// Rewrite the survey fields of a route record; true when anything changed
+function migrateRouteFields(route) {
+  let changed = false;
+  ROUTE_SURVEY_FIELDS.forEach(field => {
+    const migrated = migrateSurvey(route?.[field]);
+    if (migrated) {
+      route[field] = migrated;
+      changed = true;
+    }
+  });
+  return changed;
+}
+
+class SurveyMigration {
+  constructor() {
+    this.cloudInProgress = false;
+  }
+
+  // ==================== THIS DEVICE ====================
+
+  /**
+   * Migrate every survey stored on this device
+   * @returns {Promise<number>} Number of records rewritten
+   */
+  async migrateLocal() {
+    let migrated = this.migrateLocalStorage();
+
+    const offlineSync = window.offlineSync;
+    if (offlineSync) {
+      try {
+        migrated += await offlineSync.updatePendingRecords('pending_routes', record => migrateRouteFields(record.data));
+        migrated += await offlineSync.updatePendingRecords('pending_guides', record => {
+          const summary = migrateGuideSummary(record.data?.accessibility);
+          if (summary) record.data.accessibility = summary;
+          return !!summary;
+        });
+      } catch (error) {
+        console.warn('⚠️ Could not migrate surveys waiting for upload:', error);
+      }
+    }
+
+    if (migrated > 0) {
+      console.log(`📋 Migrated ${migrated} stored survey record(s) to schema v${SURVEY_SCHEMA_VERSION}`);
+    }
+    return migrated;
+  }
+
+  /**
+   * Current survey and the offline survey queue
+   * @returns {number} Number of entries rewritten
+   */
+  migrateLocalStorage() {
+    let migrated = 0;
+
+    try {
+      const current = migrateSurvey(JSON.parse(localStorage.getItem(CURRENT_SURVEY_KEY) || 'null'));
+      if (current) {
+        localStorage.setItem(CURRENT_SURVEY_KEY, JSON.stringify(current));
+        migrated++;
+      }
+    } catch (error) {
+      console.warn('⚠️ Could not migrate the current survey:', error);
+    }
+
+    try {
+      const queue = JSON.parse(localStorage.getItem(SURVEY_QUEUE_KEY) || '[]');
+      let queueChanged = false;
+      queue.forEach(entry => {
+        const data = migrateSurvey(entry.data);
+        if (data) {
+          entry.data = data;
+          queueChanged = true;
+          migrated++;
+        }
+      });
+      if (queueChanged) {
+        localStorage.setItem(SURVEY_QUEUE_KEY, JSON.stringify(queue));
+      }
+    } catch (error) {
+      console.warn('⚠️ Could not migrate queued surveys:', error);
+    }
+
+    return migrated;
+  }
+
+  // ==================== CLOUD ====================
+
+  /**
+   * Migrate the user's cloud routes and trail guides, once per schema version
+   * @param {object} user - Firebase user
+   * @returns {Promise<number>} Number of documents rewritten
+   */
+  async migrateCloud(user) {
+    if (!user?.uid || this.cloudInProgress || !navigator.onLine) return 0;
+
+    const doneKey = CLOUD_DONE_PREFIX + user.uid;
+    if (parseInt(localStorage.getItem(doneKey)) >= SURVEY_SCHEMA_VERSION) return 0;
+
+    this.cloudInProgress = true;
+    try {
+      const { collection, query, where, getDocs, updateDoc } = await import("https://www.gstatic.com/firebasejs/10.5.0/firebase-firestore.js");
+      const { db } = await import('../../firebase-setup.js');
+      let migrated = 0;
+
+      const routes = await getDocs(query(collection(db, 'routes'), where('userId', '==', user.uid)));
+      for (const routeDoc of routes.docs) {
+        const route = routeDoc.data();
+        const update = {};
+        ROUTE_SURVEY_FIELDS.forEach(field => {
+          const survey = migrateSurvey(route[field]);
+          if (survey) update[field] = survey;
+        });
+        if (Object.keys(update).length > 0) {
+          await updateDoc(routeDoc.ref, update);
+          migrated++;
+        }
+      }
+
+      const guides = await getDocs(query(collection(db, 'trail_guides'), where('userId', '==', user.uid)));
+      for (const guideDoc of guides.docs) {
+        const summary = migrateGuideSummary(guideDoc.data().accessibility);
+        if (summary) {
+          await updateDoc(guideDoc.ref, { accessibility: summary });
+          migrated++;
+        }
+      }
+
+      localStorage.setItem(doneKey, String(SURVEY_SCHEMA_VERSION));
+      if (migrated > 0) {
+        console.log(`☁️ Migrated ${migrated} cloud document(s) to survey schema v${SURVEY_SCHEMA_VERSION}`);
+      }
+      return migrated;
+    } catch (error) {
+      // Not recorded as done - retried on the next sign-in
+      console.warn('⚠️ Cloud survey migration failed:', error);
+      return 0;
+    } finally {
+      this.cloudInProgress = false;
+    }
+  }
+}
+
+// Create and export singleton
+export const surveyMigration = new SurveyMigration();
+
+// Make available globally
+window.surveyMigration = surveyMigration;
+
+export default surveyMigration;
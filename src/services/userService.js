@@ -24,7 +24,8 @@ import {
   getLevelProgress,
   getFeatureValue,
   isWithinLimit,
-  getRemainingUsage
+  getRemainingUsage,
+  getTierDisplayName
 } from '../config/featureFlags.js';
 import { toast } from '../utils/toast.js';
 
@@ -95,6 +96,7 @@ class UserService {
         
         this.isInitialized = true;
         this.isInitializing = false;
+        this.notifyChanged();
         console.log('✅ UserService: Initialization complete');
         return; // Success - exit the retry loop
         
@@ -500,6 +502,7 @@ class UserService {
       // Update local cache
       this.userData.usage = this.userData.usage || {};
       this.userData.usage.guidesCreated = (this.userData.usage.guidesCreated || 0) + 1;
+      this.notifyChanged();
       
       if (isPublic) {
         this.userData.engagement = this.userData.engagement || {};
@@ -569,13 +572,20 @@ class UserService {
     if (!this.currentUser) return;
     
     try {
-      await updateDoc(doc(db, 'users', this.currentUser.uid), {
-        'usage.exportsThisMonth': increment(1)
-      });
+      // First export of a new month starts the count again
+      const newMonth = !this.isCurrentMonth(this.userData?.usage?.lastResetDate);
+      
+      await updateDoc(doc(db, 'users', this.currentUser.uid), newMonth
+        ? { 'usage.exportsThisMonth': 1, 'usage.lastResetDate': serverTimestamp() }
+        : { 'usage.exportsThisMonth': increment(1) });
       
       // Update local cache
-      this.userData.usage = this.userData.usage || {};
-      this.userData.usage.exportsThisMonth = (this.userData.usage.exportsThisMonth || 0) + 1;
+      if (this.userData) {
+        this.userData.usage = this.userData.usage || {};
+        this.userData.usage.exportsThisMonth = newMonth ? 1 : (this.userData.usage.exportsThisMonth || 0) + 1;
+        if (newMonth) this.userData.usage.lastResetDate = Timestamp.now();
+        this.notifyChanged();
+      }
       
       console.log(`📤 Export tracked: ${format}`);
       
@@ -598,6 +608,7 @@ class UserService {
       // Update local cache
       this.userData.usage = this.userData.usage || {};
       this.userData.usage.savedRoutes = (this.userData.usage.savedRoutes || 0) + 1;
+      this.notifyChanged();
       
     } catch (error) {
       console.error('❌ Failed to track route save:', error);
@@ -673,40 +684,73 @@ class UserService {
 
   /**
    * Check if user can perform an action based on tier limits
-   * @param {string} limitType - Type of limit (maxSavedRoutes, maxCloudGuides, etc.)
+   * @param {string} limitType - Type of limit (maxSavedRoutes, maxCloudGuides, maxExportsPerMonth, maxPhotosPerRoute)
+   * @param {number|null} currentUsage - Usage counted by the caller (e.g. photos on this route); account counters otherwise
    * @returns {object} - { allowed: boolean, remaining: number|null, message: string }
    */
-  checkLimit(limitType) {
+  checkLimit(limitType, currentUsage = null) {
     const tier = this.getTier();
-    let currentUsage = 0;
     
-    switch (limitType) {
-      case 'maxSavedRoutes':
-        currentUsage = this.userData?.usage?.savedRoutes || 0;
-        break;
-      case 'maxCloudGuides':
-        currentUsage = this.userData?.usage?.guidesCreated || 0;
-        break;
-      case 'exportsThisMonth':
-        currentUsage = this.userData?.usage?.exportsThisMonth || 0;
-        break;
-      default:
-        return { allowed: true, remaining: null, message: '' };
+    if (currentUsage === null) {
+      switch (limitType) {
+        case 'maxSavedRoutes':
+          currentUsage = this.userData?.usage?.savedRoutes || 0;
+          break;
+        case 'maxCloudGuides':
+          currentUsage = this.userData?.usage?.guidesCreated || 0;
+          break;
+        case 'maxExportsPerMonth':
+          currentUsage = this.getExportsThisMonth();
+          break;
+        default:
+          return { allowed: true, remaining: null, message: '' };
+      }
     }
     
     const allowed = isWithinLimit(limitType, currentUsage, tier);
     const remaining = getRemainingUsage(limitType, currentUsage, tier);
+    const tierName = getTierDisplayName(tier);
     
     let message = '';
     if (!allowed) {
-      message = `You've reached your ${tier} plan limit. Upgrade for more!`;
+      message = `You've reached your ${tierName} plan limit. Upgrade for more!`;
     } else if (remaining !== null && remaining <= 2) {
-      message = `${remaining} remaining on your ${tier} plan`;
+      message = `${remaining} remaining on your ${tierName} plan`;
     }
     
     return { allowed, remaining, message };
   }
 
+  /**
+   * Exports counted this calendar month (the stored count is from an earlier month until the next export)
+   * @returns {number}
+   */
+  getExportsThisMonth() {
+    const usage = this.userData?.usage || {};
+    return this.isCurrentMonth(usage.lastResetDate) ? usage.exportsThisMonth || 0 : 0;
+  }
+
+  /**
+   * @param {Timestamp|Date|null} value - Firestore timestamp (a pending serverTimestamp() counts as now)
+   * @returns {boolean}
+   */
+  isCurrentMonth(value) {
+    const date = typeof value?.toDate === 'function' ? value.toDate() : value instanceof Date ? value : null;
+    if (!date) return true;
+    
+    const now = new Date();
+    return date.getFullYear() === now.getFullYear() && date.getMonth() === now.getMonth();
+  }
+
+  /**
+   * Let features that depend on tier or usage refresh (export buttons, entitlement cache)
+   */
+  notifyChanged() {
+    window.dispatchEvent(new CustomEvent('userDataChanged', {
+      detail: { signedIn: !!this.currentUser, tier: this.getTier() }
+    }));
+  }
+
   /**
    * Check if a feature is available for the user
    * @param {string} feature - Feature key
@@ -783,7 +827,9 @@ class UserService {
         remaining: getRemainingUsage('maxCloudGuides', usage.guidesCreated || 0, tier)
       },
       exports: {
-        current: usage.exportsThisMonth || 0,
+        current: this.getExportsThisMonth(),
+        limit: getFeatureValue('maxExportsPerMonth', tier),
+        remaining: getRemainingUsage('maxExportsPerMonth', this.getExportsThisMonth(), tier),
         lastReset: usage.lastResetDate
       }
     };
@@ -933,6 +979,7 @@ class UserService {
     this.userData = null;
     this.isInitialized = false;
     this.isInitializing = false;
+    this.notifyChanged();
     console.log('👤 UserService: Reset');
   }
 
@@ -946,6 +993,7 @@ class UserService {
       const userDoc = await getDoc(doc(db, 'users', this.currentUser.uid));
       if (userDoc.exists()) {
         this.userData = userDoc.data();
+        this.notifyChanged();
         console.log('🔄 UserService: Data refreshed');
       }
     } catch (error) {
@@ -172,7 +172,7 @@ async showRouteManager() {
     routes.slice(0, 10).forEach((route, index) => {
       const date = new Date(route.date).toLocaleDateString();
       const size = route.dataSize ? ` (${this.formatBytes(route.dataSize)})` : '';
-      message += `${index + 1}. ${route.name}\n`;
+      message += `${index + 1}. ${route.planned ? '🗺️ ' : ''}${route.name}\n`;
       message += `   📅 ${date} | 📏 ${route.totalDistance?.toFixed(2) || 0} km${size}\n\n`;
     });
 
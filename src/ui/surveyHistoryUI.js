@@ -0,0 +1,351 @@
+/**
+ * Survey History UI
+ * Change log, version comparison and restore for a route's or trail guide's
+ * survey (see services/surveyHistory.js)
+ *
+ * Access Nature - Enhanced Accessibility Survey System
+ * Created: December 2025
+ */
+
+import { surveyHistory, diffSurveys, VERSION_SOURCES } from '../services/surveyHistory.js';
+import { toast } from '../utils/toast.js';
+import { modal } from '../utils/modal.js';
+
+// Change lines shown on the guide before "Compare versions"
+const CHANGE_LOG_LIMIT = 8;
+
+function escapeHtml(text) {
+  return modal.escapeHtml(String(text ?? ''));
+}
+
+class SurveyHistoryUI {
+  /**
+   * Inject CSS styles
+   */
+  injectStyles() {
+    if (document.getElementById('survey-history-styles')) return;
+
+    const styles = document.createElement('style');
+    styles.id = 'survey-history-styles';
+    styles.textContent = `
+      /* ========== Guide Change Log ========== */
+      .survey-history-panel {
+        flex-shrink: 0;
+        max-height: 40vh;
+        overflow-y: auto;
+        background: #fafafa;
+        border-bottom: 1px solid #e0e0e0;
+      }
+      .survey-history-panel summary {
+        padding: 10px 20px;
+        cursor: pointer;
+        font-weight: 600;
+        color: #2c5530;
+      }
+      .sh-log {
+        list-style: none;
+        margin: 0;
+        padding: 0 20px 8px;
+        font-size: 13px;
+      }
+      .sh-log li {
+        padding: 4px 0;
+        color: #444;
+      }
+      .sh-log .sh-meta {
+        color: #888;
+        font-size: 12px;
+      }
+      .sh-compare-btn {
+        margin: 0 20px 12px;
+        padding: 6px 14px;
+        border: 1px solid #2c5530;
+        border-radius: 16px;
+        background: white;
+        color: #2c5530;
+        cursor: pointer;
+        font-size: 13px;
+      }
+
+      /* ========== Compare Overlay ========== */
+      .sh-overlay {
+        position: fixed;
+        inset: 0;
+        background: rgba(0, 0, 0, 0.6);
+        z-index: 15000;
+        display: flex;
+        justify-content: center;
+        align-items: flex-start;
+        padding: 20px;
+        overflow-y: auto;
+      }
+      .sh-dialog {
+        background: white;
+        border-radius: 12px;
+        width: 100%;
+        max-width: 720px;
+        padding: 20px;
+        box-shadow: 0 8px 32px rgba(0,0,0,0.25);
+      }
+      .sh-dialog-header {
+        display: flex;
+        justify-content: space-between;
+        align-items: center;
+        margin-bottom: 12px;
+      }
+      .sh-dialog-header h3 {
+        margin: 0;
+        color: #2c5530;
+      }
+      .sh-close {
+        background: none;
+        border: none;
+        font-size: 22px;
+        cursor: pointer;
+        color: #666;
+      }
+
+      /* ========== Compare View ========== */
+      .sh-pickers {
+        display: flex;
+        flex-wrap: wrap;
+        gap: 12px;
+        align-items: center;
+        margin-bottom: 12px;
+        font-size: 13px;
+      }
+      .sh-pickers select {
+        flex: 1;
+        min-width: 200px;
+        padding: 6px;
+        border-radius: 6px;
+        border: 1px solid #ccc;
+      }
+      .sh-diff {
+        width: 100%;
+        border-collapse: collapse;
+        font-size: 13px;
+      }
+      .sh-diff th, .sh-diff td {
+        text-align: left;
+        padding: 6px 8px;
+        border-bottom: 1px solid #eee;
+        vertical-align: top;
+      }
+      .sh-diff .sh-from { color: #b71c1c; }
+      .sh-diff .sh-to { color: #1b5e20; }
+      .sh-empty {
+        color: #777;
+        font-size: 13px;
+        padding: 12px 0;
+      }
+      .sh-restore-btn {
+        margin-top: 14px;
+        padding: 8px 16px;
+        border: none;
+        border-radius: 8px;
+        background: #2c5530;
+        color: white;
+        cursor: pointer;
+      }
+      .sh-restore-btn:disabled {
+        background: #bbb;
+        cursor: default;
+      }
+    `;
+    document.head.appendChild(styles);
+  }
+
+  describeVersion(version, index) {
+    const source = VERSION_SOURCES[version.source] || VERSION_SOURCES.survey;
+    const date = new Date(version.createdAt).toLocaleDateString();
+    return `${index === 0 ? 'Current · ' : ''}${date} · ${version.authorName || 'Unknown'} · ${source.icon} ${source.label}`;
+  }
+
+  /**
+   * "What changed" panel for a trail guide; fills in once versions load,
+   * stays hidden for guides that were never edited
+   * @param {object} guide - trail_guides document with `id`
+   * @param {object} options - { canRestore, onRestored }
+   * @returns {HTMLElement}
+   */
+  createChangeLogPanel(guide, options = {}) {
+    this.injectStyles();
+
+    const panel = document.createElement('details');
+    panel.className = 'survey-history-panel';
+    panel.style.display = 'none';
+
+    surveyHistory.getVersions('trail_guides', guide.id).then(versions => {
+      if (versions.length < 2) return;
+
+      const log = surveyHistory.getChangeLog(versions);
+      const lines = log.flatMap(entry => entry.lines.map(line => ({ line, author: entry.version.authorName })));
+      panel.innerHTML = `
+        <summary>🕘 Survey history · ${versions.length} versions, last changed ${escapeHtml(log[0].date)}</summary>
+        <ul class="sh-log">
+          ${lines.slice(0, CHANGE_LOG_LIMIT).map(({ line, author }) => `
+            <li>${escapeHtml(line)} <span class="sh-meta">by ${escapeHtml(author || 'Unknown')}</span></li>
+          `).join('')}
+        </ul>
+        <button type="button" class="sh-compare-btn">Compare versions${lines.length > CHANGE_LOG_LIMIT ? ` (${lines.length - CHANGE_LOG_LIMIT} more changes)` : ''}</button>
+      `;
+      panel.querySelector('.sh-compare-btn').addEventListener('click', () => {
+        this.openCompare('trail_guides', guide.id, { ...options, versions });
+      });
+      panel.style.display = '';
+    }).catch(error => console.warn('Could not load survey history:', error));
+
+    return panel;
+  }
+
+  /**
+   * Compare view in its own overlay
+   * @param {string} collectionName - 'routes' or 'trail_guides'
+   * @param {string} docId
+   * @param {object} options - see render()
+   */
+  openCompare(collectionName, docId, options = {}) {
+    this.injectStyles();
+
+    const overlay = document.createElement('div');
+    overlay.className = 'sh-overlay';
+    overlay.innerHTML = `
+      <div class="sh-dialog" role="dialog" aria-modal="true" aria-labelledby="shDialogTitle">
+        <div class="sh-dialog-header">
+          <h3 id="shDialogTitle">🕘 Survey versions</h3>
+          <button type="button" class="sh-close" aria-label="Close">✕</button>
+        </div>
+        <div class="sh-dialog-body"></div>
+      </div>
+    `;
+
+    const close = () => overlay.remove();
+    overlay.querySelector('.sh-close').addEventListener('click', close);
+    overlay.addEventListener('click', (e) => { if (e.target === overlay) close(); });
+
+    document.body.appendChild(overlay);
+    this.render(overlay.querySelector('.sh-dialog-body'), collectionName, docId, {
+      ...options,
+      onRestored: () => {
+        close();
+        options.onRestored?.();
+      }
+    });
+  }
+
+  /**
+   * Compare any two versions, with restore
+   * @param {HTMLElement} container
+   * @param {string} collectionName - 'routes' or 'trail_guides'
+   * @param {string} docId
+   * @param {object} options
+   *   - versions: already loaded getVersions() result
+   *   - canRestore: show the restore action
+   *   - user: Firebase user restoring (default: signed-in user)
+   *   - onRestored: called after a restore
+   */
+  async render(container, collectionName, docId, options = {}) {
+    this.injectStyles();
+    container.innerHTML = '<p class="sh-empty">Loading versions...</p>';
+
+    let versions = options.versions;
+    try {
+      versions = versions || await surveyHistory.getVersions(collectionName, docId);
+    } catch (error) {
+      console.error('Failed to load survey versions:', error);
+      container.innerHTML = '<p class="sh-empty">Could not load survey versions.</p>';
+      return;
+    }
+
+    if (versions.length === 0) {
+      container.innerHTML = '<p class="sh-empty">No versions yet - a version is added every time this survey is saved.</p>';
+      return;
+    }
+
+    const optionsHtml = (selected) => versions.map((version, i) =>
+      `<option value="${i}" ${i === selected ? 'selected' : ''}>${escapeHtml(this.describeVersion(version, i))}</option>`
+    ).join('');
+
+    container.innerHTML = `
+      <div class="sh-pickers">
+        <label for="shFrom">Compare</label>
+        <select id="shFrom">${optionsHtml(Math.min(1, versions.length - 1))}</select>
+        <label for="shTo">with</label>
+        <select id="shTo">${optionsHtml(0)}</select>
+      </div>
+      <div class="sh-diff-container" aria-live="polite"></div>
+      ${options.canRestore ? '<button type="button" class="sh-restore-btn"></button>' : ''}
+    `;
+
+    const fromSelect = container.querySelector('#shFrom');
+    const toSelect = container.querySelector('#shTo');
+    const restoreBtn = container.querySelector('.sh-restore-btn');
+
+    const update = () => {
+      const from = versions[fromSelect.value];
+      const to = versions[toSelect.value];
+      const changes = diffSurveys(from.survey, to.survey);
+
+      container.querySelector('.sh-diff-container').innerHTML = changes.length === 0
+        ? '<p class="sh-empty">These versions have the same answers.</p>'
+        : `
+          <table class="sh-diff">
+            <thead><tr><th>Question</th><th>Before</th><th>After</th></tr></thead>
+            <tbody>
+              ${changes.map(change => `
+                <tr>
+                  <td>${escapeHtml(change.label)}</td>
+                  <td class="sh-from">${escapeHtml(change.from)}</td>
+                  <td class="sh-to">${escapeHtml(change.to)}</td>
+                </tr>
+              `).join('')}
+            </tbody>
+          </table>
+        `;
+
+      if (restoreBtn) {
+        // The newest version is already the current survey
+        restoreBtn.disabled = fromSelect.value === '0';
+        restoreBtn.textContent = `↩️ Restore ${new Date(from.createdAt).toLocaleDateString()} version`;
+      }
+    };
+
+    fromSelect.addEventListener('change', update);
+    toSelect.addEventListener('change', update);
+    update();
+
+    restoreBtn?.addEventListener('click', async () => {
+      const version = versions[fromSelect.value];
+      const confirmed = await modal.confirm(
+        `Make the answers from ${this.describeVersion(version, Number(fromSelect.value))} the current survey? The current answers stay in the history.`,
+        '↩️ Restore Survey Version'
+      );
+      if (!confirmed) return;
+
+      restoreBtn.disabled = true;
+      try {
+        const user = options.user || (await surveyHistory.getFirestore()).auth.currentUser;
+        if (await surveyHistory.restore(collectionName, docId, version, user)) {
+          toast.success('Survey version restored');
+          options.onRestored?.(version);
+        } else {
+          toast.info('The current survey already has these answers');
+          restoreBtn.disabled = false;
+        }
+      } catch (error) {
+        console.error('Failed to restore survey version:', error);
+        toast.error('Failed to restore: ' + error.message);
+        restoreBtn.disabled = false;
+      }
+    });
+  }
+}
+
+// Create and export singleton
+export const surveyHistoryUI = new SurveyHistoryUI();
+
+// Make available globally
+window.surveyHistoryUI = surveyHistoryUI;
+
+export default surveyHistoryUI;
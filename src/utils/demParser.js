@@ -0,0 +1,484 @@
+/**
+ * DEM Parser
+ * Reads elevation rasters into a common grid format:
+ *   { bounds: { south, west, north, east }, width, height, noData, data }
+ *
+ * `data` is row-major, row 0 at the north edge. `bounds` are the coordinates
+ * of the outermost sample centers, so sample (col, row) sits at
+ *   lng = west + col * (east - west) / (width - 1)
+ *   lat = north - row * (north - south) / (height - 1)
+ *
+ * Supported:
+ * - SRTM .hgt (1 and 3 arc-second), position taken from the file name
+ * - GeoTIFF in geographic (lat/lng) coordinates, single band, strips or tiles,
+ *   uncompressed, LZW or Deflate, with optional horizontal predictor
+ *
+ * Access Nature - Route Geometry
+ * Created: December 2025
+ */
+
+/**
+ * SRTM void marker
+ */
+const HGT_VOID = -32768;
+
+/**
+ * Parse an SRTM .hgt file
+ * @param {ArrayBuffer} buffer - File contents
+ * @param {string} fileName - e.g. "N47E011.hgt"; the name carries the tile position
+ * @returns {object} Elevation grid
+ */
+export function parseHGT(buffer, fileName) {
+  const match = /([NS])(\d{1,2})([EW])(\d{1,3})/i.exec(fileName || '');
+  if (!match) {
+    throw new Error(`Can't tell the tile position from "${fileName}" - expected a name like N47E011.hgt`);
+  }
+
+  const south = parseInt(match[2], 10) * (match[1].toUpperCase() === 'S' ? -1 : 1);
+  const west = parseInt(match[4], 10) * (match[3].toUpperCase() === 'W' ? -1 : 1);
+
+  const size = Math.sqrt(buffer.byteLength / 2);
+  if (!Number.isInteger(size) || size < 2) {
+    throw new Error(`"${fileName}" is not a valid .hgt file (unexpected size)`);
+  }
+
+  // Big-endian signed 16-bit samples
+  const view = new DataView(buffer);
+  const data = new Int16Array(size * size);
+  for (let i = 0; i < data.length; i++) {
+    data[i] = view.getInt16(i * 2, false);
+  }
+
+  return {
+    format: 'hgt',
+    bounds: { south, west, north: south + 1, east: west + 1 },
+    width: size,
+    height: size,
+    noData: HGT_VOID,
+    data
+  };
+}
+
+// ==================== GEOTIFF ====================
+
+const TIFF_TAGS = {
+  ImageWidth: 256,
+  ImageLength: 257,
+  BitsPerSample: 258,
+  Compression: 259,
+  StripOffsets: 273,
+  SamplesPerPixel: 277,
+  RowsPerStrip: 278,
+  StripByteCounts: 279,
+  PlanarConfiguration: 284,
+  Predictor: 317,
+  TileWidth: 322,
+  TileLength: 323,
+  TileOffsets: 324,
+  TileByteCounts: 325,
+  SampleFormat: 339,
+  ModelPixelScale: 33550,
+  ModelTiepoint: 33922,
+  ModelTransformation: 34264,
+  GeoKeyDirectory: 34735,
+  GdalNoData: 42113
+};
+
+const GEO_KEYS = {
+  GTModelType: 1024,
+  GTRasterType: 1025,
+  ProjectedCSType: 3072
+};
+
+const COMPRESSION = {
+  none: 1,
+  lzw: 5,
+  deflate: 8,
+  deflateLegacy: 32946
+};
+
+// Byte size of each TIFF field type
+const FIELD_TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 6: 1, 7: 1, 8: 2, 9: 4, 10: 8, 11: 4, 12: 8, 16: 8 };
+
+/**
+ * Parse a single-band GeoTIFF in geographic coordinates
+ * @param {ArrayBuffer} buffer - File contents
+ * @returns {Promise<object>} Elevation grid
+ */
+export async function parseGeoTIFF(buffer) {
+  const view = new DataView(buffer);
+  const byteOrder = view.getUint16(0, false);
+  if (byteOrder !== 0x4949 && byteOrder !== 0x4D4D) {
+    throw new Error('Not a TIFF file');
+  }
+  const little = byteOrder === 0x4949;
+
+  const magic = view.getUint16(2, little);
+  if (magic === 43) {
+    throw new Error('BigTIFF files are not supported - export the DEM as a regular GeoTIFF');
+  }
+  if (magic !== 42) {
+    throw new Error('Not a TIFF file');
+  }
+
+  const tags = readIFD(view, view.getUint32(4, little), little);
+  const tag = (id, fallback) => tags.has(id) ? tags.get(id) : fallback;
+
+  const width = tag(TIFF_TAGS.ImageWidth)[0];
+  const height = tag(TIFF_TAGS.ImageLength)[0];
+  const bits = tag(TIFF_TAGS.BitsPerSample, [16])[0];
+  const sampleFormat = tag(TIFF_TAGS.SampleFormat, [1])[0];
+  const compression = tag(TIFF_TAGS.Compression, [COMPRESSION.none])[0];
+  const predictor = tag(TIFF_TAGS.Predictor, [1])[0];
+
+  if (tag(TIFF_TAGS.SamplesPerPixel, [1])[0] !== 1) {
+    throw new Error('Only single-band elevation GeoTIFFs are supported');
+  }
+  if (!Object.values(COMPRESSION).includes(compression)) {
+    throw new Error(`Unsupported GeoTIFF compression (${compression}) - use none, LZW or Deflate`);
+  }
+  if (predictor !== 1 && predictor !== 2) {
+    throw new Error('Floating-point predictor is not supported - re-export without a predictor');
+  }
+
+  checkGeographic(tags);
+  const bounds = readBounds(tags, width, height);
+
+  const readSample = sampleReader(bits, sampleFormat, little);
+  const bytesPerSample = bits / 8;
+  const data = new Float32Array(width * height);
+
+  // Strips are just full-width tiles
+  const tiled = tags.has(TIFF_TAGS.TileOffsets);
+  const blockWidth = tiled ? tag(TIFF_TAGS.TileWidth)[0] : width;
+  const blockHeight = tiled ? tag(TIFF_TAGS.TileLength)[0] : tag(TIFF_TAGS.RowsPerStrip, [height])[0];
+  const offsets = tag(tiled ? TIFF_TAGS.TileOffsets : TIFF_TAGS.StripOffsets);
+  const byteCounts = tag(tiled ? TIFF_TAGS.TileByteCounts : TIFF_TAGS.StripByteCounts);
+  const blocksAcross = Math.ceil(width / blockWidth);
+
+  for (let b = 0; b < offsets.length; b++) {
+    const raw = new Uint8Array(buffer, offsets[b], byteCounts[b]);
+    const block = await decompress(raw, compression);
+    if (predictor === 2) {
+      undoHorizontalPredictor(block, blockWidth, bytesPerSample, little);
+    }
+
+    const blockView = new DataView(block.buffer, block.byteOffset, block.byteLength);
+    const x0 = (b % blocksAcross) * blockWidth;
+    const y0 = Math.floor(b / blocksAcross) * blockHeight;
+
+    for (let y = 0; y < blockHeight && y0 + y < height; y++) {
+      for (let x = 0; x < blockWidth && x0 + x < width; x++) {
+        const offset = (y * blockWidth + x) * bytesPerSample;
+        if (offset + bytesPerSample > block.byteLength) break;
+        data[(y0 + y) * width + x0 + x] = readSample(blockView, offset);
+      }
+    }
+  }
+
+  const noDataText = tags.get(TIFF_TAGS.GdalNoData);
+  const noData = noDataText ? parseFloat(noDataText) : null;
+
+  return {
+    format: 'geotiff',
+    bounds,
+    width,
+    height,
+    noData: Number.isFinite(noData) ? noData : null,
+    data
+  };
+}
+
+/**
+ * Read the first IFD into a Map of tag id -> values (array, or string for ASCII)
+ */
+function readIFD(view, offset, little) {
+  const tags = new Map();
+  const count = view.getUint16(offset, little);
+
+  for (let i = 0; i < count; i++) {
+    const entry = offset + 2 + i * 12;
+    const id = view.getUint16(entry, little);
+    const type = view.getUint16(entry + 2, little);
+    const valueCount = view.getUint32(entry + 4, little);
+    const size = (FIELD_TYPE_SIZES[type] || 1) * valueCount;
+    const valueOffset = size <= 4 ? entry + 8 : view.getUint32(entry + 8, little);
+
+    tags.set(id, readValues(view, type, valueOffset, valueCount, little));
+  }
+
+  return tags;
+}
+
+function readValues(view, type, offset, count, little) {
+  if (type === 2) {
+    let text = '';
+    for (let i = 0; i < count; i++) {
+      const code = view.getUint8(offset + i);
+      if (code === 0) break;
+      text += String.fromCharCode(code);
+    }
+    return text;
+  }
+
+  const values = [];
+  for (let i = 0; i < count; i++) {
+    switch (type) {
+      case 3: values.push(view.getUint16(offset + i * 2, little)); break;
+      case 4: values.push(view.getUint32(offset + i * 4, little)); break;
+      case 8: values.push(view.getInt16(offset + i * 2, little)); break;
+      case 9: values.push(view.getInt32(offset + i * 4, little)); break;
+      case 11: values.push(view.getFloat32(offset + i * 4, little)); break;
+      case 12: values.push(view.getFloat64(offset + i * 8, little)); break;
+      case 5: values.push(view.getUint32(offset + i * 8, little) / view.getUint32(offset + i * 8 + 4, little)); break;
+      default: values.push(view.getUint8(offset + i));
+    }
+  }
+  return values;
+}
+
+/**
+ * Reject projected rasters - lookups are done in plain lat/lng
+ */
+function checkGeographic(tags) {
+  const directory = tags.get(TIFF_TAGS.GeoKeyDirectory);
+  if (!directory) {
+    throw new Error('TIFF has no georeferencing - is this a GeoTIFF?');
+  }
+
+  const keys = geoKeys(directory);
+  if (keys.has(GEO_KEYS.ProjectedCSType) || keys.get(GEO_KEYS.GTModelType) === 1) {
+    throw new Error('Projected GeoTIFFs are not supported - reproject the DEM to WGS84 (EPSG:4326)');
+  }
+}
+
+function geoKeys(directory) {
+  const keys = new Map();
+  const keyCount = directory[3];
+  for (let i = 0; i < keyCount; i++) {
+    const [id, location, , value] = directory.slice(4 + i * 4, 8 + i * 4);
+    // Only inline SHORT values matter here
+    if (location === 0) keys.set(id, value);
+  }
+  return keys;
+}
+
+/**
+ * Sample-center bounds from the tiepoint/scale (or affine transform) tags
+ */
+function readBounds(tags, width, height) {
+  let originX, originY, scaleX, scaleY;
+
+  const transform = tags.get(TIFF_TAGS.ModelTransformation);
+  if (transform) {
+    if (transform[1] !== 0 || transform[4] !== 0) {
+      throw new Error('Rotated GeoTIFFs are not supported');
+    }
+    [scaleX, originX, scaleY, originY] = [transform[0], transform[3], -transform[5], transform[7]];
+  } else {
+    const tiepoint = tags.get(TIFF_TAGS.ModelTiepoint);
+    const scale = tags.get(TIFF_TAGS.ModelPixelScale);
+    if (!tiepoint || !scale) {
+      throw new Error('GeoTIFF is missing its tiepoint/pixel scale');
+    }
+    [scaleX, scaleY] = scale;
+    originX = tiepoint[3] - tiepoint[0] * scaleX;
+    originY = tiepoint[4] + tiepoint[1] * scaleY;
+  }
+
+  // PixelIsArea (the default) anchors the corner of the first pixel, not its center
+  const rasterType = geoKeys(tags.get(TIFF_TAGS.GeoKeyDirectory)).get(GEO_KEYS.GTRasterType) || 1;
+  if (rasterType === 1) {
+    originX += scaleX / 2;
+    originY -= scaleY / 2;
+  }
+
+  return {
+    west: originX,
+    north: originY,
+    east: originX + (width - 1) * scaleX,
+    south: originY - (height - 1) * scaleY
+  };
+}
+
+function sampleReader(bits, format, little) {
+  const key = `${format}:${bits}`;
+  const readers = {
+    '1:8': (v, o) => v.getUint8(o),
+    '2:8': (v, o) => v.getInt8(o),
+    '1:16': (v, o) => v.getUint16(o, little),
+    '2:16': (v, o) => v.getInt16(o, little),
+    '1:32': (v, o) => v.getUint32(o, little),
+    '2:32': (v, o) => v.getInt32(o, little),
+    '3:32': (v, o) => v.getFloat32(o, little),
+    '3:64': (v, o) => v.getFloat64(o, little)
+  };
+
+  if (!readers[key]) {
+    throw new Error(`Unsupported GeoTIFF sample type (${bits}-bit, format ${format})`);
+  }
+  return readers[key];
+}
+
+async function decompress(bytes, compression) {
+  switch (compression) {
+    case COMPRESSION.lzw:
+      return decodeLZW(bytes);
+    case COMPRESSION.deflate:
+    case COMPRESSION.deflateLegacy:
+      return inflate(bytes);
+    default:
+      // Copy so the predictor can work in place without touching the file buffer
+      return new Uint8Array(bytes);
+  }
+}
+
+async function inflate(bytes) {
+  if (typeof DecompressionStream === 'undefined') {
+    throw new Error('This browser cannot read Deflate-compressed GeoTIFFs');
+  }
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * TIFF-flavoured LZW (MSB-first codes, early change)
+ */
+function decodeLZW(input) {
+  const CLEAR = 256;
+  const EOI = 257;
+  const output = [];
+  let dictionary = [];
+  let codeLength = 9;
+  let bitPos = 0;
+  let previous = null;
+
+  const resetDictionary = () => {
+    dictionary = [];
+    for (let i = 0; i < 256; i++) dictionary[i] = [i];
+    dictionary[CLEAR] = null;
+    dictionary[EOI] = null;
+    codeLength = 9;
+  };
+
+  const readCode = () => {
+    let code = 0;
+    for (let i = 0; i < codeLength; i++) {
+      const byte = input[(bitPos + i) >> 3];
+      if (byte === undefined) return EOI;
+      code = (code << 1) | ((byte >> (7 - ((bitPos + i) & 7))) & 1);
+    }
+    bitPos += codeLength;
+    return code;
+  };
+
+  resetDictionary();
+
+  while (true) {
+    const code = readCode();
+    if (code === EOI) break;
+
+    if (code === CLEAR) {
+      resetDictionary();
+      previous = null;
+      continue;
+    }
+
+    let entry;
+    if (code < dictionary.length && dictionary[code]) {
+      entry = dictionary[code];
+      if (previous) dictionary.push(previous.concat(entry[0]));
+    } else if (previous) {
+      entry = previous.concat(previous[0]);
+      dictionary.push(entry);
+    } else {
+      throw new Error('Corrupt LZW data in GeoTIFF');
+    }
+
+    for (let i = 0; i < entry.length; i++) output.push(entry[i]);
+    previous = entry;
+
+    // Early change: widen one code before the table is full
+    if (dictionary.length + 1 >= (1 << codeLength) && codeLength < 12) {
+      codeLength++;
+    }
+  }
+
+  return Uint8Array.from(output);
+}
+
+/**
+ * Predictor 2: each sample is stored as the difference from its left neighbour
+ */
+function undoHorizontalPredictor(block, blockWidth, bytesPerSample, little) {
+  const view = new DataView(block.buffer, block.byteOffset, block.byteLength);
+  const rowBytes = blockWidth * bytesPerSample;
+  const rows = Math.floor(block.byteLength / rowBytes);
+
+  for (let row = 0; row < rows; row++) {
+    for (let col = 1; col < blockWidth; col++) {
+      const offset = row * rowBytes + col * bytesPerSample;
+      const prev = offset - bytesPerSample;
+      if (bytesPerSample === 1) {
+        view.setUint8(offset, (view.getUint8(offset) + view.getUint8(prev)) & 0xFF);
+      } else if (bytesPerSample === 2) {
+        view.setUint16(offset, (view.getUint16(offset, little) + view.getUint16(prev, little)) & 0xFFFF, little);
+      } else {
+        view.setUint32(offset, (view.getUint32(offset, little) + view.getUint32(prev, little)) >>> 0, little);
+      }
+    }
+  }
+}
+
+// ==================== LOOKUP ====================
+
+/**
+ * Detect the file type and parse it
+ * @param {ArrayBuffer} buffer
+ * @param {string} fileName
+ * @returns {Promise<object>} Elevation grid
+ */
+export async function parseDEM(buffer, fileName) {
+  const name = (fileName || '').toLowerCase();
+  if (name.endsWith('.hgt')) return parseHGT(buffer, fileName);
+  if (name.endsWith('.tif') || name.endsWith('.tiff')) return parseGeoTIFF(buffer);
+  throw new Error(`Unsupported elevation file "${fileName}" - use SRTM .hgt or GeoTIFF`);
+}
+
+/**
+ * Bilinear elevation lookup in a grid. Void samples are left out and the
+ * remaining weights renormalized; returns null if all four are void.
+ * @param {object} grid - Elevation grid
+ * @param {number} lat
+ * @param {number} lng
+ * @returns {number|null} Meters
+ */
+export function sampleGrid(grid, lat, lng) {
+  const { bounds, width, height, noData, data } = grid;
+
+  const x = (lng - bounds.west) / (bounds.east - bounds.west) * (width - 1);
+  const y = (bounds.north - lat) / (bounds.north - bounds.south) * (height - 1);
+  if (x < 0 || y < 0 || x > width - 1 || y > height - 1) return null;
+
+  const x0 = Math.min(Math.floor(x), width - 2);
+  const y0 = Math.min(Math.floor(y), height - 2);
+  const fx = x - x0;
+  const fy = y - y0;
+
+  const corners = [
+    [data[y0 * width + x0], (1 - fx) * (1 - fy)],
+    [data[y0 * width + x0 + 1], fx * (1 - fy)],
+    [data[(y0 + 1) * width + x0], (1 - fx) * fy],
+    [data[(y0 + 1) * width + x0 + 1], fx * fy]
+  ];
+
+  let sum = 0;
+  let weight = 0;
+  corners.forEach(([value, w]) => {
+    if (value === noData || Number.isNaN(value)) return;
+    sum += value * w;
+    weight += w;
+  });
+
+  return weight > 0 ? sum / weight : null;
+}
@@ -0,0 +1,291 @@
+/**
+ * FIT file decoder
+ * Reads the binary Flexible and Interoperable Data Transfer files written by
+ * Garmin, Wahoo, Coros, Suunto and other sport watches and bike computers.
+ *
+ * Only the messages we import are named (file_id, session, lap, record, event);
+ * everything else is parsed for its size and skipped. Handles both byte orders,
+ * compressed timestamp headers, developer fields and chained files.
+ *
+ * Access Nature - Export Utilities
+ * Created: December 2025
+ */
+
+// FIT timestamps count seconds from 1989-12-31T00:00:00Z
+const FIT_EPOCH_MS = Date.UTC(1989, 11, 31);
+
+const SEMICIRCLES_TO_DEGREES = 180 / 2 ** 31;
+
+/**
+ * Base types: size, DataView reader and the "no value" marker
+ */
+const BASE_TYPES = {
+  0x00: { size: 1, read: (v, o) => v.getUint8(o), invalid: 0xFF },             // enum
+  0x01: { size: 1, read: (v, o) => v.getInt8(o), invalid: 0x7F },              // sint8
+  0x02: { size: 1, read: (v, o) => v.getUint8(o), invalid: 0xFF },             // uint8
+  0x83: { size: 2, read: (v, o, le) => v.getInt16(o, le), invalid: 0x7FFF },   // sint16
+  0x84: { size: 2, read: (v, o, le) => v.getUint16(o, le), invalid: 0xFFFF },  // uint16
+  0x85: { size: 4, read: (v, o, le) => v.getInt32(o, le), invalid: 0x7FFFFFFF },
+  0x86: { size: 4, read: (v, o, le) => v.getUint32(o, le), invalid: 0xFFFFFFFF },
+  0x07: { size: 1, string: true },                                              // string
+  0x88: { size: 4, read: (v, o, le) => v.getFloat32(o, le), invalid: NaN },
+  0x89: { size: 8, read: (v, o, le) => v.getFloat64(o, le), invalid: NaN },
+  0x0A: { size: 1, read: (v, o) => v.getUint8(o), invalid: 0x00 },             // uint8z
+  0x8B: { size: 2, read: (v, o, le) => v.getUint16(o, le), invalid: 0x0000 },
+  0x8C: { size: 4, read: (v, o, le) => v.getUint32(o, le), invalid: 0x00000000 },
+  0x0D: { size: 1, read: (v, o) => v.getUint8(o), invalid: 0xFF },             // byte
+  0x8E: { size: 8, read: (v, o, le) => Number(v.getBigInt64(o, le)), invalid: null },
+  0x8F: { size: 8, read: (v, o, le) => Number(v.getBigUint64(o, le)), invalid: null },
+  0x90: { size: 8, read: (v, o, le) => Number(v.getBigUint64(o, le)), invalid: 0 }
+};
+
+/**
+ * Messages and fields we read: global message number → { name, fields: { number: [name, scale, offset, kind] } }
+ * kind: 'time' (FIT timestamp → ms), 'position' (semicircles → degrees)
+ */
+const MESSAGES = {
+  0: {
+    name: 'fileId',
+    fields: { 0: ['type'], 1: ['manufacturer'], 2: ['product'], 4: ['timeCreated', 1, 0, 'time'] }
+  },
+  18: {
+    name: 'session',
+    fields: {
+      253: ['timestamp', 1, 0, 'time'],
+      2: ['startTime', 1, 0, 'time'],
+      5: ['sport'],
+      7: ['totalElapsedTime', 1000],
+      8: ['totalTimerTime', 1000],
+      9: ['totalDistance', 100],
+      22: ['totalAscent'],
+      23: ['totalDescent']
+    }
+  },
+  19: {
+    name: 'lap',
+    fields: {
+      253: ['timestamp', 1, 0, 'time'],
+      2: ['startTime', 1, 0, 'time'],
+      3: ['startLat', 1, 0, 'position'],
+      4: ['startLng', 1, 0, 'position'],
+      7: ['totalElapsedTime', 1000],
+      8: ['totalTimerTime', 1000],
+      9: ['totalDistance', 100],
+      21: ['totalAscent'],
+      22: ['totalDescent']
+    }
+  },
+  20: {
+    name: 'record',
+    fields: {
+      253: ['timestamp', 1, 0, 'time'],
+      0: ['lat', 1, 0, 'position'],
+      1: ['lng', 1, 0, 'position'],
+      2: ['altitude', 5, 500],
+      3: ['heartRate'],
+      5: ['distance', 100],
+      6: ['speed', 1000],
+      31: ['gpsAccuracy'],
+      73: ['enhancedSpeed', 1000],
+      78: ['enhancedAltitude', 5, 500]
+    }
+  },
+  21: {
+    name: 'event',
+    fields: { 253: ['timestamp', 1, 0, 'time'], 0: ['event'], 1: ['eventType'] }
+  }
+};
+
+/**
+ * FIT event / event_type values used for pauses
+ */
+export const FIT_EVENTS = {
+  timer: 0,
+  start: 0,
+  stop: 1,
+  stopAll: 4
+};
+
+/**
+ * CRC-16 as defined by the FIT protocol
+ * @param {Uint8Array} bytes
+ * @param {number} start
+ * @param {number} end - Exclusive
+ * @returns {number}
+ */
+export function fitCrc(bytes, start = 0, end = bytes.length) {
+  const table = [
+    0x0000, 0xCC01, 0xD801, 0x1400, 0xF001, 0x3C00, 0x2800, 0xE401,
+    0xA001, 0x6C00, 0x7800, 0xB401, 0x5000, 0x9C01, 0x8801, 0x4400
+  ];
+  let crc = 0;
+  for (let i = start; i < end; i++) {
+    const byte = bytes[i];
+    let tmp = table[crc & 0xF];
+    crc = (crc >> 4) & 0x0FFF;
+    crc = crc ^ tmp ^ table[byte & 0xF];
+    tmp = table[crc & 0xF];
+    crc = (crc >> 4) & 0x0FFF;
+    crc = crc ^ tmp ^ table[(byte >> 4) & 0xF];
+  }
+  return crc;
+}
+
+function readField(view, offset, field, littleEndian) {
+  const type = BASE_TYPES[field.baseType] || BASE_TYPES[0x0D];
+
+  if (type.string) {
+    const bytes = new Uint8Array(view.buffer, view.byteOffset + offset, field.size);
+    const end = bytes.indexOf(0);
+    return new TextDecoder().decode(end >= 0 ? bytes.subarray(0, end) : bytes) || null;
+  }
+
+  // Arrays come as several values in one field; we only need the first
+  if (field.size < type.size) return null;
+  const value = type.read(view, offset, littleEndian);
+  if (value === type.invalid || Number.isNaN(value)) return null;
+  return value;
+}
+
+function convert(value, [, scale = 1, offset = 0, kind]) {
+  if (value === null || typeof value !== 'number') return value;
+  if (kind === 'time') return FIT_EPOCH_MS + value * 1000;
+  if (kind === 'position') return value * SEMICIRCLES_TO_DEGREES;
+  return value / scale - offset;
+}
+
+/**
+ * Decode a FIT file
+ * @param {ArrayBuffer} buffer
+ * @returns {object} { fileId, sessions, laps, records, events, crcValid }
+ *   Records carry timestamp (ms), lat/lng (degrees), altitude (m), distance (m), speed (m/s), heartRate
+ * @throws {Error} When the file isn't FIT or is truncated
+ */
+export function decodeFIT(buffer) {
+  const bytes = new Uint8Array(buffer);
+  const view = new DataView(buffer);
+  const result = { fileId: null, sessions: [], laps: [], records: [], events: [], crcValid: true };
+  let position = 0;
+
+  // Chained FIT files are several complete files back to back
+  while (position + 12 <= bytes.length) {
+    const headerSize = bytes[position];
+    const signature = String.fromCharCode(...bytes.subarray(position + 8, position + 12));
+    if (signature !== '.FIT' || headerSize < 12) {
+      if (position === 0) throw new Error('Not a FIT file');
+      break;
+    }
+
+    const dataSize = view.getUint32(position + 4, true);
+    const dataStart = position + headerSize;
+    const dataEnd = dataStart + dataSize;
+    if (dataEnd > bytes.length) {
+      throw new Error('FIT file is truncated');
+    }
+
+    if (dataEnd + 2 <= bytes.length) {
+      const stored = view.getUint16(dataEnd, true);
+      if (stored !== 0 && stored !== fitCrc(bytes, position, dataEnd)) result.crcValid = false;
+    }
+
+    decodeRecords(view, dataStart, dataEnd, result);
+    position = dataEnd + 2;
+  }
+
+  return result;
+}
+
+function decodeRecords(view, start, end, result) {
+  const definitions = {};
+  let lastTimestamp = 0;
+  let offset = start;
+
+  while (offset < end) {
+    const header = view.getUint8(offset++);
+
+    // Compressed timestamp header: data message with a 5-bit time offset
+    if (header & 0x80) {
+      const localType = (header >> 5) & 0x03;
+      const timeOffset = header & 0x1F;
+      let timestamp = (lastTimestamp & ~0x1F) + timeOffset;
+      if (timeOffset < (lastTimestamp & 0x1F)) timestamp += 0x20;
+      lastTimestamp = timestamp;
+      offset = readDataMessage(view, offset, definitions[localType], result, timestamp);
+      continue;
+    }
+
+    const localType = header & 0x0F;
+
+    // Definition message
+    if (header & 0x40) {
+      const littleEndian = view.getUint8(offset + 1) === 0;
+      const globalNumber = view.getUint16(offset + 2, littleEndian);
+      const fieldCount = view.getUint8(offset + 4);
+      offset += 5;
+
+      const fields = [];
+      for (let i = 0; i < fieldCount; i++) {
+        fields.push({
+          number: view.getUint8(offset),
+          size: view.getUint8(offset + 1),
+          baseType: view.getUint8(offset + 2)
+        });
+        offset += 3;
+      }
+
+      // Developer fields: only their size matters to us
+      let developerSize = 0;
+      if (header & 0x20) {
+        const developerCount = view.getUint8(offset++);
+        for (let i = 0; i < developerCount; i++) {
+          developerSize += view.getUint8(offset + 1);
+          offset += 3;
+        }
+      }
+
+      definitions[localType] = { globalNumber, littleEndian, fields, developerSize };
+      continue;
+    }
+
+    // Normal data message
+    const definition = definitions[localType];
+    offset = readDataMessage(view, offset, definition, result, null, (timestamp) => {
+      lastTimestamp = timestamp;
+    });
+  }
+}
+
+function readDataMessage(view, offset, definition, result, compressedTimestamp, onTimestamp) {
+  if (!definition) {
+    throw new Error('FIT file is corrupt - data message before its definition');
+  }
+
+  const message = MESSAGES[definition.globalNumber];
+  const values = {};
+
+  definition.fields.forEach(field => {
+    const spec = message?.fields[field.number];
+
+    // Compressed timestamps count from the last timestamp of any message, named or not
+    if (spec || field.number === 253) {
+      const raw = readField(view, offset, field, definition.littleEndian);
+      if (field.number === 253 && raw !== null) onTimestamp?.(raw);
+
+      const value = spec ? convert(raw, spec) : null;
+      if (value !== null && value !== undefined) values[spec[0]] = value;
+    }
+    offset += field.size;
+  });
+  offset += definition.developerSize;
+
+  if (message) {
+    if (compressedTimestamp !== null && values.timestamp === undefined) {
+      values.timestamp = FIT_EPOCH_MS + compressedTimestamp * 1000;
+    }
+
+    if (message.name === 'fileId') result.fileId = values;
+    else result[`${message.name}s`].push(values);
+  }
+
+  return offset;
+}
@@ -1,3 +1,5 @@
+import { elevationService } from '../services/elevationService.js';
+
 // GPS utilities
 export function getCurrentPosition(options = {}) {
   const defaultOptions = {
@@ -17,26 +19,26 @@ export function getCurrentPosition(options = {}) {
   });
 }
 
+// Elevation lookups go through the provider chain: offline DEM tiles first, then the network
 export async function getElevation(lat, lng) {
   try {
-    const url = `https://api.open-meteo.com/v1/elevation?latitude=${lat}&longitude=${lng}`;
-    const response = await fetch(url);
-    
-    if (!response.ok) throw new Error(`HTTP ${response.status}`);
-    
-    const data = await response.json();
-    
-    if (Array.isArray(data.elevation) && data.elevation.length > 0) {
-      return data.elevation[0];
-    }
-    
-    return null;
+    return await elevationService.getElevation(lat, lng);
   } catch (error) {
-    console.warn('Elevation fetch failed:', error);
+    console.warn('Elevation lookup failed:', error);
     return null;
   }
 }
 
+// Batch elevation lookup - returns an array aligned with coordsList, null where unknown
+export async function getElevations(coordsList) {
+  try {
+    return await elevationService.getElevations(coordsList);
+  } catch (error) {
+    console.warn('Elevation batch lookup failed:', error);
+    return new Array(coordsList.length).fill(null);
+  }
+}
+
 export function isMobileDevice() {
   return /Android|iPhone|iPad|iPod|BlackBerry|IEMobile|Opera Mini/i.test(navigator.userAgent);
 }
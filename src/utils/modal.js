@@ -483,7 +483,8 @@ class ModalManager {
     if (typeof text !== 'string') return text;
     const div = document.createElement('div');
     div.textContent = text;
-    return div.innerHTML;
+    // Quotes too, so the result is safe inside attribute values
+    return div.innerHTML.replace(/"/g, '&quot;');
   }
 
   // Convenience methods
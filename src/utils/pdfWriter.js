@@ -0,0 +1,597 @@
+/**
+ * PDF writer
+ * Builds tagged PDF 1.7 files in the browser - no libraries, no network.
+ *
+ * - Standard Helvetica / Helvetica-Bold (nothing to embed) in WinAnsi encoding;
+ *   characters outside it are drawn as close substitutes and the exact text is
+ *   kept as ActualText for screen readers
+ * - JPEG images passed straight through (DCTDecode)
+ * - Vector text, lines, rectangles and polygons
+ * - Logical structure (headings, paragraphs, tables, lists, figures with alt
+ *   text) with decorations marked as artifacts, so the file reads in order
+ *
+ * Coordinates are in points from the top-left corner of the page.
+ *
+ * Access Nature - Export Utilities
+ * Created: December 2025
+ */
+
+export const PAGE_SIZES = {
+  a4: [595.28, 841.89],
+  letter: [612, 792]
+};
+
+const FONTS = {
+  regular: { resource: 'F1', baseFont: 'Helvetica' },
+  bold: { resource: 'F2', baseFont: 'Helvetica-Bold' }
+};
+
+// Advance widths (1/1000 em) for character codes 32-126
+const WIDTHS = {
+  regular: [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+    1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+    333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+    556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+  ],
+  bold: [
+    278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+    975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+    333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+    611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+  ]
+};
+
+// WinAnsi codes 128-159 that differ from Latin-1
+const WIN_ANSI_EXTRAS = {
+  '€': 0x80, '‚': 0x82, 'ƒ': 0x83, '„': 0x84, '…': 0x85, '†': 0x86, '‡': 0x87, 'ˆ': 0x88,
+  '‰': 0x89, 'Š': 0x8A, '‹': 0x8B, 'Œ': 0x8C, 'Ž': 0x8E, '‘': 0x91, '’': 0x92, '“': 0x93,
+  '”': 0x94, '•': 0x95, '–': 0x96, '—': 0x97, '˜': 0x98, '™': 0x99, 'š': 0x9A, '›': 0x9B,
+  'œ': 0x9C, 'ž': 0x9E, 'Ÿ': 0x9F
+};
+
+// Common symbols outside WinAnsi
+const SUBSTITUTES = {
+  '≥': '>=', '≤': '<=', '≈': '~', '→': '->', '←': '<-', '−': '-', '✓': 'v', '✔': 'v',
+  '✗': 'x', '✘': 'x', '★': '*', '☆': '*', '′': "'", '″': '"', ' ': ' ', ' ': ' '
+};
+
+const PICTOGRAPH = /\p{Extended_Pictographic}|[\u{1F1E6}-\u{1F1FF}\u{1F3FB}-\u{1F3FF}︎️‍]/u;
+
+/**
+ * Encode text for a standard font
+ * Emoji are dropped; other characters outside WinAnsi become their base letter,
+ * a substitute or "?".
+ * @param {string} text
+ * @returns {object} { codes: string of char codes 0-255, lossless: boolean }
+ */
+export function encodeWinAnsi(text) {
+  let codes = '';
+  let lossless = true;
+
+  for (const char of String(text ?? '')) {
+    const code = char.codePointAt(0);
+
+    if ((code >= 0x20 && code <= 0x7E) || (code >= 0xA0 && code <= 0xFF)) {
+      codes += char;
+    } else if (WIN_ANSI_EXTRAS[char]) {
+      codes += String.fromCharCode(WIN_ANSI_EXTRAS[char]);
+    } else if (char === '\t' || char === '\n' || char === '\r') {
+      codes += ' ';
+    } else {
+      lossless = false;
+      if (PICTOGRAPH.test(char)) continue;
+
+      const base = char.normalize('NFD')[0];
+      const baseCode = base.codePointAt(0);
+      if (base !== char && ((baseCode >= 0x20 && baseCode <= 0x7E) || (baseCode >= 0xA0 && baseCode <= 0xFF))) {
+        codes += base;
+      } else {
+        codes += SUBSTITUTES[char] ?? '?';
+      }
+    }
+  }
+
+  // Dropped emoji leave doubled or leading spaces behind
+  const cleaned = codes.replace(/ {2,}/g, ' ').trim();
+  return { codes: cleaned, lossless: lossless && cleaned === codes };
+}
+
+function charWidth(code, font) {
+  const widths = WIDTHS[font] || WIDTHS.regular;
+  if (code >= 32 && code <= 126) return widths[code - 32];
+
+  // Accented letters are as wide as their base letter
+  const base = String.fromCharCode(code).normalize('NFD').charCodeAt(0);
+  if (base >= 32 && base <= 126) return widths[base - 32];
+  return 556;
+}
+
+/**
+ * Width of text in points
+ * @param {string} text
+ * @param {string} font - 'regular' | 'bold'
+ * @param {number} size - Font size in points
+ * @returns {number}
+ */
+export function measureText(text, font = 'regular', size = 11) {
+  const { codes } = encodeWinAnsi(text);
+  let width = 0;
+  for (let i = 0; i < codes.length; i++) {
+    width += charWidth(codes.charCodeAt(i), font);
+  }
+  return (width * size) / 1000;
+}
+
+/**
+ * Break text into lines that fit a width (long words are split)
+ * @param {string} text
+ * @param {number} maxWidth - Points
+ * @param {string} font
+ * @param {number} size
+ * @returns {Array<string>}
+ */
+export function wrapText(text, maxWidth, font = 'regular', size = 11) {
+  const lines = [];
+
+  String(text ?? '').split(/\r?\n/).forEach(paragraph => {
+    let line = '';
+
+    paragraph.split(/\s+/).filter(Boolean).forEach(word => {
+      const candidate = line ? `${line} ${word}` : word;
+      if (measureText(candidate, font, size) <= maxWidth) {
+        line = candidate;
+        return;
+      }
+
+      if (line) lines.push(line);
+      line = word;
+
+      while (measureText(line, font, size) > maxWidth && line.length > 1) {
+        let cut = line.length - 1;
+        while (cut > 1 && measureText(line.slice(0, cut), font, size) > maxWidth) cut--;
+        lines.push(line.slice(0, cut));
+        line = line.slice(cut);
+      }
+    });
+
+    lines.push(line);
+  });
+
+  return lines;
+}
+
+/**
+ * Size and color model of a JPEG from its frame header
+ * @param {Uint8Array} bytes
+ * @returns {object} { width, height, components }
+ * @throws {Error} When the data isn't a baseline or progressive JPEG
+ */
+export function readJpegInfo(bytes) {
+  if (bytes[0] !== 0xFF || bytes[1] !== 0xD8) {
+    throw new Error('Not a JPEG image');
+  }
+
+  let offset = 2;
+  while (offset + 9 < bytes.length) {
+    if (bytes[offset] !== 0xFF) {
+      offset++;
+      continue;
+    }
+
+    const marker = bytes[offset + 1];
+    const length = (bytes[offset + 2] << 8) | bytes[offset + 3];
+
+    // SOF0-SOF15, except DHT (C4), JPG (C8) and DAC (CC)
+    if (marker >= 0xC0 && marker <= 0xCF && marker !== 0xC4 && marker !== 0xC8 && marker !== 0xCC) {
+      return {
+        height: (bytes[offset + 5] << 8) | bytes[offset + 6],
+        width: (bytes[offset + 7] << 8) | bytes[offset + 8],
+        components: bytes[offset + 9]
+      };
+    }
+
+    offset += 2 + length;
+  }
+
+  throw new Error('JPEG has no frame header');
+}
+
+// ==================== SERIALIZATION HELPERS ====================
+
+const number = (value) => {
+  const rounded = Math.round(value * 100) / 100;
+  return Object.is(rounded, -0) ? '0' : String(rounded);
+};
+
+function colorOperands(hex) {
+  const value = String(hex).replace('#', '');
+  const full = value.length === 3 ? value.split('').map(c => c + c).join('') : value;
+  return [0, 2, 4].map(i => number(parseInt(full.slice(i, i + 2), 16) / 255)).join(' ');
+}
+
+// Text string for content streams: WinAnsi bytes, escaped
+function contentString(codes) {
+  let out = '(';
+  for (let i = 0; i < codes.length; i++) {
+    const code = codes.charCodeAt(i);
+    const char = codes[i];
+    if (char === '\\' || char === '(' || char === ')') out += `\\${char}`;
+    else if (code < 32 || code > 126) out += `\\${code.toString(8).padStart(3, '0')}`;
+    else out += char;
+  }
+  return `${out})`;
+}
+
+// Text string for dictionaries (titles, alt text): UTF-16BE with BOM
+function textString(text) {
+  let hex = 'FEFF';
+  const value = String(text ?? '');
+  for (let i = 0; i < value.length; i++) {
+    hex += value.charCodeAt(i).toString(16).toUpperCase().padStart(4, '0');
+  }
+  return `<${hex}>`;
+}
+
+function pdfDate(date) {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `(D:${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}` +
+    `${pad(date.getUTCHours())}${pad(date.getUTCMinutes())}${pad(date.getUTCSeconds())}Z)`;
+}
+
+function escapeXml(text) {
+  return String(text ?? '').replace(/[<>&'"]/g, c => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', "'": '&apos;', '"': '&quot;' }[c]));
+}
+
+function latin1(text) {
+  const bytes = new Uint8Array(text.length);
+  for (let i = 0; i < text.length; i++) bytes[i] = text.charCodeAt(i) & 0xFF;
+  return bytes;
+}
+
+// ==================== DOCUMENT ====================
+
+export class PdfDocument {
+  /**
+   * @param {object} options - { title, author, subject, lang, size: 'a4' | 'letter' }
+   */
+  constructor({ title = '', author = '', subject = '', lang = 'en', size = 'a4' } = {}) {
+    this.info = { title, author, subject, lang };
+    [this.pageWidth, this.pageHeight] = PAGE_SIZES[size] || PAGE_SIZES.a4;
+    this.pages = [];
+    this.images = [];
+    this.page = null;
+
+    // Structure tree: everything hangs off one Document element
+    this.root = { type: 'Document', kids: [], parent: null };
+  }
+
+  /**
+   * Start a new page and make it current
+   * @returns {object} Page handle
+   */
+  addPage() {
+    this.page = { content: [], marks: [], images: new Set() };
+    this.pages.push(this.page);
+    return this.page;
+  }
+
+  /**
+   * Draw on an earlier page (e.g. footers once the page count is known)
+   * @param {object} page - Handle from addPage()
+   */
+  setPage(page) {
+    this.page = page;
+  }
+
+  // ==================== STRUCTURE ====================
+
+  /**
+   * Add a structure element
+   * @param {string} type - Standard structure type (H1, H2, P, Table, TR, TH, TD, L, LI, LBody, Figure, Caption, Sect)
+   * @param {object} options - { parent, alt, actualText }
+   * @returns {object} Element handle
+   */
+  createElement(type, { parent = this.root, alt = null, actualText = null } = {}) {
+    const element = { type, parent, kids: [], alt, actualText };
+    parent.kids.push(element);
+    return element;
+  }
+
+  /**
+   * Draw content belonging to a structure element on the current page
+   * @param {object} element - From createElement()
+   * @param {Function} draw - Drawing calls
+   */
+  mark(element, draw) {
+    const mcid = this.page.marks.length;
+    this.page.marks.push(element);
+    element.kids.push({ page: this.page, mcid });
+
+    this.page.content.push(`/${element.type} <</MCID ${mcid}>> BDC`);
+    draw();
+    this.page.content.push('EMC');
+  }
+
+  /**
+   * Draw decoration that screen readers should skip (rules, backgrounds, page numbers)
+   * @param {Function} draw - Drawing calls
+   */
+  artifact(draw) {
+    this.page.content.push('/Artifact BMC');
+    draw();
+    this.page.content.push('EMC');
+  }
+
+  /**
+   * One element holding a line of text; keeps the exact text when the font can't show it
+   * @returns {object} Element handle
+   */
+  textElement(type, text, x, y, style = {}, parent = this.root) {
+    const { lossless } = encodeWinAnsi(text);
+    const element = this.createElement(type, { parent, actualText: lossless ? null : text });
+    this.mark(element, () => this.text(text, x, y, style));
+    return element;
+  }
+
+  // ==================== DRAWING ====================
+
+  /**
+   * @param {string} text
+   * @param {number} x - Left edge
+   * @param {number} y - Baseline, from the top
+   * @param {object} style - { font: 'regular' | 'bold', size, color }
+   */
+  text(text, x, y, { font = 'regular', size = 11, color = '#000000' } = {}) {
+    const { codes } = encodeWinAnsi(text);
+    if (!codes) return;
+
+    this.page.content.push(
+      `BT /${FONTS[font]?.resource || 'F1'} ${number(size)} Tf ${colorOperands(color)} rg ` +
+      `${number(x)} ${number(this.pageHeight - y)} Td ${contentString(codes)} Tj ET`
+    );
+  }
+
+  /**
+   * @param {object} style - { fill, stroke, lineWidth, radius }
+   */
+  rect(x, y, width, height, { fill = null, stroke = null, lineWidth = 1, radius = 0 } = {}) {
+    const bottom = this.pageHeight - y - height;
+    let path;
+
+    if (radius > 0) {
+      const r = Math.min(radius, width / 2, height / 2);
+      const k = r * 0.5523;
+      const left = x;
+      const right = x + width;
+      const top = bottom + height;
+      path = [
+        `${number(left + r)} ${number(bottom)} m`,
+        `${number(right - r)} ${number(bottom)} l`,
+        `${number(right - r + k)} ${number(bottom)} ${number(right)} ${number(bottom + r - k)} ${number(right)} ${number(bottom + r)} c`,
+        `${number(right)} ${number(top - r)} l`,
+        `${number(right)} ${number(top - r + k)} ${number(right - r + k)} ${number(top)} ${number(right - r)} ${number(top)} c`,
+        `${number(left + r)} ${number(top)} l`,
+        `${number(left + r - k)} ${number(top)} ${number(left)} ${number(top - r + k)} ${number(left)} ${number(top - r)} c`,
+        `${number(left)} ${number(bottom + r)} l`,
+        `${number(left)} ${number(bottom + r - k)} ${number(left + r - k)} ${number(bottom)} ${number(left + r)} ${number(bottom)} c`,
+        'h'
+      ].join(' ');
+    } else {
+      path = `${number(x)} ${number(bottom)} ${number(width)} ${number(height)} re`;
+    }
+
+    this.paint(path, { fill, stroke, lineWidth });
+  }
+
+  /**
+   * Open or closed path through points
+   * @param {Array} points - [[x, y], ...]
+   * @param {object} style - { fill, stroke, lineWidth, close }
+   */
+  polyline(points, { fill = null, stroke = '#000000', lineWidth = 1, close = false } = {}) {
+    if (points.length < 2) return;
+
+    const path = points
+      .map(([x, y], i) => `${number(x)} ${number(this.pageHeight - y)} ${i === 0 ? 'm' : 'l'}`)
+      .join(' ');
+    this.paint(close || fill ? `${path} h` : path, { fill, stroke, lineWidth });
+  }
+
+  line(x1, y1, x2, y2, style = {}) {
+    this.polyline([[x1, y1], [x2, y2]], style);
+  }
+
+  paint(path, { fill, stroke, lineWidth }) {
+    const ops = ['q'];
+    if (fill) ops.push(`${colorOperands(fill)} rg`);
+    if (stroke) ops.push(`${colorOperands(stroke)} RG ${number(lineWidth)} w 1 j 1 J`);
+    ops.push(path, fill && stroke ? 'B' : fill ? 'f' : 'S', 'Q');
+    this.page.content.push(ops.join(' '));
+  }
+
+  // ==================== IMAGES ====================
+
+  /**
+   * Register a JPEG for use on any page
+   * @param {Uint8Array} bytes - JPEG file
+   * @returns {object} Image handle { width, height }
+   * @throws {Error} When it isn't a JPEG this writer can embed
+   */
+  addJpeg(bytes) {
+    const info = readJpegInfo(bytes);
+    if (info.components !== 1 && info.components !== 3) {
+      throw new Error('Only grayscale and RGB JPEGs can be embedded');
+    }
+
+    const image = { ...info, bytes, resource: `Im${this.images.length + 1}` };
+    this.images.push(image);
+    return image;
+  }
+
+  /**
+   * @param {object} image - From addJpeg()
+   */
+  image(image, x, y, width, height) {
+    this.page.images.add(image);
+    this.page.content.push(
+      `q ${number(width)} 0 0 ${number(height)} ${number(x)} ${number(this.pageHeight - y - height)} cm /${image.resource} Do Q`
+    );
+  }
+
+  // ==================== OUTPUT ====================
+
+  /**
+   * @returns {Uint8Array} The PDF file
+   */
+  build() {
+    const objects = [];
+    const allocate = () => objects.push(null);
+    const set = (id, body) => { objects[id - 1] = body; };
+
+    const catalogId = allocate();
+    const pagesId = allocate();
+    const structRootId = allocate();
+    const parentTreeId = allocate();
+    const infoId = allocate();
+    const metadataId = allocate();
+    const fontIds = {};
+    Object.entries(FONTS).forEach(([key, font]) => {
+      fontIds[key] = allocate();
+      set(fontIds[key], `<< /Type /Font /Subtype /Type1 /BaseFont /${font.baseFont} /Encoding /WinAnsiEncoding >>`);
+    });
+
+    this.images.forEach(image => {
+      image.id = allocate();
+      const colorSpace = image.components === 1 ? '/DeviceGray' : '/DeviceRGB';
+      set(image.id, [
+        `<< /Type /XObject /Subtype /Image /Width ${image.width} /Height ${image.height} ` +
+        `/ColorSpace ${colorSpace} /BitsPerComponent 8 /Filter /DCTDecode /Length ${image.bytes.length} >>\nstream\n`,
+        image.bytes,
+        '\nendstream'
+      ]);
+    });
+
+    this.pages.forEach(page => {
+      page.id = allocate();
+      page.contentId = allocate();
+    });
+
+    // Structure elements get ids before pages are written so marks can point at them
+    const elements = [];
+    const collect = (element) => {
+      element.id = allocate();
+      elements.push(element);
+      element.kids.forEach(kid => { if (kid.type) collect(kid); });
+    };
+    collect(this.root);
+
+    const fontResources = Object.entries(FONTS).map(([key, font]) => `/${font.resource} ${fontIds[key]} 0 R`).join(' ');
+
+    this.pages.forEach((page, index) => {
+      const xobjects = [...page.images].map(image => `/${image.resource} ${image.id} 0 R`).join(' ');
+      set(page.id,
+        `<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${number(this.pageWidth)} ${number(this.pageHeight)}] ` +
+        `/Resources << /Font << ${fontResources} >>${xobjects ? ` /XObject << ${xobjects} >>` : ''} >> ` +
+        `/Contents ${page.contentId} 0 R /StructParents ${index} /Tabs /S >>`
+      );
+
+      const stream = page.content.join('\n');
+      set(page.contentId, [`<< /Length ${stream.length} >>\nstream\n`, stream, '\nendstream']);
+    });
+
+    set(pagesId, `<< /Type /Pages /Kids [${this.pages.map(page => `${page.id} 0 R`).join(' ')}] /Count ${this.pages.length} >>`);
+
+    elements.forEach(element => {
+      const parentId = element.parent ? element.parent.id : structRootId;
+      const kids = element.kids.map(kid => (
+        kid.type ? `${kid.id} 0 R` : `<< /Type /MCR /Pg ${kid.page.id} 0 R /MCID ${kid.mcid} >>`
+      ));
+      let body = `<< /Type /StructElem /S /${element.type} /P ${parentId} 0 R /K [${kids.join(' ')}]`;
+      if (element.alt) body += ` /Alt ${textString(element.alt)}`;
+      if (element.actualText) body += ` /ActualText ${textString(element.actualText)}`;
+      if (element === this.root) body += ` /Lang ${textString(this.info.lang)}`;
+      set(element.id, `${body} >>`);
+    });
+
+    const nums = this.pages
+      .map((page, index) => `${index} [${page.marks.map(element => `${element.id} 0 R`).join(' ')}]`)
+      .join(' ');
+    set(parentTreeId, `<< /Nums [${nums}] >>`);
+    set(structRootId, `<< /Type /StructTreeRoot /K ${this.root.id} 0 R /ParentTree ${parentTreeId} 0 R /ParentTreeNextKey ${this.pages.length} >>`);
+
+    const now = new Date();
+    set(infoId,
+      `<< /Title ${textString(this.info.title)} /Author ${textString(this.info.author)} ` +
+      `/Subject ${textString(this.info.subject)} /Producer (Access Nature) /CreationDate ${pdfDate(now)} >>`
+    );
+
+    // XMP is UTF-8; the object body is written byte for byte
+    const xmp = unescape(encodeURIComponent(
+      '<?xpacket begin="" id="W5M0MpCehiHzreSzNTczkc9d"?>' +
+      '<x:xmpmeta xmlns:x="adobe:ns:meta/"><rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">' +
+      '<rdf:Description rdf:about="" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:pdf="http://ns.adobe.com/pdf/1.3/">' +
+      `<dc:title><rdf:Alt><rdf:li xml:lang="x-default">${escapeXml(this.info.title)}</rdf:li></rdf:Alt></dc:title>` +
+      `<dc:language><rdf:Bag><rdf:li>${escapeXml(this.info.lang)}</rdf:li></rdf:Bag></dc:language>` +
+      '<pdf:Producer>Access Nature</pdf:Producer>' +
+      '</rdf:Description></rdf:RDF></x:xmpmeta><?xpacket end="w"?>'
+    ));
+    set(metadataId, [`<< /Type /Metadata /Subtype /XML /Length ${xmp.length} >>\nstream\n`, xmp, '\nendstream']);
+
+    set(catalogId,
+      `<< /Type /Catalog /Pages ${pagesId} 0 R /StructTreeRoot ${structRootId} 0 R /MarkInfo << /Marked true >> ` +
+      `/Lang ${textString(this.info.lang)} /Metadata ${metadataId} 0 R /ViewerPreferences << /DisplayDocTitle true >> >>`
+    );
+
+    return this.serialize(objects, catalogId, infoId);
+  }
+
+  serialize(objects, catalogId, infoId) {
+    const chunks = [];
+    let length = 0;
+    const write = (part) => {
+      const bytes = typeof part === 'string' ? latin1(part) : part;
+      chunks.push(bytes);
+      length += bytes.length;
+    };
+
+    write('%PDF-1.7\n%\xE2\xE3\xCF\xD3\n');
+
+    const offsets = objects.map((body, index) => {
+      const offset = length;
+      write(`${index + 1} 0 obj\n`);
+      (Array.isArray(body) ? body : [body]).forEach(write);
+      write('\nendobj\n');
+      return offset;
+    });
+
+    const xrefOffset = length;
+    write(`xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`);
+    offsets.forEach(offset => write(`${String(offset).padStart(10, '0')} 00000 n \n`));
+
+    const id = Array.from({ length: 16 }, () => Math.floor(Math.random() * 256).toString(16).padStart(2, '0')).join('');
+    write(
+      `trailer\n<< /Size ${objects.length + 1} /Root ${catalogId} 0 R /Info ${infoId} 0 R /ID [<${id}> <${id}>] >>\n` +
+      `startxref\n${xrefOffset}\n%%EOF\n`
+    );
+
+    const output = new Uint8Array(length);
+    let position = 0;
+    chunks.forEach(chunk => {
+      output.set(chunk, position);
+      position += chunk.length;
+    });
+    return output;
+  }
+
+  /**
+   * @returns {Blob}
+   */
+  toBlob() {
+    return new Blob([this.build()], { type: 'application/pdf' });
+  }
+}
@@ -0,0 +1,131 @@
+/**
+ * ZIP archive writer
+ * Packs files into a ZIP without compression ("stored" entries). That's what
+ * KMZ readers expect at minimum, and photos are JPEGs that wouldn't shrink anyway.
+ *
+ * Access Nature - Export Utilities
+ * Created: December 2025
+ */
+
+const encoder = new TextEncoder();
+
+let crcTable = null;
+
+/**
+ * CRC-32 (IEEE 802.3), as required for every ZIP entry
+ * @param {Uint8Array} bytes
+ * @returns {number}
+ */
+export function crc32(bytes) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+      }
+      crcTable[n] = c >>> 0;
+    }
+  }
+
+  let crc = 0xFFFFFFFF;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Bytes of a data: URL (e.g. a stored photo)
+ * @param {string} dataUrl
+ * @returns {Uint8Array}
+ */
+export function dataUrlToBytes(dataUrl) {
+  const [header, payload] = dataUrl.split(',');
+  if (!header.includes(';base64')) {
+    return encoder.encode(decodeURIComponent(payload));
+  }
+
+  const binary = atob(payload);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
+
+/**
+ * MS-DOS date and time fields
+ */
+function dosDateTime(date) {
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  };
+}
+
+/**
+ * Build a ZIP archive
+ * @param {Array} files - [{ name, data }] where data is a string (written as UTF-8) or Uint8Array.
+ *                        Entries are written in this order (KMZ wants doc.kml first).
+ * @param {object} options - { mimeType }
+ * @returns {Blob}
+ */
+export function createZip(files, { mimeType = 'application/zip' } = {}) {
+  const { time, date } = dosDateTime(new Date());
+  const parts = [];
+  const central = [];
+  let offset = 0;
+
+  files.forEach(file => {
+    const name = encoder.encode(file.name);
+    const data = typeof file.data === 'string' ? encoder.encode(file.data) : file.data;
+    const crc = crc32(data);
+
+    // Local file header
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034B50, true);
+    local.setUint16(4, 20, true);          // Version needed
+    local.setUint16(6, 0x0800, true);      // UTF-8 names
+    local.setUint16(8, 0, true);           // Stored
+    local.setUint16(10, time, true);
+    local.setUint16(12, date, true);
+    local.setUint32(14, crc, true);
+    local.setUint32(18, data.length, true);
+    local.setUint32(22, data.length, true);
+    local.setUint16(26, name.length, true);
+    local.setUint16(28, 0, true);
+
+    parts.push(local, name, data);
+
+    // Central directory entry
+    const entry = new DataView(new ArrayBuffer(46));
+    entry.setUint32(0, 0x02014B50, true);
+    entry.setUint16(4, 20, true);          // Version made by
+    entry.setUint16(6, 20, true);
+    entry.setUint16(8, 0x0800, true);
+    entry.setUint16(10, 0, true);
+    entry.setUint16(12, time, true);
+    entry.setUint16(14, date, true);
+    entry.setUint32(16, crc, true);
+    entry.setUint32(20, data.length, true);
+    entry.setUint32(24, data.length, true);
+    entry.setUint16(28, name.length, true);
+    entry.setUint32(42, offset, true);     // Local header offset (other fields stay 0)
+
+    central.push(entry, name);
+    offset += 30 + name.length + data.length;
+  });
+
+  const centralSize = central.reduce((sum, part) => sum + part.byteLength, 0);
+
+  // End of central directory
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054B50, true);
+  end.setUint16(8, files.length, true);
+  end.setUint16(10, files.length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+
+  return new Blob([...parts, ...central, end], { type: mimeType });
+}
@@ -42,6 +42,7 @@ const APP_SHELL = [
   // Features
   './src/features/auth.js',
   './src/core/tracking.js',
+  './src/core/trailStretches.js',
   './src/features/accessibility.js',
   './src/features/export.js',
   './src/features/media.js',
@@ -52,7 +53,11 @@ const APP_SHELL = [
   './src/features/trailSearch.js',
   './src/features/accessibilityRating.js',
   './src/features/accessibilityFormV2Quick.js',
+  './src/features/surveyRenderer.js',
+  './src/features/surveyConsensus.js',
   './src/features/trailGuideGeneratorV2.js',
+  './src/features/complianceReport.js',
+  './src/features/surveyDrafts.js',
   
   // Utils
   './src/utils/modal.js',
@@ -65,6 +70,7 @@ const APP_SHELL = [
   './src/ui/gamificationUI.js',
   './src/ui/displayPreferences.js',
   './src/ui/mobilityProfileUI.js',
+  './src/ui/surveyHistoryUI.js',
   
   // PWA
   './src/pwa/pwaManager.js',
@@ -72,7 +78,13 @@ const APP_SHELL = [
   
   // Services & Config
   './src/services/userService.js',
+  './src/services/surveyMigration.js',
+  './src/services/surveyHistory.js',
   './src/config/featureFlags.js',
+  './src/config/surveySchema.js',
+  './src/config/surveyRules.js',
+  './src/config/stretchAttributes.js',
+  './src/config/complianceRules.js',
   
   // External Libraries (CDN - will be cached on first use)
   'https://unpkg.com/leaflet@1.9.3/dist/leaflet.css',